@@ -0,0 +1,59 @@
+'use strict';
+
+// ===== Accessibility =====
+
+/**
+ * Read a message to screen reader users through the live region
+ * @param {string} message - Text to announce
+ */
+function announce(message) {
+    const region = document.getElementById('live-announcer');
+    if (!region) return;
+
+    // Emptying the region first makes a repeated message be read again
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 50);
+}
+
+/**
+ * Move focus to the heading of a slide, so keyboard and screen reader users
+ * continue reading from the top of the new slide
+ * @param {HTMLElement} slide - The slide
+ */
+function focusSlideHeading(slide) {
+    // Don't pull focus out of an open dialog (e.g. a slide change synced from another window)
+    if (document.activeElement?.closest('[aria-modal="true"]')) return;
+
+    const heading = slide.querySelector('h1, h2');
+    if (!heading) return;
+
+    heading.tabIndex = -1;
+    heading.focus({ preventScroll: true });
+}
+
+/**
+ * Announce slide changes, fragment steps and quiz feedback, and follow navigation with focus
+ */
+function initializeAccessibility() {
+    document.addEventListener('slide-change', function (e) {
+        announce(t('a11y.slide', { n: e.detail.index + 1, total: totalSlides }));
+        focusSlideHeading(slides[e.detail.index]);
+    });
+
+    document.addEventListener('fragment-change', function (e) {
+        if (e.detail.index === currentSlide) {
+            announce(t('a11y.fragment', { step: e.detail.step, total: e.detail.total }));
+        }
+    });
+
+    document.addEventListener('quiz-answer', function (e) {
+        const { status, question } = e.detail;
+        if (status === 'correct') {
+            announce(t('a11y.correct'));
+        } else if (status === 'incorrect') {
+            announce(t('a11y.incorrect', { letter: question.correct }));
+        }
+    });
+}
@@ -0,0 +1,474 @@
+'use strict';
+
+// ===== Citations and Bibliography =====
+
+// The works cited in the slides.
+// aliases         - Ways the work is written at the start of a citation
+// volume          - Pattern for the volume/tractate written after the name (kept as-is)
+// positional      - Fields filled, in order, by bare numbers ("יא, ה")
+// labels          - How each field is named when displayed
+// siman           - Numbered by Shulchan Arukh simanim
+// commentary      - On the Shulchan Arukh; a bare se'if ("מ"ב ד-ו") refers to the siman
+//                   of the previous citation in the same box
+const CITATION_WORKS = {
+    peninei: {
+        name: 'פניני הלכה',
+        aliases: ['פניני הלכה', 'פנה"ל'],
+        volume: /^שבת\s*/,
+        positional: ['chapter', 'section'],
+        labels: { chapter: 'פרק', section: 'הלכה' },
+        description: 'פניני הלכה שבת - פרק יא "בורר" (הלכות א-יח) - הרב אליעזר מלמד שליט"א'
+    },
+    yalkutYosef: {
+        name: 'ילקוט יוסף',
+        aliases: ['קיצור שולחן ערוך ילקוט יוסף', 'ילקוט יוסף', 'ילקו"י', 'ילק"י'],
+        volume: /^שבת\s+(?:כרך\s+)?ג'\s*,?\s*/,
+        positional: ['section', 'subsection'],
+        labels: { section: 'סימן', subsection: 'סעיף' },
+        siman: true,
+        description: 'קיצור שולחן ערוך ילקוט יוסף - שבת כרך ג\', סימן שי"ט "הלכות בורר" - הרב יצחק יוסף שליט"א'
+    },
+    shulchanArukh: {
+        name: 'שולחן ערוך',
+        aliases: ['שולחן ערוך', 'שו"ע'],
+        volume: /^(?:או"ח|אורח חיים)\s*/,
+        positional: ['section', 'subsection'],
+        labels: { section: 'סימן', subsection: 'סעיף' },
+        siman: true,
+        description: 'שולחן ערוך אורח חיים - סימן שי"ט'
+    },
+    rema: {
+        name: 'רמ"א',
+        aliases: ['רמ"א'],
+        positional: ['section', 'subsection'],
+        labels: { section: 'סימן', subsection: 'סעיף' },
+        siman: true,
+        commentary: true,
+        description: 'הגהות הרמ"א על השולחן ערוך - סימן שי"ט'
+    },
+    mishnaBerura: {
+        name: 'משנה ברורה',
+        aliases: ['משנה ברורה', 'משנ"ב', 'מ"ב'],
+        positional: ['section', 'subsection'],
+        labels: { section: 'סימן', subsection: 'ס"ק' },
+        siman: true,
+        commentary: true,
+        description: 'משנה ברורה - סימן שי"ט'
+    },
+    shmiratShabbat: {
+        name: 'שמירת שבת כהלכתה',
+        aliases: ['שמירת שבת כהלכתה', 'שש"כ'],
+        positional: ['chapter', 'subsection'],
+        labels: { chapter: 'פרק', subsection: 'סעיף' },
+        description: 'שמירת שבת כהלכתה - פרק ג'
+    },
+    gemara: {
+        name: 'גמרא שבת',
+        aliases: ['גמרא שבת', 'תלמוד בבלי שבת'],
+        positional: ['section', 'subsection'],
+        labels: { section: 'דף', subsection: 'עמוד' },
+        description: 'תלמוד בבלי מסכת שבת'
+    },
+    mishna: {
+        name: 'משנה שבת',
+        aliases: ['משנה שבת'],
+        positional: ['section', 'subsection'],
+        labels: { section: 'דף', subsection: 'עמוד' },
+        description: 'משנה מסכת שבת פרק ז'
+    }
+};
+
+// Explicitly named fields ("פרק יא הלכה א", "סי' שיט סעיף יז")
+const CITATION_FIELD_PATTERNS = [
+    { field: 'chapter', pattern: /פרק\s+([א-ת"']+)/ },
+    { field: 'section', pattern: /(?:הלכה|סימן|סי')\s+([א-ת"']+)/ },
+    { field: 'subsection', pattern: /(?:סעיף|סע'|ס"ק)\s+([א-ת"']+)/ }
+];
+
+// The filter options for viewing the deck according to one work (UI string keys)
+const SOURCE_FILTERS = {
+    all: 'citations.filter.all',
+    peninei: 'citations.filter.peninei',
+    yalkutYosef: 'citations.filter.yalkutYosef'
+};
+
+// Boxes whose content is attributed to the citations inside them
+const CITATION_SCOPE_BLOCKS = '.definition-box, .example-box, .warning-box, .positive-box, .list-item, .step, li';
+
+/**
+ * Get the numeric value of a Hebrew numeral (e.g. שיט = 319, טו = 15)
+ * @param {string} numeral - Hebrew numeral, with or without geresh/gershayim
+ * @returns {number} Value, or NaN if the text is not a numeral
+ */
+function hebrewNumeralValue(numeral) {
+    const letters = numeral.replace(/['"׳״]/g, '');
+    const values = 'אבגדהוזחטיכלמנסעפצקרשת';
+    let total = 0;
+    let previous = Infinity;
+
+    for (const letter of letters.replace(/[ךםןףץ]/g, l => ({ 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' })[l])) {
+        const index = values.indexOf(letter);
+        if (index === -1) return NaN;
+
+        const value = index < 10 ? index + 1 : index < 19 ? (index - 8) * 10 : (index - 17) * 100;
+        // Digits run from large to small
+        if (value > previous) return NaN;
+        total += value;
+        previous = value;
+    }
+
+    return letters ? total : NaN;
+}
+
+/**
+ * Check whether a token is a Hebrew numeral or a range of them ("א-ד")
+ * @param {string} token - Text to check
+ * @returns {boolean} True for numerals
+ */
+function isHebrewNumeralToken(token) {
+    return token.split('-').every(part => part && !isNaN(hebrewNumeralValue(part)));
+}
+
+/**
+ * Parse one citation ("פניני הלכה שבת יא, ה", "ילקו"י שבת ג' סי' שיט סעיף יז")
+ * @param {string} text - Citation text
+ * @param {Object|null} previous - The citation before it in the same box
+ * @returns {Object|null} { work, raw, volume, chapter, section, subsection, note }, or null if the work is unknown
+ */
+function parseCitation(text, previous = null) {
+    const raw = text.replace(/[׳]/g, '\'').replace(/[״]/g, '"').replace(/\s+/g, ' ').trim();
+
+    let workId = null;
+    let alias = '';
+    Object.keys(CITATION_WORKS).forEach(id => {
+        CITATION_WORKS[id].aliases.forEach(candidate => {
+            if (raw.startsWith(candidate) && candidate.length > alias.length) {
+                workId = id;
+                alias = candidate;
+            }
+        });
+    });
+    if (!workId) return null;
+
+    const work = CITATION_WORKS[workId];
+    const citation = { work: workId, raw: raw, volume: null, chapter: null, section: null, subsection: null, note: null };
+    let rest = raw.slice(alias.length).trim();
+
+    const volumeMatch = work.volume && rest.match(work.volume);
+    if (volumeMatch) {
+        citation.volume = volumeMatch[0].replace(/[\s,]+$/, '');
+        rest = rest.slice(volumeMatch[0].length);
+    }
+
+    const introduction = rest.match(/הקדמה\s*(?:ל(?=\S))?/);
+    if (introduction) {
+        citation.note = 'הקדמה';
+        rest = rest.replace(introduction[0], ' ');
+    }
+
+    CITATION_FIELD_PATTERNS.forEach(({ field, pattern }) => {
+        const match = rest.match(pattern);
+        if (match) {
+            citation[field] = match[1];
+            rest = rest.replace(match[0], ' ');
+        }
+    });
+
+    const numbers = rest.split(/[\s,]+/).filter(isHebrewNumeralToken);
+    const open = work.positional.filter(field => !citation[field]);
+
+    // "מ"ב ד-ו" after "רמ"א שיט, א" means se'if katan ד-ו in the same siman
+    if (work.commentary && numbers.length === 1 && !citation.section && previous &&
+        CITATION_WORKS[previous.work].siman && previous.section) {
+        citation.section = previous.section;
+        citation.subsection = numbers[0];
+    } else {
+        open.forEach((field, i) => {
+            if (numbers[i]) citation[field] = numbers[i];
+        });
+    }
+
+    return citation;
+}
+
+/**
+ * Parse the contents of a .source-ref-box ("מקור: A | B | C", or "Source: A | B" in a translation)
+ * @param {string} text - Box text
+ * @returns {Array<Object>} Citations (unknown works are skipped)
+ */
+function parseCitationList(text) {
+    const citations = [];
+    text.replace(/^\s*(?:מקור|Source):\s*/i, '').split('|').forEach(part => {
+        if (!part.trim()) return;
+        const citation = parseCitation(part, citations[citations.length - 1] || null);
+        if (citation) citations.push(citation);
+    });
+    return citations;
+}
+
+/**
+ * Describe where in the work a citation points ("פרק יא, הלכה ה")
+ * @param {Object} citation - Parsed citation
+ * @param {Array<string>} fields - Fields to include
+ * @returns {string} Location text
+ */
+function formatCitationLocation(citation, fields = ['chapter', 'section', 'subsection']) {
+    const labels = CITATION_WORKS[citation.work].labels;
+    const parts = fields
+        .filter(field => citation[field])
+        .map(field => `${labels[field]} ${citation[field]}`);
+
+    if (citation.note) parts.unshift(citation.note);
+    return parts.join(', ') || t('citations.general');
+}
+
+/**
+ * Constructor for CitationIndex
+ * Parses every .source-ref-box in the slides into structured citations and groups
+ * them by work and location. Review questions are linked to the sources cited on
+ * the slide their answer refers to ("מקור: שקף N").
+ * @param {NodeList|Array<HTMLElement>} slideElements - The slides, in order
+ */
+class CitationIndex {
+    constructor(slideElements) {
+        this.slides = Array.from(slideElements);
+        this.citations = [];
+
+        this.slides.forEach((slide, slideIndex) => {
+            slide.querySelectorAll('.source-ref-box').forEach(box => {
+                if (box.closest('.borer-wizard')) return;
+
+                const citations = parseCitationList(box.textContent);
+                box.dataset.works = Array.from(new Set(citations.map(citation => citation.work))).join(' ');
+
+                citations.forEach(citation => {
+                    this.citations.push(Object.assign(citation, { slideIndex: slideIndex, box: box }));
+                });
+            });
+        });
+    }
+
+    /**
+     * Get the review questions whose answers refer to a slide
+     * @param {number} slideIndex - Slide index
+     * @returns {Array<Object>} Question descriptors
+     */
+    getQuestionsForSlide(slideIndex) {
+        if (!quizSession) return [];
+        return quizSession.questions.filter(question => question.sourceSlide === slideIndex + 1);
+    }
+
+    /**
+     * Group the citations by work, then by chapter and section
+     * @returns {Array<Object>} Works ordered by number of citations:
+     *   { id, work, count, entries: [{ location, subsections, slides, questions }] }
+     */
+    getBibliography() {
+        const works = new Map();
+
+        this.citations.forEach(citation => {
+            if (!works.has(citation.work)) {
+                works.set(citation.work, { id: citation.work, work: CITATION_WORKS[citation.work], count: 0, entries: new Map() });
+            }
+            const work = works.get(citation.work);
+            work.count++;
+
+            const key = [citation.note, citation.chapter, citation.section].join('|');
+            if (!work.entries.has(key)) {
+                work.entries.set(key, {
+                    location: formatCitationLocation(citation, ['chapter', 'section']),
+                    sortKey: [citation.chapter, citation.section].map(value => value ? hebrewNumeralValue(value.split('-')[0]) : 0),
+                    subsections: new Set(),
+                    slides: new Set(),
+                    questions: new Set()
+                });
+            }
+
+            const entry = work.entries.get(key);
+            if (citation.subsection) entry.subsections.add(citation.subsection);
+            entry.slides.add(citation.slideIndex);
+            this.getQuestionsForSlide(citation.slideIndex).forEach(question => entry.questions.add(question));
+        });
+
+        return Array.from(works.values())
+            .map(work => Object.assign(work, {
+                entries: Array.from(work.entries.values()).sort((a, b) =>
+                    (a.sortKey[0] - b.sortKey[0]) || (a.sortKey[1] - b.sortKey[1]))
+            }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Mark each cited box with the work it follows, so the deck can be filtered by source
+     * A box citing Yalkut Yosef but not Peninei Halacha follows Yalkut Yosef, and vice
+     * versa; boxes citing both (or neither) are common to both. data-source-scope on a
+     * box overrides the derived value.
+     */
+    markScopes() {
+        const scopes = new Map();
+
+        this.citations.forEach(citation => {
+            const block = citation.box.parentElement && citation.box.parentElement.closest(CITATION_SCOPE_BLOCKS);
+            if (!block || block.dataset.sourceScope) return;
+
+            if (!scopes.has(block)) scopes.set(block, new Set());
+            scopes.get(block).add(citation.work);
+        });
+
+        scopes.forEach((works, block) => {
+            if (works.has('peninei') && !works.has('yalkutYosef')) {
+                block.dataset.sourceScope = 'peninei';
+            } else if (works.has('yalkutYosef') && !works.has('peninei')) {
+                block.dataset.sourceScope = 'yalkutYosef';
+            }
+        });
+    }
+}
+
+let citationIndex = null;
+
+/**
+ * Show the deck according to all sources or a single work
+ * @param {string} filter - Key of SOURCE_FILTERS
+ */
+function setSourceFilter(filter) {
+    if (!SOURCE_FILTERS[filter]) filter = 'all';
+
+    if (filter === 'all') {
+        document.documentElement.removeAttribute('data-source-filter');
+    } else {
+        document.documentElement.setAttribute('data-source-filter', filter);
+    }
+    localStorage.setItem('sourceFilter', filter);
+
+    document.querySelectorAll('.source-filter-select').forEach(select => {
+        select.value = filter;
+    });
+    updateSourceFilterNotice();
+}
+
+/**
+ * Show how many boxes on the current slide follow the other source
+ */
+function updateSourceFilterNotice() {
+    document.querySelectorAll('.source-filter-notice').forEach(notice => notice.remove());
+
+    const filter = document.documentElement.getAttribute('data-source-filter');
+    if (!filter || !slides) return;
+
+    const hidden = slides[currentSlide].querySelectorAll(`[data-source-scope]:not([data-source-scope="${filter}"])`).length;
+    if (!hidden) return;
+
+    const notice = document.createElement('div');
+    notice.className = 'source-filter-notice';
+    notice.innerHTML = `${t('citations.notice', { filter: t(SOURCE_FILTERS[filter]), hidden: hidden })}
+        <button class="slide-link-span" data-action="show-all">${t('citations.showAll')}</button>`;
+    notice.querySelector('button').addEventListener('click', (e) => {
+        e.stopPropagation();
+        setSourceFilter('all');
+    });
+
+    const heading = slides[currentSlide].querySelector('h1, h2');
+    if (heading) {
+        heading.after(notice);
+    } else {
+        slides[currentSlide].prepend(notice);
+    }
+}
+
+/**
+ * Build the bibliography HTML
+ * @returns {string} HTML
+ */
+function renderBibliography() {
+    const slideLink = index => `<a class="slide-link-span" href="${slideRouter ? slideRouter.buildHash(index) : '#' + (index + 1)}">${t('common.slide', { n: index + 1 })}</a>`;
+    const questionLink = question => `<a class="slide-link-span" href="${slideRouter ? slideRouter.getQuestionHash(question) : '#'}">${t('common.question', { n: question.number })}</a>`;
+
+    return citationIndex.getBibliography().map(work => `
+        <details class="bibliography-work"${work.id === 'peninei' ? ' open' : ''}>
+            <summary><strong lang="he">${work.work.name}</strong> <span class="bibliography-count">${t('citations.count', { n: work.count })}</span></summary>
+            <div class="bibliography-description" lang="he">${work.work.description}</div>
+            <ul>
+                ${work.entries.map(entry => `
+                    <li>
+                        <strong><bdi lang="he">${entry.location}</bdi></strong>${entry.subsections.size ? ` - ${CITATION_WORKS[work.id].labels.subsection} ${Array.from(entry.subsections).join(', ')}` : ''}
+                        <div class="bibliography-refs">
+                            ${Array.from(entry.slides).map(slideLink).join(' ')}
+                            ${Array.from(entry.questions).map(questionLink).join(' ')}
+                        </div>
+                    </li>`).join('')}
+            </ul>
+        </details>`).join('');
+}
+
+/**
+ * Open the bibliography browser
+ */
+function openBibliography() {
+    if (document.querySelector('.bibliography-dialog')) return;
+
+    const dialog = document.createElement('div');
+    dialog.className = 'bibliography-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-label', t('citations.dialogLabel'));
+    dialog.innerHTML = `
+        <div class="bibliography-box">
+            <div class="bibliography-header">
+                <h3>${t('citations.title')}</h3>
+                <button class="toc-drawer-close" data-action="close" aria-label="${t('common.close')}">✕</button>
+            </div>
+            <label class="bibliography-filter">${t('citations.filterLabel')}
+                <select class="source-filter-select">
+                    ${Object.keys(SOURCE_FILTERS).map(key => `<option value="${key}">${t(SOURCE_FILTERS[key])}</option>`).join('')}
+                </select>
+            </label>
+            <div class="bibliography-list">${renderBibliography()}</div>
+        </div>`;
+
+    const select = dialog.querySelector('.source-filter-select');
+    select.value = document.documentElement.getAttribute('data-source-filter') || 'all';
+    select.addEventListener('change', () => setSourceFilter(select.value));
+
+    dialog.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (e.target === dialog || e.target.closest('[data-action="close"], a')) {
+            dialog.remove();
+        }
+    });
+
+    dialog.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') dialog.remove();
+    });
+
+    document.body.appendChild(dialog);
+    select.focus();
+}
+
+/**
+ * Replace the hand-written source list on the summary slide with the generated one
+ */
+function renderBibliographySummary() {
+    const summary = document.getElementById('bibliography-summary');
+    if (!summary) return;
+
+    summary.innerHTML = `
+        <strong>${t('citations.summaryTitle')}</strong>
+        <ul>
+            ${citationIndex.getBibliography().map(work => `
+                <li><bdi lang="he"><strong>${work.work.name}</strong> - ${work.work.description}</bdi> ${t('citations.summaryCount', { n: work.count })}</li>`).join('')}
+        </ul>
+        <button class="show-answer-btn" onclick="openBibliography()">${t('citations.openFull')}</button>`;
+}
+
+/**
+ * Parse the citations, build the bibliography and restore the saved source filter
+ */
+function initializeCitations() {
+    citationIndex = new CitationIndex(slides);
+    citationIndex.markScopes();
+    renderBibliographySummary();
+
+    setSourceFilter(localStorage.getItem('sourceFilter') || 'all');
+    document.addEventListener('slide-change', updateSourceFilterNotice);
+}
@@ -0,0 +1,558 @@
+'use strict';
+
+// ===== Live Classroom =====
+
+// Relay port when the deck isn't served by the relay itself (see server/relay.js)
+const CLASSROOM_DEFAULT_PORT = 8080;
+
+// Reconnect delays grow up to this limit, in milliseconds
+const CLASSROOM_MAX_RETRY_DELAY = 10000;
+
+// Options per question. Choices travel as option positions, so teacher and students
+// may each view the deck in a different language.
+const POLL_OPTION_COUNT = 4;
+
+/**
+ * Get the relay address to use by default - the server the deck came from, when
+ * it was served over HTTP (as the relay does)
+ * @returns {string} host:port
+ */
+function getDefaultClassroomServer() {
+    return location.protocol.startsWith('http') ? location.host : `localhost:${CLASSROOM_DEFAULT_PORT}`;
+}
+
+/**
+ * Get this tab's teacher token for a session, creating it on first use. The relay
+ * lets teachers into a session only with the token of the teacher who opened it.
+ * @param {string} room - Session code
+ * @returns {string} Token
+ */
+function getClassroomTeacherToken(room) {
+    const key = `classroomTeacherToken:${room}`;
+    let token = sessionStorage.getItem(key);
+    if (!token) {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        token = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        sessionStorage.setItem(key, token);
+    }
+    return token;
+}
+
+/**
+ * Constructor for ClassroomSession
+ * Connects to the classroom relay over WebSocket. The teacher's slide changes
+ * move every student; a review question opened as a poll collects the students'
+ * choices into a live histogram until the teacher reveals the answer.
+ * @param {Object} options - Session options
+ * @param {string} options.role - 'teacher' or 'student'
+ * @param {string} options.room - Session code
+ * @param {string} options.server - Relay address (host:port)
+ * @param {string} options.token - Teacher token; by default this tab's token for the room
+ */
+class ClassroomSession {
+    constructor(options) {
+        this.role = options.role;
+        this.room = options.room;
+        this.server = options.server;
+        this.token = this.role === 'teacher' ? options.token || getClassroomTeacherToken(this.room) : null;
+
+        this.socket = null;
+        this.retries = 0;
+        this.retryTimer = null;
+        this.stopped = false;
+
+        // Teacher: question number -> Map(student id -> choice); student: question number -> own choice
+        this.polls = new Map();
+        this.openPoll = null;
+        this.students = 0;
+
+        // Set while following the teacher, so the slide change isn't treated as local
+        this.receiving = false;
+
+        this.connect();
+    }
+
+    /**
+     * Open the WebSocket and join the session
+     */
+    connect() {
+        const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        this.socket = new WebSocket(`${protocol}//${this.server}/session`);
+        this.setStatus('connecting');
+
+        this.socket.addEventListener('open', () => {
+            this.retries = 0;
+            this.send({ type: 'join', room: this.room, role: this.role, token: this.token });
+            this.setStatus('connected');
+
+            if (this.role === 'teacher') {
+                this.slideChanged(currentSlide);
+                if (this.openPoll) {
+                    this.send({ type: 'poll-open', question: this.openPoll });
+                }
+            }
+        });
+
+        this.socket.addEventListener('message', (e) => {
+            let message;
+            try {
+                message = JSON.parse(e.data);
+            } catch (error) {
+                return;
+            }
+            this.handleMessage(message);
+        });
+
+        this.socket.addEventListener('close', () => {
+            if (this.stopped) return;
+            this.setStatus('disconnected');
+
+            const delay = Math.min(1000 * Math.pow(2, this.retries++), CLASSROOM_MAX_RETRY_DELAY);
+            this.retryTimer = setTimeout(() => this.connect(), delay);
+        });
+    }
+
+    /**
+     * Leave the session
+     */
+    stop() {
+        this.stopped = true;
+        this.openPoll = null;
+        clearTimeout(this.retryTimer);
+        if (this.socket) {
+            this.socket.close();
+        }
+        document.querySelectorAll('.poll-panel, .poll-btn').forEach(element => element.remove());
+        document.querySelectorAll('.question.poll-open').forEach(element => element.classList.remove('poll-open'));
+        this.setStatus('stopped');
+    }
+
+    /**
+     * Send a message to the relay
+     * @param {Object} message - Message to send
+     */
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Handle a message from the relay
+     * @param {Object} message - Parsed message
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'slide':
+                if (this.role === 'student') {
+                    this.receiving = true;
+                    try {
+                        if (message.index !== currentSlide) {
+                            showSlide(message.index);
+                        }
+                        if (message.step !== undefined) {
+                            setFragmentStep(slides[message.index], message.step);
+                        }
+                    } finally {
+                        this.receiving = false;
+                    }
+                }
+                break;
+            case 'poll-open':
+                if (this.role === 'student') this.startStudentPoll(message.question);
+                break;
+            case 'poll-close':
+                if (this.role === 'student') this.endStudentPoll(message.question);
+                break;
+            case 'answer':
+                if (this.role === 'teacher') this.recordAnswer(message);
+                break;
+            case 'presence':
+                this.students = message.students;
+                this.setStatus('connected');
+                break;
+            case 'rejected':
+                // Another teacher holds this session code - don't keep retrying
+                this.stopped = true;
+                this.setStatus('rejected');
+                break;
+        }
+    }
+
+    /**
+     * Post a local slide change or fragment step to the students
+     * @param {number} index - The slide index
+     */
+    slideChanged(index) {
+        if (this.role === 'teacher' && !this.receiving) {
+            this.send({ type: 'slide', index: index, step: getFragmentStep(slides[index]) });
+        }
+    }
+
+    /**
+     * Find a review question by number
+     * @param {number} number - Question number
+     * @returns {Object|undefined} Question descriptor
+     */
+    getQuestion(number) {
+        return quizSession ? quizSession.questions.find(q => q.number === number) : undefined;
+    }
+
+    // ----- Teacher -----
+
+    /**
+     * Add a poll button to every review question
+     */
+    addPollButtons() {
+        if (!quizSession) return;
+
+        quizSession.questions.forEach(question => {
+            const button = document.createElement('button');
+            button.className = 'poll-btn';
+            button.textContent = t('classroom.poll');
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.openTeacherPoll(question);
+            });
+            question.element.querySelector('.show-answer-btn').before(button);
+
+            // Revealing the answer in any way ends the poll
+            question.element.querySelector('.show-answer-btn').addEventListener('click', () => {
+                if (this.openPoll === question.number && question.element.querySelector('.answer-box.show')) {
+                    this.closeTeacherPoll(question);
+                }
+            });
+        });
+    }
+
+    /**
+     * Open a question for the students' answers
+     * @param {Object} question - Question descriptor
+     */
+    openTeacherPoll(question) {
+        if (this.openPoll && this.openPoll !== question.number) {
+            this.closeTeacherPoll(this.getQuestion(this.openPoll));
+        }
+
+        this.openPoll = question.number;
+        this.polls.set(question.number, new Map());
+        question.element.classList.add('poll-open');
+
+        let panel = question.element.querySelector('.poll-panel');
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.className = 'poll-panel';
+            panel.addEventListener('click', e => e.stopPropagation());
+            question.element.querySelector('.show-answer-btn').before(panel);
+        }
+        panel.innerHTML = `
+            <div class="poll-summary" aria-live="polite"></div>
+            <div class="poll-histogram">
+                ${getOptionLetters().slice(0, POLL_OPTION_COUNT).map((letter, choice) => `
+                    <div class="poll-row" data-choice="${choice}">
+                        <span class="poll-letter">${letter}</span>
+                        <div class="poll-track"><div class="poll-bar"></div></div>
+                        <span class="poll-count">0</span>
+                    </div>`).join('')}
+            </div>
+            <button class="poll-reveal-btn">${t('classroom.reveal')}</button>`;
+
+        panel.querySelector('.poll-reveal-btn').addEventListener('click', () => {
+            const answerBox = question.element.querySelector('.answer-box');
+            if (answerBox.classList.contains('show')) {
+                this.closeTeacherPoll(question);
+            } else {
+                question.element.querySelector('.show-answer-btn').click();
+            }
+        });
+
+        this.send({ type: 'poll-open', question: question.number });
+        this.renderHistogram(question);
+    }
+
+    /**
+     * Stop collecting answers and reveal the answer on the students' devices
+     * @param {Object} question - Question descriptor
+     */
+    closeTeacherPoll(question) {
+        if (!question || this.openPoll !== question.number) return;
+
+        this.openPoll = null;
+        question.element.classList.remove('poll-open');
+        this.send({ type: 'poll-close', question: question.number });
+        this.renderHistogram(question);
+    }
+
+    /**
+     * Count a student's choice (a changed choice replaces the earlier one)
+     * @param {Object} message - { from, question, choice }
+     */
+    recordAnswer(message) {
+        const valid = Number.isInteger(message.choice) && message.choice >= 0 && message.choice < POLL_OPTION_COUNT;
+        if (message.question !== this.openPoll || !valid) return;
+
+        this.polls.get(message.question).set(message.from, message.choice);
+        this.renderHistogram(this.getQuestion(message.question));
+    }
+
+    /**
+     * Draw the histogram of a question's choices
+     * @param {Object} question - Question descriptor
+     */
+    renderHistogram(question) {
+        const panel = question && question.element.querySelector('.poll-panel');
+        if (!panel) return;
+
+        const answers = Array.from((this.polls.get(question.number) || new Map()).values());
+        const isOpen = this.openPoll === question.number;
+        const revealed = question.element.querySelector('.answer-box.show') !== null;
+
+        panel.querySelector('.poll-summary').textContent = isOpen
+            ? t('classroom.answered', { n: answers.length, total: this.students })
+            : t('classroom.closed', { n: answers.length });
+
+        const correctChoice = getOptionLetters().indexOf(question.correct);
+        panel.querySelectorAll('.poll-row').forEach(row => {
+            const choice = parseInt(row.dataset.choice);
+            const count = answers.filter(answer => answer === choice).length;
+            row.querySelector('.poll-bar').style.width = answers.length ? `${count / answers.length * 100}%` : '0';
+            row.querySelector('.poll-count').textContent = count;
+            row.classList.toggle('correct', revealed && choice === correctChoice);
+        });
+
+        panel.querySelector('.poll-reveal-btn').hidden = !isOpen;
+    }
+
+    // ----- Student -----
+
+    /**
+     * Let the student answer a question opened by the teacher
+     * @param {number} number - Question number
+     */
+    startStudentPoll(number) {
+        const question = this.getQuestion(number);
+        if (!question) return;
+
+        if (practiceSession) {
+            stopPractice();
+        }
+        this.openPoll = number;
+        question.element.classList.add('poll-open');
+        question.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+        if (!question.element.dataset.pollBound) {
+            question.element.dataset.pollBound = 'true';
+
+            // Capture the click before the quiz grades it - grading waits for the teacher.
+            // Bound once per question, so it answers to whichever session is current.
+            question.element.addEventListener('click', (e) => {
+                const option = e.target.closest('.option');
+                const session = classroomSession;
+                if (!option || !session || session.openPoll !== number) return;
+                e.stopPropagation();
+
+                const choice = Array.from(question.element.querySelectorAll('.option')).indexOf(option);
+                session.polls.set(number, choice);
+                question.element.querySelectorAll('.option').forEach(opt => opt.classList.toggle('poll-choice', opt === option));
+                quizSession.markChoice(question, option);
+                session.send({ type: 'answer', question: number, choice: choice });
+            }, true);
+        }
+    }
+
+    /**
+     * Grade the student's choice and show the answer once the teacher reveals it
+     * @param {number} number - Question number
+     */
+    endStudentPoll(number) {
+        const question = this.getQuestion(number);
+        if (!question) return;
+
+        this.openPoll = null;
+        question.element.classList.remove('poll-open');
+
+        const choice = this.polls.get(number);
+        const option = Array.from(question.element.querySelectorAll('.option'))
+            .find(opt => opt.classList.contains('poll-choice'));
+        question.element.querySelectorAll('.poll-choice').forEach(opt => opt.classList.remove('poll-choice'));
+
+        if (choice !== undefined && option) {
+            quizSession.handleOptionClick(question, option);
+        } else {
+            quizSession.markRevealed(question.element);
+        }
+        quizSession.revealAnswer(question);
+    }
+
+    // ----- Status -----
+
+    /**
+     * Show the connection state in the navigation bar
+     * @param {string} state - 'connecting', 'connected', 'disconnected', 'rejected' or 'stopped'
+     */
+    setStatus(state) {
+        const status = document.getElementById('classroom-status');
+        if (!status) return;
+
+        status.hidden = state === 'stopped';
+        status.dataset.state = state;
+
+        const labels = {
+            connecting: t('classroom.connecting'),
+            disconnected: t('classroom.disconnected'),
+            rejected: t('classroom.rejected'),
+            connected: this.role === 'teacher' ? t('classroom.students', { n: this.students }) : t('classroom.connected')
+        };
+        status.textContent = `🏫 ${this.room} · ${labels[state] || ''}`;
+    }
+}
+
+let classroomSession = null;
+
+/**
+ * Join a live classroom session (leaving any current one)
+ * @param {Object} options - { role, room, server }
+ */
+function startClassroom(options) {
+    if (classroomSession) {
+        classroomSession.stop();
+    }
+    classroomSession = new ClassroomSession(options);
+    if (options.role === 'teacher') {
+        classroomSession.addPollButtons();
+    }
+}
+
+/**
+ * Leave the live classroom session
+ */
+function stopClassroom() {
+    if (classroomSession) {
+        classroomSession.stop();
+        classroomSession = null;
+    }
+}
+
+/**
+ * Get the link students open to join a session
+ * @param {string} room - Session code
+ * @param {string} server - Relay address
+ * @returns {string} Join URL
+ */
+function getClassroomJoinLink(room, server) {
+    const protocol = location.protocol.startsWith('http') ? location.protocol : 'http:';
+    return `${protocol}//${server}${location.protocol.startsWith('http') ? location.pathname : '/'}?session=${encodeURIComponent(room)}`;
+}
+
+/**
+ * Open the dialog for starting or joining a classroom session
+ */
+function openClassroomDialog() {
+    if (document.querySelector('.classroom-dialog')) return;
+
+    const room = classroomSession ? classroomSession.room : String(Math.floor(1000 + Math.random() * 9000));
+    const server = classroomSession ? classroomSession.server : getDefaultClassroomServer();
+
+    const dialog = document.createElement('div');
+    dialog.className = 'export-dialog classroom-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-label', t('classroom.dialogLabel'));
+    dialog.innerHTML = `
+        <div class="export-dialog-box classroom-dialog-box">
+            <h3>${t('classroom.title')}</h3>
+            <label>
+                ${t('classroom.role')}
+                <select class="classroom-role">
+                    <option value="teacher">${t('classroom.teacher')}</option>
+                    <option value="student">${t('classroom.student')}</option>
+                </select>
+            </label>
+            <label>
+                ${t('classroom.room')}
+                <input type="text" class="classroom-room" value="${room}" inputmode="numeric" maxlength="12">
+            </label>
+            <label>
+                ${t('classroom.server')}
+                <input type="text" class="classroom-server" value="${server}" dir="ltr">
+            </label>
+            <p class="classroom-join-link" dir="ltr"></p>
+            <div class="export-dialog-actions">
+                <button class="nav-btn classroom-start-btn">${classroomSession ? t('classroom.reconnect') : t('classroom.start')}</button>
+                ${classroomSession ? `<button class="nav-btn classroom-stop-btn">${t('classroom.leave')}</button>` : ''}
+                <button class="nav-btn export-close-btn">${t('common.close')}</button>
+            </div>
+        </div>`;
+
+    const roleSelect = dialog.querySelector('.classroom-role');
+    const roomInput = dialog.querySelector('.classroom-room');
+    const serverInput = dialog.querySelector('.classroom-server');
+    const joinLink = dialog.querySelector('.classroom-join-link');
+
+    if (classroomSession) {
+        roleSelect.value = classroomSession.role;
+    }
+
+    const close = () => dialog.remove();
+    const updateJoinLink = () => {
+        joinLink.hidden = roleSelect.value !== 'teacher';
+        joinLink.textContent = t('classroom.joinLink', { link: getClassroomJoinLink(roomInput.value.trim(), serverInput.value.trim()) });
+    };
+    [roleSelect, roomInput, serverInput].forEach(input => input.addEventListener('input', updateJoinLink));
+    roleSelect.addEventListener('change', updateJoinLink);
+    updateJoinLink();
+
+    dialog.addEventListener('click', function (e) {
+        e.stopPropagation();
+        if (e.target === dialog || e.target.closest('.export-close-btn')) {
+            close();
+        } else if (e.target.closest('.classroom-start-btn')) {
+            const options = { role: roleSelect.value, room: roomInput.value.trim(), server: serverInput.value.trim() };
+            if (options.room && options.server) {
+                startClassroom(options);
+                close();
+            }
+        } else if (e.target.closest('.classroom-stop-btn')) {
+            stopClassroom();
+            close();
+        }
+    });
+
+    dialog.addEventListener('keydown', function (e) {
+        e.stopPropagation();
+        if (e.key === 'Escape') {
+            close();
+        }
+    });
+
+    document.body.appendChild(dialog);
+    roleSelect.focus();
+}
+
+/**
+ * Follow slide changes and fragment steps, and join a session from the URL
+ * (?session=CODE[&role=teacher[&token=TOKEN]][&server=host:port])
+ */
+function initializeClassroom() {
+    document.addEventListener('slide-change', function (e) {
+        if (classroomSession) {
+            classroomSession.slideChanged(e.detail.index);
+        }
+    });
+
+    document.addEventListener('fragment-change', function (e) {
+        if (classroomSession) {
+            classroomSession.slideChanged(e.detail.index);
+        }
+    });
+
+    const params = new URLSearchParams(location.search);
+    if (params.has('session') && 'WebSocket' in window) {
+        startClassroom({
+            role: params.get('role') === 'teacher' ? 'teacher' : 'student',
+            room: params.get('session'),
+            server: params.get('server') || getDefaultClassroomServer(),
+            token: params.get('token')
+        });
+    }
+}
@@ -0,0 +1,2999 @@
+'use strict';
+
+// ===== Deck Content =====
+//
+// Every slide of the deck as data - js/main.js (renderDeck) builds the slides from it,
+// so the slideshow, the review quiz, search, print and the other views all read the
+// same content. To change a slide, edit it here; index.html holds no slide markup.
+// After editing, run `node tools/validate-deck.js` to catch broken answers, links and citations.
+//
+// Slide: { slug, layout, tocHidden, he: { ... }, en: { ... } }
+//   layout    - 'title' (opening slide), 'quiz' (review questions) or omitted for a regular slide
+//   tocHidden - leave the slide out of the table of contents
+//   he / en   - the slide in each language; a slide without a language is shown in Hebrew
+// Slide content: { title, tocGroup, tocTitle, subtitle, blocks, notes }
+//   tocGroup  - starts a new part in the table of contents; tocTitle overrides the title there
+//   subtitle  - lines under the title of a 'title' slide
+//   notes     - speaker notes, one string per bullet
+//
+// Blocks:
+//   { type: 'source-box' | 'definition-box' | 'example-box' | 'warning-box' | 'positive-box',
+//     title, plainTitle, body: [blocks], sources, style, id }
+//     plainTitle - a title without the divider line, for boxes that open with it
+//   { type: 'two-columns', columns: [blocks], style }
+//   { type: 'numbered-list', items: [{ text, sources, fragment }], style }
+//   { type: 'paragraph', text, style }, { type: 'list', items }, { type: 'text', text }
+//   { type: 'section-title', text }
+//   { type: 'question', text, options, correct, explanation, sourceSlide, key }
+//     correct     - letter of the correct option in the language of the slide (ג / C)
+//     sourceSlide - number of the slide the question is based on
+//     key         - the key answers are saved under (see ProgressStore). The English question
+//                   uses the key of the Hebrew one. Drop it when a question's meaning changes,
+//                   so old answers aren't carried over - a new key is computed from the content.
+//   { type: 'flowchart', id, rows: [[{ id, text, kind }]], edges: [{ from, to, label, color, style }],
+//     renderer, layout, style }
+//     rows  - the nodes, row by row from the top; kind - 'start', 'question', 'permitted' or 'forbidden'
+//     renderer - 'svg' draws with SvgFlowchartRenderer (js/flowchart-svg.js) instead of on a canvas;
+//                layout: 'auto' lets it place the nodes by the edges (rows then only give their order)
+//     edges - arrows between node IDs, drawn by js/flowchart.js; a 'כן' / 'Yes' / 'לא' / 'No' label
+//             colors the arrow by itself, style - 'solid', 'dashed' or 'dotted'
+//   { type: 'toc' } - the table of contents (js/toc.js), { type: 'wizard' } - the "Is this borer?" wizard,
+//   { type: 'simulator' } - the plate simulator (js/simulator.js, scenarios in js/simulator-data.js)
+//
+// Any block (and any numbered-list item) may set fragment: true - it is hidden when the slide
+// opens and revealed by the next step of navigation, in the order it appears on the slide.
+//
+// Texts may hold inline HTML (<strong>, <br>). Sources are citations, one per work,
+// shown as "מקור: A | B" and indexed by js/citations.js.
+
+const DECK_CONTENT = {
+    slides: [
+        {
+            slug: 'pticha',
+            layout: 'title',
+            tocHidden: true,
+            he: {
+                title: '🕯️ הלכות בורר בשבת 🕯️',
+                subtitle: ['מלאכת בורר - עקרונות ופרטי דינים', 'על פי פניני הלכה וילקוט יוסף'],
+                notes: [
+                    'פתיחה: להציג את הנושא ואת מבנה השיעור.',
+                    'לשאול את הכיתה: מי בורר בשבת בלי לשים לב? (קילוף, הוצאת עצמות, מיון כלים).'
+                ]
+            },
+            en: {
+                title: '🕯️ The Laws of Borer on Shabbat 🕯️',
+                subtitle: [
+                    'The melacha of Borer (selecting) - principles and practical laws',
+                    'Following Peninei Halakha and Yalkut Yosef'
+                ],
+                notes: [
+                    'Opening: introduce the topic and the structure of the lesson.',
+                    'Ask the class: who selects on Shabbat without noticing? (peeling, removing bones, sorting dishes).'
+                ]
+            }
+        },
+        {
+            slug: 'tochen',
+            tocHidden: true,
+            he: {
+                title: 'תוכן עניינים',
+                blocks: [
+                    {
+                        type: 'definition-box',
+                        title: '📑 נושאי המצגת',
+                        plainTitle: true,
+                        body: [
+                            {
+                                type: 'paragraph',
+                                style: 'text-align: center; color: var(--text-muted); font-size: 0.95em;',
+                                text: 'לחץ על מספר השקף או על שם הנושא כדי לעבור ישירות'
+                            }
+                        ]
+                    },
+                    { type: 'toc' },
+                    {
+                        type: 'positive-box',
+                        style: 'margin-top: 25px;',
+                        body: [
+                            {
+                                type: 'text',
+                                text: '<strong>💡 טיפ:</strong> השתמש במקשי החצים (← →) או בלחיצה על צדי המסך כדי לנווט בין השקפים'
+                            }
+                        ]
+                    }
+                ],
+                notes: ['לעבור בקצרה על ארבעת החלקים - אפשר לקפוץ לכל שקף מהרשימה.']
+            },
+            en: {
+                title: 'Contents',
+                blocks: [
+                    {
+                        type: 'definition-box',
+                        title: '📑 Topics of the deck',
+                        plainTitle: true,
+                        body: [
+                            {
+                                type: 'paragraph',
+                                style: 'text-align: center; color: var(--text-muted); font-size: 0.95em;',
+                                text: 'Click a slide number or a topic to go straight to it'
+                            }
+                        ]
+                    },
+                    { type: 'toc' },
+                    {
+                        type: 'positive-box',
+                        style: 'margin-top: 25px;',
+                        body: [
+                            {
+                                type: 'text',
+                                text: '<strong>💡 Tip:</strong> Use the arrow keys (← →) or click the sides of the screen to move between slides'
+                            }
+                        ]
+                    }
+                ],
+                notes: [
+                    'Go briefly over the four parts - you can jump to any slide from the list.'
+                ]
+            }
+        },
+        {
+            slug: 'ma-ze-borer',
+            he: {
+                title: 'מה זה בורר?',
+                tocGroup: 'חלק א\': יסודות מלאכת בורר',
+                blocks: [
+                    {
+                        type: 'source-box',
+                        body: [
+                            {
+                                type: 'text',
+                                text: '<strong>בורר</strong> היא אחת מ-39 המלאכות האסורות בשבת. המלאכה עוסקת בהפרדת אוכל מפסולת או בהפרדה בין מינים שונים.'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת פרק יא הלכה א', 'שו"ע או"ח סימן שיט']
+                    },
+                    {
+                        type: 'two-columns',
+                        style: 'margin-top: 20px;',
+                        columns: [
+                            {
+                                type: 'definition-box',
+                                title: 'מקור המלאכה',
+                                body: [
+                                    { type: 'paragraph', text: 'ארבע מלאכות עוסקות בהפרדת אוכל מפסולת במשכן:' },
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            '<strong>דש:</strong> הפרדת גרגירי התבואה מהשיבולים',
+                                            '<strong>זורה:</strong> הפרדת התבואה מהמוץ ברוח',
+                                            '<strong>בורר:</strong> הוצאת גושי עפר ואבנים ביד',
+                                            '<strong>מרקד:</strong> הפרדת קמח מסובין בנפה'
+                                        ]
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, א', 'משנה שבת עג, א']
+                            },
+                            {
+                                type: 'definition-box',
+                                title: 'ההבדל בין המלאכות',
+                                body: [
+                                    { type: 'paragraph', text: 'ארבע המלאכות נבדלות באמצעי ההפרדה:' },
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            '<strong>דש:</strong> הוצאת תוכן או גרעין <strong>מתוך קליפתו</strong> הטבעית',
+                                            '<strong>זורה:</strong> הפרדה <strong>ברוח</strong> (רכיב קל עף, רכיב כבד נופל)',
+                                            '<strong>בורר:</strong> הפרדה <strong>ביד</strong> או בכלי רגיל',
+                                            '<strong>מרקד:</strong> הפרדה <strong>בנפה</strong> (רכיב קטן עובר, רכיב גדול נשאר)'
+                                        ]
+                                    }
+                                ],
+                                sources: ['גמרא שבת עג, א', 'מ"ב שיט, א']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'example-box',
+                        style: 'margin-top: 20px;',
+                        title: 'עיקרון כללי',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'האיסור הוא על הפרדת דברים מעורבים <strong>כדרך מלאכה</strong> - לא כדרך אכילה רגילה.'
+                            },
+                            {
+                                type: 'paragraph',
+                                text: '<strong>למעשה:</strong> כיום רוב ההפרדות נעשות ביד או בכלי, ולכן עיקר הדיון הוא במלאכת בורר.'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, א-ב', 'ילקו"י שבת ג\' סי\' שיט סעיף ד']
+                    },
+                    {
+                        type: 'positive-box',
+                        style: 'margin-top: 20px;',
+                        body: [
+                            {
+                                type: 'text',
+                                text: '<strong>➡️ בשקף הבא:</strong><br> שלושת התנאים להיתר - הכלל המרכזי "אוכל ביד ומיד"'
+                            }
+                        ]
+                    }
+                ],
+                notes: [
+                    'להדגיש שבורר הוא אחת מארבע מלאכות ההפרדה: דש, זורה, בורר ומרקד.',
+                    'ההבדל בין בורר לזורה: ביד לעומת ברוח - שאלה 1 בחזרה.'
+                ]
+            },
+            en: {
+                title: 'What is Borer?',
+                tocGroup: 'Part A: Foundations of the melacha of Borer',
+                blocks: [
+                    {
+                        type: 'source-box',
+                        body: [
+                            {
+                                type: 'text',
+                                text: '<strong>Borer</strong> (selecting) is one of the 39 melachot forbidden on Shabbat. It deals with separating food from waste, or separating different kinds from one another.'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת פרק יא הלכה א', 'שו"ע או"ח סימן שיט']
+                    },
+                    {
+                        type: 'two-columns',
+                        style: 'margin-top: 20px;',
+                        columns: [
+                            {
+                                type: 'definition-box',
+                                title: 'Origin of the melacha',
+                                body: [
+                                    {
+                                        type: 'paragraph',
+                                        text: 'Four melachot in the Mishkan dealt with separating food from waste:'
+                                    },
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            '<strong>Dash (threshing):</strong> separating the grain kernels from the stalks',
+                                            '<strong>Zoreh (winnowing):</strong> separating the grain from the chaff in the wind',
+                                            '<strong>Borer (selecting):</strong> removing clods of earth and stones by hand',
+                                            '<strong>Meraked (sifting):</strong> separating flour from bran with a sieve'
+                                        ]
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, א', 'משנה שבת עג, א']
+                            },
+                            {
+                                type: 'definition-box',
+                                title: 'How the melachot differ',
+                                body: [
+                                    {
+                                        type: 'paragraph',
+                                        text: 'The four melachot differ in the means of separation:'
+                                    },
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            '<strong>Dash:</strong> taking content or a kernel <strong>out of its natural shell</strong>',
+                                            '<strong>Zoreh:</strong> separating <strong>by wind</strong> (the light part flies off, the heavy part falls)',
+                                            '<strong>Borer:</strong> separating <strong>by hand</strong> or with an ordinary utensil',
+                                            '<strong>Meraked:</strong> separating <strong>with a sieve</strong> (the small part passes, the large part stays)'
+                                        ]
+                                    }
+                                ],
+                                sources: ['גמרא שבת עג, א', 'מ"ב שיט, א']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'example-box',
+                        style: 'margin-top: 20px;',
+                        title: 'General principle',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'The prohibition is on separating mixed things <strong>in the manner of work</strong> - not in the ordinary manner of eating.'
+                            },
+                            {
+                                type: 'paragraph',
+                                text: '<strong>In practice:</strong> today most separating is done by hand or with a utensil, so the discussion centers on the melacha of Borer.'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, א-ב', 'ילקו"י שבת ג\' סי\' שיט סעיף ד']
+                    },
+                    {
+                        type: 'positive-box',
+                        style: 'margin-top: 20px;',
+                        body: [
+                            {
+                                type: 'text',
+                                text: '<strong>➡️ On the next slide:</strong><br> The three conditions that make selecting permitted - the central rule "food, by hand, right away"'
+                            }
+                        ]
+                    }
+                ],
+                notes: [
+                    'Stress that Borer is one of four melachot of separation: Dash, Zoreh, Borer and Meraked.',
+                    'The difference between Borer and Zoreh: by hand versus by wind - question 1 in the review.'
+                ]
+            }
+        },
+        {
+            slug: 'shlosha-tnaim',
+            he: {
+                title: 'שלושת התנאים להיתר',
+                blocks: [
+                    {
+                        type: 'source-box',
+                        body: [
+                            {
+                                type: 'text',
+                                text: 'כדי שיהיה מותר לברור בשבת, <strong>חייבים</strong> לקיים את כל שלושת התנאים הבאים:'
+                            }
+                        ],
+                        sources: [
+                            'שו"ע או"ח שיט, א-ד',
+                            'מ"ב הקדמה לסי\' שיט',
+                            'ילקו"י שבת ג\' סי\' שיט סעיף ד'
+                        ]
+                    },
+                    {
+                        type: 'positive-box',
+                        style: 'margin-top: 20px;',
+                        title: '💡 כלל זהב: "אוכל ביד ומיד"',
+                        plainTitle: true,
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'זכרו את הכלל הפשוט: <strong>אוכל</strong> (לא פסולת), <strong>ביד</strong> (לא בכלי מיוחד), <strong>ומיד</strong> (לאלתר)!'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, ב', 'גמרא שבת עד, א']
+                    },
+                    {
+                        type: 'numbered-list',
+                        style: 'margin-top: 20px;',
+                        items: [
+                            {
+                                fragment: true,
+                                text: '<strong>אוכל מתוך פסולת</strong> - רק להוציא את החלק הטוב, לא את הפסולת',
+                                sources: ['פניני הלכה יא, ה']
+                            },
+                            {
+                                fragment: true,
+                                text: '<strong>ביד</strong> - בכלי רגיל כמו כף או מזלג, לא בכלי המיועד לברירה',
+                                sources: ['פניני הלכה יא, ז']
+                            },
+                            {
+                                fragment: true,
+                                text: '<strong>מיד (לאלתר)</strong> - כדי לאכול מיד או סמוך לסעודה, לא לאחר זמן',
+                                sources: ['פניני הלכה יא, ו']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'warning-box',
+                        fragment: true,
+                        style: 'margin-top: 20px;',
+                        body: [
+                            {
+                                type: 'text',
+                                text: '<strong>⚠️ חשוב לזכור:</strong><br> אם חסר <strong>אפילו תנאי אחד</strong> מהשלושה - האיסור הוא <strong>מהתורה</strong>!'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, ב', 'ילקו"י שבת ג\' סי\' שיט סעיף ד']
+                    }
+                ],
+                notes: [
+                    'שלושת התנאים מצטברים: אוכל מתוך פסולת, ביד, ומיד.',
+                    'חסר תנאי אחד - אסור. כדאי לכתוב את שלושתם על הלוח.'
+                ]
+            },
+            en: {
+                title: 'The three conditions for permission',
+                blocks: [
+                    {
+                        type: 'source-box',
+                        body: [
+                            {
+                                type: 'text',
+                                text: 'For selecting to be permitted on Shabbat, <strong>all three</strong> of the following conditions must be met:'
+                            }
+                        ],
+                        sources: [
+                            'שו"ע או"ח שיט, א-ד',
+                            'מ"ב הקדמה לסי\' שיט',
+                            'ילקו"י שבת ג\' סי\' שיט סעיף ד'
+                        ]
+                    },
+                    {
+                        type: 'positive-box',
+                        style: 'margin-top: 20px;',
+                        title: '💡 Golden rule: "food, by hand, right away"',
+                        plainTitle: true,
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'Remember the simple rule: <strong>food</strong> (not waste), <strong>by hand</strong> (not with a special utensil), <strong>right away</strong> (le\'altar)!'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, ב', 'גמרא שבת עד, א']
+                    },
+                    {
+                        type: 'numbered-list',
+                        style: 'margin-top: 20px;',
+                        items: [
+                            {
+                                fragment: true,
+                                text: '<strong>Food out of waste</strong> - take out only the good part, not the waste',
+                                sources: ['פניני הלכה יא, ה']
+                            },
+                            {
+                                fragment: true,
+                                text: '<strong>By hand</strong> - with an ordinary utensil such as a spoon or fork, not one meant for selecting',
+                                sources: ['פניני הלכה יא, ז']
+                            },
+                            {
+                                fragment: true,
+                                text: '<strong>Right away (le\'altar)</strong> - to eat now or close to the meal, not later on',
+                                sources: ['פניני הלכה יא, ו']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'warning-box',
+                        fragment: true,
+                        style: 'margin-top: 20px;',
+                        body: [
+                            {
+                                type: 'text',
+                                text: '<strong>⚠️ Important to remember:</strong><br> If <strong>even one</strong> of the three conditions is missing - the prohibition is <strong>from the Torah</strong>!'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, ב', 'ילקו"י שבת ג\' סי\' שיט סעיף ד']
+                    }
+                ],
+                notes: [
+                    'The three conditions are cumulative: food out of waste, by hand, and right away.',
+                    'One condition missing - forbidden. Worth writing all three on the board.'
+                ]
+            }
+        },
+        {
+            slug: 'lo-maachalim',
+            he: {
+                title: 'בורר בדברים שאינם מאכלים',
+                blocks: [
+                    {
+                        type: 'source-box',
+                        body: [
+                            {
+                                type: 'text',
+                                text: 'איסור בורר <strong>אינו מוגבל למאכלים בלבד</strong>. הוא חל על כל הפרדה של דברים מעורבים - בין אם מדובר בבגדים, כלים, ספרים או כל חפצים אחרים.'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, טז', 'שש"כ ג, עה-עח', 'מ"ב שיט, טו']
+                    },
+                    {
+                        type: 'definition-box',
+                        style: 'margin-top: 20px;',
+                        title: 'מהו "אוכל" ומהי "פסולת"?',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'המונחים "אוכל" ו"פסולת" <strong>אינם מתייחסים דווקא למאכלים</strong>, אלא מבטאים את יחס האדם לדברים שבתערובת:'
+                            },
+                            {
+                                type: 'list',
+                                items: [
+                                    '<strong>"אוכל"</strong> = מה שהאדם <strong>מעוניין בו עכשיו</strong> מתוך התערובת',
+                                    '<strong>"פסולת"</strong> = מה שהאדם <strong>אינו מעוניין בו עכשיו</strong>, גם אם יהיה מעוניין בו בהמשך'
+                                ]
+                            },
+                            {
+                                type: 'paragraph',
+                                text: '<strong>לכן:</strong> אותו חפץ יכול להיחשב "אוכל" לאדם אחד ו"פסולת" לאדם אחר, או "אוכל" ברגע מסוים ו"פסולת" ברגע אחר - הכל תלוי ברצון האדם באותו רגע.'
+                            }
+                        ],
+                        sources: ['פנה"ל יא, ה', 'מ"ב שיט, טו', 'ילקו"י שיט']
+                    },
+                    {
+                        type: 'two-columns',
+                        style: 'margin-top: 20px;',
+                        columns: [
+                            {
+                                type: 'definition-box',
+                                title: 'למה האיסור חל על כל חפץ?',
+                                body: [
+                                    {
+                                        type: 'paragraph',
+                                        text: 'מלאכת בורר אינה תלויה בסוג החומר אלא <strong>בפעולת ההפרדה והמיון</strong>. במשכן בררו סממנים לצביעת היריעות - שאינם מאכל כלל.'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: 'לכן, כל פעולה של הפרדת דברים מעורבים לקבוצות נפרדות היא בורר.'
+                                    }
+                                ],
+                                sources: ['מ"ב שיט, טו', 'פנה"ל יא, טז']
+                            },
+                            {
+                                type: 'example-box',
+                                title: 'ההבדל המכריע',
+                                body: [
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>לקיחה לצורך מיידי:</strong> כשאדם לוקח חפץ מסוים ("אוכל") כדי להשתמש בו עכשיו - זו דרך שימוש רגילה ומותר.'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>מיון וארגון:</strong> כשאדם מוציא חפצים שאינו רוצה עכשיו ("פסולת") או מפריד לקבוצות לצורך סדר - זו מלאכת בורר ואסור.'
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, טז', 'שש"כ ג, עז']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'warning-box',
+                        style: 'margin-top: 15px;',
+                        title: '⚠️ דוגמאות לאיסור',
+                        plainTitle: true,
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'מיון סכו"ם לתאים, הפרדת גרביים לזוגות, סידור ספרים לפי נושא, מיון צעצועים לקופסאות - כל אלה <strong>אסורים</strong> כי זו הוצאת "פסולת" (מה שלא רוצים עכשיו) לצורך סידור.'
+                            }
+                        ],
+                        sources: ['שש"כ ג, עז-עח']
+                    }
+                ],
+                notes: [
+                    'בורר נוהג גם בכלים, בגדים וספרים - לא רק במאכלים.',
+                    'דוגמה מוכרת: מיון סכו"ם מהמדיח.'
+                ]
+            },
+            en: {
+                title: 'Borer with things that are not food',
+                blocks: [
+                    {
+                        type: 'source-box',
+                        body: [
+                            {
+                                type: 'text',
+                                text: 'The prohibition of Borer <strong>is not limited to food</strong>. It applies to any separation of mixed things - clothes, dishes, books or any other objects.'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, טז', 'שש"כ ג, עה-עח', 'מ"ב שיט, טו']
+                    },
+                    {
+                        type: 'definition-box',
+                        style: 'margin-top: 20px;',
+                        title: 'What is "food" and what is "waste"?',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'The terms "food" (ochel) and "waste" (pesolet) <strong>do not refer only to things we eat</strong>; they express how a person relates to the things in the mixture:'
+                            },
+                            {
+                                type: 'list',
+                                items: [
+                                    '<strong>"Food"</strong> = what the person <strong>wants right now</strong> out of the mixture',
+                                    '<strong>"Waste"</strong> = what the person <strong>does not want right now</strong>, even if they will want it later'
+                                ]
+                            },
+                            {
+                                type: 'paragraph',
+                                text: '<strong>Therefore:</strong> the same object may be "food" for one person and "waste" for another, or "food" at one moment and "waste" at another - it all depends on what the person wants at that moment.'
+                            }
+                        ],
+                        sources: ['פנה"ל יא, ה', 'מ"ב שיט, טו', 'ילקו"י שיט']
+                    },
+                    {
+                        type: 'two-columns',
+                        style: 'margin-top: 20px;',
+                        columns: [
+                            {
+                                type: 'definition-box',
+                                title: 'Why does it apply to any object?',
+                                body: [
+                                    {
+                                        type: 'paragraph',
+                                        text: 'The melacha of Borer depends not on the material but on <strong>the act of separating and sorting</strong>. In the Mishkan they selected dye ingredients for the curtains - not food at all.'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: 'So any act of separating mixed things into separate groups is Borer.'
+                                    }
+                                ],
+                                sources: ['מ"ב שיט, טו', 'פנה"ל יא, טז']
+                            },
+                            {
+                                type: 'example-box',
+                                title: 'The decisive difference',
+                                body: [
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>Taking for immediate use:</strong> when a person takes a particular object ("food") to use it now - that is ordinary use and permitted.'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>Sorting and organizing:</strong> when a person removes the objects they do not want now ("waste") or separates into groups for tidiness - that is Borer and forbidden.'
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, טז', 'שש"כ ג, עז']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'warning-box',
+                        style: 'margin-top: 15px;',
+                        title: '⚠️ Examples of the prohibition',
+                        plainTitle: true,
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'Sorting cutlery into compartments, pairing socks, arranging books by subject, sorting toys into boxes - all are <strong>forbidden</strong>, since they remove "waste" (what is not wanted now) for the sake of tidying.'
+                            }
+                        ],
+                        sources: ['שש"כ ג, עז-עח']
+                    }
+                ],
+                notes: [
+                    'Borer applies to dishes, clothes and books too - not only to food.',
+                    'A familiar example: sorting cutlery from the dishwasher.'
+                ]
+            }
+        },
+        {
+            slug: 'tnai-rishon',
+            he: {
+                title: 'תנאי ראשון: אוכל מתוך פסולת',
+                tocGroup: 'חלק ב\': פירוט התנאים',
+                blocks: [
+                    {
+                        type: 'two-columns',
+                        columns: [
+                            {
+                                type: 'positive-box',
+                                title: 'מותר ✅',
+                                plainTitle: true,
+                                body: [
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            'להוציא אגוזים מתוך תערובת של אגוזים וקליפות',
+                                            'להוציא בשר טוב מתוך מרק שיש בו חתיכות שרופות',
+                                            'לברור פירות יפים מבין פירות רקובים'
+                                        ]
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, ב', 'ילקו"י שבת ג\' סי\' שיט']
+                            },
+                            {
+                                type: 'warning-box',
+                                title: 'אסור ❌',
+                                plainTitle: true,
+                                body: [
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            'להוציא קליפות מתוך האגוזים',
+                                            'להסיר חתיכות בצל מסלט (למי שלא אוהב בצל)',
+                                            'להוציא חתיכות שרופות מהמרק'
+                                        ]
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, ה', 'שו"ע שיט, ד']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'example-box',
+                        style: 'margin-top: 20px;',
+                        title: 'דוגמה מעשית - סלט עם בצל',
+                        body: [
+                            { type: 'paragraph', text: 'יש לך סלט עם חתיכות בצל ואתה לא אוהב בצל:' },
+                            {
+                                type: 'list',
+                                items: [
+                                    '<strong>מותר:</strong> לאכול את הסלט ולהשאיר את הבצל בצלחת',
+                                    '<strong>מותר:</strong> להוציא את הבצל אם מישהו אחר רוצה לאכול אותו <strong>עכשיו</strong>',
+                                    '<strong>אסור:</strong> להוציא את חתיכות הבצל מהסלט לפני האכילה'
+                                ]
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, ה']
+                    },
+                    {
+                        type: 'definition-box',
+                        style: 'margin-top: 15px;',
+                        title: 'ברירה בטעות',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'מי שמשך ידו לקחת אוכל ובטעות עלתה בידו פסולת - לא עבר איסור בורר, כיוון שלא התכוון לברור הפסולת.'
+                            }
+                        ],
+                        sources: ['ילקוט יוסף שבת ג\' סי\' שיט']
+                    },
+                    {
+                        type: 'definition-box',
+                        style: 'margin-top: 15px;',
+                        title: 'ברירה לבהמות',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'מותר לברור פסולת מתוך אוכל כדי להאכיל בהמה או עוף לאלתר — מפני שהפסולת נחשבת אצלו כאוכל הראוי לבהמה, ונמצא שבורר אוכל מתוך פסולת.'
+                            }
+                        ],
+                        sources: ['ילקוט יוסף שבת ג\' סי\' שיט']
+                    }
+                ],
+                notes: [
+                    'להסביר מהי \'פסולת\' - כל מה שאינו רצוי כעת, גם אם הוא אוכל טוב.',
+                    'להביא את דוגמת שני מיני מאכלים מעורבים.'
+                ]
+            },
+            en: {
+                title: 'First condition: food out of waste',
+                tocGroup: 'Part B: The conditions in detail',
+                blocks: [
+                    {
+                        type: 'two-columns',
+                        columns: [
+                            {
+                                type: 'positive-box',
+                                title: 'Permitted ✅',
+                                plainTitle: true,
+                                body: [
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            'Taking nuts out of a mixture of nuts and shells',
+                                            'Taking good meat out of a soup with burnt pieces in it',
+                                            'Picking nice fruit from among rotten fruit'
+                                        ]
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, ב', 'ילקו"י שבת ג\' סי\' שיט']
+                            },
+                            {
+                                type: 'warning-box',
+                                title: 'Forbidden ❌',
+                                plainTitle: true,
+                                body: [
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            'Taking the shells out of the nuts',
+                                            'Removing pieces of onion from a salad (for someone who dislikes onion)',
+                                            'Taking the burnt pieces out of the soup'
+                                        ]
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, ה', 'שו"ע שיט, ד']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'example-box',
+                        style: 'margin-top: 20px;',
+                        title: 'A practical example - salad with onion',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'You have a salad with pieces of onion and you don\'t like onion:'
+                            },
+                            {
+                                type: 'list',
+                                items: [
+                                    '<strong>Permitted:</strong> eat the salad and leave the onion on the plate',
+                                    '<strong>Permitted:</strong> take out the onion if someone else wants to eat it <strong>now</strong>',
+                                    '<strong>Forbidden:</strong> take the onion pieces out of the salad before eating'
+                                ]
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, ה']
+                    },
+                    {
+                        type: 'definition-box',
+                        style: 'margin-top: 15px;',
+                        title: 'Selecting by mistake',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'Someone who reached out to take food and by mistake came up with waste has not transgressed Borer, since they did not intend to select the waste.'
+                            }
+                        ],
+                        sources: ['ילקוט יוסף שבת ג\' סי\' שיט']
+                    },
+                    {
+                        type: 'definition-box',
+                        style: 'margin-top: 15px;',
+                        title: 'Selecting for animals',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'One may select waste out of food to feed an animal or bird right away — since for them the waste counts as food fit for the animal, so they are selecting food out of waste.'
+                            }
+                        ],
+                        sources: ['ילקוט יוסף שבת ג\' סי\' שיט']
+                    }
+                ],
+                notes: [
+                    'Explain what \'waste\' means - whatever is not wanted now, even if it is good food.',
+                    'Bring the example of two kinds of food mixed together.'
+                ]
+            }
+        },
+        {
+            slug: 'tnai-sheni',
+            he: {
+                title: 'תנאי שני: ביד ולא בכלי מיוחד',
+                blocks: [
+                    {
+                        type: 'two-columns',
+                        columns: [
+                            {
+                                type: 'positive-box',
+                                title: 'כלים מותרים ✅',
+                                plainTitle: true,
+                                body: [
+                                    { type: 'list', items: ['יד', 'כף רגילה', 'מזלג', 'מצקת רגילה'] }
+                                ],
+                                sources: ['פניני הלכה שבת יא, ז', 'שו"ע שיט, א']
+                            },
+                            {
+                                type: 'warning-box',
+                                title: 'כלים אסורים ❌',
+                                plainTitle: true,
+                                body: [
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            'כף מחוררת (לחתיכות קטנות המעורבות במרק)',
+                                            'מסננת',
+                                            'נפה',
+                                            'כל כלי שמיועד לברירה'
+                                        ]
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, ז-ח', 'שו"ע שיט, א']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'example-box',
+                        style: 'margin-top: 20px;',
+                        title: 'כף מחוררת ומצקת עם חורים - מתי מותר?',
+                        body: [
+                            { type: 'paragraph', text: '<strong>מותר:</strong>' },
+                            {
+                                type: 'list',
+                                items: [
+                                    'לחתיכות <strong>גדולות</strong> שאינן נחשבות מעורבות במרק (כמו חתיכות בשר גדולות)',
+                                    'למצקת מהחמין כדי לאכול לאלתר - יש מתירים כיוון שאינה מיועדת רק לברירה',
+                                    'במקרה חירום כשאין כלי אחר - <strong>בתנאי</strong> שלא מתכוון להפריד את המרק ולא משהה את הכף מעל הסיר'
+                                ]
+                            },
+                            {
+                                type: 'paragraph',
+                                text: '<strong>אסור:</strong> לחתיכות קטנות המעורבות במרק או לכלי המיועד רק לברירה.'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, יג', 'ילקו"י שבת ג\' סי\' שיט']
+                    },
+                    {
+                        type: 'definition-box',
+                        style: 'margin-top: 15px;',
+                        title: 'קולפן',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'פירות או ירקות שקליפתם ראויה לאכילה (כגון תפוח או מלפפון), מותר לקלפם מכיוון שביחד עם הקליפה מורידים גם מעט מהפרי. אבל מחלוקת האם מותר להשתמש בקולפן.'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, ח']
+                    }
+                ],
+                notes: [
+                    'כלי המיוחד לברירה (מסננת, בורר ביצים) אסור גם כשבוררים אוכל מתוך פסולת.',
+                    'להבחין בין כלי מיוחד לבין כף או מזלג - שאלה נפוצה בכיתה.'
+                ]
+            },
+            en: {
+                title: 'Second condition: by hand, not with a special utensil',
+                blocks: [
+                    {
+                        type: 'two-columns',
+                        columns: [
+                            {
+                                type: 'positive-box',
+                                title: 'Permitted utensils ✅',
+                                plainTitle: true,
+                                body: [
+                                    {
+                                        type: 'list',
+                                        items: ['Hand', 'An ordinary spoon', 'A fork', 'An ordinary ladle']
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, ז', 'שו"ע שיט, א']
+                            },
+                            {
+                                type: 'warning-box',
+                                title: 'Forbidden utensils ❌',
+                                plainTitle: true,
+                                body: [
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            'A slotted spoon (for small pieces mixed into soup)',
+                                            'A strainer',
+                                            'A sieve',
+                                            'Any utensil meant for selecting'
+                                        ]
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, ז-ח', 'שו"ע שיט, א']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'example-box',
+                        style: 'margin-top: 20px;',
+                        title: 'Slotted spoon and ladle with holes - when is it permitted?',
+                        body: [
+                            { type: 'paragraph', text: '<strong>Permitted:</strong>' },
+                            {
+                                type: 'list',
+                                items: [
+                                    'For <strong>large</strong> pieces that do not count as mixed into the soup (such as large pieces of meat)',
+                                    'A ladle for serving cholent to eat right away - some permit it, since it is not meant only for selecting',
+                                    'In an emergency when there is no other utensil - <strong>provided</strong> one does not intend to separate the soup and does not hold the spoon over the pot'
+                                ]
+                            },
+                            {
+                                type: 'paragraph',
+                                text: '<strong>Forbidden:</strong> for small pieces mixed into the soup, or with a utensil meant only for selecting.'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, יג', 'ילקו"י שבת ג\' סי\' שיט']
+                    },
+                    {
+                        type: 'definition-box',
+                        style: 'margin-top: 15px;',
+                        title: 'Vegetable peeler',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'Fruit or vegetables whose peel is edible (such as an apple or a cucumber) may be peeled, since some of the fruit comes off with the peel. Whether a peeler may be used is disputed.'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, ח']
+                    }
+                ],
+                notes: [
+                    'A utensil made for selecting (strainer, egg separator) is forbidden even when selecting food out of waste.',
+                    'Distinguish a special utensil from a spoon or fork - a common question in class.'
+                ]
+            }
+        },
+        {
+            slug: 'tnai-shlishi',
+            he: {
+                title: 'תנאי שלישי: מיד (לאלתר)',
+                blocks: [
+                    {
+                        type: 'definition-box',
+                        title: 'מה זה "לאלתר"?',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'כדי לאכול <strong>מיד</strong> או סמוך לתחילת הסעודה. אישה המכינה לסעודה יכולה לברור סמוך לתחילת הסעודה עבור כל בני הבית.'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, ו', 'רמ"א שיט, א', 'מ"ב ד-ו']
+                    },
+                    {
+                        type: 'two-columns',
+                        style: 'margin-top: 20px;',
+                        columns: [
+                            {
+                                type: 'positive-box',
+                                title: 'מותר ✅',
+                                plainTitle: true,
+                                body: [
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            'לפצח אגוזים כדי להגישם מיד',
+                                            'לברור שקדים מתערובת לפני הסעודה (כדי להגיש בסוף הסעודה)',
+                                            'להוציא זיתים טובים מהצנצנת לפני הסעודה'
+                                        ]
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, ו']
+                            },
+                            {
+                                type: 'warning-box',
+                                title: 'אסור ❌',
+                                plainTitle: true,
+                                body: [
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            'לפצח אגוזים עבור מחר',
+                                            'לברור לצורך סעודה שתתקיים בעוד כמה שעות',
+                                            'להכין תערובת נקייה "לפעם הבאה"'
+                                        ]
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, ו']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'example-box',
+                        style: 'margin-top: 20px;',
+                        title: 'הגדרת זמן לסעודה',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'האישה יכולה להקדים בברירה אם אינה יודעת מתי בדיוק יחזרו בני הבית מבית הכנסת, כדי שלא יצטרכו להמתין.'
+                            }
+                        ],
+                        sources: ['ילקוט יוסף שבת ג\' סי\' שיט']
+                    },
+                    {
+                        type: 'definition-box',
+                        style: 'margin-top: 15px;',
+                        title: 'ברירה לאחרים',
+                        body: [
+                            {
+                                type: 'list',
+                                items: [
+                                    '<strong>לבני הבית:</strong> מותר לברור עבור כל בני הבית הצפויים לאכול בסעודה הקרובה',
+                                    '<strong>לאורחים:</strong> אם האורחים צפויים להגיע בקרוב - מותר לברור עבורם סמוך לסעודה',
+                                    '<strong>לסעודה שלישית:</strong> מותר לברור לסעודה שלישית רק סמוך לתחילתה, לא בבוקר'
+                                ]
+                            }
+                        ],
+                        sources: ['מ"ב שיט, ד', 'ילקו"י שבת ג\' סי\' שיט סעיף יז', 'פנה"ל יא, ו']
+                    },
+                    {
+                        type: 'warning-box',
+                        style: 'margin-top: 15px;',
+                        body: [
+                            {
+                                type: 'text',
+                                text: '<strong>⚠️ זהירות בכוונה:</strong><br> הבורר "לאלתר" חייב שהכוונה תהיה לצורך אכילה מידית. יש להיזהר שלא לחזור בו ולהחליט לאכול רק אחר זמן - שאז יעבור באיסור תורה.'
+                            }
+                        ],
+                        sources: ['ילקוט יוסף שבת ג\' סי\' שיט']
+                    }
+                ],
+                notes: [
+                    '\'מיד\' = לסעודה הקרובה. אין שיעור זמן קבוע.',
+                    'להזכיר: ברירה לסעודה מאוחרת יותר אסורה גם ביד.'
+                ]
+            },
+            en: {
+                title: 'Third condition: right away (le\'altar)',
+                blocks: [
+                    {
+                        type: 'definition-box',
+                        title: 'What is "le\'altar"?',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'In order to eat <strong>right away</strong> or close to the start of the meal. A woman preparing the meal may select close to its start for the whole household.'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, ו', 'רמ"א שיט, א', 'מ"ב ד-ו']
+                    },
+                    {
+                        type: 'two-columns',
+                        style: 'margin-top: 20px;',
+                        columns: [
+                            {
+                                type: 'positive-box',
+                                title: 'Permitted ✅',
+                                plainTitle: true,
+                                body: [
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            'Cracking nuts to serve them right away',
+                                            'Picking almonds out of a mixture before the meal (to serve at its end)',
+                                            'Taking good olives out of the jar before the meal'
+                                        ]
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, ו']
+                            },
+                            {
+                                type: 'warning-box',
+                                title: 'Forbidden ❌',
+                                plainTitle: true,
+                                body: [
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            'Cracking nuts for tomorrow',
+                                            'Selecting for a meal that will take place in a few hours',
+                                            'Preparing a clean mixture "for next time"'
+                                        ]
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, ו']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'example-box',
+                        style: 'margin-top: 20px;',
+                        title: 'When the meal begins',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'She may select somewhat earlier if she does not know exactly when the household will return from the synagogue, so that they will not have to wait.'
+                            }
+                        ],
+                        sources: ['ילקוט יוסף שבת ג\' סי\' שיט']
+                    },
+                    {
+                        type: 'definition-box',
+                        style: 'margin-top: 15px;',
+                        title: 'Selecting for others',
+                        body: [
+                            {
+                                type: 'list',
+                                items: [
+                                    '<strong>For the household:</strong> one may select for everyone expected to eat at the coming meal',
+                                    '<strong>For guests:</strong> if guests are expected soon - one may select for them close to the meal',
+                                    '<strong>For seudah shelishit:</strong> one may select for the third meal only close to its start, not in the morning'
+                                ]
+                            }
+                        ],
+                        sources: ['מ"ב שיט, ד', 'ילקו"י שבת ג\' סי\' שיט סעיף יז', 'פנה"ל יא, ו']
+                    },
+                    {
+                        type: 'warning-box',
+                        style: 'margin-top: 15px;',
+                        body: [
+                            {
+                                type: 'text',
+                                text: '<strong>⚠️ Care with intention:</strong><br> Selecting "le\'altar" requires the intention to eat right away. Take care not to change your mind and decide to eat only later - since then you transgress a Torah prohibition.'
+                            }
+                        ],
+                        sources: ['ילקוט יוסף שבת ג\' סי\' שיט']
+                    }
+                ],
+                notes: [
+                    '\'Right away\' = for the coming meal. There is no fixed length of time.',
+                    'Remind: selecting for a later meal is forbidden even by hand.'
+                ]
+            }
+        },
+        {
+            slug: 'matai-assur',
+            he: {
+                title: 'מתי חל איסור בורר?',
+                blocks: [
+                    {
+                        type: 'definition-box',
+                        title: 'תנאי הכרחי: תערובת',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'איסור בורר קיים רק כאשר שני המינים <strong>מעורבים</strong> זה בזה. אם הם מונחים זה לצד זה - אין איסור.'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, ד', 'שו"ע שיט, ג']
+                    },
+                    {
+                        type: 'two-columns',
+                        style: 'margin-top: 20px;',
+                        columns: [
+                            {
+                                type: 'positive-box',
+                                fragment: true,
+                                title: 'אין איסור ✅',
+                                plainTitle: true,
+                                body: [
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            'פירות מונחים זה לצד זה',
+                                            'חתיכות בשר גדולות במרק',
+                                            'ספרים מסודרים במדף',
+                                            'בקבוקים מעטים בארגז'
+                                        ]
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, ד']
+                            },
+                            {
+                                type: 'warning-box',
+                                fragment: true,
+                                title: 'יש איסור ❌',
+                                plainTitle: true,
+                                body: [
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            'אגוזים ובוטנים מעורבים',
+                                            'אפונה וחתיכות גזר קטנות במרק',
+                                            'חומשים מעורבים בערימה',
+                                            'בקבוקים רבים מעורבים'
+                                        ]
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, ד']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'example-box',
+                        fragment: true,
+                        style: 'margin-top: 20px;',
+                        title: 'עיקרון המיון',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'הכל תלוי בכמות ובגודל. חפצים מעטים וגדולים - לא נחשבים מעורבים. חפצים רבים וקטנים - נחשבים מעורבים.'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, ד']
+                    },
+                    {
+                        type: 'definition-box',
+                        fragment: true,
+                        style: 'margin-top: 15px;',
+                        title: 'ברירה חלקית',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'אם לא בירר את כל הפסולת אלא רק חלק ממנה - עדיין עבר איסור תורה, גם אם השאיר חלק מהפסולת בתוך התערובת.'
+                            }
+                        ],
+                        sources: ['ילקוט יוסף שבת ג\' סי\' שיט']
+                    },
+                    {
+                        type: 'definition-box',
+                        fragment: true,
+                        style: 'margin-top: 15px;',
+                        title: 'סיכום: מותר לברור?',
+                        body: [
+                            {
+                                type: 'flowchart',
+                                id: 'borer-summary-flowchart',
+                                renderer: 'svg',
+                                layout: 'auto',
+                                rows: [
+                                    [{ id: 'mixed', text: 'האם המינים מעורבים זה בזה?', kind: 'question' }],
+                                    [
+                                        { id: 'food', text: 'האם לוקחים את האוכל מתוך הפסולת?', kind: 'question' },
+                                        { id: 'not-mixed', text: 'אין תערובת - אין איסור בורר', kind: 'permitted' }
+                                    ],
+                                    [{ id: 'hand', text: 'האם בורר ביד או בכלי רגיל?', kind: 'question' }],
+                                    [{ id: 'now', text: 'האם זה לאכילה מיד?', kind: 'question' }],
+                                    [
+                                        { id: 'permitted', text: 'מותר לברור ✅', kind: 'permitted' },
+                                        { id: 'forbidden', text: 'אסור - בורר מהתורה ❌', kind: 'forbidden' }
+                                    ]
+                                ],
+                                edges: [
+                                    { from: 'mixed', to: 'food', label: 'כן' },
+                                    { from: 'mixed', to: 'not-mixed', label: 'לא' },
+                                    { from: 'food', to: 'hand', label: 'כן' },
+                                    { from: 'food', to: 'forbidden', label: 'לא' },
+                                    { from: 'hand', to: 'now', label: 'כן' },
+                                    { from: 'hand', to: 'forbidden', label: 'לא' },
+                                    { from: 'now', to: 'permitted', label: 'כן' },
+                                    { from: 'now', to: 'forbidden', label: 'לא' }
+                                ]
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, ב', 'פניני הלכה שבת יא, ד']
+                    }
+                ],
+                notes: [
+                    'התערובת צריכה להיות של שני מינים, ואיסור בורר חל רק כשיש תערובת.',
+                    'דברים גדולים המונחים זה לצד זה - נחלקו הפוסקים.',
+                    'לסיום: לעבור עם הכיתה על תרשים הסיכום, משאלת התערובת ועד שלושת התנאים.'
+                ]
+            },
+            en: {
+                title: 'When does the prohibition of Borer apply?',
+                blocks: [
+                    {
+                        type: 'definition-box',
+                        title: 'A necessary condition: a mixture',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'The prohibition of Borer exists only when the two kinds are <strong>mixed</strong> with each other. If they lie side by side - there is no prohibition.'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, ד', 'שו"ע שיט, ג']
+                    },
+                    {
+                        type: 'two-columns',
+                        style: 'margin-top: 20px;',
+                        columns: [
+                            {
+                                type: 'positive-box',
+                                fragment: true,
+                                title: 'No prohibition ✅',
+                                plainTitle: true,
+                                body: [
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            'Fruit lying side by side',
+                                            'Large pieces of meat in soup',
+                                            'Books arranged on a shelf',
+                                            'A few bottles in a crate'
+                                        ]
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, ד']
+                            },
+                            {
+                                type: 'warning-box',
+                                fragment: true,
+                                title: 'Prohibited ❌',
+                                plainTitle: true,
+                                body: [
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            'Nuts and peanuts mixed together',
+                                            'Peas and small pieces of carrot in soup',
+                                            'Chumashim mixed in a pile',
+                                            'Many bottles mixed together'
+                                        ]
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, ד']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'example-box',
+                        fragment: true,
+                        style: 'margin-top: 20px;',
+                        title: 'The principle of sorting',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'It all depends on quantity and size. A few large objects - do not count as mixed. Many small objects - count as mixed.'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, ד']
+                    },
+                    {
+                        type: 'definition-box',
+                        fragment: true,
+                        style: 'margin-top: 15px;',
+                        title: 'Partial selecting',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'One who did not select all the waste but only part of it - has still transgressed a Torah prohibition, even though some waste remains in the mixture.'
+                            }
+                        ],
+                        sources: ['ילקוט יוסף שבת ג\' סי\' שיט']
+                    },
+                    {
+                        type: 'definition-box',
+                        fragment: true,
+                        style: 'margin-top: 15px;',
+                        title: 'Summary: may I select?',
+                        body: [
+                            {
+                                type: 'flowchart',
+                                id: 'borer-summary-flowchart',
+                                renderer: 'svg',
+                                layout: 'auto',
+                                rows: [
+                                    [{ id: 'mixed', text: 'Are the kinds mixed with each other?', kind: 'question' }],
+                                    [
+                                        { id: 'food', text: 'Is the food taken out of the waste?', kind: 'question' },
+                                        { id: 'not-mixed', text: 'No mixture - Borer does not apply', kind: 'permitted' }
+                                    ],
+                                    [{ id: 'hand', text: 'By hand or with an ordinary utensil?', kind: 'question' }],
+                                    [{ id: 'now', text: 'Is it to eat right away?', kind: 'question' }],
+                                    [
+                                        { id: 'permitted', text: 'Selecting is permitted ✅', kind: 'permitted' },
+                                        { id: 'forbidden', text: 'Forbidden - Borer from the Torah ❌', kind: 'forbidden' }
+                                    ]
+                                ],
+                                edges: [
+                                    { from: 'mixed', to: 'food', label: 'Yes' },
+                                    { from: 'mixed', to: 'not-mixed', label: 'No' },
+                                    { from: 'food', to: 'hand', label: 'Yes' },
+                                    { from: 'food', to: 'forbidden', label: 'No' },
+                                    { from: 'hand', to: 'now', label: 'Yes' },
+                                    { from: 'hand', to: 'forbidden', label: 'No' },
+                                    { from: 'now', to: 'permitted', label: 'Yes' },
+                                    { from: 'now', to: 'forbidden', label: 'No' }
+                                ]
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, ב', 'פניני הלכה שבת יא, ד']
+                    }
+                ],
+                notes: [
+                    'The mixture must be of two kinds, and Borer applies only when there is a mixture.',
+                    'Large items lying side by side - the poskim disagree.',
+                    'To finish: walk the class through the summary flowchart, from the mixture question to the three conditions.'
+                ]
+            }
+        },
+        {
+            slug: 'dinim-meyuchadim',
+            he: {
+                title: 'דינים מיוחדים',
+                tocGroup: 'חלק ג\': דינים מעשיים',
+                blocks: [
+                    {
+                        type: 'two-columns',
+                        columns: [
+                            {
+                                type: 'definition-box',
+                                title: 'הוצאת חרקים ודם',
+                                body: [
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>חרק או זבוב במשקה:</strong> מותר להוציאו יחד עם מעט מן המשקה. מעיקר הדין מותר גם לבדו, אבל נכון להחמיר.'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>דם בביצה:</strong> מותר להוציא את הדם בכף או ביד, ונכון להחמיר ולהוציאו יחד עם מעט מהביצה.'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>עיקרון:</strong> אסור להשתמש בכלי מיוחד לברירה.'
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, טו', 'ילקו"י שבת ג\' סי\' שיט']
+                            },
+                            {
+                                type: 'definition-box',
+                                title: 'שימורים וקופסאות',
+                                body: [
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>אסור לשפוך מים:</strong> מקופסת אפונה, תירס, או זיתים (חלקים קטנים מעורבים).'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>מותר לשפוך מים:</strong> מקופסת מלפפונים חמוצים (גדולים ולא מעורבים).'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>טונה בשמן:</strong> מותר להוציא את הטונה עם מעט שמן, אסור לשפוך את השמן לבדו.'
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, יג']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'two-columns',
+                        style: 'margin-top: 15px;',
+                        columns: [
+                            {
+                                type: 'definition-box',
+                                title: 'תה ועלי תה',
+                                body: [
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>שקית תה:</strong> מותר להוציא מכוס מים חמים (כלי שלישי) <strong>אין כאן תערובת</strong>.'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>עלי תה פזורים:</strong> יש מחלוקת - יש מקילים כיוון שאינם מפריעים כל כך ורוב האנשים יכולים לשתות בלא סינון ויש מחמירים שהרי מדובר בתערובת פסולת ואוכל.'
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, יד']
+                            },
+                            {
+                                type: 'definition-box',
+                                title: 'כלים וסכו"ם',
+                                body: [
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>סכו"ם מעורב במייבש:</strong> מותר ליטול כלי אחד, לנגב אותו, ולהחזירו למקומו. אסור ליטול כלים רבים ולמיינם.'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>ספרים וחומשים:</strong> דיני בורר חלים גם על ספרים ועל צעצועים מעורבים.'
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, טז']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'two-columns',
+                        style: 'margin-top: 15px;',
+                        columns: [
+                            {
+                                type: 'definition-box',
+                                title: 'שני מיני מאכלים',
+                                body: [
+                                    {
+                                        type: 'paragraph',
+                                        text: 'גם הפרדה בין שני מיני מאכלים טובים אסורה - כל מין נחשב פסולת לגבי השני.'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>דוגמה:</strong> תערובת אגוזים ושקדים - אסור להפריד ביניהם למרות ששניהם טובים.'
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, ג']
+                            },
+                            {
+                                type: 'definition-box',
+                                title: 'כלים מיוחדים במטבח',
+                                body: [
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>מלחייה עם גרגירי אורז:</strong> (המלחייה מאפשרת רק למלח לצאת ומסננת את האורז) מותר - הגרגירים מונעים גושים ואינם פסולת.'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>מסננת קבועה בברז:</strong> מותר להשתמש בה, מפני שהיא חלק קבוע מהברז ואין דרך להשתמש בו בלעדיה, ואינה נחשבת ככלי ברירה.'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>מסננת בניקוז של הכיור:</strong> מותר לשפוך לתוכו שיירי מאכל ומים, מפני שכוונתו לסלק את השיירים לאשפה ולא לברור אוכל מתוך פסולת.'
+                                    }
+                                ],
+                                sources: ['ילקו"י שבת ג\' סי\' שיט']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'example-box',
+                        style: 'margin-top: 15px;',
+                        title: 'שאלות נפוצות נוספות',
+                        body: [
+                            {
+                                type: 'list',
+                                items: [
+                                    '<strong>דפים נפרדים שנדבקו:</strong> דפים נפרדים שנדבקו זה לזה (מלחות וכד\') - מותר להפריד בעדינות, בתנאי שלא תיגרם קריעה או מחיקה של אותיות. אין בזה בורר כיוון שאין כאן שני מינים מעורבים.',
+                                    '<strong>דף שלא נחתך בדפוס:</strong> דפים שמעולם לא הופרדו (כגון בספר חדש שהדפים מחוברים בקצה) - <strong>אסור</strong> להפריד, משום מלאכת קורע או מכה בפטיש.',
+                                    '<strong>פתיחת מכתבים:</strong> הוצאת מכתב ממעטפה אינה בורר - המכתב והמעטפה אינם "מעורבים" אלא אחד בתוך השני.'
+                                ]
+                            }
+                        ],
+                        sources: ['שש"כ ג, פ', 'פנה"ל יא, ד', 'שו"ע שמ, יד']
+                    }
+                ],
+                notes: ['לעבור על הדינים המיוחדים אחד אחד; לעצור לשאלות אחרי כל דוגמה.']
+            },
+            en: {
+                title: 'Special laws',
+                tocGroup: 'Part C: Practical laws',
+                blocks: [
+                    {
+                        type: 'two-columns',
+                        columns: [
+                            {
+                                type: 'definition-box',
+                                title: 'Removing insects and blood',
+                                body: [
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>An insect or fly in a drink:</strong> one may remove it together with a little of the drink. Strictly it may be removed alone, but it is proper to be stringent.'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>Blood in an egg:</strong> one may remove the blood with a spoon or by hand, and it is proper to be stringent and remove it together with a little of the egg.'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>Principle:</strong> a utensil made for selecting may not be used.'
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, טו', 'ילקו"י שבת ג\' סי\' שיט']
+                            },
+                            {
+                                type: 'definition-box',
+                                title: 'Canned food and jars',
+                                body: [
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>Pouring off the water is forbidden:</strong> from a can of peas, corn or olives (small mixed pieces).'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>Pouring off the water is permitted:</strong> from a jar of pickles (large and not mixed).'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>Tuna in oil:</strong> one may take out the tuna with a little oil; pouring off the oil alone is forbidden.'
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, יג']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'two-columns',
+                        style: 'margin-top: 15px;',
+                        columns: [
+                            {
+                                type: 'definition-box',
+                                title: 'Tea and tea leaves',
+                                body: [
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>A tea bag:</strong> may be taken out of a cup of hot water (a kli shlishi) - <strong>there is no mixture here</strong>.'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>Loose tea leaves:</strong> disputed - some are lenient, since they hardly bother and most people can drink without straining, and some are stringent, since it is a mixture of waste and food.'
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, יד']
+                            },
+                            {
+                                type: 'definition-box',
+                                title: 'Dishes and cutlery',
+                                body: [
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>Cutlery mixed in a drying rack:</strong> one may take one item, dry it and put it in its place. Taking many items and sorting them is forbidden.'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>Books and chumashim:</strong> the laws of Borer also apply to mixed books and toys.'
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, טז']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'two-columns',
+                        style: 'margin-top: 15px;',
+                        columns: [
+                            {
+                                type: 'definition-box',
+                                title: 'Two kinds of food',
+                                body: [
+                                    {
+                                        type: 'paragraph',
+                                        text: 'Separating two good kinds of food is also forbidden - each kind counts as waste with respect to the other.'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>Example:</strong> a mixture of nuts and almonds - separating them is forbidden even though both are good.'
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, ג']
+                            },
+                            {
+                                type: 'definition-box',
+                                title: 'Special kitchen utensils',
+                                body: [
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>A salt shaker with grains of rice:</strong> (the shaker lets only the salt out and holds back the rice) permitted - the grains prevent clumps and are not waste.'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>A strainer fixed in the faucet:</strong> may be used, since it is a permanent part of the faucet that cannot be used without it, and it does not count as a selecting utensil.'
+                                    },
+                                    {
+                                        type: 'paragraph',
+                                        text: '<strong>A strainer in the sink drain:</strong> one may pour food leftovers and water into it, since the intention is to send the leftovers to the trash, not to select food out of waste.'
+                                    }
+                                ],
+                                sources: ['ילקו"י שבת ג\' סי\' שיט']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'example-box',
+                        style: 'margin-top: 15px;',
+                        title: 'More common questions',
+                        body: [
+                            {
+                                type: 'list',
+                                items: [
+                                    '<strong>Separate pages that stuck together:</strong> separate pages that stuck to each other (from moisture and the like) - may be separated gently, provided no tearing or erasing of letters results. This is not Borer, since there are no two kinds mixed here.',
+                                    '<strong>A page never cut at the press:</strong> pages that were never separated (such as in a new book whose pages are joined at the edge) - <strong>forbidden</strong> to separate, because of the melacha of Kore\'a (tearing) or Makeh BePatish (finishing).',
+                                    '<strong>Opening letters:</strong> taking a letter out of an envelope is not Borer - the letter and the envelope are not "mixed" but one inside the other.'
+                                ]
+                            }
+                        ],
+                        sources: ['שש"כ ג, פ', 'פנה"ל יא, ד', 'שו"ע שמ, יד']
+                    }
+                ],
+                notes: [
+                    'Go over the special laws one by one; pause for questions after each example.'
+                ]
+            }
+        },
+        {
+            slug: 'dugmaot',
+            he: {
+                title: 'דוגמאות מעשיות נוספות',
+                blocks: [
+                    {
+                        type: 'two-columns',
+                        columns: [
+                            {
+                                type: 'positive-box',
+                                title: 'מותר בשבת ✅',
+                                plainTitle: true,
+                                body: [
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            '<strong>קליפת פרי פגום:</strong> מותר לחתוך בסכין בשעת אכילה את החלק הפגום',
+                                            '<strong>פירות בקערה:</strong> מותר לקחת מכל הבא ליד, ואם ימצא פרי רקוב יניחו בצד',
+                                            '<strong>עצמות וקליפות בצלחת:</strong> מותר להסיר הכל לפני שטיפה',
+                                            '<strong>פתיתי דגנים בחלב:</strong> מותר לשתות את החלב גם אם חלק מהפתיתים שוקעים — אין זו ברירה אלא אכילה כדרכה, שאינם תערובת אחת.'
+                                        ]
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, ה', 'ילקו"י שבת ג\' סי\' שיט']
+                            },
+                            {
+                                type: 'warning-box',
+                                title: 'דרושה זהירות❗',
+                                plainTitle: true,
+                                body: [
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            '<strong>מרק עם ירקות:</strong> מותר לערות את המרק בעדינות, אבל לא לסנן',
+                                            '<strong>חמין בשבת:</strong> להזיז חתיכות עליונות כדי להגיע לתחתונות - מותר',
+                                            '<strong>משקים עכורים:</strong> אסור לסנן, מותר לשתות כמו שהם'
+                                        ]
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, יב-יג', 'שו"ע שיט, י']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'definition-box',
+                        style: 'margin-top: 20px;',
+                        title: '🍽️ נסו בעצמכם: מה מותר להוציא מהצלחת?',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'בחרו תרחיש, גררו מהצלחת את מה שתרצו להוציא, בחרו במה ומתי זה ייאכל - ובדקו מול שלושת התנאים.'
+                            },
+                            { type: 'simulator' }
+                        ]
+                    },
+                    {
+                        type: 'example-box',
+                        style: 'margin-top: 20px;',
+                        title: 'מקרים גבוליים - קרום על חלב מבושל',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: '<strong>המחלוקת:</strong> יש אומרים שהקרום נחשב "פסולת" ואסור להסירו. ויש מקילים משום שהקרום אינו דבר נפרד אלא חלק מהחלב שנקרש.'
+                            },
+                            {
+                                type: 'list',
+                                items: [
+                                    '<strong>דעת המחמירים:</strong> אסור להסיר את הקרום על ידי הטיית הכוס או בכף - זו ברירת פסולת מאוכל',
+                                    '<strong>דעת המקילים:</strong> הקרום הוא חלק מהחלב ואינו "מין אחר", ולכן מותר להסירו',
+                                    '<strong>עצה מעשית:</strong> לשתות יחד עם מעט מהקרום, או להסיר עם מעט חלב'
+                                ]
+                            }
+                        ],
+                        sources: ['ילקוט יוסף שבת ג\' סי\' שיט', 'שש"כ ג, לג']
+                    },
+                    {
+                        type: 'definition-box',
+                        style: 'margin-top: 15px;',
+                        title: 'שאלות נפוצות בפירות וירקות',
+                        body: [
+                            {
+                                type: 'list',
+                                items: [
+                                    '<strong>קילוף ביצה קשה:</strong> אין בזה בורר - הקליפה אינה "מעורבת" עם הביצה אלא עוטפת אותה. מותר לקלף.',
+                                    '<strong>הסרת גבעול מתות שדה:</strong> אין בזה בורר - הגבעול הוא חלק מהפרי ולא דבר מעורב בו. מותר להסיר בשעת אכילה.',
+                                    '<strong>הוצאת גרעין מאבוקדו:</strong> מותר - הגרעין אינו "מעורב" אלא מונח במקומו בפרי.',
+                                    '<strong>הסרת עלים חיצוניים מחסה:</strong> מותר להסיר עלים חיצוניים כמושים או פגומים בשעת הכנה לאכילה מיידית.'
+                                ]
+                            }
+                        ],
+                        sources: ['פנה"ל יא, ד-ה', 'שש"כ ג, יג', 'ילקו"י שיט']
+                    },
+                    {
+                        type: 'definition-box',
+                        style: 'margin-top: 15px;',
+                        title: 'כלל חשוב לזכירה',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: '<strong>במקרה של ספק:</strong> תמיד שאלו את עצמכם - האם זה באמת דומה לברירה שעושים במפעל, או שזה דרך אכילה רגילה? אם זה דרך אכילה רגילה - על פי רוב מותר.'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, ב']
+                    },
+                    {
+                        type: 'positive-box',
+                        style: 'margin-top: 15px;',
+                        title: 'עיקרון מנחה',
+                        plainTitle: true,
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'הבורר לצורך בהמות - פסולת נחשבת אוכל! זה מלמד שהכל תלוי בכוונה ובמטרה, לא רק בפעולה עצמה.'
+                            }
+                        ],
+                        sources: ['ילקוט יוסף שבת ג\' סי\' שיט']
+                    }
+                ],
+                notes: [
+                    'לתת לכיתה לנסות להכריע בכל דוגמה לפני חשיפת התשובה.',
+                    'בסימולטור הצלחת אפשר לשנות רק תנאי אחד בכל פעם (כלי, זמן, מה מוציאים) ולראות איך ההכרעה משתנה.',
+                    'אפשר להיעזר באשף ההכרעה בשקף הבא.'
+                ]
+            },
+            en: {
+                title: 'More practical examples',
+                blocks: [
+                    {
+                        type: 'two-columns',
+                        columns: [
+                            {
+                                type: 'positive-box',
+                                title: 'Permitted on Shabbat ✅',
+                                plainTitle: true,
+                                body: [
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            '<strong>Peel of damaged fruit:</strong> one may cut off the damaged part with a knife while eating',
+                                            '<strong>Fruit in a bowl:</strong> one may take whatever comes to hand, and set aside a rotten fruit if found',
+                                            '<strong>Bones and peels on a plate:</strong> one may clear everything off before washing',
+                                            '<strong>Cereal flakes in milk:</strong> one may drink the milk even if some flakes sink — this is not selecting but eating in the usual way, as they are not one mixture.'
+                                        ]
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, ה', 'ילקו"י שבת ג\' סי\' שיט']
+                            },
+                            {
+                                type: 'warning-box',
+                                title: 'Care needed❗',
+                                plainTitle: true,
+                                body: [
+                                    {
+                                        type: 'list',
+                                        items: [
+                                            '<strong>Soup with vegetables:</strong> one may pour the soup gently, but not strain it',
+                                            '<strong>Cholent on Shabbat:</strong> moving the upper pieces to reach the lower ones - permitted',
+                                            '<strong>Cloudy drinks:</strong> straining is forbidden; they may be drunk as they are'
+                                        ]
+                                    }
+                                ],
+                                sources: ['פניני הלכה שבת יא, יב-יג', 'שו"ע שיט, י']
+                            }
+                        ]
+                    },
+                    {
+                        type: 'definition-box',
+                        style: 'margin-top: 20px;',
+                        title: '🍽️ Try it yourself: what may be taken off the plate?',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'Choose a scenario, drag off the plate what you want to take out, choose with what and when it will be eaten - and check it against the three conditions.'
+                            },
+                            { type: 'simulator' }
+                        ]
+                    },
+                    {
+                        type: 'example-box',
+                        style: 'margin-top: 20px;',
+                        title: 'Borderline cases - skin on boiled milk',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: '<strong>The dispute:</strong> some say the skin counts as "waste" and may not be removed. Others are lenient, since the skin is not a separate thing but part of the milk that set.'
+                            },
+                            {
+                                type: 'list',
+                                items: [
+                                    '<strong>The stringent view:</strong> removing the skin by tilting the cup or with a spoon is forbidden - it is selecting waste out of food',
+                                    '<strong>The lenient view:</strong> the skin is part of the milk and not "another kind", so it may be removed',
+                                    '<strong>Practical advice:</strong> drink it together with a little of the skin, or remove it with a little milk'
+                                ]
+                            }
+                        ],
+                        sources: ['ילקוט יוסף שבת ג\' סי\' שיט', 'שש"כ ג, לג']
+                    },
+                    {
+                        type: 'definition-box',
+                        style: 'margin-top: 15px;',
+                        title: 'Common questions about fruit and vegetables',
+                        body: [
+                            {
+                                type: 'list',
+                                items: [
+                                    '<strong>Peeling a hard-boiled egg:</strong> not Borer - the shell is not "mixed" with the egg but wraps it. Peeling is permitted.',
+                                    '<strong>Removing a strawberry stem:</strong> not Borer - the stem is part of the fruit, not something mixed into it. It may be removed while eating.',
+                                    '<strong>Taking the pit out of an avocado:</strong> permitted - the pit is not "mixed" but lies in its place in the fruit.',
+                                    '<strong>Removing the outer leaves of lettuce:</strong> withered or damaged outer leaves may be removed while preparing to eat right away.'
+                                ]
+                            }
+                        ],
+                        sources: ['פנה"ל יא, ד-ה', 'שש"כ ג, יג', 'ילקו"י שיט']
+                    },
+                    {
+                        type: 'definition-box',
+                        style: 'margin-top: 15px;',
+                        title: 'An important rule to remember',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: '<strong>When in doubt:</strong> always ask yourselves - is this really like the selecting done in a factory, or is it the ordinary way of eating? If it is the ordinary way of eating - it is usually permitted.'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, ב']
+                    },
+                    {
+                        type: 'positive-box',
+                        style: 'margin-top: 15px;',
+                        title: 'Guiding principle',
+                        plainTitle: true,
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'When selecting for animals - waste counts as food! This teaches that everything depends on the intention and the purpose, not only on the act itself.'
+                            }
+                        ],
+                        sources: ['ילקוט יוסף שבת ג\' סי\' שיט']
+                    }
+                ],
+                notes: [
+                    'Let the class try to decide each example before revealing the answer.',
+                    'In the plate simulator, change one condition at a time (tool, time, what is taken out) and see how the verdict changes.',
+                    'The decision wizard on the summary slide can help.'
+                ]
+            }
+        },
+        {
+            slug: 'shealot-chazara',
+            layout: 'quiz',
+            he: {
+                title: '🕯️ שאלות חזרה מקיפות - הלכות בורר 🕯️',
+                tocGroup: 'חלק ד\': שאלות חזרה וסיכום',
+                tocTitle: 'שאלות חזרה',
+                blocks: [
+                    {
+                        type: 'paragraph',
+                        style: 'text-align: center; color: var(--text-muted); margin-top: -15px; font-size: 1.1em;',
+                        text: '30 שאלות אמריקאיות לפי סדר השקפים'
+                    },
+                    { type: 'section-title', text: 'חלק א\': מבוא ויסודות (שקפים 3-4)' },
+                    {
+                        type: 'question',
+                        text: 'מה ההבדל העיקרי בין מלאכת בורר למלאכת זורה?',
+                        options: [
+                            'בורר נעשה בנפה, זורה נעשה ביד',
+                            'בורר נעשה ברוח, זורה נעשה ביד',
+                            'בורר נעשה ביד, זורה נעשה ברוח',
+                            'אין הבדל ביניהם'
+                        ],
+                        correct: 'ג',
+                        explanation: 'בורר = הפרדה ביד או בכלי רגיל. זורה = הפרדה ברוח (קל עף, כבד נופל).',
+                        sourceSlide: 3,
+                        key: 'bbbe0670'
+                    },
+                    {
+                        type: 'question',
+                        text: 'כמה מלאכות עוסקות בהפרדת אוכל מפסולת?',
+                        options: [
+                            'אחת - בורר',
+                            'שתיים - בורר וזורה',
+                            'שלוש - בורר, זורה ומרקד',
+                            'ארבע - דש, זורה, בורר ומרקד'
+                        ],
+                        correct: 'ד',
+                        explanation: 'ארבע מלאכות: דש (הוצאה מקליפה), זורה (ברוח), בורר (ביד), מרקד (בנפה).',
+                        sourceSlide: 3,
+                        key: '26882f69'
+                    },
+                    {
+                        type: 'question',
+                        text: 'מהו הכלל המרכזי להיתר ברירה בשבת?',
+                        options: [
+                            'פסולת ביד ומיד',
+                            'אוכל בכלי ולאחר זמן',
+                            'אוכל ביד ומיד',
+                            'פסולת בכלי ומיד'
+                        ],
+                        correct: 'ג',
+                        explanation: 'הכלל הזהב "אוכל ביד ומיד" - אוכל (לא פסולת), ביד (לא בכלי מיוחד), ומיד (לאלתר).',
+                        sourceSlide: 4,
+                        key: '63e5f424'
+                    },
+                    {
+                        type: 'question',
+                        text: 'מה דינו של מי שחסר לו תנאי אחד מתנאי ההיתר?',
+                        options: [
+                            'עובר על איסור תורה',
+                            'עובר על איסור דרבנן',
+                            'מותר בדיעבד',
+                            'אין בכך איסור'
+                        ],
+                        correct: 'א',
+                        explanation: 'אם חסר אפילו תנאי אחד מהשלושה - האיסור הוא מהתורה!',
+                        sourceSlide: 4,
+                        key: '930d1615'
+                    },
+                    { type: 'section-title', text: 'חלק ב\': בורר בדברים שאינם מאכלים (שקף 5)' },
+                    {
+                        type: 'question',
+                        text: 'מה פירוש המונח "אוכל" בהלכות בורר?',
+                        options: [
+                            'דווקא מאכלים',
+                            'מה שהאדם מעוניין בו עכשיו',
+                            'החלק הטוב באופן אובייקטיבי',
+                            'רק דברים ראויים לאכילה'
+                        ],
+                        correct: 'ב',
+                        explanation: '"אוכל" = מה שהאדם מעוניין בו עכשיו. "פסולת" = מה שאינו מעוניין בו עכשיו, גם אם יהיה מעוניין בו בהמשך.',
+                        sourceSlide: 5,
+                        key: '99a57031'
+                    },
+                    {
+                        type: 'question',
+                        text: 'האם מותר למיין גרביים לזוגות בשבת?',
+                        options: [
+                            'מותר - אין בזה בורר',
+                            'אסור - זו ברירה גמורה',
+                            'מותר אם עושה ביד',
+                            'מותר לצורך לבישה מיידית'
+                        ],
+                        correct: 'ב',
+                        explanation: 'מיון גרביים לזוגות, מיון סכו"ם, סידור ספרים לפי נושא - כולם אסורים כי זו מלאכת מיון וארגון.',
+                        sourceSlide: 5,
+                        key: '7de279f1'
+                    },
+                    {
+                        type: 'question',
+                        text: 'האם מותר להוציא חולצה מסוימת מארון בגדים מלא?',
+                        options: [
+                            'מותר - אם זה לצורך לבישה מיידית',
+                            'אסור - זו ברירה',
+                            'מותר רק אם הארון מסודר',
+                            'אסור אלא אם מוציא הכל'
+                        ],
+                        correct: 'א',
+                        explanation: 'לקיחה לצורך מיידי (בגד, כלי, ספר) - זו דרך שימוש רגילה ומותרת. האיסור הוא על מיון וארגון.',
+                        sourceSlide: 5,
+                        key: 'eecad292'
+                    },
+                    { type: 'section-title', text: 'חלק ג\': תנאי ראשון - אוכל מתוך פסולת (שקף 6)' },
+                    {
+                        type: 'question',
+                        text: 'יש לפניך סלט ירקות עם עגבניות רקובות. מה מותר לעשות?',
+                        options: [
+                            'להוציא את העגבניות הרקובות',
+                            'לקחת את הירקות הטובים כדי לאכול עכשיו',
+                            'לקחת את הירקות הטובים לצורך הערב',
+                            'להשתמש במסננת להפריד'
+                        ],
+                        correct: 'ב',
+                        explanation: 'יש להוציא אוכל (הטוב) מתוך פסולת (הרקוב), ביד, ומיד - לאכילה מיידית.',
+                        sourceSlide: 6,
+                        key: '29a7bf8b'
+                    },
+                    {
+                        type: 'question',
+                        text: 'מי שהושיט את ידו לקחת אוכל ובטעות עלתה בידו פסולת - מה דינו?',
+                        options: [
+                            'עבר איסור בורר',
+                            'לא עבר איסור כי לא התכוון',
+                            'עבר איסור דרבנן',
+                            'צריך להחזיר את הפסולת'
+                        ],
+                        correct: 'ב',
+                        explanation: 'לא עבר איסור בורר, כיוון שלא התכוון לברור הפסולת.',
+                        sourceSlide: 6,
+                        key: '64994b7c'
+                    },
+                    { type: 'section-title', text: 'חלק ד\': תנאי שני - ביד (שקף 7)' },
+                    {
+                        type: 'question',
+                        text: 'איזה מהכלים הבאים מותר להשתמש בו לברירה?',
+                        options: ['מסננת', 'כף רגילה', 'נפה', 'כלי ייעודי לברירה'],
+                        correct: 'ב',
+                        explanation: 'כף רגילה, מזלג, מצקת רגילה - מותרים. מסננת, נפה, כלי ייעודי לברירה - אסורים.',
+                        sourceSlide: 7,
+                        key: '96b36e5c'
+                    },
+                    {
+                        type: 'question',
+                        text: 'מתי מותר להשתמש בכף מחוררת?',
+                        options: [
+                            'לחתיכות גדולות שאינן נחשבות מעורבות',
+                            'לחתיכות קטנות במרק',
+                            'תמיד מותר',
+                            'תמיד אסור'
+                        ],
+                        correct: 'א',
+                        explanation: 'לחתיכות גדולות שאינן נחשבות מעורבות במרק (כמו חתיכות בשר גדולות) - מותר.',
+                        sourceSlide: 7,
+                        key: '8ea7246b'
+                    },
+                    {
+                        type: 'question',
+                        text: 'האם מותר להשתמש בקולפן בשבת?',
+                        options: ['תמיד מותר', 'תמיד אסור', 'יש מחלוקת בעניין', 'מותר רק לפירות'],
+                        correct: 'ג',
+                        explanation: 'יש מחלוקת האם מותר להשתמש בקולפן. פירות שקליפתם ראויה לאכילה מותר לקלפם כי מורידים גם מעט מהפרי.',
+                        sourceSlide: 7,
+                        key: 'df623ded'
+                    },
+                    { type: 'section-title', text: 'חלק ה\': תנאי שלישי - מיד (שקף 8)' },
+                    {
+                        type: 'question',
+                        text: 'מה ההגדרה של "לאלתר" בהלכות בורר?',
+                        options: ['לאכול מיד או סמוך לתחילת הסעודה', 'תוך שעה', 'תוך יום', 'לפני השבת הבאה'],
+                        correct: 'א',
+                        explanation: '"לאלתר" = כדי לאכול מיד או סמוך לתחילת הסעודה.',
+                        sourceSlide: 8,
+                        key: 'ff991317'
+                    },
+                    {
+                        type: 'question',
+                        text: 'האם מותר לברור עבור אורחים שצפויים להגיע?',
+                        options: [
+                            'מותר אם הם צפויים להגיע בקרוב',
+                            'אסור - רק לעצמו מותר',
+                            'מותר רק לבני הבית',
+                            'מותר רק אם כבר הגיעו'
+                        ],
+                        correct: 'א',
+                        explanation: 'מותר לברור לבני הבית ולאורחים הצפויים להגיע בקרוב - סמוך לסעודה.',
+                        sourceSlide: 8,
+                        key: '1d94de2b'
+                    },
+                    {
+                        type: 'question',
+                        text: 'מה הדין אם אדם ברר "לאלתר" ואז החליט לאכול רק אחר זמן?',
+                        options: [
+                            'מותר בדיעבד',
+                            'מסתבר שעבר באיסור תורה',
+                            'מסתבר שעבר באיסור דרבנן',
+                            'אין כל איסור'
+                        ],
+                        correct: 'ב',
+                        explanation: 'יש ליזהר שלא לחזור בו ולהחליט לאכול רק אחר זמן - שאז יעבור באיסור תורה.',
+                        sourceSlide: 8,
+                        key: 'cd54e3b8'
+                    },
+                    { type: 'section-title', text: 'חלק ו\': מתי יש איסור בורר - תערובת (שקף 9)' },
+                    {
+                        type: 'question',
+                        text: 'מתי קיים איסור בורר?',
+                        options: [
+                            'תמיד כשיש שני מינים',
+                            'רק כששני המינים מעורבים זה בזה',
+                            'רק כשיש יותר משני מינים',
+                            'רק במאכלים'
+                        ],
+                        correct: 'ב',
+                        explanation: 'איסור בורר קיים רק כאשר שני המינים מעורבים זה בזה. אם הם מונחים זה לצד זה - אין איסור.',
+                        sourceSlide: 9,
+                        key: '904fc308'
+                    },
+                    {
+                        type: 'question',
+                        text: 'מה הדין אם ברר רק חלק מהפסולת?',
+                        options: [
+                            'מותר כי לא גמר את המלאכה',
+                            'איסור דרבנן בלבד',
+                            'עדיין עבר איסור תורה',
+                            'תלוי בכמות שבירר'
+                        ],
+                        correct: 'ג',
+                        explanation: 'אם לא בירר את כל הפסולת אלא רק חלק ממנה - עדיין עבר איסור תורה.',
+                        sourceSlide: 9,
+                        key: 'f7f77434'
+                    },
+                    { type: 'section-title', text: 'חלק ז\': דינים מיוחדים (שקף 10)' },
+                    {
+                        type: 'question',
+                        text: 'נפל זבוב לכוס משקה. איך הכי נכון להוציאו?',
+                        options: [
+                            'בכף מחוררת',
+                            'עם מעט משקה בכף רגילה',
+                            'לשפוך את כל המשקה',
+                            'להוציאו לבדו ביד'
+                        ],
+                        correct: 'ב',
+                        explanation: 'מותר להוציאו יחד עם מעט מן המשקה. מעיקר הדין מותר גם לבדו, אבל נכון להחמיר.',
+                        sourceSlide: 10,
+                        key: '92a61f14'
+                    },
+                    {
+                        type: 'question',
+                        text: 'טונה בשמן - מה מותר לעשות?',
+                        options: [
+                            'לשפוך את השמן ולהשאיר את הטונה',
+                            'להוציא את הטונה עם מעט שמן בכף',
+                            'להשתמש במסננת דקה',
+                            'כל הדרכים מותרות'
+                        ],
+                        correct: 'ב',
+                        explanation: 'מותר להוציא הטונה עם מעט שמן, אסור לשפוך השמן לבדו.',
+                        sourceSlide: 10,
+                        key: '80d55987'
+                    },
+                    {
+                        type: 'question',
+                        text: 'האם מותר לשפוך מים מקופסת אפונה?',
+                        options: ['מותר', 'אסור', 'מותר רק בכף', 'מותר רק לצורך אכילה מיידית'],
+                        correct: 'ב',
+                        explanation: 'אסור לשפוך מים מקופסת אפונה, תירס, או זיתים (חלקים קטנים מעורבים). מותר מקופסת מלפפונים (גדולים).',
+                        sourceSlide: 10,
+                        key: '84fbaec4'
+                    },
+                    {
+                        type: 'question',
+                        text: 'תערובת אגוזים ושקדים - מה הדין?',
+                        options: [
+                            'מותר להפריד כי שניהם טובים',
+                            'מותר רק לאכילה מיידית',
+                            'אסור להפריד - כל מין נחשב פסולת לשני',
+                            'מותר בכלי רגיל'
+                        ],
+                        correct: 'ג',
+                        explanation: 'גם הפרדה בין שני מיני מאכלים טובים אסורה - כל מין נחשב פסולת לגבי השני. מותר רק לקחת מה שרוצה לאכול עכשיו.',
+                        sourceSlide: 10,
+                        key: '7adc4fe9'
+                    },
+                    {
+                        type: 'question',
+                        text: 'דפים נפרדים שנדבקו זה לזה - מה הדין?',
+                        options: [
+                            'מותר להפריד בעדינות אם לא תיגרם קריעה',
+                            'אסור - זו ברירה',
+                            'מותר רק בספרי קודש',
+                            'אסור משום קורע'
+                        ],
+                        correct: 'א',
+                        explanation: 'דפים נפרדים שנדבקו - מותר להפריד בעדינות. אבל דף שלא נחתך מעולם בדפוס - אסור להפריד משום קורע.',
+                        sourceSlide: 10,
+                        key: '222b87c7'
+                    },
+                    { type: 'section-title', text: 'חלק ח\': דוגמאות מעשיות (שקף 11)' },
+                    {
+                        type: 'question',
+                        text: 'קרום על חלב מבושל - מה הדין?',
+                        options: [
+                            'מותר להסיר',
+                            'אסור להסיר',
+                            'יש מחלוקת - עצה: להסיר עם מעט חלב',
+                            'מותר רק ביד'
+                        ],
+                        correct: 'ג',
+                        explanation: 'יש מחלוקת: יש אומרים אסור, ויש מקילים. עצה: לשתות עם מעט קרום או להסיר עם מעט חלב.',
+                        sourceSlide: 11,
+                        key: 'bafc436b'
+                    },
+                    {
+                        type: 'question',
+                        text: 'קילוף ביצה קשה - האם יש בזה בורר?',
+                        options: [
+                            'אין בזה בורר - הקליפה עוטפת ולא מעורבת',
+                            'יש בזה בורר - אסור',
+                            'מותר רק סמוך לאכילה',
+                            'מותר רק ביד'
+                        ],
+                        correct: 'א',
+                        explanation: 'אין בזה בורר - הקליפה אינה "מעורבת" עם הביצה אלא עוטפת אותה. מותר לקלף.',
+                        sourceSlide: 11,
+                        key: '6b615ee0'
+                    },
+                    {
+                        type: 'question',
+                        text: 'הסרת גבעול מתות שדה - מה הדין?',
+                        options: [
+                            'מותר - הגבעול חלק מהפרי ולא דבר מעורב',
+                            'אסור - זו ברירה',
+                            'מותר רק בשעת אכילה',
+                            'אסור משום קוצר'
+                        ],
+                        correct: 'א',
+                        explanation: 'אין בזה בורר - הגבעול הוא חלק מהפרי ולא דבר מעורב בו. מותר להסיר.',
+                        sourceSlide: 11,
+                        key: 'be08c95b'
+                    },
+                    {
+                        type: 'question',
+                        text: 'חמין בשבת - האם מותר להזיז חתיכות עליונות כדי להגיע לתחתונות?',
+                        options: ['מותר', 'אסור', 'מותר רק ביד', 'מותר רק לאכילה מיידית'],
+                        correct: 'א',
+                        explanation: 'להזיז חתיכות עליונות כדי להגיע לתחתונות - מותר. זו לא ברירה אלא לקיחה.',
+                        sourceSlide: 11,
+                        key: '7db75784'
+                    },
+                    { type: 'section-title', text: 'חלק ט\': שאלות כלליות וסיכום' },
+                    {
+                        type: 'question',
+                        text: 'שקית תה בכוס מים חמים בשבת - מה הדין?',
+                        options: [
+                            'מותר להוציא את השקית מכלי שלישי',
+                            'אסור להוציא כיוון שזו ברירה',
+                            'מותר רק עם מעט מהמשקה',
+                            'מותר רק מכלי ראשון'
+                        ],
+                        correct: 'א',
+                        explanation: 'מותר להוציא שקית תה מכוס מים חמים (כלי שלישי) שהרי אין כאן תערובת.',
+                        sourceSlide: 10,
+                        key: '8f6c5252'
+                    },
+                    {
+                        type: 'question',
+                        text: 'מה העיקרון המנחה לגבי הבורר לצורך בהמות?',
+                        options: [
+                            'פסולת נחשבת אוכל - הכל תלוי בכוונה ובמטרה',
+                            'אסור לברור לבהמות',
+                            'מותר רק ביד',
+                            'מותר רק מיד'
+                        ],
+                        correct: 'א',
+                        explanation: 'הבורר לצורך בהמות - פסולת נחשבת אוכל! זה מלמד שהכל תלוי בכוונה ובמטרה.',
+                        sourceSlide: 6,
+                        key: '3f8413fe'
+                    },
+                    {
+                        type: 'question',
+                        text: 'מה מטרת איסור בורר?',
+                        options: [
+                            'למנוע אכילה בשבת',
+                            'למנוע עבודה של מיון וארגון בשבת',
+                            'למנוע שימוש בכלים',
+                            'למנוע הכנת אוכל'
+                        ],
+                        correct: 'ב',
+                        explanation: 'מטרת איסור בורר היא למנוע עבודה של מיון וארגון בשבת. כדרך אכילה רגילה - תמיד מותר!',
+                        sourceSlide: 13,
+                        key: 'cb36316b'
+                    },
+                    {
+                        type: 'question',
+                        text: 'מה הכלל כשיש ספק בדיני בורר?',
+                        options: [
+                            'להחמיר - כי זה ספק איסור תורה',
+                            'להקל - כי ספק דרבנן לקולא',
+                            'לעשות כרגיל',
+                            'תלוי במקרה'
+                        ],
+                        correct: 'א',
+                        explanation: 'בספק איסור תורה - להחמיר! במקרה של ספק, עדיף להימנע או לשאול שאלת הלכה.',
+                        sourceSlide: 13,
+                        key: '929e98e9'
+                    }
+                ],
+                notes: [
+                    'מומלץ לעבור על השאלות בקבוצות ולהשתמש במפתח התשובות שבחלון המציג.',
+                    'שאלות שרוב הכיתה טעתה בהן - לחזור לשקף המקור.'
+                ]
+            },
+            en: {
+                title: '🕯️ Comprehensive review questions - the laws of Borer 🕯️',
+                tocGroup: 'Part D: Review questions and summary',
+                tocTitle: 'Review questions',
+                blocks: [
+                    {
+                        type: 'paragraph',
+                        style: 'text-align: center; color: var(--text-muted); margin-top: -15px; font-size: 1.1em;',
+                        text: '30 multiple-choice questions in slide order'
+                    },
+                    { type: 'section-title', text: 'Part A: Introduction and foundations (slides 3-4)' },
+                    {
+                        type: 'question',
+                        text: 'What is the main difference between the melacha of Borer and the melacha of Zoreh?',
+                        options: [
+                            'Borer is done with a sieve, Zoreh by hand',
+                            'Borer is done by wind, Zoreh by hand',
+                            'Borer is done by hand, Zoreh by wind',
+                            'There is no difference between them'
+                        ],
+                        correct: 'C',
+                        explanation: 'Borer = separating by hand or with an ordinary utensil. Zoreh = separating by wind (the light part flies off, the heavy part falls).',
+                        sourceSlide: 3,
+                        key: 'bbbe0670'
+                    },
+                    {
+                        type: 'question',
+                        text: 'How many melachot deal with separating food from waste?',
+                        options: [
+                            'One - Borer',
+                            'Two - Borer and Zoreh',
+                            'Three - Borer, Zoreh and Meraked',
+                            'Four - Dash, Zoreh, Borer and Meraked'
+                        ],
+                        correct: 'D',
+                        explanation: 'Four melachot: Dash (out of the shell), Zoreh (by wind), Borer (by hand), Meraked (with a sieve).',
+                        sourceSlide: 3,
+                        key: '26882f69'
+                    },
+                    {
+                        type: 'question',
+                        text: 'What is the central rule for selecting permissibly on Shabbat?',
+                        options: [
+                            'Waste, by hand, right away',
+                            'Food, with a utensil, later on',
+                            'Food, by hand, right away',
+                            'Waste, with a utensil, right away'
+                        ],
+                        correct: 'C',
+                        explanation: 'The golden rule "food, by hand, right away" - food (not waste), by hand (not with a special utensil), right away (le\'altar).',
+                        sourceSlide: 4,
+                        key: '63e5f424'
+                    },
+                    {
+                        type: 'question',
+                        text: 'What is the law for one who is missing one of the conditions for permission?',
+                        options: [
+                            'They transgress a Torah prohibition',
+                            'They transgress a rabbinic prohibition',
+                            'It is permitted after the fact',
+                            'There is no prohibition'
+                        ],
+                        correct: 'A',
+                        explanation: 'If even one of the three conditions is missing - the prohibition is from the Torah!',
+                        sourceSlide: 4,
+                        key: '930d1615'
+                    },
+                    { type: 'section-title', text: 'Part B: Borer with things that are not food (slide 5)' },
+                    {
+                        type: 'question',
+                        text: 'What does the term "food" mean in the laws of Borer?',
+                        options: [
+                            'Only things we eat',
+                            'What the person wants right now',
+                            'The objectively good part',
+                            'Only things fit to eat'
+                        ],
+                        correct: 'B',
+                        explanation: '"Food" = what the person wants right now. "Waste" = what they do not want right now, even if they will want it later.',
+                        sourceSlide: 5,
+                        key: '99a57031'
+                    },
+                    {
+                        type: 'question',
+                        text: 'May one pair socks on Shabbat?',
+                        options: [
+                            'Permitted - it is not Borer',
+                            'Forbidden - it is outright selecting',
+                            'Permitted if done by hand',
+                            'Permitted in order to wear them right away'
+                        ],
+                        correct: 'B',
+                        explanation: 'Pairing socks, sorting cutlery, arranging books by subject - all are forbidden since they are the work of sorting and organizing.',
+                        sourceSlide: 5,
+                        key: '7de279f1'
+                    },
+                    {
+                        type: 'question',
+                        text: 'May one take a particular shirt out of a full closet?',
+                        options: [
+                            'Permitted - if it is to wear it right away',
+                            'Forbidden - it is selecting',
+                            'Permitted only if the closet is tidy',
+                            'Forbidden unless taking everything out'
+                        ],
+                        correct: 'A',
+                        explanation: 'Taking for immediate use (a garment, a dish, a book) - that is ordinary use and permitted. The prohibition is on sorting and organizing.',
+                        sourceSlide: 5,
+                        key: 'eecad292'
+                    },
+                    { type: 'section-title', text: 'Part C: First condition - food out of waste (slide 6)' },
+                    {
+                        type: 'question',
+                        text: 'You have a vegetable salad with rotten tomatoes. What is permitted?',
+                        options: [
+                            'Taking out the rotten tomatoes',
+                            'Taking the good vegetables to eat now',
+                            'Taking the good vegetables for the evening',
+                            'Using a strainer to separate'
+                        ],
+                        correct: 'B',
+                        explanation: 'Take food (the good part) out of waste (the rotten part), by hand, right away - to eat now.',
+                        sourceSlide: 6,
+                        key: '29a7bf8b'
+                    },
+                    {
+                        type: 'question',
+                        text: 'One reached out to take food and by mistake came up with waste - what is the law?',
+                        options: [
+                            'They transgressed Borer',
+                            'No transgression, since they did not intend it',
+                            'They transgressed a rabbinic prohibition',
+                            'They must put the waste back'
+                        ],
+                        correct: 'B',
+                        explanation: 'They did not transgress Borer, since they did not intend to select the waste.',
+                        sourceSlide: 6,
+                        key: '64994b7c'
+                    },
+                    { type: 'section-title', text: 'Part D: Second condition - by hand (slide 7)' },
+                    {
+                        type: 'question',
+                        text: 'Which of these utensils may be used for selecting?',
+                        options: [
+                            'A strainer',
+                            'An ordinary spoon',
+                            'A sieve',
+                            'A utensil made for selecting'
+                        ],
+                        correct: 'B',
+                        explanation: 'An ordinary spoon, fork or ladle - permitted. A strainer, sieve or utensil made for selecting - forbidden.',
+                        sourceSlide: 7,
+                        key: '96b36e5c'
+                    },
+                    {
+                        type: 'question',
+                        text: 'When may a slotted spoon be used?',
+                        options: [
+                            'For large pieces that do not count as mixed',
+                            'For small pieces in soup',
+                            'Always permitted',
+                            'Always forbidden'
+                        ],
+                        correct: 'A',
+                        explanation: 'For large pieces that do not count as mixed into the soup (such as large pieces of meat) - permitted.',
+                        sourceSlide: 7,
+                        key: '8ea7246b'
+                    },
+                    {
+                        type: 'question',
+                        text: 'May a vegetable peeler be used on Shabbat?',
+                        options: [
+                            'Always permitted',
+                            'Always forbidden',
+                            'The matter is disputed',
+                            'Permitted only for fruit'
+                        ],
+                        correct: 'C',
+                        explanation: 'Whether a peeler may be used is disputed. Fruit with an edible peel may be peeled, since some of the fruit comes off too.',
+                        sourceSlide: 7,
+                        key: 'df623ded'
+                    },
+                    { type: 'section-title', text: 'Part E: Third condition - right away (slide 8)' },
+                    {
+                        type: 'question',
+                        text: 'What is the definition of "le\'altar" in the laws of Borer?',
+                        options: [
+                            'To eat right away or close to the start of the meal',
+                            'Within an hour',
+                            'Within a day',
+                            'Before next Shabbat'
+                        ],
+                        correct: 'A',
+                        explanation: '"Le\'altar" = in order to eat right away or close to the start of the meal.',
+                        sourceSlide: 8,
+                        key: 'ff991317'
+                    },
+                    {
+                        type: 'question',
+                        text: 'May one select for guests who are expected to arrive?',
+                        options: [
+                            'Permitted if they are expected soon',
+                            'Forbidden - only for oneself',
+                            'Permitted only for the household',
+                            'Permitted only once they arrive'
+                        ],
+                        correct: 'A',
+                        explanation: 'One may select for the household and for guests expected soon - close to the meal.',
+                        sourceSlide: 8,
+                        key: '1d94de2b'
+                    },
+                    {
+                        type: 'question',
+                        text: 'What is the law if one selected "le\'altar" and then decided to eat only later?',
+                        options: [
+                            'Permitted after the fact',
+                            'Apparently a Torah prohibition was transgressed',
+                            'Apparently a rabbinic prohibition was transgressed',
+                            'There is no prohibition at all'
+                        ],
+                        correct: 'B',
+                        explanation: 'Take care not to change your mind and decide to eat only later - since then you transgress a Torah prohibition.',
+                        sourceSlide: 8,
+                        key: 'cd54e3b8'
+                    },
+                    { type: 'section-title', text: 'Part F: When Borer applies - a mixture (slide 9)' },
+                    {
+                        type: 'question',
+                        text: 'When does the prohibition of Borer exist?',
+                        options: [
+                            'Whenever there are two kinds',
+                            'Only when the two kinds are mixed with each other',
+                            'Only when there are more than two kinds',
+                            'Only with food'
+                        ],
+                        correct: 'B',
+                        explanation: 'The prohibition of Borer exists only when the two kinds are mixed with each other. If they lie side by side - there is no prohibition.',
+                        sourceSlide: 9,
+                        key: '904fc308'
+                    },
+                    {
+                        type: 'question',
+                        text: 'What is the law if one selected only part of the waste?',
+                        options: [
+                            'Permitted, since the melacha was not completed',
+                            'Only a rabbinic prohibition',
+                            'A Torah prohibition was still transgressed',
+                            'It depends on the amount selected'
+                        ],
+                        correct: 'C',
+                        explanation: 'One who did not select all the waste but only part of it - has still transgressed a Torah prohibition.',
+                        sourceSlide: 9,
+                        key: 'f7f77434'
+                    },
+                    { type: 'section-title', text: 'Part G: Special laws (slide 10)' },
+                    {
+                        type: 'question',
+                        text: 'A fly fell into a cup of drink. What is the best way to remove it?',
+                        options: [
+                            'With a slotted spoon',
+                            'With a little of the drink in an ordinary spoon',
+                            'Pour out the whole drink',
+                            'Remove it alone by hand'
+                        ],
+                        correct: 'B',
+                        explanation: 'One may remove it together with a little of the drink. Strictly it may be removed alone, but it is proper to be stringent.',
+                        sourceSlide: 10,
+                        key: '92a61f14'
+                    },
+                    {
+                        type: 'question',
+                        text: 'Tuna in oil - what is permitted?',
+                        options: [
+                            'Pour off the oil and leave the tuna',
+                            'Take out the tuna with a little oil in a spoon',
+                            'Use a fine strainer',
+                            'All of these ways are permitted'
+                        ],
+                        correct: 'B',
+                        explanation: 'One may take out the tuna with a little oil; pouring off the oil alone is forbidden.',
+                        sourceSlide: 10,
+                        key: '80d55987'
+                    },
+                    {
+                        type: 'question',
+                        text: 'May one pour the water off a can of peas?',
+                        options: [
+                            'Permitted',
+                            'Forbidden',
+                            'Permitted only with a spoon',
+                            'Permitted only to eat right away'
+                        ],
+                        correct: 'B',
+                        explanation: 'Pouring the water off a can of peas, corn or olives (small mixed pieces) is forbidden. From a jar of pickles (large) it is permitted.',
+                        sourceSlide: 10,
+                        key: '84fbaec4'
+                    },
+                    {
+                        type: 'question',
+                        text: 'A mixture of nuts and almonds - what is the law?',
+                        options: [
+                            'Separating is permitted since both are good',
+                            'Permitted only to eat right away',
+                            'Separating is forbidden - each kind counts as waste to the other',
+                            'Permitted with an ordinary utensil'
+                        ],
+                        correct: 'C',
+                        explanation: 'Separating two good kinds of food is also forbidden - each kind counts as waste with respect to the other. One may only take what one wants to eat now.',
+                        sourceSlide: 10,
+                        key: '7adc4fe9'
+                    },
+                    {
+                        type: 'question',
+                        text: 'Separate pages that stuck together - what is the law?',
+                        options: [
+                            'They may be separated gently if no tearing results',
+                            'Forbidden - it is selecting',
+                            'Permitted only in holy books',
+                            'Forbidden because of tearing'
+                        ],
+                        correct: 'A',
+                        explanation: 'Separate pages that stuck together - may be separated gently. But a page never cut at the press - may not be separated, because of tearing.',
+                        sourceSlide: 10,
+                        key: '222b87c7'
+                    },
+                    { type: 'section-title', text: 'Part H: Practical examples (slide 11)' },
+                    {
+                        type: 'question',
+                        text: 'Skin on boiled milk - what is the law?',
+                        options: [
+                            'Removing it is permitted',
+                            'Removing it is forbidden',
+                            'Disputed - advice: remove it with a little milk',
+                            'Permitted only by hand'
+                        ],
+                        correct: 'C',
+                        explanation: 'Disputed: some say it is forbidden, others are lenient. Advice: drink it with a little of the skin or remove it with a little milk.',
+                        sourceSlide: 11,
+                        key: 'bafc436b'
+                    },
+                    {
+                        type: 'question',
+                        text: 'Peeling a hard-boiled egg - is it Borer?',
+                        options: [
+                            'Not Borer - the shell wraps the egg and is not mixed with it',
+                            'It is Borer - forbidden',
+                            'Permitted only close to eating',
+                            'Permitted only by hand'
+                        ],
+                        correct: 'A',
+                        explanation: 'Not Borer - the shell is not "mixed" with the egg but wraps it. Peeling is permitted.',
+                        sourceSlide: 11,
+                        key: '6b615ee0'
+                    },
+                    {
+                        type: 'question',
+                        text: 'Removing a strawberry stem - what is the law?',
+                        options: [
+                            'Permitted - the stem is part of the fruit, not mixed into it',
+                            'Forbidden - it is selecting',
+                            'Permitted only while eating',
+                            'Forbidden because of reaping'
+                        ],
+                        correct: 'A',
+                        explanation: 'Not Borer - the stem is part of the fruit, not something mixed into it. It may be removed.',
+                        sourceSlide: 11,
+                        key: 'be08c95b'
+                    },
+                    {
+                        type: 'question',
+                        text: 'Cholent on Shabbat - may one move the upper pieces to reach the lower ones?',
+                        options: [
+                            'Permitted',
+                            'Forbidden',
+                            'Permitted only by hand',
+                            'Permitted only to eat right away'
+                        ],
+                        correct: 'A',
+                        explanation: 'Moving the upper pieces to reach the lower ones - permitted. It is not selecting but taking.',
+                        sourceSlide: 11,
+                        key: '7db75784'
+                    },
+                    { type: 'section-title', text: 'Part I: General questions and summary' },
+                    {
+                        type: 'question',
+                        text: 'A tea bag in a cup of hot water on Shabbat - what is the law?',
+                        options: [
+                            'The bag may be taken out of a kli shlishi',
+                            'Taking it out is forbidden since it is selecting',
+                            'Permitted only with a little of the drink',
+                            'Permitted only from a kli rishon'
+                        ],
+                        correct: 'A',
+                        explanation: 'One may take a tea bag out of a cup of hot water (a kli shlishi), since there is no mixture here.',
+                        sourceSlide: 10,
+                        key: '8f6c5252'
+                    },
+                    {
+                        type: 'question',
+                        text: 'What is the guiding principle about selecting for animals?',
+                        options: [
+                            'Waste counts as food - everything depends on intention and purpose',
+                            'Selecting for animals is forbidden',
+                            'Permitted only by hand',
+                            'Permitted only right away'
+                        ],
+                        correct: 'A',
+                        explanation: 'When selecting for animals - waste counts as food! This teaches that everything depends on intention and purpose.',
+                        sourceSlide: 6,
+                        key: '3f8413fe'
+                    },
+                    {
+                        type: 'question',
+                        text: 'What is the purpose of the Borer prohibition?',
+                        options: [
+                            'To prevent eating on Shabbat',
+                            'To prevent the work of sorting and organizing on Shabbat',
+                            'To prevent using utensils',
+                            'To prevent preparing food'
+                        ],
+                        correct: 'B',
+                        explanation: 'The purpose of the Borer prohibition is to prevent the work of sorting and organizing on Shabbat. The ordinary way of eating - always permitted!',
+                        sourceSlide: 13,
+                        key: 'cb36316b'
+                    },
+                    {
+                        type: 'question',
+                        text: 'What is the rule when in doubt about the laws of Borer?',
+                        options: [
+                            'Be stringent - it is a doubt about a Torah prohibition',
+                            'Be lenient - a rabbinic doubt is treated leniently',
+                            'Act as usual',
+                            'It depends on the case'
+                        ],
+                        correct: 'A',
+                        explanation: 'A doubt about a Torah prohibition - be stringent! When in doubt, better to refrain or ask a halachic question.',
+                        sourceSlide: 13,
+                        key: '929e98e9'
+                    }
+                ],
+                notes: [
+                    'Go over the questions in groups and use the answer key in the presenter window.',
+                    'Questions most of the class got wrong - go back to the source slide.'
+                ]
+            }
+        },
+        {
+            slug: 'sikum',
+            he: {
+                title: 'סיכום והנחיות מעשיות',
+                blocks: [
+                    {
+                        type: 'warning-box',
+                        title: '⚠️ זכרו תמיד',
+                        plainTitle: true,
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'בספק איסור תורה - להחמיר! במקרה של ספק, עדיף להימנע או לשאול רב.'
+                            }
+                        ]
+                    },
+                    {
+                        type: 'definition-box',
+                        style: 'margin-top: 20px;',
+                        title: 'רשימת בדיקה מהירה:',
+                        body: [
+                            {
+                                type: 'numbered-list',
+                                items: [
+                                    { text: 'האם המינים באמת מעורבים? (אם לא - מותר)', sources: ['פנה"ל יא, ד'] },
+                                    {
+                                        text: 'האם אני מוציא את החלק הטוב? (אם לא - אסור)',
+                                        sources: ['פנה"ל יא, ה']
+                                    },
+                                    { text: 'האם אני משתמש בכלי רגיל? (אם לא - אסור)', sources: ['פנה"ל יא, ז'] },
+                                    { text: 'האם אני רוצה לאכול מיד? (אם לא - אסור)', sources: ['פנה"ל יא, ו'] }
+                                ]
+                            }
+                        ]
+                    },
+                    {
+                        type: 'definition-box',
+                        style: 'margin-top: 20px;',
+                        title: '🧭 אשף: האם זה בורר?',
+                        body: [
+                            { type: 'paragraph', text: 'עננו על השאלות אחת אחת וקבלו הכרעה עם המקורות לכל שלב.' },
+                            { type: 'wizard' }
+                        ]
+                    },
+                    {
+                        type: 'positive-box',
+                        style: 'margin-top: 20px;',
+                        title: '💡 בואו נזכור',
+                        plainTitle: true,
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'מטרת איסור בורר היא למנוע עבודה של מיון וארגון בשבת. כדרך אכילה רגילה - תמיד מותר!'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, ב', 'ילקו"י שבת ג\' סי\' שיט סעיף ד']
+                    },
+                    {
+                        type: 'source-box',
+                        id: 'bibliography-summary',
+                        style: 'margin-top: 20px;',
+                        body: [
+                            {
+                                type: 'text',
+                                text: '<strong>📚 מקורות עיקריים:</strong><br><br> <strong>• פניני הלכה שבת</strong> - פרק יא "בורר" (הלכות א-יח) - הרב אליעזר מלמד שליט"א<br> <strong>• קיצור שולחן ערוך ילקוט יוסף</strong> - שבת כרך ג\', סימן שי"ט "הלכות בורר" - הרב יצחק יוסף שליט"א<br> <strong>• שולחן ערוך אורח חיים</strong> - סימן שי"ט<br> <strong>• משנה ברורה</strong> - סימן שי"ט<br> <strong>• שמירת שבת כהלכתה</strong> - פרק ג'
+                            }
+                        ]
+                    }
+                ],
+                notes: [
+                    'לסכם את שלושת התנאים ולהפנות למקורות להרחבה.',
+                    'להזכיר: במקרה של ספק - לשאול רב.'
+                ]
+            },
+            en: {
+                title: 'Summary and practical guidance',
+                blocks: [
+                    {
+                        type: 'warning-box',
+                        title: '⚠️ Always remember',
+                        plainTitle: true,
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'A doubt about a Torah prohibition - be stringent! When in doubt, better to refrain or ask a rabbi.'
+                            }
+                        ]
+                    },
+                    {
+                        type: 'definition-box',
+                        style: 'margin-top: 20px;',
+                        title: 'Quick checklist:',
+                        body: [
+                            {
+                                type: 'numbered-list',
+                                items: [
+                                    {
+                                        text: 'Are the kinds really mixed? (if not - permitted)',
+                                        sources: ['פנה"ל יא, ד']
+                                    },
+                                    {
+                                        text: 'Am I taking out the good part? (if not - forbidden)',
+                                        sources: ['פנה"ל יא, ה']
+                                    },
+                                    {
+                                        text: 'Am I using an ordinary utensil? (if not - forbidden)',
+                                        sources: ['פנה"ל יא, ז']
+                                    },
+                                    {
+                                        text: 'Do I want to eat right away? (if not - forbidden)',
+                                        sources: ['פנה"ל יא, ו']
+                                    }
+                                ]
+                            }
+                        ]
+                    },
+                    {
+                        type: 'definition-box',
+                        style: 'margin-top: 20px;',
+                        title: '🧭 Wizard: is this Borer?',
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'Answer the questions one by one and get a ruling with the sources for each step. The wizard\'s questions are in Hebrew.'
+                            },
+                            { type: 'wizard' }
+                        ]
+                    },
+                    {
+                        type: 'positive-box',
+                        style: 'margin-top: 20px;',
+                        title: '💡 Let\'s remember',
+                        plainTitle: true,
+                        body: [
+                            {
+                                type: 'paragraph',
+                                text: 'The purpose of the Borer prohibition is to prevent the work of sorting and organizing on Shabbat. The ordinary way of eating - always permitted!'
+                            }
+                        ],
+                        sources: ['פניני הלכה שבת יא, ב', 'ילקו"י שבת ג\' סי\' שיט סעיף ד']
+                    },
+                    {
+                        type: 'source-box',
+                        id: 'bibliography-summary',
+                        style: 'margin-top: 20px;',
+                        body: [
+                            {
+                                type: 'text',
+                                text: '<strong>📚 Main sources:</strong><br><br> <strong>• Peninei Halakha, Shabbat</strong> - chapter 11 "Borer" - Rabbi Eliezer Melamed<br> <strong>• Kitzur Shulchan Aruch Yalkut Yosef</strong> - Shabbat vol. 3, siman 319 - Rabbi Yitzchak Yosef<br> <strong>• Shulchan Aruch, Orach Chaim</strong> - siman 319<br> <strong>• Mishnah Berurah</strong> - siman 319<br> <strong>• Shemirat Shabbat Kehilchata</strong> - chapter 3'
+                            }
+                        ]
+                    }
+                ],
+                notes: [
+                    'Sum up the three conditions and point to the sources for further study.',
+                    'Remind: when in doubt - ask a rabbi.'
+                ]
+            }
+        }
+    ]
+};
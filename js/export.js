@@ -0,0 +1,351 @@
+'use strict';
+
+// ===== Image Export =====
+
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+// Resolutions offered for PNG export (multiples of the on-screen size)
+const EXPORT_SCALES = [1, 2, 3, 4];
+
+// Computed styles copied onto the exported elements - enough to reproduce the slides'
+// look without carrying every property of every element
+const EXPORT_STYLE_PROPERTIES = [
+    'display', 'position', 'top', 'right', 'bottom', 'left', 'z-index', 'box-sizing',
+    'width', 'height', 'min-width', 'max-width', 'min-height',
+    'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+    'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+    'border-top', 'border-right', 'border-bottom', 'border-left',
+    'border-top-left-radius', 'border-top-right-radius', 'border-bottom-left-radius', 'border-bottom-right-radius',
+    'background-color', 'background-image', 'box-shadow', 'opacity', 'transform', 'overflow', 'visibility',
+    'color', 'font-family', 'font-size', 'font-weight', 'font-style', 'line-height', 'letter-spacing',
+    'text-align', 'text-decoration', 'text-shadow', 'white-space', 'direction', 'vertical-align',
+    'list-style-type', 'list-style-position',
+    'flex-direction', 'flex-wrap', 'flex-grow', 'flex-shrink', 'flex-basis',
+    'justify-content', 'align-items', 'align-self', 'gap',
+    'grid-template-columns', 'grid-template-rows',
+    'fill', 'stroke', 'stroke-width'
+];
+
+/**
+ * Copy the computed styles of an element tree onto its clone
+ * @param {Element} source - Original element
+ * @param {Element} clone - Clone of the element (same structure)
+ */
+function inlineExportStyles(source, clone) {
+    const computed = getComputedStyle(source);
+    const declarations = EXPORT_STYLE_PROPERTIES
+        .map(property => [property, computed.getPropertyValue(property)])
+        .filter(([, value]) => value !== '')
+        .map(([property, value]) => `${property}:${value}`);
+
+    // Pseudo-elements cannot be cloned - keep text ones such as the .list-item bullets
+    const before = getComputedStyle(source, '::before').getPropertyValue('content');
+    if (before && before !== 'none' && before !== 'normal' && /^".*"$/.test(before)) {
+        clone.insertAdjacentText('afterbegin', JSON.parse(before) + ' ');
+    }
+
+    clone.setAttribute('style', declarations.join(';'));
+
+    Array.from(source.children).forEach((child, i) => {
+        inlineExportStyles(child, clone.children[i]);
+    });
+}
+
+/**
+ * Find the first non-transparent background behind an element
+ * @param {Element} element - Element to export
+ * @returns {string} Background color
+ */
+function getExportBackground(element) {
+    for (let current = element; current; current = current.parentElement) {
+        const color = getComputedStyle(current).backgroundColor;
+        if (color && color !== 'transparent' && color !== 'rgba(0, 0, 0, 0)') {
+            return color;
+        }
+    }
+    return resolveThemeColor('var(--bg-white, #ffffff)');
+}
+
+/**
+ * Render an element (a slide, a flowchart with its node boxes, ...) into a standalone SVG
+ * Theme colors are resolved to their current values; flowchart connections are
+ * included as vector graphics and other canvases as embedded images.
+ * @param {Element} element - Element to export (must be displayed)
+ * @returns {Object} { svg: markup, width, height }
+ */
+function renderElementToSvg(element) {
+    const rect = element.getBoundingClientRect();
+    const width = Math.ceil(rect.width);
+    const height = Math.ceil(rect.height);
+
+    const clone = element.cloneNode(true);
+    inlineExportStyles(element, clone);
+
+    // Scripts and interactive leftovers are not part of the picture
+    clone.querySelectorAll('script').forEach(script => script.remove());
+
+    // Canvases are replaced by their content, keeping their position
+    const sourceCanvases = element.querySelectorAll('canvas');
+    clone.querySelectorAll('canvas').forEach((canvas, i) => {
+        const connector = flowchartSurfaces.get(sourceCanvases[i]);
+        let replacement;
+
+        if (connector) {
+            replacement = connector.toSvgElement();
+        } else {
+            replacement = document.createElementNS(XHTML_NS, 'img');
+            replacement.setAttribute('src', sourceCanvases[i].toDataURL('image/png'));
+        }
+
+        replacement.setAttribute('style', canvas.getAttribute('style'));
+        canvas.replaceWith(replacement);
+    });
+
+    // The SVG renderer's own surface is copied the same way so selection highlights are dropped
+    const sourceSvgs = Array.from(element.querySelectorAll('svg.connection-svg'));
+    clone.querySelectorAll('svg.connection-svg').forEach((svg, i) => {
+        const connector = flowchartSurfaces.get(sourceSvgs[i]);
+        if (connector) {
+            const replacement = connector.toSvgElement();
+            replacement.setAttribute('style', svg.getAttribute('style'));
+            svg.replaceWith(replacement);
+        }
+    });
+
+    clone.style.margin = '0';
+    clone.style.width = width + 'px';
+    clone.style.height = height + 'px';
+    clone.style.backgroundColor = getExportBackground(element);
+    clone.setAttribute('xmlns', XHTML_NS);
+
+    const content = new XMLSerializer().serializeToString(clone);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+        `<foreignObject x="0" y="0" width="${width}" height="${height}">${content}</foreignObject></svg>`;
+
+    return { svg: svg, width: width, height: height };
+}
+
+/**
+ * Rasterize SVG markup into a PNG
+ * @param {Object} image - Result of renderElementToSvg()
+ * @param {number} scale - Resolution multiplier
+ * @returns {Promise<Blob>} PNG image
+ */
+function rasterizeSvg(image, scale = 2) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+
+        img.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(image.width * scale);
+            canvas.height = Math.round(image.height * scale);
+
+            const ctx = canvas.getContext('2d');
+            ctx.scale(scale, scale);
+            ctx.drawImage(img, 0, 0, image.width, image.height);
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+        };
+        img.onerror = () => reject(new Error('The exported SVG could not be loaded'));
+
+        // A data URL (rather than a blob URL) keeps the canvas exportable in Chromium
+        img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(image.svg);
+    });
+}
+
+/**
+ * Export an element as an SVG or PNG image
+ * @param {Element} element - Element to export (must be displayed)
+ * @param {string} format - 'svg' or 'png'
+ * @param {number} scale - Resolution multiplier (PNG only)
+ * @returns {Promise<Blob>} The image
+ */
+function exportElementImage(element, format = 'png', scale = 2) {
+    const image = renderElementToSvg(element);
+
+    if (format === 'svg') {
+        return Promise.resolve(new Blob([image.svg], { type: 'image/svg+xml' }));
+    }
+    return rasterizeSvg(image, scale);
+}
+
+/**
+ * Export a slide as an image, showing it temporarily if it is not the current one
+ * @param {number} index - Slide index
+ * @param {string} format - 'svg' or 'png'
+ * @param {number} scale - Resolution multiplier (PNG only)
+ * @returns {Promise<Blob>} The image
+ */
+function exportSlideImage(index, format = 'png', scale = 2) {
+    const slide = slides[index];
+    const wasActive = slide.classList.contains('active');
+    const hidden = [];
+
+    if (!wasActive) {
+        document.querySelectorAll('.slide.active').forEach(active => {
+            active.classList.remove('active');
+            hidden.push(active);
+        });
+        slide.classList.add('active');
+        redrawFlowchartsIn(slide);
+    }
+
+    try {
+        return exportElementImage(slide, format, scale);
+    } finally {
+        if (!wasActive) {
+            slide.classList.remove('active');
+            hidden.forEach(active => active.classList.add('active'));
+        }
+    }
+}
+
+/**
+ * Redraw the connectors inside an element (their positions depend on the layout)
+ * @param {Element} element - Container
+ */
+function redrawFlowchartsIn(element) {
+    element.querySelectorAll('canvas, svg.connection-svg').forEach(surface => {
+        const connector = flowchartSurfaces.get(surface);
+        if (connector) {
+            connector.resizeCanvas();
+            connector.drawConnections();
+        }
+    });
+}
+
+/**
+ * Save an image to a file
+ * @param {Blob} blob - The image
+ * @param {string} filename - File name without extension
+ */
+function downloadImage(blob, filename) {
+    const extension = blob.type === 'image/svg+xml' ? 'svg' : 'png';
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = `${filename}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Build a file name from a slide's heading
+ * @param {number} index - Slide index
+ * @returns {string} File name without extension
+ */
+function getSlideFilename(index) {
+    const heading = slides[index].querySelector('h1, h2');
+    const title = heading ? heading.textContent.replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, ' ').trim() : '';
+    return t('common.slide', { n: index + 1 }) + (title ? ` - ${title}` : '');
+}
+
+/**
+ * Show the export dialog for the current slide and the flowcharts in it
+ */
+function openExportDialog() {
+    if (document.querySelector('.export-dialog')) return;
+
+    const slide = slides[currentSlide];
+    const flowcharts = Array.from(slide.querySelectorAll('.flowchart'))
+        .filter(flowchart => Array.from(flowchart.children).some(child => flowchartSurfaces.has(child)));
+
+    const dialog = document.createElement('div');
+    dialog.className = 'export-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-label', t('export.dialogLabel'));
+    dialog.innerHTML = `
+        <form class="export-dialog-box">
+            <h3>${t('export.title')}</h3>
+            <label>${t('export.target')}
+                <select name="target">
+                    <option value="slide">${t('export.currentSlide', { n: currentSlide + 1 })}</option>
+                    ${flowcharts.map((flowchart, i) => `<option value="${i}">${t('export.flowchart')}${flowcharts.length > 1 ? ' ' + (i + 1) : ''}</option>`).join('')}
+                </select>
+            </label>
+            <label>${t('export.format')}
+                <select name="format">
+                    <option value="png">${t('export.png')}</option>
+                    <option value="svg">${t('export.svg')}</option>
+                </select>
+            </label>
+            <label>${t('export.scale')}
+                <select name="scale">
+                    ${EXPORT_SCALES.map(scale => `<option value="${scale}"${scale === 2 ? ' selected' : ''}>×${scale}</option>`).join('')}
+                </select>
+            </label>
+            <p class="export-status" aria-live="polite"></p>
+            <div class="export-dialog-actions">
+                <button type="submit" class="nav-btn" data-action="download">${t('export.download')}</button>
+                <button type="button" class="nav-btn" data-action="copy">${t('export.copy')}</button>
+                <button type="button" class="nav-btn export-close-btn" data-action="close">${t('common.close')}</button>
+            </div>
+        </form>`;
+
+    const form = dialog.querySelector('form');
+    const status = dialog.querySelector('.export-status');
+    const copyButton = dialog.querySelector('[data-action="copy"]');
+    copyButton.hidden = !(navigator.clipboard && window.ClipboardItem);
+
+    const close = () => dialog.remove();
+
+    const render = (format) => {
+        const target = form.elements.target.value;
+        const scale = parseFloat(form.elements.scale.value);
+        return target === 'slide'
+            ? exportSlideImage(currentSlide, format, scale)
+            : exportElementImage(flowcharts[parseInt(target)], format, scale);
+    };
+    const filename = () => getSlideFilename(currentSlide) +
+        (form.elements.target.value === 'slide' ? '' : t('export.flowchartSuffix'));
+
+    const run = (task) => {
+        status.textContent = t('export.preparing');
+        // Inside the chain, so errors thrown before the first promise end up in the status too
+        Promise.resolve().then(task).then(message => {
+            status.textContent = message;
+        }).catch(error => {
+            console.error(error);
+            status.textContent = t('export.failed', { message: error.message });
+        });
+    };
+
+    form.elements.format.addEventListener('change', () => {
+        const isSvg = form.elements.format.value === 'svg';
+        form.elements.scale.disabled = isSvg;
+        copyButton.disabled = isSvg;
+    });
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        run(() => render(form.elements.format.value).then(blob => {
+            downloadImage(blob, filename());
+            return t('export.saved');
+        }));
+    });
+
+    dialog.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const action = e.target.closest('button')?.getAttribute('data-action');
+
+        if (e.target === dialog || action === 'close') {
+            close();
+        } else if (action === 'copy') {
+            // Clipboard images must be PNG
+            run(() => navigator.clipboard.write([new ClipboardItem({ 'image/png': render('png') })])
+                .then(() => t('export.copied')));
+        }
+    });
+
+    // Keep arrow keys for the form controls instead of changing slides
+    dialog.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') close();
+    });
+
+    document.body.appendChild(dialog);
+    form.elements.target.focus();
+}
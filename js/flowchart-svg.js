@@ -0,0 +1,538 @@
+'use strict';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Spacing used by the automatic layout and the edge router, in pixels
+const SVG_FLOWCHART_LAYER_GAP = 70;
+const SVG_FLOWCHART_NODE_GAP = 30;
+const SVG_FLOWCHART_EDGE_MARGIN = 12;
+const SVG_FLOWCHART_OBSTACLE_PADDING = 6;
+
+let svgFlowchartCount = 0;
+
+/**
+ * Constructor for SvgFlowchartRenderer
+ * Drop-in alternative to FlowchartConnector that draws edges as SVG: orthogonal
+ * routes that avoid other nodes, labels on the edges and focusable, selectable
+ * edges with text descriptions. Takes the same arguments and definitions as
+ * FlowchartConnector; a <canvas> passed in is replaced by an <svg>.
+ *
+ * With data-layout="auto" on the flowchart container the renderer also positions
+ * the nodes itself: layered top-to-bottom by their edges, ordered to reduce
+ * crossings, and mirrored in RTL documents.
+ *
+ * Layout follows the container's size via ResizeObserver, at most once per frame.
+ *
+ * @param {string|Element} canvasId - ID of the canvas/svg element (or the element itself)
+ * @param {string|HTMLElement} flowchartId - ID of the flowchart container (or the element itself)
+ */
+class SvgFlowchartRenderer extends FlowchartConnector {
+    /**
+     * Replace a canvas with an SVG element
+     * @returns {null} SVG rendering needs no 2D context
+     */
+    createSurface() {
+        if (this.canvas.tagName.toLowerCase() !== 'svg') {
+            const svg = document.createElementNS(SVG_NS, 'svg');
+            svg.setAttribute('class', 'connection-svg');
+            if (this.canvas.id) {
+                svg.id = this.canvas.id;
+            }
+            this.canvas.replaceWith(svg);
+            this.canvas = svg;
+        }
+
+        this.uid = 'svg-flowchart-' + (++svgFlowchartCount);
+        this.canvas.setAttribute('role', 'group');
+        return null;
+    }
+
+    /**
+     * Initialize the renderer - draw and follow container size changes
+     */
+    init() {
+        this.autoLayout = this.flowchart.dataset.layout === 'auto';
+        this.lastWidth = null;
+        this.frameRequest = null;
+
+        if (this.autoLayout) {
+            this.flowchart.classList.add('svg-flowchart-auto');
+        }
+
+        this.canvas.addEventListener('click', (e) => {
+            const edge = e.target.closest('.flowchart-edge');
+            if (edge) {
+                e.stopPropagation();
+                this.select(edge);
+            }
+        });
+
+        this.canvas.addEventListener('keydown', (e) => {
+            const edge = e.target.closest('.flowchart-edge');
+            if (edge && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.select(edge);
+            }
+        });
+
+        this.resizeCanvas();
+        this.drawConnections();
+
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.scheduleLayout()).observe(this.flowchart);
+        } else {
+            window.addEventListener('resize', () => this.scheduleLayout());
+        }
+    }
+
+    /**
+     * Re-layout on the next animation frame when the container width changed
+     * Height changes are ignored - the automatic layout sets the height itself.
+     */
+    scheduleLayout() {
+        if (this.frameRequest) return;
+
+        this.frameRequest = requestAnimationFrame(() => {
+            this.frameRequest = null;
+            if (this.flowchart.clientWidth === this.lastWidth) return;
+            this.resizeCanvas();
+            this.drawConnections();
+        });
+    }
+
+    /**
+     * Size the SVG to the flowchart container
+     */
+    resizeCanvas() {
+        const width = this.flowchart.clientWidth;
+        const height = this.flowchart.clientHeight;
+
+        this.canvas.setAttribute('width', width);
+        this.canvas.setAttribute('height', height);
+        this.canvas.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    }
+
+    /**
+     * Check whether the document (or the flowchart) is right-to-left
+     * @returns {boolean} True in RTL
+     */
+    isRightToLeft() {
+        return getComputedStyle(this.flowchart).direction === 'rtl';
+    }
+
+    /**
+     * Collect the node IDs in the flowchart, in document order
+     * @param {Array<Object>} edges - Edges to draw
+     * @returns {Array<string>} Node IDs
+     */
+    getNodeIds(edges) {
+        const ids = Array.from(this.flowchart.querySelectorAll('[data-node]')).map(element => element.dataset.node);
+        edges.forEach(edge => {
+            [edge.from, edge.to].forEach(id => {
+                if (!ids.includes(id) && this.findNode(id)) {
+                    ids.push(id);
+                }
+            });
+        });
+        return ids;
+    }
+
+    /**
+     * Assign each node to a layer (longest path from a root), ignoring edges that close a cycle
+     * @param {Array<string>} nodeIds - Node IDs
+     * @param {Array<Object>} edges - Edges between existing nodes
+     * @returns {Map<string, number>} Layer index per node
+     */
+    computeLayers(nodeIds, edges) {
+        const outgoing = new Map(nodeIds.map(id => [id, []]));
+        edges.forEach(edge => outgoing.get(edge.from).push(edge.to));
+
+        // Depth-first search gives a topological order of the forward edges
+        const state = new Map();
+        const order = [];
+        const backEdges = new Set();
+        const visit = (id) => {
+            state.set(id, 'active');
+            outgoing.get(id).forEach(next => {
+                if (state.get(next) === 'active') {
+                    backEdges.add(id + '\u0000' + next);
+                } else if (!state.has(next)) {
+                    visit(next);
+                }
+            });
+            state.set(id, 'done');
+            order.unshift(id);
+        };
+
+        const hasIncoming = new Set(edges.map(edge => edge.to));
+        nodeIds.filter(id => !hasIncoming.has(id)).forEach(id => !state.has(id) && visit(id));
+        nodeIds.forEach(id => !state.has(id) && visit(id));
+
+        const layers = new Map(nodeIds.map(id => [id, 0]));
+        order.forEach(id => {
+            outgoing.get(id).forEach(next => {
+                if (!backEdges.has(id + '\u0000' + next)) {
+                    layers.set(next, Math.max(layers.get(next), layers.get(id) + 1));
+                }
+            });
+        });
+
+        return layers;
+    }
+
+    /**
+     * Position the nodes in layers (automatic layout mode)
+     * @param {Array<Object>} edges - Edges between existing nodes
+     * @returns {Map<string, Object>} Node rectangles relative to the container
+     */
+    layoutNodes(edges) {
+        const nodeIds = this.getNodeIds(edges);
+        const layers = this.computeLayers(nodeIds, edges);
+        const containerWidth = this.flowchart.clientWidth;
+        const rtl = this.isRightToLeft();
+
+        // Group nodes per layer, keeping document order as the starting order
+        const rows = [];
+        nodeIds.forEach(id => {
+            const layer = layers.get(id);
+            (rows[layer] = rows[layer] || []).push(id);
+        });
+
+        const parents = new Map(nodeIds.map(id => [id, []]));
+        edges.forEach(edge => {
+            if (layers.get(edge.from) < layers.get(edge.to)) {
+                parents.get(edge.to).push(edge.from);
+            }
+        });
+
+        const sizes = new Map(nodeIds.map(id => {
+            const element = this.findNode(id);
+            return [id, { width: element.offsetWidth, height: element.offsetHeight }];
+        }));
+
+        const rects = new Map();
+        let top = 0;
+
+        rows.forEach(row => {
+            if (!row) return;
+
+            // Order by the average position of the parents to reduce crossings
+            const centerOf = id => {
+                const parentRects = parents.get(id).map(parent => rects.get(parent)).filter(Boolean);
+                if (!parentRects.length) return null;
+                return parentRects.reduce((sum, rect) => sum + rect.logicalX + rect.width / 2, 0) / parentRects.length;
+            };
+            const desired = new Map(row.map(id => [id, centerOf(id)]));
+            row.sort((a, b) => (desired.get(a) ?? Infinity) - (desired.get(b) ?? Infinity));
+
+            // Place centered, then pull each node towards its parents without overlapping
+            const rowWidth = row.reduce((sum, id) => sum + sizes.get(id).width, 0) + SVG_FLOWCHART_NODE_GAP * (row.length - 1);
+            let cursor = Math.max(0, (containerWidth - rowWidth) / 2);
+            const rowHeight = Math.max(...row.map(id => sizes.get(id).height));
+
+            let remaining = rowWidth;
+
+            row.forEach(id => {
+                const size = sizes.get(id);
+                const wanted = desired.get(id) !== null ? desired.get(id) - size.width / 2 : cursor;
+                // Leave room for the rest of the row on the far side
+                const logicalX = Math.max(cursor, Math.min(wanted, containerWidth - remaining));
+                remaining -= size.width + SVG_FLOWCHART_NODE_GAP;
+                rects.set(id, {
+                    logicalX: logicalX,
+                    left: rtl ? containerWidth - logicalX - size.width : logicalX,
+                    top: top + (rowHeight - size.height) / 2,
+                    width: size.width,
+                    height: size.height
+                });
+                cursor = logicalX + size.width + SVG_FLOWCHART_NODE_GAP;
+            });
+
+            // Shift the whole row so that on average it sits under the parents
+            const placed = row.filter(id => desired.get(id) !== null);
+            if (placed.length) {
+                const offset = placed.reduce((sum, id) => sum + desired.get(id) - rects.get(id).logicalX - rects.get(id).width / 2, 0) / placed.length;
+                const first = rects.get(row[0]), last = rects.get(row[row.length - 1]);
+                const shift = Math.max(-first.logicalX, Math.min(offset, containerWidth - last.logicalX - last.width));
+                row.forEach(id => {
+                    const rect = rects.get(id);
+                    rect.logicalX += shift;
+                    rect.left = rtl ? containerWidth - rect.logicalX - rect.width : rect.logicalX;
+                });
+            }
+
+            top += rowHeight + SVG_FLOWCHART_LAYER_GAP;
+        });
+
+        rects.forEach((rect, id) => {
+            const element = this.findNode(id);
+            element.style.left = rect.left + 'px';
+            element.style.top = rect.top + 'px';
+        });
+
+        this.flowchart.style.height = Math.max(0, top - SVG_FLOWCHART_LAYER_GAP) + 'px';
+        return rects;
+    }
+
+    /**
+     * Measure node rectangles relative to the container (manual layout mode)
+     * @param {Array<Object>} edges - Edges between existing nodes
+     * @returns {Map<string, Object>} Node rectangles
+     */
+    measureNodes(edges) {
+        const flowchartRect = this.flowchart.getBoundingClientRect();
+        const rects = new Map();
+
+        this.getNodeIds(edges).forEach(id => {
+            const rect = this.findNode(id).getBoundingClientRect();
+            rects.set(id, {
+                left: rect.left - flowchartRect.left,
+                top: rect.top - flowchartRect.top,
+                width: rect.width,
+                height: rect.height
+            });
+        });
+
+        return rects;
+    }
+
+    /**
+     * Check whether an axis-aligned segment crosses any obstacle
+     * @param {Object} a - Start point {x, y}
+     * @param {Object} b - End point {x, y}
+     * @param {Array<Object>} obstacles - Rectangles to avoid
+     * @returns {boolean} True if the segment is clear
+     */
+    isSegmentClear(a, b, obstacles) {
+        const pad = SVG_FLOWCHART_OBSTACLE_PADDING;
+        const minX = Math.min(a.x, b.x), maxX = Math.max(a.x, b.x);
+        const minY = Math.min(a.y, b.y), maxY = Math.max(a.y, b.y);
+
+        return obstacles.every(rect =>
+            maxX < rect.left - pad || minX > rect.left + rect.width + pad ||
+            maxY < rect.top - pad || minY > rect.top + rect.height + pad);
+    }
+
+    /**
+     * Check whether every segment of a route is clear
+     * @param {Array<Object>} points - Route points
+     * @param {Array<Object>} obstacles - Rectangles to avoid
+     * @returns {boolean} True if the route is clear
+     */
+    isRouteClear(points, obstacles) {
+        return points.slice(1).every((point, i) => this.isSegmentClear(points[i], point, obstacles));
+    }
+
+    /**
+     * Find an orthogonal route from the bottom of one node to the top of another
+     * @param {Object} from - Source rectangle
+     * @param {Object} to - Target rectangle
+     * @param {Array<Object>} obstacles - Other node rectangles
+     * @returns {Array<Object>} Route points
+     */
+    routeEdge(from, to, obstacles) {
+        const margin = SVG_FLOWCHART_EDGE_MARGIN;
+        const sx = from.left + from.width / 2, sy = from.top + from.height;
+        const tx = to.left + to.width / 2, ty = to.top;
+        const elbow = y => [{ x: sx, y: sy }, { x: sx, y: y }, { x: tx, y: y }, { x: tx, y: ty }];
+
+        if (ty - sy >= margin * 2) {
+            // Simple elbow through a free horizontal channel between the two nodes
+            const channels = [(sy + ty) / 2, sy + margin, ty - margin];
+            for (const y of channels) {
+                const route = elbow(y);
+                if (this.isRouteClear(route, obstacles)) return route;
+            }
+
+            // Otherwise go down a vertical lane that passes between the nodes in the way
+            const y1 = sy + margin, y2 = ty - margin;
+            const blocking = obstacles.filter(rect => rect.top < y2 && rect.top + rect.height > y1);
+            const lanes = [sx, tx];
+            blocking.forEach(rect => {
+                lanes.push(rect.left - margin, rect.left + rect.width + margin);
+            });
+            lanes.sort((a, b) => Math.abs(a - (sx + tx) / 2) - Math.abs(b - (sx + tx) / 2));
+
+            for (const lane of lanes) {
+                const route = [{ x: sx, y: sy }, { x: sx, y: y1 }, { x: lane, y: y1 }, { x: lane, y: y2 }, { x: tx, y: y2 }, { x: tx, y: ty }];
+                if (this.isRouteClear(route, obstacles)) return route;
+            }
+
+            return elbow((sy + ty) / 2);
+        }
+
+        // Target is not below the source - loop around the outside of the chart
+        const all = obstacles.concat([from, to]);
+        const rightmost = Math.max(...all.map(rect => rect.left + rect.width));
+        const leftmost = Math.min(...all.map(rect => rect.left));
+        const sideX = (this.isRightToLeft() ? leftmost - margin * 2 : rightmost + margin * 2);
+
+        return [
+            { x: sx, y: sy }, { x: sx, y: sy + margin }, { x: sideX, y: sy + margin },
+            { x: sideX, y: ty - margin }, { x: tx, y: ty - margin }, { x: tx, y: ty }
+        ];
+    }
+
+    /**
+     * Pick where to put an edge label - the middle of the last vertical segment if it is long enough
+     * @param {Array<Object>} points - Route points
+     * @returns {Object} Label center {x, y}
+     */
+    getLabelPosition(points) {
+        const last = points[points.length - 1], beforeLast = points[points.length - 2];
+        if (last.y - beforeLast.y >= 24) {
+            return { x: last.x, y: (last.y + beforeLast.y) / 2 };
+        }
+
+        let best = { length: -1 };
+        points.slice(1).forEach((point, i) => {
+            const length = Math.abs(point.x - points[i].x) + Math.abs(point.y - points[i].y);
+            if (length > best.length) {
+                best = { length: length, x: (point.x + points[i].x) / 2, y: (point.y + points[i].y) / 2 };
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Create an SVG element with attributes
+     * @param {string} tag - Element name
+     * @param {Object} attributes - Attribute values
+     * @returns {SVGElement} The new element
+     */
+    createSvgElement(tag, attributes = {}) {
+        const element = document.createElementNS(SVG_NS, tag);
+        Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+        return element;
+    }
+
+    /**
+     * Get (or create) the arrow head marker for a color
+     * @param {SVGElement} defs - The SVG defs element
+     * @param {string} color - Resolved color
+     * @returns {string} Marker ID
+     */
+    getMarker(defs, color) {
+        this.markers = this.markers || new Map();
+        if (!this.markers.has(color)) {
+            const id = `${this.uid}-arrow-${this.markers.size}`;
+            const marker = this.createSvgElement('marker', {
+                id: id, viewBox: '0 0 10 10', refX: 9, refY: 5,
+                markerWidth: this.arrowSize, markerHeight: this.arrowSize,
+                markerUnits: 'userSpaceOnUse', orient: 'auto'
+            });
+            marker.appendChild(this.createSvgElement('path', { d: 'M0,0 L10,5 L0,10 z', fill: color }));
+            defs.appendChild(marker);
+            this.markers.set(color, id);
+        }
+        return this.markers.get(color);
+    }
+
+    /**
+     * Lay out (if automatic) and draw every edge
+     */
+    drawConnections() {
+        this.reportErrors();
+        this.lastWidth = this.flowchart.clientWidth;
+        this.markers = new Map();
+        this.canvas.replaceChildren();
+
+        // Nothing can be measured while the flowchart is hidden
+        if (!this.lastWidth) return;
+
+        const edges = this.getEdges().filter(edge => this.findNode(edge.from) && this.findNode(edge.to));
+        const rects = this.autoLayout ? this.layoutNodes(edges) : this.measureNodes(edges);
+        if (this.autoLayout) {
+            this.resizeCanvas();
+        }
+
+        const defs = this.createSvgElement('defs');
+        this.canvas.appendChild(defs);
+
+        edges.forEach(edge => {
+            const color = this.resolveColor(edge.color || FLOWCHART_LABEL_COLORS[edge.label] || this.lineColor);
+            const dash = FLOWCHART_LINE_DASHES[edge.style] || FLOWCHART_LINE_DASHES.solid;
+            const obstacles = Array.from(rects.keys())
+                .filter(id => id !== edge.from && id !== edge.to)
+                .map(id => rects.get(id));
+            const points = this.routeEdge(rects.get(edge.from), rects.get(edge.to), obstacles)
+                .filter((point, i, all) => i === 0 || point.x !== all[i - 1].x || point.y !== all[i - 1].y);
+
+            const description = this.describeEdge(edge);
+
+            const group = this.createSvgElement('g', {
+                class: 'flowchart-edge', tabindex: 0, role: 'img', 'aria-label': description,
+                'data-from': edge.from, 'data-to': edge.to
+            });
+            group.appendChild(this.createSvgElement('title')).textContent = description;
+            group.appendChild(this.createSvgElement('path', {
+                d: 'M' + points.map(p => `${p.x},${p.y}`).join(' L'),
+                fill: 'none', stroke: color, 'stroke-width': this.lineWidth,
+                'stroke-linejoin': 'round', 'stroke-linecap': 'round',
+                'stroke-dasharray': dash.join(' ') || 'none',
+                'marker-end': `url(#${this.getMarker(defs, color)})`
+            }));
+
+            this.canvas.appendChild(group);
+
+            if (edge.label) {
+                const position = this.getLabelPosition(points);
+                const label = group.appendChild(this.createSvgElement('g', { class: 'flowchart-edge-label' }));
+                const text = label.appendChild(this.createSvgElement('text', {
+                    x: position.x, y: position.y, fill: '#ffffff', 'text-anchor': 'middle', 'dominant-baseline': 'central',
+                    'font-weight': 'bold', 'font-size': 13, 'font-family': getComputedStyle(document.body).fontFamily
+                }));
+                text.textContent = edge.label;
+
+                // Size the background to the rendered text (it is in the document by now)
+                const width = text.getBBox().width + 16;
+                label.insertBefore(this.createSvgElement('rect', {
+                    x: position.x - width / 2, y: position.y - 11, width: width, height: 22, rx: 11, fill: color
+                }), text);
+            }
+        });
+
+        this.updateDescription(edges);
+    }
+
+    /**
+     * Copy the drawn connections (for image export, previews and printing)
+     * The copy gets its own marker IDs so it can sit in the same document as the original.
+     * @returns {SVGSVGElement} Copy of the SVG
+     */
+    toSvgElement() {
+        const svg = this.canvas.cloneNode(true);
+        const copyId = `${this.uid}-copy-${++svgFlowchartCount}`;
+        svg.removeAttribute('id');
+        svg.querySelectorAll('.selected').forEach(element => element.classList.remove('selected'));
+        svg.querySelectorAll('marker').forEach(marker => {
+            const id = marker.id.replace(this.uid, copyId);
+            svg.querySelectorAll(`[marker-end="url(#${marker.id})"]`).forEach(path => path.setAttribute('marker-end', `url(#${id})`));
+            marker.id = id;
+        });
+        return svg;
+    }
+
+    /**
+     * Toggle selection of an edge and highlight its nodes
+     * @param {SVGElement} edgeElement - The edge group
+     */
+    select(edgeElement) {
+        const wasSelected = edgeElement.classList.contains('selected');
+
+        this.canvas.querySelectorAll('.flowchart-edge.selected').forEach(element => element.classList.remove('selected'));
+        this.flowchart.querySelectorAll('.flowchart-node-selected').forEach(element => element.classList.remove('flowchart-node-selected'));
+        if (wasSelected) return;
+
+        edgeElement.classList.add('selected');
+        const from = edgeElement.getAttribute('data-from');
+        const to = edgeElement.getAttribute('data-to');
+        [from, to].forEach(id => this.findNode(id).classList.add('flowchart-node-selected'));
+
+        this.flowchart.dispatchEvent(new CustomEvent('flowchart-select', {
+            bubbles: true,
+            detail: { from: from, to: to }
+        }));
+    }
+}
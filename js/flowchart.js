@@ -1,27 +1,203 @@
 'use strict';
 
+// Default edge colors for the standard answer labels, in each language of the deck
+const FLOWCHART_LABEL_COLORS = {
+    'כן': 'var(--category-gradient-start)',
+    'לא': 'var(--category-error-start)',
+    'ספק': '#ed8936',
+    'Yes': 'var(--category-gradient-start)',
+    'No': 'var(--category-error-start)',
+    'Unsure': '#ed8936'
+};
+
+// Line dash patterns for edge styles
+const FLOWCHART_LINE_DASHES = {
+    solid: [],
+    dashed: [10, 6],
+    dotted: [2, 6]
+};
+
+// Connector drawing on each canvas, used to find a chart's edges when exporting it
+const flowchartSurfaces = new WeakMap();
+
+/**
+ * Resolve CSS variables in a color to the current theme value
+ * @param {string} color - Color, possibly var(--name) or var(--name, fallback)
+ * @returns {string} Resolved color
+ */
+function resolveThemeColor(color) {
+    const styles = getComputedStyle(document.documentElement);
+
+    return color.replace(/var\((--[\w-]+)\s*(?:,\s*([^)]+))?\)/g, (match, varName, fallback) =>
+        styles.getPropertyValue(varName).trim() || (fallback || '').trim());
+}
+
 /**
  * Constructor for FlowchartConnector
- * Handles drawing connections between flowchart elements on canvas
- * @param {string} canvasId - ID of the canvas element
- * @param {string} flowchartId - ID of the flowchart container
- * @param {string} connectionType - Type of connections to draw (default, hachzarah, etc.)
+ * Handles drawing connections between flowchart elements on canvas.
+ *
+ * Edges are read from the flowchart container, in either (or both) of two forms:
+ * - A JSON block: <script type="application/json" class="flowchart-definition">
+ *   { "edges": [{ "from": "q1", "to": "q1-yes", "label": "כן", "color": "...", "style": "dashed" }] }
+ *   </script>
+ * - Attributes on the target node: data-from="q1" data-edge-label="כן" data-edge-color="..." data-edge-style="dotted"
+ *   (data-from may list several space-separated sources)
+ * Nodes are matched by data-node inside the flowchart first, then by document ID.
+ * A flowchart that declares no edges draws nothing until setConnections() is called.
+ *
+ * @param {string|HTMLCanvasElement} canvasId - ID of the canvas element (or the element itself)
+ * @param {string|HTMLElement} flowchartId - ID of the flowchart container (or the element itself)
  */
 class FlowchartConnector {
-    constructor(canvasId, flowchartId, connectionType = 'default') {
-        this.canvas = document.getElementById(canvasId);
+    constructor(canvasId, flowchartId) {
+        this.canvas = typeof canvasId === 'string' ? document.getElementById(canvasId) : canvasId;
         if (!this.canvas) return;
 
-        this.ctx = this.canvas.getContext('2d');
-        this.flowchart = document.getElementById(flowchartId);
-        this.connectionType = connectionType;
+        this.flowchart = typeof flowchartId === 'string' ? document.getElementById(flowchartId) : flowchartId;
+        this.ctx = this.createSurface();
+        flowchartSurfaces.set(this.canvas, this);
+        this.connections = this.readDefinition(); // null when the flowchart declares no edges
+        this.reportedErrors = new Set();
 
-        // Color and style settings - reading actual value from CSS
-        this.lineColor = getComputedStyle(document.documentElement).getPropertyValue('--primary-color').trim();
+        // Color and style settings - colors are resolved from CSS each time they are drawn
+        this.lineColor = 'var(--primary-color)';
         this.lineWidth = 3;
         this.arrowSize = 8;
 
         this.init();
+
+        // Redraw in the new colors; hidden charts are redrawn when their slide is shown
+        document.addEventListener('theme-change', () => {
+            if (this.flowchart.getClientRects().length) {
+                this.drawConnections();
+            }
+        });
+    }
+
+    /**
+     * Prepare the drawing surface
+     * @returns {CanvasRenderingContext2D} 2D context of the canvas
+     */
+    createSurface() {
+        this.canvas.setAttribute('role', 'img');
+        return this.canvas.getContext('2d');
+    }
+
+    /**
+     * Read the edges declared in the flowchart's JSON block and data-* attributes
+     * @returns {Array<Object>|null} Edge list, or null if nothing is declared
+     */
+    readDefinition() {
+        const edges = [];
+
+        const definitionBlock = this.flowchart.querySelector('script.flowchart-definition');
+        if (definitionBlock) {
+            try {
+                const definition = JSON.parse(definitionBlock.textContent);
+                edges.push(...(definition.edges || []));
+            } catch (e) {
+                console.error(`FlowchartConnector: invalid JSON definition in flowchart "${this.flowchart.id}": ${e.message}`);
+            }
+        }
+
+        this.flowchart.querySelectorAll('[data-from]').forEach(node => {
+            const to = node.dataset.node || node.id;
+            node.dataset.from.split(/\s+/).filter(Boolean).forEach(from => {
+                edges.push({
+                    from: from,
+                    to: to,
+                    label: node.dataset.edgeLabel,
+                    color: node.dataset.edgeColor,
+                    style: node.dataset.edgeStyle
+                });
+            });
+        });
+
+        return edges.length ? edges : null;
+    }
+
+    /**
+     * Get the edges to draw
+     * @returns {Array<Object>} Declared or custom edges
+     */
+    getEdges() {
+        return this.connections || [];
+    }
+
+    /**
+     * Find a flowchart node
+     * @param {string} nodeId - Value of the node's data-node attribute or its ID
+     * @returns {HTMLElement|null} The node element
+     */
+    findNode(nodeId) {
+        const scoped = Array.from(this.flowchart.querySelectorAll('[data-node]'))
+            .find(element => element.dataset.node === nodeId);
+        return scoped || document.getElementById(nodeId);
+    }
+
+    /**
+     * Check that every edge points at existing nodes
+     * @returns {Array<string>} Error messages (empty if the flowchart is valid)
+     */
+    validate() {
+        const errors = [];
+        this.getEdges().forEach(edge => {
+            const missing = [edge.from, edge.to].filter(id => !this.findNode(id));
+            if (missing.length) {
+                errors.push(`edge "${edge.from}" → "${edge.to}" refers to missing node(s): ${missing.join(', ')}`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Log validation errors to the console, once per distinct error
+     */
+    reportErrors() {
+        const newErrors = this.validate().filter(error => !this.reportedErrors.has(error));
+        if (!newErrors.length) return;
+
+        newErrors.forEach(error => this.reportedErrors.add(error));
+        console.error(`FlowchartConnector: flowchart "${this.flowchart.id || '(no id)'}" has ${newErrors.length} broken edge(s):\n  ` +
+            newErrors.join('\n  '));
+    }
+
+    /**
+     * Describe a node for screen readers
+     * @param {string} nodeId - Node ID
+     * @returns {string} The node's text
+     */
+    describeNode(nodeId) {
+        return this.findNode(nodeId).textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Describe an edge for screen readers, e.g. "Is it food? ← Permitted (Yes)"
+     * @param {Object} edge - Edge between two existing nodes
+     * @returns {string} The description
+     */
+    describeEdge(edge) {
+        const params = { from: this.describeNode(edge.from), to: this.describeNode(edge.to), label: edge.label };
+        return t(edge.label ? 'flowchart.edgeLabeled' : 'flowchart.edge', params);
+    }
+
+    /**
+     * Give the drawing surface a text alternative listing the nodes each edge connects.
+     * A chart with nothing drawn is hidden from screen readers.
+     * @param {Array<Object>} edges - Edges between existing nodes
+     */
+    updateDescription(edges) {
+        if (!edges.length) {
+            this.canvas.removeAttribute('aria-label');
+            this.canvas.setAttribute('aria-hidden', 'true');
+            return;
+        }
+
+        this.canvas.removeAttribute('aria-hidden');
+        this.canvas.setAttribute('aria-label', t('flowchart.description', {
+            count: edges.length,
+            edges: edges.map(edge => this.describeEdge(edge)).join('; ')
+        }));
     }
 
     /**
@@ -30,12 +206,7 @@ class FlowchartConnector {
      * @returns {string} Resolved color value
      */
     resolveColor(color) {
-        if (color.startsWith('var(')) {
-            // Extract variable name from var(--name)
-            const varName = color.match(/var\((--[^)]+)\)/)[1];
-            return getComputedStyle(document.documentElement).getPropertyValue(varName).trim();
-        }
-        return color;
+        return resolveThemeColor(color);
     }
 
     /**
@@ -79,7 +250,7 @@ class FlowchartConnector {
      * @returns {Object|null} Object with x,y coordinates or null if element not found
      */
     getElementCenter(elementId) {
-        const element = document.getElementById(elementId);
+        const element = this.findNode(elementId);
         if (!element) return null;
 
         const flowchartRect = this.flowchart.getBoundingClientRect();
@@ -97,7 +268,7 @@ class FlowchartConnector {
      * @returns {Object|null} Object with x,y coordinates or null if element not found
      */
     getElementBottom(elementId) {
-        const element = document.getElementById(elementId);
+        const element = this.findNode(elementId);
         if (!element) return null;
 
         const flowchartRect = this.flowchart.getBoundingClientRect();
@@ -115,7 +286,7 @@ class FlowchartConnector {
      * @returns {Object|null} Object with x,y coordinates or null if element not found
      */
     getElementTop(elementId) {
-        const element = document.getElementById(elementId);
+        const element = this.findNode(elementId);
         if (!element) return null;
 
         const flowchartRect = this.flowchart.getBoundingClientRect();
@@ -134,8 +305,9 @@ class FlowchartConnector {
      * @param {number} toX - Ending X coordinate
      * @param {number} toY - Ending Y coordinate
      * @param {string} color - Arrow color (can be CSS variable)
+     * @param {Array<number>} dash - Line dash pattern (the arrow head is always solid)
      */
-    drawArrow(fromX, fromY, toX, toY, color = this.lineColor) {
+    drawArrow(fromX, fromY, toX, toY, color = this.lineColor, dash = []) {
         // Convert CSS variable color to actual value
         const resolvedColor = this.resolveColor(color);
         this.ctx.strokeStyle = resolvedColor;
@@ -143,10 +315,12 @@ class FlowchartConnector {
         this.ctx.lineWidth = this.lineWidth;
 
         // Draw line
+        this.ctx.setLineDash(dash);
         this.ctx.beginPath();
         this.ctx.moveTo(fromX, fromY);
         this.ctx.lineTo(toX, toY);
         this.ctx.stroke();
+        this.ctx.setLineDash([]);
 
         // Calculate arrow angle
         const angle = Math.atan2(toY - fromY, toX - fromX);
@@ -166,6 +340,60 @@ class FlowchartConnector {
         this.ctx.fill();
     }
 
+    /**
+     * Draw an edge label as a colored pill centered on a point
+     * @param {number} x - Center X coordinate
+     * @param {number} y - Center Y coordinate
+     * @param {string} text - Label text
+     * @param {string} color - Background color (can be CSS variable)
+     */
+    drawLabel(x, y, text, color = this.lineColor) {
+        const fontFamily = getComputedStyle(document.body).fontFamily || 'sans-serif';
+        this.ctx.font = `bold 13px ${fontFamily}`;
+
+        const width = this.ctx.measureText(text).width + 16;
+        const height = 22;
+        const radius = height / 2;
+        const left = x - width / 2;
+        const top = y - height / 2;
+
+        // Rounded pill
+        this.ctx.fillStyle = this.resolveColor(color);
+        this.ctx.beginPath();
+        this.ctx.moveTo(left + radius, top);
+        this.ctx.arcTo(left + width, top, left + width, top + height, radius);
+        this.ctx.arcTo(left + width, top + height, left, top + height, radius);
+        this.ctx.arcTo(left, top + height, left, top, radius);
+        this.ctx.arcTo(left, top, left + width, top, radius);
+        this.ctx.closePath();
+        this.ctx.fill();
+
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(text, x, y);
+    }
+
+    /**
+     * Draw a single edge with its color, style and label
+     * @param {Object} edge - Edge with from, to and optional label, color and style
+     */
+    drawEdge(edge) {
+        const fromPos = this.getElementBottom(edge.from);
+        const toPos = this.getElementTop(edge.to);
+
+        if (!fromPos || !toPos) return;
+
+        const color = edge.color || FLOWCHART_LABEL_COLORS[edge.label] || this.lineColor;
+        const dash = FLOWCHART_LINE_DASHES[edge.style] || FLOWCHART_LINE_DASHES.solid;
+
+        this.drawArrow(fromPos.x, fromPos.y, toPos.x, toPos.y, color, dash);
+
+        if (edge.label) {
+            this.drawLabel((fromPos.x + toPos.x) / 2, (fromPos.y + toPos.y) / 2, edge.label, color);
+        }
+    }
+
     /**
      * Draw connection line between two elements
      * @param {string} fromElementId - ID of the source element
@@ -173,70 +401,110 @@ class FlowchartConnector {
      * @param {string} color - Line color (can be CSS variable)
      */
     drawConnection(fromElementId, toElementId, color = this.lineColor) {
-        const fromPos = this.getElementBottom(fromElementId);
-        const toPos = this.getElementTop(toElementId);
-
-        if (!fromPos || !toPos) return;
+        this.drawEdge({ from: fromElementId, to: toElementId, color: color });
+    }
 
-        this.drawArrow(fromPos.x, fromPos.y, toPos.x, toPos.y, color);
+    /**
+     * Replace the declared connections with a custom list and redraw
+     * @param {Array<Object>} connections - Edges with from, to and optional label, color and style
+     */
+    setConnections(connections) {
+        this.connections = connections;
+        this.resizeCanvas();
+        this.drawConnections();
     }
 
     /**
-     * Draw all connections based on flowchart type
+     * Draw all connections of the flowchart
      */
     drawConnections() {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.reportErrors();
 
-        if (this.connectionType === 'hachzarah') {
-            // Connections for return flowchart (slide 17)
-            const connections = [
-                // Question 1 - cooked completely
-                { from: 'question1c', to: 'q1c-yes', color: 'var(--category-gradient-start)' },
-                { from: 'question1c', to: 'q1c-no', color: 'var(--category-error-start)' },
-
-                // Question 2 - dry or liquid
-                { from: 'question2c', to: 'q2c-yes', color: 'var(--category-gradient-start)' },
-                { from: 'question2c', to: 'q2c-no', color: 'var(--link-color)' },
+        this.getEdges().forEach(edge => {
+            this.drawEdge(edge);
+        });
 
-                // Question 3 - hot and boiling
-                { from: 'question3c', to: 'q3c-yes', color: 'var(--category-gradient-start)' },
-                { from: 'question3c', to: 'q3c-no', color: 'var(--category-error-start)' },
+        this.updateDescription(this.getEdges().filter(edge => this.findNode(edge.from) && this.findNode(edge.to)));
+    }
 
-                // Question 4 - covered fire
-                { from: 'question4c', to: 'q4c-yes', color: 'var(--category-gradient-start)' },
-                { from: 'question4c', to: 'q4c-no', color: 'var(--category-error-start)' },
+    /**
+     * Build the connections as vector SVG (for image export), with theme colors resolved
+     * @returns {SVGSVGElement} SVG element the size of the flowchart
+     */
+    toSvgElement() {
+        const rect = this.flowchart.getBoundingClientRect();
+        const ns = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(ns, 'svg');
+        svg.setAttribute('width', rect.width);
+        svg.setAttribute('height', rect.height);
+        svg.setAttribute('viewBox', `0 0 ${rect.width} ${rect.height}`);
+
+        const add = (tag, attributes, parent = svg) => {
+            const element = document.createElementNS(ns, tag);
+            Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+            return parent.appendChild(element);
+        };
 
-                // Question 5 - intended to return
-                { from: 'question5c', to: 'q5c-yes', color: 'var(--category-gradient-start)' },
-                { from: 'question5c', to: 'q5c-no', color: 'var(--category-error-start)' },
+        this.getEdges().forEach(edge => {
+            const from = this.getElementBottom(edge.from);
+            const to = this.getElementTop(edge.to);
+            if (!from || !to) return;
 
-                // Question 6 - held in hand
-                { from: 'question6c', to: 'q6c-yes', color: 'var(--category-gradient-start)' },
-                { from: 'question6c', to: 'q6c-maybe', color: '#ed8936' }
-            ];
+            const color = this.resolveColor(edge.color || FLOWCHART_LABEL_COLORS[edge.label] || this.lineColor);
+            const dash = FLOWCHART_LINE_DASHES[edge.style] || FLOWCHART_LINE_DASHES.solid;
+            const angle = Math.atan2(to.y - from.y, to.x - from.x);
+            const head = [angle - Math.PI / 6, angle + Math.PI / 6]
+                .map(a => `${to.x - this.arrowSize * Math.cos(a)},${to.y - this.arrowSize * Math.sin(a)}`);
 
-            connections.forEach(conn => {
-                this.drawConnection(conn.from, conn.to, conn.color);
+            add('line', {
+                x1: from.x, y1: from.y, x2: to.x, y2: to.y, stroke: color,
+                'stroke-width': this.lineWidth, 'stroke-linecap': 'round', 'stroke-dasharray': dash.join(' ') || 'none'
             });
-        } else {
-            // Connections between questions and answers (original delay flowchart - slide 13)
-            const connections = [
-                // Question 1 to answers
-                { from: 'question1', to: 'q1-yes', color: 'var(--category-gradient-start)' },
-                { from: 'question1', to: 'q1-no', color: 'var(--category-error-start)' },
-
-                // Question 2 to answers  
-                { from: 'question2', to: 'q2-yes', color: 'var(--category-gradient-start)' },
-                { from: 'question2', to: 'q2-no', color: 'var(--category-error-start)' },
-
-                // Question 3 to answers
-                { from: 'question3', to: 'q3-yes', color: 'var(--category-gradient-start)' },
-                { from: 'question3', to: 'q3-no', color: 'var(--category-error-start)' }
-            ];
-
-            connections.forEach(conn => {
-                this.drawConnection(conn.from, conn.to, conn.color);
-            });
-        }
+            add('polygon', { points: `${to.x},${to.y} ${head.join(' ')}`, fill: color });
+
+            if (edge.label) {
+                const x = (from.x + to.x) / 2, y = (from.y + to.y) / 2;
+                const width = this.ctx.measureText(edge.label).width + 16;
+                add('rect', { x: x - width / 2, y: y - 11, width: width, height: 22, rx: 11, fill: color });
+                add('text', {
+                    x: x, y: y, fill: '#ffffff', 'text-anchor': 'middle', 'dominant-baseline': 'central',
+                    'font-weight': 'bold', 'font-size': 13, 'font-family': getComputedStyle(document.body).fontFamily
+                }).textContent = edge.label;
+            }
+        });
+
+        return svg;
     }
 }
+
+const flowchartConnectors = [];
+
+/**
+ * Create a connector for every element marked with data-flowchart; a canvas is added if missing.
+ * data-renderer="svg" uses SvgFlowchartRenderer instead of the canvas connector.
+ */
+function initializeFlowcharts() {
+    document.querySelectorAll('[data-flowchart]').forEach(flowchart => {
+        let canvas = flowchart.querySelector('canvas');
+        if (!canvas) {
+            canvas = document.createElement('canvas');
+            canvas.className = 'connection-canvas';
+            flowchart.prepend(canvas);
+        }
+
+        const Renderer = flowchart.dataset.renderer === 'svg' ? SvgFlowchartRenderer : FlowchartConnector;
+        flowchartConnectors.push(new Renderer(canvas, flowchart));
+    });
+
+    // Element positions are only known while the slide is displayed
+    // (the SVG renderer follows size changes on its own)
+    document.addEventListener('slide-change', function () {
+        flowchartConnectors.forEach(connector => {
+            if (connector.flowchart.closest('.slide.active') && !(connector instanceof SvgFlowchartRenderer)) {
+                connector.resizeCanvas();
+                connector.drawConnections();
+            }
+        });
+    });
+}
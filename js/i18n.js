@@ -0,0 +1,696 @@
+'use strict';
+
+// ===== Languages and UI Strings =====
+
+// Supported languages - the first is the language the deck is authored in
+const I18N_LANGUAGES = {
+    he: { name: 'עברית', dir: 'rtl' },
+    en: { name: 'English', dir: 'ltr' }
+};
+
+const I18N_DEFAULT_LANGUAGE = 'he';
+
+// UI strings by language. {name} placeholders are filled by t().
+// A string missing from a language falls back to the default language.
+const I18N_STRINGS = {
+    he: {
+        'app.title': 'הלכות בורר בשבת',
+
+        'common.close': 'סגירה',
+        'common.slide': 'שקף {n}',
+        'common.slideRef': '(שקף {n})',
+        'common.question': 'שאלה {n}',
+        'common.source': 'מקור:',
+
+        'nav.overview': '🔲 סקירה',
+        'nav.overviewLabel': 'תצוגת כל השקפים (O)',
+        'nav.toc': '📑 תוכן',
+        'nav.sources': '📚 מקורות',
+        'nav.sourcesLabel': 'מפתח מקורות',
+        'nav.search': '🔍 חיפוש',
+        'nav.searchLabel': 'חיפוש במצגת (/)',
+        'nav.searchTitle': 'חיפוש (/ או Ctrl+K)',
+        'nav.prev': '▶ קודם',
+        'nav.prevLabel': 'שקף קודם',
+        'nav.next': 'הבא ◀',
+        'nav.nextLabel': 'שקף הבא',
+        'nav.fragment': '(שלב {step} מתוך {total})',
+        'nav.mistakes': '🔁 טעויות',
+        'nav.mistakesLabel': 'חזרה על טעויות',
+        'nav.export': '🖼️ ייצוא',
+        'nav.exportLabel': 'ייצוא השקף כתמונה',
+        'nav.print': '🖨️ הדפסה',
+        'nav.printLabel': 'הדפסת דף מסכם או דף עבודה',
+        'nav.presenter': '🎤 מציג',
+        'nav.presenterLabel': 'פתיחת תצוגת מציג בחלון נפרד',
+        'nav.classroom': '🏫 כיתה',
+        'nav.classroomLabel': 'שיעור חי עם התלמידים',
+        'nav.theme': 'ערכת צבעים:',
+        'nav.themeLabel': 'בחירת ערכת צבעים',
+        'nav.themeEditLabel': 'עריכת ערכת צבעים אישית',
+        'nav.modeLabel': 'בחירת מצב תצוגה',
+        'nav.language': 'שפה:',
+        'nav.languageLabel': 'בחירת שפה',
+
+        'theme.blue': 'כחול',
+        'theme.gray': 'אפור',
+        'theme.cyan': 'תכלת',
+        'theme.green': 'ירוק',
+        'theme.lime': 'ירקרק',
+        'theme.red': 'אדום',
+        'theme.rose': 'אדמדם',
+        'mode.light': '☀️ בהיר',
+        'mode.dark': '🌙 כהה',
+        'mode.auto': '🌓 אוטומטי',
+
+        'quiz.showAnswer': 'הצג תשובה',
+        'quiz.hideAnswer': 'הסתר תשובה',
+        'quiz.correctAnswer': 'תשובה נכונה: {letter}',
+        'quiz.sourceSlide': 'מקור: שקף {n}',
+        'quiz.optionLetters': 'אבגדהו',
+        'quiz.finish': 'סיום וצפייה בתוצאות',
+        'quiz.progress': 'נענו {answered} מתוך {total} | ✅ {correct} | ❌ {incorrect} | ⏭️ {skipped}',
+        'quiz.statusIncorrect': 'שגויה',
+        'quiz.statusSkipped': 'דולגה',
+        'quiz.resultsTitle': '📊 תוצאות החזרה',
+        'quiz.score': '{correct} מתוך {total} ({percent}%)',
+        'quiz.columnSection': 'חלק',
+        'quiz.columnCorrect': 'נכונות',
+        'quiz.columnIncorrect': 'שגויות',
+        'quiz.columnSkipped': 'דולגו',
+        'quiz.missedTitle': 'שאלות לחזרה',
+        'quiz.allCorrect': 'כל הכבוד! ענית נכון על כל השאלות 🎉',
+        'quiz.restart': 'התחל מחדש',
+
+        'practice.exit': 'יציאה מהתרגול',
+        'practice.deckTitle': '🎲 תרגול אקראי - {count} שאלות',
+        'practice.title': '🎲 תרגול אקראי',
+        'practice.intro': 'שאלות וסדר תשובות מעורבבים - כדי לתרגל תוכן ולא מיקום.',
+        'practice.count': 'מספר שאלות:',
+        'practice.section': 'נושא:',
+        'practice.allSections': 'כל החלקים',
+        'practice.start': 'התחל תרגול',
+
+        'questionBank.title': '📤 בנק השאלות',
+        'questionBank.intro': 'ייצוא שאלות החזרה ל-Moodle או לגיליון, וייבוא שאלות מקובץ כדי לתרגל אותן כאן.',
+        'questionBank.format': 'פורמט:',
+        'questionBank.export': '⬇ ייצוא',
+        'questionBank.import': '⬆ ייבוא מקובץ',
+        'questionBank.filename': 'שאלות חזרה - הלכות בורר',
+        'questionBank.fileTitle': '{count} שאלות חזרה',
+        'questionBank.exported': '✅ הקובץ נשמר',
+        'questionBank.deckTitle': '📥 {count} שאלות מהקובץ {name}',
+        'questionBank.imported': '✅ יובאו {count} שאלות',
+        'questionBank.skipped': '({count} דולגו - שאלה {number}: {reason})',
+        'questionBank.noQuestions': 'לא נמצאו בקובץ שאלות אמריקאיות.',
+        'questionBank.failed': 'הייבוא נכשל: {message}',
+        'questionBank.csvColumns': 'בקובץ ה-CSV חסרות העמודות question, correct ו-option',
+        'questionBank.invalidXml': 'הקובץ אינו Moodle XML תקין',
+        'questionBank.error.type': 'אינה שאלה אמריקאית',
+        'questionBank.error.text': 'חסר נוסח השאלה',
+        'questionBank.error.options': 'צריך בין 2 ל-{max} תשובות',
+        'questionBank.error.correct': 'צריכה להיות תשובה נכונה אחת בדיוק',
+        'questionBank.error.emptyOption': 'יש תשובה ריקה בין התשובות',
+
+        'progress.resume': 'המשך מהמקום שעצרת',
+        'progress.welcome': '👋 ברוכים השבים!',
+        'progress.summary': 'בפעם הקודמת הגעת לשקף {slide} וענית על {answered} שאלות.',
+        'progress.reset': 'איפוס התקדמות',
+
+        'review.inMinutes': 'בעוד {n} דקות',
+        'review.inHours': 'בעוד {n} שעות',
+        'review.inDays': 'בעוד {n} ימים',
+        'review.deckTitle': '🔁 חזרה על טעויות - {count} שאלות',
+        'review.empty': 'אין כרגע שאלות בתור. שאלות שתטעה בהן יתווספו לכאן אוטומטית.',
+        'review.due': '<strong>{due}</strong> שאלות ממתינות לחזרה עכשיו ({queued} בתור).',
+        'review.queued': '{queued} שאלות בתור. החזרה הבאה {next}.',
+        'review.graduated': ' {n} שאלות כבר נלמדו והוצאו מהתור.',
+        'review.title': '🔁 חזרה על טעויות',
+        'review.start': 'התחל חזרה',
+        'review.settings': 'הגדרות חזרה',
+        'review.box': 'תא {n} (שעות):',
+        'review.graduateAfter': 'תשובות נכונות ברצף לסיום:',
+        'review.save': 'שמור',
+
+        'toc.title': 'תוכן עניינים',
+        'toc.heading': '📑 תוכן עניינים',
+        'toc.close': 'סגירת תוכן העניינים',
+
+        'router.questionLink': 'קישור לשאלה זו',
+        'router.questionLinkLabel': 'קישור לשאלה {n}',
+
+        'search.title': 'חיפוש במצגת',
+        'search.placeholder': 'חיפוש בשקפים, במקורות ובשאלות...',
+        'search.inputLabel': 'חיפוש',
+        'search.count': 'נמצאו {n} תוצאות',
+        'search.none': 'לא נמצאו תוצאות',
+        'search.kind.heading': 'כותרת',
+        'search.kind.question': 'שאלת חזרה',
+        'search.kind.source': 'מקור',
+        'search.kind.text': 'תוכן',
+
+        'citations.filter.all': 'כל המקורות',
+        'citations.filter.peninei': 'לפי פניני הלכה בלבד',
+        'citations.filter.yalkutYosef': 'לפי ילקוט יוסף בלבד',
+        'citations.general': 'כללי',
+        'citations.notice': '📚 מוצג {filter} - {hidden} קטעים לפי מקור אחר מעומעמים.',
+        'citations.showAll': 'הצג הכל',
+        'citations.count': '({n} הפניות)',
+        'citations.summaryCount': '({n} הפניות במצגת)',
+        'citations.title': '📚 מפתח מקורות',
+        'citations.dialogLabel': 'מקורות',
+        'citations.filterLabel': 'הצגת המצגת:',
+        'citations.summaryTitle': '📚 מקורות עיקריים:',
+        'citations.openFull': '🔎 מפתח מקורות מלא',
+
+        'export.dialogLabel': 'ייצוא כתמונה',
+        'export.title': '🖼️ ייצוא כתמונה',
+        'export.target': 'מה לייצא:',
+        'export.currentSlide': 'השקף הנוכחי ({n})',
+        'export.flowchart': 'תרשים זרימה',
+        'export.format': 'פורמט:',
+        'export.png': 'PNG (תמונה)',
+        'export.svg': 'SVG (וקטורי)',
+        'export.scale': 'רזולוציה:',
+        'export.download': '⬇ הורדה',
+        'export.copy': '📋 העתקה',
+        'export.flowchartSuffix': ' - תרשים',
+        'export.preparing': 'מכין תמונה...',
+        'export.failed': 'הייצוא נכשל: {message}',
+        'export.saved': '✅ הקובץ נשמר',
+        'export.copied': '✅ התמונה הועתקה - אפשר להדביק',
+
+        'presenter.label': 'תצוגת מציג',
+        'presenter.elapsed': 'עבר',
+        'presenter.remaining': 'נותר',
+        'presenter.pause': 'השהיית הטיימר',
+        'presenter.resume': 'המשך הטיימר',
+        'presenter.reset': 'איפוס הטיימר',
+        'presenter.duration': 'משך (דקות):',
+        'presenter.next': 'השקף הבא',
+        'presenter.notes': 'הערות למציג',
+        'presenter.answers': 'מפתח תשובות',
+        'presenter.slideQuestions': 'שאלות חזרה על שקף זה',
+        'presenter.end': 'סוף המצגת',
+        'presenter.noNotes': 'אין הערות לשקף זה',
+        'presenter.noQuestions': 'אין שאלות חזרה לשקף זה',
+
+        'classroom.poll': '📊 סקר כיתתי',
+        'classroom.reveal': 'חשיפת התשובה',
+        'classroom.answered': 'ענו {n} מתוך {total} תלמידים',
+        'classroom.closed': 'הסקר נסגר - ענו {n} תלמידים',
+        'classroom.connecting': 'מתחבר...',
+        'classroom.disconnected': 'החיבור נותק - מנסה שוב...',
+        'classroom.rejected': 'מורה אחר כבר מנהל שיעור בקוד הזה',
+        'classroom.students': '{n} תלמידים',
+        'classroom.connected': 'מחובר למורה',
+        'classroom.title': '🏫 שיעור חי',
+        'classroom.dialogLabel': 'שיעור חי',
+        'classroom.role': 'תפקיד:',
+        'classroom.teacher': 'מורה - התלמידים עוקבים אחריי',
+        'classroom.student': 'תלמיד',
+        'classroom.room': 'קוד שיעור:',
+        'classroom.server': 'כתובת השרת:',
+        'classroom.start': 'התחלה',
+        'classroom.reconnect': 'התחברות מחדש',
+        'classroom.leave': 'יציאה מהשיעור',
+        'classroom.joinLink': 'קישור לתלמידים: {link}',
+
+        'print.worksheetTitle': 'דף עבודה - הלכות בורר',
+        'print.name': 'שם:',
+        'print.class': 'כיתה:',
+        'print.date': 'תאריך:',
+        'print.answerKey': 'מפתח תשובות',
+        'print.dialogLabel': 'הדפסה',
+        'print.title': '🖨️ הדפסה',
+        'print.what': 'מה להדפיס:',
+        'print.handout': 'דף מסכם - כל השקפים',
+        'print.worksheet': 'דף עבודה - שאלות החזרה ומפתח תשובות',
+        'print.perPage': 'שקפים בעמוד:',
+        'print.print': 'הדפסה',
+
+        'pwa.update': 'גרסה חדשה של המצגת זמינה',
+        'pwa.updateAction': 'עדכון',
+        'pwa.offlineReady': 'המצגת זמינה כעת גם ללא חיבור לאינטרנט',
+
+        'wizard.permitted': '✅ מותר',
+        'wizard.forbidden': '❌ אסור',
+        'wizard.rabbi': '❓ שאל רב',
+        'wizard.back': '↩ חזרה צעד',
+        'wizard.restart': 'התחל מחדש',
+        'wizard.sources': '📚 המקורות לכל שלב בדרך:',
+
+        'simulator.scenario': 'תרחיש:',
+        'simulator.plate': 'על הצלחת',
+        'simulator.taken': 'מה מוציאים',
+        'simulator.dropHint': 'גררו לכאן את מה שתרצו להוציא, או לחצו עליו',
+        'simulator.takeOut': 'להוציא את {item}',
+        'simulator.putBack': 'להחזיר את {item} לצלחת',
+        'simulator.tool': 'במה?',
+        'simulator.time': 'מתי זה ייאכל?',
+        'simulator.choose': 'בחרו...',
+        'simulator.check': 'בדיקה',
+        'simulator.reset': 'התחל מחדש',
+        'simulator.chooseItems': 'בחרו קודם מה להוציא מהצלחת.',
+        'simulator.chooseTool': 'בחרו במה מוציאים.',
+        'simulator.chooseTime': 'בחרו מתי זה ייאכל.',
+        'simulator.food.pass': 'אוכל מתוך פסולת: הוצאתם את {items} - את מה שרוצים לאכול.',
+        'simulator.food.fail': 'אוכל מתוך פסולת: הוצאתם את {items} - זו ברירת פסולת מתוך אוכל. יש להוציא את {wanted} ולהשאיר את השאר.',
+        'simulator.hand.pass': 'ביד: אין זה כלי המיועד לברירה ({tool}).',
+        'simulator.hand.fail': 'ביד: זה כלי המיועד לברירה ({tool}), ובו אסור לברור גם אוכל מתוך פסולת ולאלתר.',
+        'simulator.now.pass': 'מיד: זו ברירה לאלתר ({time}).',
+        'simulator.now.fail': 'מיד: אין זו ברירה לאלתר ({time}), ולכן היא אסורה.',
+        'simulator.allMet': 'כל שלושת התנאים מתקיימים.',
+        'simulator.missing': 'לא כל התנאים מתקיימים - ואם חסר אפילו תנאי אחד מהשלושה, האיסור הוא מהתורה.',
+        'simulator.notMixed': 'המינים אינם מעורבים זה בזה, ואיסור בורר חל רק על דברים מעורבים.',
+        'simulator.takeAll': 'הוצאתם הכל יחד - לא הפרדתם דבר מדבר, ולכן אין כאן ברירה.',
+
+        'themeEditor.dialogLabel': 'עורך ערכת צבעים',
+        'themeEditor.title': '🎨 ערכת צבעים אישית',
+        'themeEditor.name': 'שם:',
+        'themeEditor.defaultName': 'הערכה שלי',
+        'themeEditor.primary': 'צבע ראשי:',
+        'themeEditor.accent': 'צבע משני:',
+        'themeEditor.contrast': 'בדיקת ניגודיות (WCAG)',
+        'themeEditor.checkPass': '✅ {label} ({mode}): {ratio}:1',
+        'themeEditor.checkFail': '⚠️ {label} ({mode}): {ratio}:1 - נדרש לפחות {min}:1',
+        'themeEditor.check.text': 'טקסט על רקע השקף',
+        'themeEditor.check.muted': 'טקסט משני',
+        'themeEditor.check.button': 'טקסט על כפתורים',
+        'themeEditor.check.accent': 'קווים ומסגרות בצבע הראשי',
+        'themeEditor.check.info': 'טקסט בתיבות מידע',
+        'themeEditor.save': 'שמירה והחלה',
+        'themeEditor.export': '⬇️ ייצוא JSON',
+        'themeEditor.import': '⬆️ ייבוא JSON',
+        'themeEditor.imported': 'הערכה "{name}" נטענה - לחצו שמירה כדי להחיל אותה',
+        'themeEditor.invalid': 'הקובץ אינו ערכת צבעים תקינה: {message}',
+
+        'overview.title': 'כל השקפים',
+        'overview.current': 'השקף הנוכחי',
+        'overview.unanswered': '{n} שאלות ללא מענה',
+
+        'flowchart.description': 'תרשים זרימה, {count} חיבורים: {edges}',
+        'flowchart.edge': '{from} ← {to}',
+        'flowchart.edgeLabeled': '{from} ← {to} ({label})',
+
+        'a11y.slide': 'שקף {n} מתוך {total}',
+        'a11y.fragment': 'שלב {step} מתוך {total}',
+        'a11y.correct': 'תשובה נכונה',
+        'a11y.incorrect': 'תשובה שגויה. התשובה הנכונה: {letter}'
+    },
+
+    en: {
+        'app.title': 'The Laws of Borer on Shabbat',
+
+        'common.close': 'Close',
+        'common.slide': 'Slide {n}',
+        'common.slideRef': '(slide {n})',
+        'common.question': 'Question {n}',
+        'common.source': 'Source:',
+
+        'nav.overview': '🔲 Overview',
+        'nav.overviewLabel': 'Show all slides (O)',
+        'nav.toc': '📑 Contents',
+        'nav.sources': '📚 Sources',
+        'nav.sourcesLabel': 'Source index',
+        'nav.search': '🔍 Search',
+        'nav.searchLabel': 'Search the deck (/)',
+        'nav.searchTitle': 'Search (/ or Ctrl+K)',
+        'nav.prev': '◀ Previous',
+        'nav.prevLabel': 'Previous slide',
+        'nav.next': 'Next ▶',
+        'nav.nextLabel': 'Next slide',
+        'nav.fragment': '(step {step} of {total})',
+        'nav.mistakes': '🔁 Mistakes',
+        'nav.mistakesLabel': 'Review mistakes',
+        'nav.export': '🖼️ Export',
+        'nav.exportLabel': 'Export the slide as an image',
+        'nav.print': '🖨️ Print',
+        'nav.printLabel': 'Print a handout or a worksheet',
+        'nav.presenter': '🎤 Presenter',
+        'nav.presenterLabel': 'Open the presenter view in a new window',
+        'nav.classroom': '🏫 Class',
+        'nav.classroomLabel': 'Live lesson with students',
+        'nav.theme': 'Color theme:',
+        'nav.themeLabel': 'Choose a color theme',
+        'nav.themeEditLabel': 'Edit a custom color theme',
+        'nav.modeLabel': 'Choose display mode',
+        'nav.language': 'Language:',
+        'nav.languageLabel': 'Choose language',
+
+        'theme.blue': 'Blue',
+        'theme.gray': 'Gray',
+        'theme.cyan': 'Cyan',
+        'theme.green': 'Green',
+        'theme.lime': 'Lime',
+        'theme.red': 'Red',
+        'theme.rose': 'Rose',
+        'mode.light': '☀️ Light',
+        'mode.dark': '🌙 Dark',
+        'mode.auto': '🌓 Auto',
+
+        'quiz.showAnswer': 'Show answer',
+        'quiz.hideAnswer': 'Hide answer',
+        'quiz.correctAnswer': 'Correct answer: {letter}',
+        'quiz.sourceSlide': 'Source: slide {n}',
+        'quiz.optionLetters': 'ABCDEF',
+        'quiz.finish': 'Finish and see results',
+        'quiz.progress': 'Answered {answered} of {total} | ✅ {correct} | ❌ {incorrect} | ⏭️ {skipped}',
+        'quiz.statusIncorrect': 'wrong',
+        'quiz.statusSkipped': 'skipped',
+        'quiz.resultsTitle': '📊 Review results',
+        'quiz.score': '{correct} of {total} ({percent}%)',
+        'quiz.columnSection': 'Part',
+        'quiz.columnCorrect': 'Correct',
+        'quiz.columnIncorrect': 'Wrong',
+        'quiz.columnSkipped': 'Skipped',
+        'quiz.missedTitle': 'Questions to review',
+        'quiz.allCorrect': 'Well done! You answered every question correctly 🎉',
+        'quiz.restart': 'Start over',
+
+        'practice.exit': 'Exit practice',
+        'practice.deckTitle': '🎲 Random practice - {count} questions',
+        'practice.title': '🎲 Random practice',
+        'practice.intro': 'Questions and answers are shuffled - to practice the content, not the positions.',
+        'practice.count': 'Number of questions:',
+        'practice.section': 'Topic:',
+        'practice.allSections': 'All parts',
+        'practice.start': 'Start practice',
+
+        'questionBank.title': '📤 Question bank',
+        'questionBank.intro': 'Export the review questions to Moodle or a spreadsheet, and import questions from a file to practice them here.',
+        'questionBank.format': 'Format:',
+        'questionBank.export': '⬇ Export',
+        'questionBank.import': '⬆ Import from file',
+        'questionBank.filename': 'Review questions - the laws of Borer',
+        'questionBank.fileTitle': '{count} review questions',
+        'questionBank.exported': '✅ File saved',
+        'questionBank.deckTitle': '📥 {count} questions from {name}',
+        'questionBank.imported': '✅ Imported {count} questions',
+        'questionBank.skipped': '({count} skipped - question {number}: {reason})',
+        'questionBank.noQuestions': 'No multiple-choice questions were found in the file.',
+        'questionBank.failed': 'Import failed: {message}',
+        'questionBank.csvColumns': 'The CSV file is missing the question, correct and option columns',
+        'questionBank.invalidXml': 'The file is not valid Moodle XML',
+        'questionBank.error.type': 'not a multiple-choice question',
+        'questionBank.error.text': 'the question text is missing',
+        'questionBank.error.options': 'needs 2 to {max} answers',
+        'questionBank.error.correct': 'needs exactly one correct answer',
+        'questionBank.error.emptyOption': 'an answer is empty between the other answers',
+
+        'progress.resume': 'Continue where you left off',
+        'progress.welcome': '👋 Welcome back!',
+        'progress.summary': 'Last time you reached slide {slide} and answered {answered} questions.',
+        'progress.reset': 'Reset progress',
+
+        'review.inMinutes': 'in {n} minutes',
+        'review.inHours': 'in {n} hours',
+        'review.inDays': 'in {n} days',
+        'review.deckTitle': '🔁 Mistake review - {count} questions',
+        'review.empty': 'No questions are queued. Questions you get wrong are added here automatically.',
+        'review.due': '<strong>{due}</strong> questions are due for review now ({queued} queued).',
+        'review.queued': '{queued} questions queued. Next review {next}.',
+        'review.graduated': ' {n} questions were learned and left the queue.',
+        'review.title': '🔁 Mistake review',
+        'review.start': 'Start review',
+        'review.settings': 'Review settings',
+        'review.box': 'Box {n} (hours):',
+        'review.graduateAfter': 'Correct answers in a row to finish:',
+        'review.save': 'Save',
+
+        'toc.title': 'Contents',
+        'toc.heading': '📑 Contents',
+        'toc.close': 'Close the contents',
+
+        'router.questionLink': 'Link to this question',
+        'router.questionLinkLabel': 'Link to question {n}',
+
+        'search.title': 'Search the deck',
+        'search.placeholder': 'Search slides, sources and questions...',
+        'search.inputLabel': 'Search',
+        'search.count': '{n} results',
+        'search.none': 'No results',
+        'search.kind.heading': 'Heading',
+        'search.kind.question': 'Review question',
+        'search.kind.source': 'Source',
+        'search.kind.text': 'Text',
+
+        'citations.filter.all': 'All sources',
+        'citations.filter.peninei': 'Peninei Halakha only',
+        'citations.filter.yalkutYosef': 'Yalkut Yosef only',
+        'citations.general': 'General',
+        'citations.notice': '📚 Showing {filter} - {hidden} passages following another source are dimmed.',
+        'citations.showAll': 'Show all',
+        'citations.count': '({n} references)',
+        'citations.summaryCount': '({n} references in the deck)',
+        'citations.title': '📚 Source index',
+        'citations.dialogLabel': 'Sources',
+        'citations.filterLabel': 'Show the deck:',
+        'citations.summaryTitle': '📚 Main sources:',
+        'citations.openFull': '🔎 Full source index',
+
+        'export.dialogLabel': 'Export as image',
+        'export.title': '🖼️ Export as image',
+        'export.target': 'Export:',
+        'export.currentSlide': 'Current slide ({n})',
+        'export.flowchart': 'Flowchart',
+        'export.format': 'Format:',
+        'export.png': 'PNG (image)',
+        'export.svg': 'SVG (vector)',
+        'export.scale': 'Resolution:',
+        'export.download': '⬇ Download',
+        'export.copy': '📋 Copy',
+        'export.flowchartSuffix': ' - flowchart',
+        'export.preparing': 'Preparing image...',
+        'export.failed': 'Export failed: {message}',
+        'export.saved': '✅ File saved',
+        'export.copied': '✅ Image copied - ready to paste',
+
+        'presenter.label': 'Presenter view',
+        'presenter.elapsed': 'Elapsed',
+        'presenter.remaining': 'Remaining',
+        'presenter.pause': 'Pause the timer',
+        'presenter.resume': 'Resume the timer',
+        'presenter.reset': 'Reset the timer',
+        'presenter.duration': 'Length (minutes):',
+        'presenter.next': 'Next slide',
+        'presenter.notes': 'Speaker notes',
+        'presenter.answers': 'Answer key',
+        'presenter.slideQuestions': 'Review questions on this slide',
+        'presenter.end': 'End of the deck',
+        'presenter.noNotes': 'No notes for this slide',
+        'presenter.noQuestions': 'No review questions for this slide',
+
+        'classroom.poll': '📊 Class poll',
+        'classroom.reveal': 'Reveal the answer',
+        'classroom.answered': '{n} of {total} students answered',
+        'classroom.closed': 'Poll closed - {n} students answered',
+        'classroom.connecting': 'Connecting...',
+        'classroom.disconnected': 'Disconnected - retrying...',
+        'classroom.rejected': 'Another teacher is already running this lesson code',
+        'classroom.students': '{n} students',
+        'classroom.connected': 'Following the teacher',
+        'classroom.title': '🏫 Live lesson',
+        'classroom.dialogLabel': 'Live lesson',
+        'classroom.role': 'Role:',
+        'classroom.teacher': 'Teacher - students follow me',
+        'classroom.student': 'Student',
+        'classroom.room': 'Lesson code:',
+        'classroom.server': 'Server address:',
+        'classroom.start': 'Start',
+        'classroom.reconnect': 'Reconnect',
+        'classroom.leave': 'Leave the lesson',
+        'classroom.joinLink': 'Link for students: {link}',
+
+        'print.worksheetTitle': 'Worksheet - The Laws of Borer',
+        'print.name': 'Name:',
+        'print.class': 'Class:',
+        'print.date': 'Date:',
+        'print.answerKey': 'Answer key',
+        'print.dialogLabel': 'Print',
+        'print.title': '🖨️ Print',
+        'print.what': 'Print:',
+        'print.handout': 'Handout - all slides',
+        'print.worksheet': 'Worksheet - review questions and answer key',
+        'print.perPage': 'Slides per page:',
+        'print.print': 'Print',
+
+        'pwa.update': 'A new version of the deck is available',
+        'pwa.updateAction': 'Update',
+        'pwa.offlineReady': 'The deck now works offline too',
+
+        'wizard.permitted': '✅ Permitted',
+        'wizard.forbidden': '❌ Forbidden',
+        'wizard.rabbi': '❓ Ask a rabbi',
+        'wizard.back': '↩ Back a step',
+        'wizard.restart': 'Start over',
+        'wizard.sources': '📚 Sources for each step:',
+
+        'simulator.scenario': 'Scenario:',
+        'simulator.plate': 'On the plate',
+        'simulator.taken': 'Taken out',
+        'simulator.dropHint': 'Drag here what you want to take out, or click it',
+        'simulator.takeOut': 'Take out {item}',
+        'simulator.putBack': 'Put {item} back on the plate',
+        'simulator.tool': 'With what?',
+        'simulator.time': 'When will it be eaten?',
+        'simulator.choose': 'Choose...',
+        'simulator.check': 'Check',
+        'simulator.reset': 'Start over',
+        'simulator.chooseItems': 'First choose what to take off the plate.',
+        'simulator.chooseTool': 'Choose what to take it out with.',
+        'simulator.chooseTime': 'Choose when it will be eaten.',
+        'simulator.food.pass': 'Food out of waste: you took out {items} - what you want to eat.',
+        'simulator.food.fail': 'Food out of waste: you took out {items} - that is selecting waste out of food. Take out {wanted} and leave the rest.',
+        'simulator.hand.pass': 'By hand: not a utensil meant for selecting ({tool}).',
+        'simulator.hand.fail': 'By hand: a utensil meant for selecting ({tool}), which may not be used even for food out of waste right away.',
+        'simulator.now.pass': 'Right away: this is selecting le\'altar ({time}).',
+        'simulator.now.fail': 'Right away: this is not selecting le\'altar ({time}), so it is forbidden.',
+        'simulator.allMet': 'All three conditions are met.',
+        'simulator.missing': 'Not all the conditions are met - and if even one of the three is missing, the prohibition is from the Torah.',
+        'simulator.notMixed': 'The kinds are not mixed together, and Borer applies only to things that are mixed.',
+        'simulator.takeAll': 'You took everything out together - nothing was separated from anything, so there is no selecting here.',
+
+        'themeEditor.dialogLabel': 'Theme editor',
+        'themeEditor.title': '🎨 Custom color theme',
+        'themeEditor.name': 'Name:',
+        'themeEditor.defaultName': 'My theme',
+        'themeEditor.primary': 'Primary color:',
+        'themeEditor.accent': 'Accent color:',
+        'themeEditor.contrast': 'Contrast check (WCAG)',
+        'themeEditor.checkPass': '✅ {label} ({mode}): {ratio}:1',
+        'themeEditor.checkFail': '⚠️ {label} ({mode}): {ratio}:1 - needs at least {min}:1',
+        'themeEditor.check.text': 'Text on the slide background',
+        'themeEditor.check.muted': 'Secondary text',
+        'themeEditor.check.button': 'Button text',
+        'themeEditor.check.accent': 'Lines and borders in the primary color',
+        'themeEditor.check.info': 'Text in info boxes',
+        'themeEditor.save': 'Save and apply',
+        'themeEditor.export': '⬇️ Export JSON',
+        'themeEditor.import': '⬆️ Import JSON',
+        'themeEditor.imported': 'Theme "{name}" loaded - press Save to apply it',
+        'themeEditor.invalid': 'The file is not a valid color theme: {message}',
+
+        'overview.title': 'All slides',
+        'overview.current': 'current slide',
+        'overview.unanswered': '{n} unanswered questions',
+
+        'flowchart.description': 'Flowchart, {count} connections: {edges}',
+        'flowchart.edge': '{from} → {to}',
+        'flowchart.edgeLabeled': '{from} → {to} ({label})',
+
+        'a11y.slide': 'Slide {n} of {total}',
+        'a11y.fragment': 'Step {step} of {total}',
+        'a11y.correct': 'Correct answer',
+        'a11y.incorrect': 'Wrong answer. The correct answer is {letter}'
+    }
+};
+
+let currentLanguage = I18N_DEFAULT_LANGUAGE;
+
+/**
+ * Get a UI string in the current language
+ * @param {string} key - String key, e.g. 'quiz.showAnswer'
+ * @param {Object} params - Values for {name} placeholders
+ * @param {string} language - Language to use instead of the current one (e.g. for a slide shown untranslated)
+ * @returns {string} The translated string (the key itself if unknown)
+ */
+function t(key, params = {}, language = currentLanguage) {
+    const strings = I18N_STRINGS[language] || {};
+    const text = key in strings ? strings[key] : (I18N_STRINGS[I18N_DEFAULT_LANGUAGE][key] ?? key);
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Get the option letters of a language (א ב ג ד / A B C D)
+ * @param {string} language - Language code, the current language by default
+ * @returns {Array<string>} Letters in order
+ */
+function getOptionLetters(language = currentLanguage) {
+    return Array.from(t('quiz.optionLetters', {}, language));
+}
+
+/**
+ * Convert an option letter saved in any language to the current one (ב -> B),
+ * so stored answers carry over when the language changes
+ * @param {string} letter - Option letter
+ * @returns {string} The letter at the same position in the current language
+ */
+function localizeOptionLetter(letter) {
+    const letters = getOptionLetters();
+    if (!letter || letters.includes(letter)) return letter;
+
+    for (const language of Object.keys(I18N_STRINGS)) {
+        const index = Array.from(I18N_STRINGS[language]['quiz.optionLetters'] || '').indexOf(letter);
+        if (index !== -1) return letters[index];
+    }
+    return letter;
+}
+
+/**
+ * Get the language to show: ?lang= in the URL, then the saved choice, then the default
+ * @returns {string} Language code
+ */
+function getPreferredLanguage() {
+    const requested = new URLSearchParams(location.search).get('lang') || localStorage.getItem('language');
+    return I18N_LANGUAGES[requested] ? requested : I18N_DEFAULT_LANGUAGE;
+}
+
+/**
+ * Translate the static UI marked with data-i18n (text), data-i18n-label (aria-label),
+ * data-i18n-title (title) and data-i18n-placeholder (placeholder)
+ * @param {HTMLElement} root - Element to translate inside
+ */
+function translateElements(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nLabel));
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+}
+
+/**
+ * Show the deck in a language: direction and UI strings.
+ * Runs before the slides are built (see renderDeck).
+ * @param {string} language - Language code
+ */
+function applyLanguage(language) {
+    currentLanguage = I18N_LANGUAGES[language] ? language : I18N_DEFAULT_LANGUAGE;
+    const dir = I18N_LANGUAGES[currentLanguage].dir;
+
+    const root = document.documentElement;
+    root.lang = currentLanguage;
+    root.dir = dir;
+    root.classList.toggle('rtl-mode', dir === 'rtl');
+    root.classList.toggle('ltr-mode', dir === 'ltr');
+
+    translateElements();
+    document.title = t('app.title');
+
+    const select = document.getElementById('language-select');
+    if (select) {
+        select.value = currentLanguage;
+    }
+}
+
+/**
+ * Switch language - saved, and applied by reloading so every module starts from the new content
+ * @param {string} language - Language code
+ */
+function changeLanguage(language) {
+    if (!I18N_LANGUAGES[language] || language === currentLanguage) return;
+
+    localStorage.setItem('language', language);
+
+    // An explicit ?lang= would override the choice after reloading
+    const url = new URL(location.href);
+    url.searchParams.delete('lang');
+    location.replace(url.href);
+}
@@ -24,29 +24,74 @@ function showSlide(n) {
         behavior: 'smooth'
     });
 
-    // Update navigation buttons
-    document.getElementById('prev-btn').disabled = currentSlide === 0;
-    document.getElementById('next-btn').disabled = currentSlide === totalSlides - 1;
+    updateNavigationState();
+
+    // Let other modules react to navigation
+    document.dispatchEvent(new CustomEvent('slide-change', {
+        detail: { index: currentSlide }
+    }));
 }
 
 /**
- * Navigate to the next slide
+ * Navigate to the next slide, revealing the current slide's next fragment first
  */
 function nextSlide() {
-    if (currentSlide < totalSlides - 1) {
+    const slide = slides[currentSlide];
+    const step = getFragmentStep(slide);
+    if (step < getFragments(slide).length) {
+        setFragmentStep(slide, step + 1);
+    } else if (currentSlide < totalSlides - 1) {
         showSlide(currentSlide + 1);
     }
 }
 
 /**
- * Navigate to the previous slide
+ * Navigate to the previous slide, hiding the current slide's last revealed fragment first
  */
 function previousSlide() {
-    if (currentSlide > 0) {
+    const slide = slides[currentSlide];
+    const step = getFragmentStep(slide);
+    if (step > 0) {
+        setFragmentStep(slide, step - 1);
+    } else if (currentSlide > 0) {
+        // Stepping back lands on the end of the previous slide, with all of it revealed
+        const previous = slides[currentSlide - 1];
+        setFragmentStep(previous, getFragments(previous).length);
         showSlide(currentSlide - 1);
     }
 }
 
+/**
+ * Whether nextSlide() has anywhere to go
+ * @returns {boolean} True if there is a hidden fragment or a next slide
+ */
+function hasNextStep() {
+    const slide = slides[currentSlide];
+    return currentSlide < totalSlides - 1 || getFragmentStep(slide) < getFragments(slide).length;
+}
+
+/**
+ * Whether previousSlide() has anywhere to go
+ * @returns {boolean} True if there is a revealed fragment or a previous slide
+ */
+function hasPreviousStep() {
+    return currentSlide > 0 || getFragmentStep(slides[currentSlide]) > 0;
+}
+
+/**
+ * Update the navigation buttons and the fragment progress in the counter
+ */
+function updateNavigationState() {
+    document.getElementById('prev-btn').disabled = !hasPreviousStep();
+    document.getElementById('next-btn').disabled = !hasNextStep();
+
+    const slide = slides[currentSlide];
+    const total = getFragments(slide).length;
+    const progress = document.getElementById('fragment-progress');
+    progress.hidden = !total;
+    progress.textContent = total ? t('nav.fragment', { step: getFragmentStep(slide), total: total }) : '';
+}
+
 /**
  * Navigate to a specific slide number
  * @param {number} slideNumber - Slide number (1-indexed)
@@ -55,10 +100,59 @@ function goToSlide(slideNumber) {
     // slideNumber is 1-indexed (as displayed to user), convert to 0-indexed
     const slideIndex = slideNumber - 1;
     if (slideIndex >= 0 && slideIndex < totalSlides) {
-        showSlide(slideIndex);
+        if (slideRouter) {
+            slideRouter.navigate(slideIndex);
+        } else {
+            showSlide(slideIndex);
+        }
     }
 }
 
+// ===== Fragments =====
+// Blocks marked `fragment: true` in the deck content are rendered with the .fragment
+// class and revealed one at a time by nextSlide() / previousSlide(). The revealed ones
+// carry .visible, so a slide keeps its state when the deck comes back to it.
+
+/**
+ * Get the fragments of a slide in reveal order
+ * @param {HTMLElement} slide - Slide element
+ * @returns {Array<HTMLElement>} The fragments
+ */
+function getFragments(slide) {
+    return Array.from(slide.querySelectorAll('.fragment'));
+}
+
+/**
+ * Get how many fragments of a slide are revealed
+ * @param {HTMLElement} slide - Slide element
+ * @returns {number} Number of revealed fragments
+ */
+function getFragmentStep(slide) {
+    return slide.querySelectorAll('.fragment.visible').length;
+}
+
+/**
+ * Reveal the first fragments of a slide and hide the rest
+ * @param {HTMLElement} slide - Slide element
+ * @param {number} step - Number of fragments to reveal
+ */
+function setFragmentStep(slide, step) {
+    const fragments = getFragments(slide);
+    step = Math.max(0, Math.min(step, fragments.length));
+    if (step === getFragmentStep(slide)) return;
+
+    fragments.forEach((fragment, i) => fragment.classList.toggle('visible', i < step));
+
+    const index = Array.prototype.indexOf.call(slides, slide);
+    if (index === currentSlide) {
+        updateNavigationState();
+    }
+
+    document.dispatchEvent(new CustomEvent('fragment-change', {
+        detail: { index: index, step: step, total: fragments.length }
+    }));
+}
+
 // ===== Touch Events for Mobile =====
 let touchStartX = 0;
 let touchEndX = 0;
@@ -107,8 +201,14 @@ function handleSwipe() {
 // ===== Keyboard Navigation =====
 document.addEventListener('keydown', function (e) {
     if (!slides) return; // Guard against early execution
-    if (e.key === 'ArrowLeft' || e.key === 'ArrowDown') nextSlide();
-    if (e.key === 'ArrowRight' || e.key === 'ArrowUp') previousSlide();
+    // Form controls keep their own keys, and Space still presses a focused button
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+    if (e.key === ' ' && e.target.closest && e.target.closest('button, a')) return;
+    // The arrow pointing the way the text reads goes forward: left in RTL, right in LTR
+    const forwardKey = isRTL ? 'ArrowLeft' : 'ArrowRight';
+    const backKey = isRTL ? 'ArrowRight' : 'ArrowLeft';
+    if (e.key === forwardKey || e.key === 'ArrowDown') nextSlide();
+    if (e.key === backKey || e.key === 'ArrowUp') previousSlide();
     if (e.key === 'Home') showSlide(0);
     if (e.key === 'End') showSlide(totalSlides - 1);
     if (e.key === ' ') {
@@ -171,29 +271,261 @@ document.addEventListener('mousemove', function (e) {
         if (isRTL) {
             // In RTL: left = next (physical right), right = prev (physical left)
             // When mouse is on left - show arrow on left (next)
-            if (mouseX < margin && currentSlide < totalSlides - 1) {
+            if (mouseX < margin && hasNextStep()) {
                 document.body.classList.add('show-nav-next'); // Next arrow is on the left
             }
             // When mouse is on right - show arrow on right (prev)
-            else if (mouseX > containerWidth - margin && currentSlide > 0) {
+            else if (mouseX > containerWidth - margin && hasPreviousStep()) {
                 document.body.classList.add('show-nav-prev'); // Prev arrow is on the right
             }
         } else {
             // In LTR: left = prev, right = next
             // When mouse is on left - show arrow on left (prev)
-            if (mouseX < margin && currentSlide > 0) {
+            if (mouseX < margin && hasPreviousStep()) {
                 document.body.classList.add('show-nav-prev'); // Prev arrow is on the left
             }
             // When mouse is on right - show arrow on right (next)
-            else if (mouseX > containerWidth - margin && currentSlide < totalSlides - 1) {
+            else if (mouseX > containerWidth - margin && hasNextStep()) {
                 document.body.classList.add('show-nav-next'); // Next arrow is on the right
             }
         }
     }
 });
 
+// ===== Deck Rendering =====
+
+// Block renderers by block type (see js/deck-data.js for the fields of each type).
+// Each gets the block and the render context and returns the block's HTML.
+const DECK_BLOCK_RENDERERS = {
+    'source-box': renderBoxBlock,
+    'definition-box': renderBoxBlock,
+    'example-box': renderBoxBlock,
+    'warning-box': renderBoxBlock,
+    'positive-box': renderBoxBlock,
+    'two-columns': (block, context) =>
+        `<div class="two-columns"${styleAttribute(block.style)}>${renderBlocks(block.columns, context)}</div>`,
+    'numbered-list': renderNumberedListBlock,
+    'flowchart': renderFlowchartBlock,
+    'paragraph': block => `<p${styleAttribute(block.style)}>${block.text}</p>`,
+    'list': block => `<ul>${block.items.map(item => `<li>${item}</li>`).join('')}</ul>`,
+    'text': block => block.text,
+    'section-title': block => `<div class="section-title">${block.text}</div>`,
+    'question': renderQuestionBlock,
+    // Filled in by js/toc.js, js/wizard.js and js/simulator.js
+    'toc': (block, context) =>
+        `<nav class="toc-list" id="toc-list" aria-label="${t('toc.title', {}, context.language)}"></nav>`,
+    'wizard': (block, context) => context.language === I18N_DEFAULT_LANGUAGE
+        ? '<div class="borer-wizard" id="borer-wizard"></div>'
+        // The decision graph (js/wizard-data.js) is in Hebrew only
+        : `<div class="borer-wizard" id="borer-wizard" lang="${I18N_DEFAULT_LANGUAGE}" dir="rtl"></div>`,
+    'simulator': () => '<div class="plate-simulator" id="plate-simulator"></div>'
+};
+
+/**
+ * Build a style attribute
+ * @param {string} style - Inline CSS, may be empty
+ * @returns {string} The attribute with a leading space, or an empty string
+ */
+function styleAttribute(style) {
+    return style ? ` style="${style}"` : '';
+}
+
+/**
+ * Render a list of blocks
+ * @param {Array<Object>} blocks - Blocks from the deck content
+ * @param {Object} context - Render context: { language, questionNumber }
+ * @returns {string} HTML
+ */
+function renderBlocks(blocks, context) {
+    return (blocks || []).map(block => {
+        const render = DECK_BLOCK_RENDERERS[block.type];
+        if (!render) {
+            throw new Error(`Deck content has an unknown block type "${block.type}"`);
+        }
+        const html = render(block, context);
+        return block.fragment ? `<div class="fragment">${html}</div>` : html;
+    }).join('');
+}
+
+/**
+ * Render citations as a .source-ref-box ("מקור: A | B").
+ * Citations are Hebrew, so in another language they keep their own direction.
+ * @param {Array<string>} sources - Citations, one per work
+ * @param {string} language - Language of the slide
+ * @param {string} style - Inline CSS for the box
+ * @returns {string} HTML
+ */
+function renderSources(sources, language, style) {
+    const citation = sources.join(' | ');
+    const text = language === I18N_DEFAULT_LANGUAGE ? citation : `<bdi lang="${I18N_DEFAULT_LANGUAGE}">${citation}</bdi>`;
+    return `<div class="source-ref-box"${styleAttribute(style)}><strong>${t('common.source', {}, language)}</strong> ${text}</div>`;
+}
+
+/**
+ * Render a box block (source-box, definition-box, example-box, warning-box, positive-box)
+ * @param {Object} block - The block
+ * @param {Object} context - Render context
+ * @returns {string} HTML
+ */
+function renderBoxBlock(block, context) {
+    const id = block.id ? ` id="${block.id}"` : '';
+    const title = block.title
+        ? `<h3${styleAttribute(block.plainTitle ? 'border: none; margin-top: 0;' : '')}>${block.title}</h3>`
+        : '';
+    const sources = block.sources ? renderSources(block.sources, context.language) : '';
+
+    return `<div class="${block.type}"${id}${styleAttribute(block.style)}>${title}${renderBlocks(block.body, context)}${sources}</div>`;
+}
+
+// Step classes of flowchart nodes by kind
+const FLOWCHART_NODE_CLASSES = {
+    start: 'start-step',
+    question: 'question-step',
+    permitted: 'success-step',
+    forbidden: 'error-step'
+};
+
+/**
+ * Render a flowchart: its nodes in rows, and its edges as the JSON definition that
+ * js/flowchart.js reads and draws. With the automatic layout the SVG renderer places
+ * the nodes itself, so they are rendered without the rows.
+ * @param {Object} block - The block
+ * @returns {string} HTML
+ */
+function renderFlowchartBlock(block) {
+    const id = block.id ? ` id="${block.id}"` : '';
+    const renderer = block.renderer ? ` data-renderer="${block.renderer}"` : '';
+    const layout = block.layout ? ` data-layout="${block.layout}"` : '';
+    const renderNode = node =>
+        `<div class="step ${FLOWCHART_NODE_CLASSES[node.kind] || ''}" data-node="${node.id}">${node.text}</div>`;
+    const nodes = block.layout === 'auto'
+        ? block.rows.flat().map(renderNode).join('')
+        : block.rows.map(row => `<div class="flowchart-row">${row.map(renderNode).join('')}</div>`).join('');
+    // Escaped so that a "<" in a label can't end the script element
+    const definition = JSON.stringify({ edges: block.edges }).replace(/</g, '\\u003c');
+
+    return `<div class="flowchart"${id} data-flowchart${renderer}${layout}${styleAttribute(block.style)}>${nodes}` +
+        `<script type="application/json" class="flowchart-definition">${definition}</script></div>`;
+}
+
+/**
+ * Render a numbered list, each item with its own citations
+ * @param {Object} block - The block
+ * @param {Object} context - Render context
+ * @returns {string} HTML
+ */
+function renderNumberedListBlock(block, context) {
+    const items = block.items.map((item, index) => `
+        <div class="list-item${item.fragment ? ' fragment' : ''}">
+            <span class="number">${index + 1}</span>
+            ${item.text}
+            ${item.sources ? renderSources(item.sources, context.language, 'margin-top: 8px;') : ''}
+        </div>`).join('');
+
+    return `<div class="numbered-list"${styleAttribute(block.style)}>${items}</div>`;
+}
+
+/**
+ * Render a review question. Questions are numbered in slide order; the answer text
+ * and the source line are built from the correct letter and the source slide,
+ * which are also kept on the element for the quiz (data-correct, data-source-slide).
+ * Imported questions (js/question-bank.js) may have no source slide or explanation.
+ * @param {Object} question - The question block
+ * @param {Object} context - Render context
+ * @returns {string} HTML
+ */
+function renderQuestionBlock(question, context) {
+    const { language } = context;
+    const letters = getOptionLetters(language);
+    context.questionNumber++;
+
+    const options = question.options.map((option, index) => `
+        <div class="option">
+            <span class="option-letter">${letters[index]}</span>
+            <span>${option}</span>
+        </div>`).join('');
+    const key = question.key ? ` data-question-key="${question.key}"` : '';
+    const sourceSlide = question.sourceSlide ? ` data-source-slide="${question.sourceSlide}"` : '';
+    const source = question.sourceSlide
+        ? `<div class="source">${t('quiz.sourceSlide', { n: question.sourceSlide }, language)}</div>`
+        : '';
+
+    return `
+        <div class="question" data-correct="${question.correct}"${sourceSlide}${key}>
+            <div class="question-text">${context.questionNumber}. ${question.text}</div>
+            <div class="options">${options}</div>
+            <button class="show-answer-btn" onclick="toggleAnswer(this, event)">${t('quiz.showAnswer', {}, language)}</button>
+            <div class="answer-box">
+                <strong>${t('quiz.correctAnswer', { letter: question.correct }, language)}</strong><br>
+                ${question.explanation || ''}
+                ${source}
+            </div>
+        </div>`;
+}
+
+/**
+ * Build the element of a slide in a language, falling back to Hebrew
+ * @param {Object} slide - Slide from the deck content
+ * @param {string} language - Language code
+ * @returns {HTMLElement} The `.slide` element
+ */
+function renderSlide(slide, language) {
+    const slideLanguage = slide[language] ? language : I18N_DEFAULT_LANGUAGE;
+    const content = slide[slideLanguage];
+    const context = { language: slideLanguage, questionNumber: 0 };
+
+    const element = document.createElement('div');
+    element.className = 'slide';
+    element.classList.toggle('title-slide', slide.layout === 'title');
+    element.dataset.slug = slide.slug;
+    if (slide.tocHidden) element.dataset.tocHidden = '';
+    if (content.tocGroup) element.dataset.tocGroup = content.tocGroup;
+    if (content.tocTitle) element.dataset.tocTitle = content.tocTitle;
+
+    // An untranslated slide keeps the direction of its own text
+    if (slideLanguage !== language) {
+        element.lang = slideLanguage;
+        element.dir = I18N_LANGUAGES[slideLanguage].dir;
+    }
+
+    let html;
+    if (slide.layout === 'title') {
+        html = `<h1>${content.title}</h1>
+            <div class="subtitle">${(content.subtitle || []).map(line => `<p>${line}</p>`).join('')}</div>`;
+    } else if (slide.layout === 'quiz') {
+        html = `<div class="container"><h1>${content.title}</h1>${renderBlocks(content.blocks, context)}</div>`;
+    } else {
+        html = `<h2>${content.title}</h2><div class="content">${renderBlocks(content.blocks, context)}</div>`;
+    }
+
+    if (content.notes) {
+        html += `<aside class="speaker-notes"><ul>${content.notes.map(note => `<li>${note}</li>`).join('')}</ul></aside>`;
+    }
+
+    element.innerHTML = html;
+    return element;
+}
+
+/**
+ * Build the slides from the deck content, ahead of the navigation in the container
+ * @param {Object} deck - Deck content (DECK_CONTENT)
+ * @param {string} language - Language code
+ */
+function renderDeck(deck, language) {
+    const fragment = document.createDocumentFragment();
+    deck.slides.forEach(slide => fragment.appendChild(renderSlide(slide, language)));
+
+    // The first slide shows until the router picks the slide to open
+    fragment.firstElementChild?.classList.add('active');
+    document.getElementById('slideshow-container').prepend(fragment);
+}
+
 // ===== Initialization =====
 function initializeApp() {
+    // Language first - it sets the direction the slides are then built in
+    applyLanguage(getPreferredLanguage());
+    renderDeck(DECK_CONTENT, currentLanguage);
+
     // Initialize variables
     slides = document.querySelectorAll('.slide');
     totalSlides = slides.length;
@@ -215,14 +547,40 @@ function initializeApp() {
     const savedMode = localStorage.getItem('mode') || 'light';
 
     document.documentElement.setAttribute('data-theme', savedTheme);
-    document.documentElement.setAttribute('data-mode', savedMode);
+    applyMode(savedMode);
 
     // Update active selectors
     document.getElementById('theme-select').value = savedTheme;
-    document.querySelector(`.mode-btn[data-mode="${savedMode}"]`)?.classList.add('active');
+    updateModeButtons(savedMode);
+
+    // Auto mode follows the system setting while the deck is open
+    darkSchemeQuery?.addEventListener('change', function () {
+        if ((localStorage.getItem('mode') || 'light') === 'auto') {
+            applyMode('auto');
+        }
+    });
 
     // Initialize quiz functionality and show first slide
+    initializeQuiz();
+    initializePractice();
+    initializeQuestionBank();
+    initializeReviewQueue();
+    initializeFlowcharts();
+    initializeWizard();
+    initializeSimulator();
+    initializeThemeBuilder();
     showSlide(0);
+    initializeRouter();
+    initializeAccessibility();
+    initializeToc();
+    initializeOverview();
+    initializeCitations();
+    initializeSearch();
+    initializeProgress();
+    initializePresenter();
+    initializeClassroom();
+    initializePrint();
+    initializePwa();
 
     // Initialize navigation visibility
     handleNavigationVisibility();
@@ -247,135 +605,91 @@ function toggleAnswer(button, event) {
     const answerBox = button.nextElementSibling;
     const question = button.closest('.question');
     const options = question.querySelectorAll('.option');
+    const session = findQuizSession(question);
 
     if (answerBox.classList.contains('show')) {
         // Hide answer - reset question
         answerBox.classList.remove('show');
-        button.textContent = 'הצג תשובה';
+        button.textContent = t('quiz.showAnswer');
 
         // Remove all colors from options
         options.forEach(option => {
             option.classList.remove('correct');
             option.classList.remove('incorrect');
         });
+
+        if (session) {
+            session.resetQuestion(question);
+        }
     } else {
         // Show answer
         answerBox.classList.add('show');
-        button.textContent = 'הסתר תשובה';
-    }
-}
-
-// ===== Table of Contents Links =====
-// Add click handlers to slide references in table of contents
-document.addEventListener('DOMContentLoaded', function () {
-    if (!slides) return; // Guard against early execution
-    // Find the table of contents slide (slide 2)
-    const tocSlide = slides[1]; // index 1 = slide 2
-
-    if (tocSlide) {
-        // Get the entire HTML content
-        let html = tocSlide.innerHTML;
-
-        // Replace all "(שקף X)" with a clickable span
-        html = html.replace(/\(שקף (\d+)\)/g, function (match, slideNum) {
-            return '<span class="slide-link-span" data-slide="' + slideNum + '">' + match + '</span>';
-        });
+        button.textContent = t('quiz.hideAnswer');
 
-        // Update the slide HTML
-        tocSlide.innerHTML = html;
-
-        // Add event listeners to all the new spans
-        const slideLinks = tocSlide.querySelectorAll('.slide-link-span');
-        slideLinks.forEach(link => {
-            const slideNum = parseInt(link.getAttribute('data-slide'));
-
-            link.addEventListener('click', function (e) {
-                e.stopPropagation();
-                goToSlide(slideNum);
-            });
-        });
-    }
-
-    // Add click listener for quiz options
-    document.querySelectorAll('.question').forEach(question => {
-        const answerBox = question.querySelector('.answer-box');
-        const options = question.querySelectorAll('.option');
-        const showAnswerBtn = question.querySelector('.show-answer-btn');
-
-        // Extract the correct letter from the answer box
-        let correctAnswer = '';
-        if (answerBox) {
-            const answerText = answerBox.innerHTML;
-            const match = answerText.match(/תשובה נכונה:\s*([א-ת])/);
-            if (match) {
-                correctAnswer = match[1];
-            }
+        // Revealing before answering counts as skipped
+        if (session) {
+            session.markRevealed(question);
         }
-
-        // Add listener for each option
-        options.forEach(option => {
-            const optionLetter = option.querySelector('.option-letter').textContent.trim();
-
-            option.addEventListener('click', function (e) {
-                e.stopPropagation(); // Prevent navigation in slide
-
-                // If answer already selected, do nothing
-                if (option.classList.contains('correct') || option.classList.contains('incorrect')) {
-                    return;
-                }
-
-                // Check if answer is correct
-                if (optionLetter === correctAnswer) {
-                    // Correct answer - color green
-                    option.classList.add('correct');
-                } else {
-                    // Wrong answer - color red and open correct answer
-                    option.classList.add('incorrect');
-
-                    // Show correct answer
-                    if (answerBox) {
-                        answerBox.classList.add('show');
-                        if (showAnswerBtn) {
-                            showAnswerBtn.textContent = 'הסתר תשובה';
-                        }
-                    }
-
-                    // Mark correct answer in green
-                    options.forEach(opt => {
-                        const letter = opt.querySelector('.option-letter').textContent.trim();
-                        if (letter === correctAnswer) {
-                            opt.classList.add('correct');
-                        }
-                    });
-                }
-            });
-        });
-    });
-});
+    }
+}
 
 // ===== Theme and Mode Management =====
 
 // Load saved preferences
 // (Now handled in initializeApp function)
 
+// System color scheme, followed by the 'auto' display mode
+const darkSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+/**
+ * Let other modules (e.g. flowcharts drawn with resolved colors) react to new colors
+ */
+function notifyThemeChange() {
+    document.dispatchEvent(new CustomEvent('theme-change', {
+        detail: {
+            theme: document.documentElement.getAttribute('data-theme'),
+            mode: document.documentElement.getAttribute('data-mode')
+        }
+    }));
+}
+
 /**
  * Change the color theme
- * @param {string} theme - Theme name (blue, gray, cyan, etc.)
+ * @param {string} theme - Theme name (blue, gray, cyan, etc., or custom)
  */
 function changeTheme(theme) {
     document.documentElement.setAttribute('data-theme', theme);
     localStorage.setItem('theme', theme);
+    notifyThemeChange();
 }
 
 /**
- * Change the display mode (light/dark)
- * @param {string} mode - Mode name (light or dark)
+ * Show the deck in a display mode; 'auto' picks light or dark from the system setting
+ * @param {string} mode - Mode name (light, dark or auto)
+ */
+function applyMode(mode) {
+    const resolved = mode === 'auto' ? (darkSchemeQuery?.matches ? 'dark' : 'light') : mode;
+    if (document.documentElement.getAttribute('data-mode') === resolved) return;
+
+    document.documentElement.setAttribute('data-mode', resolved);
+    notifyThemeChange();
+}
+
+/**
+ * Change the display mode (light/dark/auto)
+ * @param {string} mode - Mode name (light, dark or auto)
  */
 function changeMode(mode) {
-    document.documentElement.setAttribute('data-mode', mode);
     localStorage.setItem('mode', mode);
+    applyMode(mode);
+    updateModeButtons(mode);
+}
 
-    // Update buttons
+/**
+ * Mark the chosen mode button
+ * @param {string} mode - Mode name (light, dark or auto)
+ */
+function updateModeButtons(mode) {
     document.querySelectorAll('.mode-btn').forEach(btn => btn.classList.remove('active'));
     const activeBtn = document.querySelector(`.mode-btn[data-mode="${mode}"]`);
     if (activeBtn) {
@@ -0,0 +1,240 @@
+'use strict';
+
+// ===== Slide Overview =====
+
+/**
+ * Count the review questions on a slide that have no answer yet
+ * @param {HTMLElement} slide - The slide
+ * @returns {number} Unanswered questions
+ */
+function countUnansweredQuestions(slide) {
+    if (!quizSession) return 0;
+    return quizSession.questions
+        .filter(question => slide.contains(question.element) && !quizSession.results.has(question.id))
+        .length;
+}
+
+/**
+ * Get the title shown under a slide's thumbnail
+ * @param {HTMLElement} slide - The slide
+ * @param {number} index - Slide index
+ * @returns {string} Title
+ */
+function getOverviewTitle(slide, index) {
+    const heading = slide.querySelector('h2, h1');
+    return slide.dataset.tocTitle ||
+        (heading ? heading.textContent.replace(/🕯️/g, '').replace(/\s+/g, ' ').trim() : t('common.slide', { n: index + 1 }));
+}
+
+/**
+ * Constructor for SlideOverview
+ * Full-screen grid of scaled thumbnails of all slides. The current slide and
+ * slides with unanswered review questions are marked; choosing a thumbnail
+ * (click, tap or Enter) closes the grid and shows that slide.
+ */
+class SlideOverview {
+    constructor() {
+        this.element = null;
+        this.returnFocus = null;
+    }
+
+    /**
+     * Check whether the grid is shown
+     * @returns {boolean} True while open
+     */
+    isOpen() {
+        return Boolean(this.element);
+    }
+
+    /**
+     * Build and show the grid, focused on the current slide
+     */
+    open() {
+        if (this.element) return;
+        this.returnFocus = document.activeElement;
+
+        this.element = document.createElement('div');
+        this.element.className = 'overview-overlay';
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-modal', 'true');
+        this.element.setAttribute('aria-label', t('overview.title'));
+        this.element.innerHTML = `
+            <div class="overview-header">
+                <h2>${t('overview.title')}</h2>
+                <button class="toc-drawer-close" aria-label="${t('common.close')}">✕</button>
+            </div>
+            <ol class="overview-grid"></ol>`;
+
+        const grid = this.element.querySelector('.overview-grid');
+        Array.from(slides).forEach((slide, index) => grid.appendChild(this.createThumbnail(slide, index)));
+
+        this.element.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const thumbnail = e.target.closest('.overview-thumb');
+            if (thumbnail) {
+                this.choose(parseInt(thumbnail.dataset.index));
+            } else if (e.target.closest('.toc-drawer-close')) {
+                this.close();
+            }
+        });
+
+        this.element.addEventListener('keydown', (e) => this.handleKey(e));
+
+        // Swipes scroll the grid instead of changing slides behind it
+        ['touchstart', 'touchend'].forEach(type => {
+            this.element.addEventListener(type, e => e.stopPropagation());
+        });
+
+        document.body.appendChild(this.element);
+        document.documentElement.classList.add('overview-open');
+
+        const current = grid.querySelector('.overview-thumb.current');
+        current.focus();
+        current.scrollIntoView({ block: 'center' });
+    }
+
+    /**
+     * Build the thumbnail button of a slide
+     * @param {HTMLElement} slide - The slide
+     * @param {number} index - Slide index
+     * @returns {HTMLElement} List item holding the button
+     */
+    createThumbnail(slide, index) {
+        const title = getOverviewTitle(slide, index);
+        const unanswered = countUnansweredQuestions(slide);
+        const isCurrent = index === currentSlide;
+
+        const item = document.createElement('li');
+        item.innerHTML = `
+            <button class="overview-thumb" data-index="${index}">
+                <div class="overview-thumb-frame"></div>
+                <span class="overview-thumb-caption">
+                    <strong>${index + 1}.</strong> <span class="overview-thumb-title"></span>
+                </span>
+            </button>`;
+
+        const button = item.querySelector('button');
+        item.querySelector('.overview-thumb-title').textContent = title;
+        button.classList.toggle('current', isCurrent);
+        button.tabIndex = isCurrent ? 0 : -1;
+
+        const label = [t('common.slide', { n: index + 1 }) + ': ' + title];
+        if (isCurrent) {
+            button.setAttribute('aria-current', 'true');
+            label.push(t('overview.current'));
+        }
+        if (unanswered) {
+            button.classList.add('has-unanswered');
+            const badge = document.createElement('span');
+            badge.className = 'overview-badge';
+            badge.textContent = `❓ ${unanswered}`;
+            button.appendChild(badge);
+            label.push(t('overview.unanswered', { n: unanswered }));
+        }
+        button.setAttribute('aria-label', label.join(', '));
+
+        const preview = cloneSlidePreview(slide);
+        preview.classList.add('overview-thumb-slide');
+        item.querySelector('.overview-thumb-frame').appendChild(preview);
+        return item;
+    }
+
+    /**
+     * Arrow keys move between thumbnails (rows and columns as laid out), Escape or O closes
+     * @param {KeyboardEvent} e - The key event
+     */
+    handleKey(e) {
+        // Keep keys from changing slides behind the grid
+        e.stopPropagation();
+
+        if (e.key === 'Escape' || (e.code === 'KeyO' && !e.ctrlKey && !e.metaKey && !e.altKey)) {
+            e.preventDefault();
+            this.close();
+            return;
+        }
+
+        const thumbnails = Array.from(this.element.querySelectorAll('.overview-thumb'));
+        const index = thumbnails.indexOf(e.target.closest('.overview-thumb'));
+        if (index === -1) return;
+
+        // Thumbnails in the first row share its top edge
+        const columns = thumbnails.filter(thumb => thumb.offsetTop === thumbnails[0].offsetTop).length || 1;
+        const step = {
+            ArrowLeft: isRTL ? 1 : -1,
+            ArrowRight: isRTL ? -1 : 1,
+            ArrowDown: columns,
+            ArrowUp: -columns,
+            Home: -index,
+            End: thumbnails.length - 1 - index
+        }[e.key];
+        if (step === undefined) return;
+
+        e.preventDefault();
+        const target = thumbnails[Math.max(0, Math.min(thumbnails.length - 1, index + step))];
+        thumbnails.forEach(thumb => { thumb.tabIndex = thumb === target ? 0 : -1; });
+        target.focus();
+    }
+
+    /**
+     * Close the grid and show a slide
+     * @param {number} index - Slide index
+     */
+    choose(index) {
+        this.close(false);
+        if (index === currentSlide) {
+            focusSlideHeading(slides[index]);
+        } else {
+            goToSlide(index + 1);
+        }
+    }
+
+    /**
+     * Remove the grid
+     * @param {boolean} restoreFocus - Return focus to where it was before opening
+     */
+    close(restoreFocus = true) {
+        if (!this.element) return;
+
+        this.element.remove();
+        this.element = null;
+        document.documentElement.classList.remove('overview-open');
+
+        if (restoreFocus && this.returnFocus && document.contains(this.returnFocus)) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+}
+
+let slideOverview = null;
+
+/**
+ * Open or close the slide overview
+ */
+function toggleOverview() {
+    if (!slideOverview) return;
+
+    if (slideOverview.isOpen()) {
+        slideOverview.close();
+    } else {
+        slideOverview.open();
+    }
+}
+
+/**
+ * Create the overview and its shortcut (O)
+ */
+function initializeOverview() {
+    slideOverview = new SlideOverview();
+
+    document.addEventListener('keydown', function (e) {
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        // By key position, so it works in the Hebrew layout too
+        if (e.code === 'KeyO') {
+            e.preventDefault();
+            toggleOverview();
+        }
+    });
+}
@@ -0,0 +1,173 @@
+'use strict';
+
+// ===== Randomized Practice Mode =====
+
+let practiceSession = null;
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @param {Array} items - Array to shuffle
+ * @returns {Array} The same array, shuffled
+ */
+function shuffleArray(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+/**
+ * Copy a review question with shuffled, relabeled options
+ * The copy keeps the original question's fingerprint and section, and its
+ * data-correct points at the new letter of the originally correct option.
+ * @param {Object} question - Question descriptor from the review session
+ * @param {number} number - Position of the question in the practice quiz (1-indexed)
+ * @returns {HTMLElement} The new `.question` element
+ */
+function createPracticeQuestion(question, number) {
+    const element = question.element.cloneNode(true);
+    element.dataset.questionKey = question.key;
+    element.dataset.section = question.section;
+
+    // Clear any state copied from the review slide
+    element.querySelectorAll('.option').forEach(option => option.classList.remove('correct', 'incorrect', 'poll-choice'));
+    element.querySelector('.answer-box')?.classList.remove('show');
+    element.querySelectorAll('.question-link, .poll-btn, .poll-panel').forEach(child => child.remove());
+    element.classList.remove('poll-open');
+    delete element.dataset.pollBound;
+    const showAnswerBtn = element.querySelector('.show-answer-btn');
+    if (showAnswerBtn) {
+        showAnswerBtn.textContent = t('quiz.showAnswer');
+    }
+
+    const questionText = element.querySelector('.question-text');
+    if (questionText) {
+        questionText.textContent = questionText.textContent.trim().replace(/^\d+\./, number + '.');
+    }
+
+    // Shuffle options and relabel them in their new order
+    const optionsContainer = element.querySelector('.options');
+    const options = shuffleArray(Array.from(optionsContainer.querySelectorAll('.option')));
+    const letters = getOptionLetters();
+    let newCorrect = question.correct;
+
+    options.forEach((option, index) => {
+        const letterElement = option.querySelector('.option-letter');
+        if (letterElement.textContent.trim() === question.correct) {
+            newCorrect = letters[index];
+        }
+        letterElement.textContent = letters[index];
+        optionsContainer.appendChild(option);
+    });
+
+    element.dataset.correct = newCorrect;
+
+    // Keep the explanation consistent with the new letters
+    const answerTitle = element.querySelector('.answer-box strong');
+    if (answerTitle) {
+        answerTitle.textContent = t('quiz.correctAnswer', { letter: newCorrect });
+    }
+
+    return element;
+}
+
+/**
+ * Show a generated quiz deck on the review slide in place of the regular questions
+ * @param {Array<Object|HTMLElement>} questions - Question descriptors from the review session
+ *        (copied with shuffled options), or ready-made elements such as imported questions
+ * @param {string} title - Deck title shown in its header
+ * @param {string} deck - Deck name passed to the QuizSession ('practice', 'mistakes', ...)
+ * @returns {QuizSession|null} The deck's session
+ */
+function openQuizDeck(questions, title, deck) {
+    if (!quizSession) return null;
+    stopPractice();
+
+    const practiceContainer = document.createElement('div');
+    practiceContainer.className = 'practice-quiz';
+    practiceContainer.innerHTML = `
+        <div class="practice-header">
+            <strong>${title}</strong>
+            <button class="show-answer-btn practice-exit-btn">${t('practice.exit')}</button>
+        </div>`;
+
+    questions.forEach((question, index) => {
+        practiceContainer.appendChild(question instanceof HTMLElement ? question : createPracticeQuestion(question, index + 1));
+    });
+
+    practiceContainer.querySelector('.practice-exit-btn').addEventListener('click', function (e) {
+        e.stopPropagation();
+        stopPractice();
+    });
+
+    quizSession.container.classList.add('practice-active');
+    quizSession.container.appendChild(practiceContainer);
+    practiceSession = new QuizSession(practiceContainer, { deck: deck });
+
+    practiceContainer.scrollIntoView({ behavior: 'smooth' });
+    return practiceSession;
+}
+
+/**
+ * Build and show a practice quiz on the review slide
+ * @param {number} count - Number of questions
+ * @param {string} section - Section title to draw from, or '' for all sections
+ */
+function startPractice(count, section) {
+    if (!quizSession) return;
+
+    const pool = quizSession.questions.filter(q => !section || q.section === section);
+    const selected = shuffleArray(pool.slice()).slice(0, Math.max(1, count));
+
+    openQuizDeck(selected, t('practice.deckTitle', { count: selected.length }) + (section ? ' | ' + section : ''), 'practice');
+}
+
+/**
+ * Leave practice mode and show the regular review questions again
+ */
+function stopPractice() {
+    if (!practiceSession) return;
+
+    practiceSession.destroy();
+    practiceSession.container.remove();
+    practiceSession = null;
+    quizSession.container.classList.remove('practice-active');
+}
+
+/**
+ * Add the practice setup panel to the review slide
+ */
+function initializePractice() {
+    if (!quizSession) return;
+
+    const sections = [...new Set(quizSession.questions.map(q => q.section))];
+    const total = quizSession.questions.length;
+
+    const setup = document.createElement('div');
+    setup.className = 'practice-setup definition-box';
+    setup.innerHTML = `
+        <h3 style="border: none; margin-top: 0;">${t('practice.title')}</h3>
+        <p>${t('practice.intro')}</p>
+        <div class="practice-controls">
+            <label>${t('practice.count')}
+                <input type="number" class="practice-count" min="1" max="${total}" value="${Math.min(10, total)}">
+            </label>
+            <label>${t('practice.section')}
+                <select class="theme-select practice-section">
+                    <option value="">${t('practice.allSections')}</option>
+                    ${sections.map((section, index) => `<option value="${index + 1}">${section}</option>`).join('')}
+                </select>
+            </label>
+            <button class="show-answer-btn practice-start-btn">${t('practice.start')}</button>
+        </div>`;
+
+    setup.querySelector('.practice-start-btn').addEventListener('click', function (e) {
+        e.stopPropagation();
+        const count = parseInt(setup.querySelector('.practice-count').value) || total;
+        const sectionIndex = parseInt(setup.querySelector('.practice-section').value);
+        startPractice(count, sectionIndex ? sections[sectionIndex - 1] : '');
+    });
+
+    quizSession.container.insertBefore(setup, quizSession.progressElement);
+}
@@ -0,0 +1,385 @@
+'use strict';
+
+// ===== Presenter View =====
+
+// Channel shared by the audience window and the presenter window
+const PRESENTER_CHANNEL = 'borer-presenter';
+
+// Default lesson length for the presenter timer, in minutes
+const PRESENTER_DEFAULT_DURATION = 45;
+
+/**
+ * Check whether this window is the presenter window (opened with ?presenter)
+ * @returns {boolean} True in the presenter window
+ */
+function isPresenterWindow() {
+    return new URLSearchParams(location.search).has('presenter');
+}
+
+/**
+ * Copy a slide for a preview: shown as active and fully revealed, without ids or
+ * speaker notes, not focusable or read out, with flowchart connections copied as vector graphics
+ * @param {HTMLElement} original - The slide
+ * @returns {HTMLElement} The copy
+ */
+function cloneSlidePreview(original) {
+    const preview = original.cloneNode(true);
+    preview.classList.add('active');
+    preview.removeAttribute('data-slug');
+    preview.setAttribute('inert', '');
+    preview.setAttribute('aria-hidden', 'true');
+    preview.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+    preview.querySelectorAll('.speaker-notes').forEach(element => element.remove());
+    preview.querySelectorAll('.fragment').forEach(element => element.classList.add('visible'));
+
+    // Canvas content isn't cloned, and SVG arrow heads lost their ids - copy the connections as vector graphics
+    const originalSurfaces = original.querySelectorAll('canvas, svg.connection-svg');
+    preview.querySelectorAll('canvas, svg.connection-svg').forEach((surface, i) => {
+        const connector = flowchartSurfaces.get(originalSurfaces[i]);
+        if (connector) {
+            surface.replaceWith(connector.toSvgElement());
+        }
+    });
+
+    return preview;
+}
+
+/**
+ * Constructor for PresenterSync
+ * Keeps the audience window and the presenter window on the same slide and
+ * fragment step. Every window posts its own slide changes and follows the ones
+ * it receives, so the keyboard, buttons and swipes work in either window.
+ */
+class PresenterSync {
+    constructor() {
+        this.channel = 'BroadcastChannel' in window ? new BroadcastChannel(PRESENTER_CHANNEL) : null;
+
+        // Set while following a received change, so it isn't posted back
+        this.receiving = false;
+
+        if (this.channel) {
+            this.channel.addEventListener('message', (e) => this.handleMessage(e.data));
+        }
+    }
+
+    /**
+     * Send a message to the other windows
+     * @param {Object} message - { type: 'slide', index, step } or { type: 'hello' };
+     *                           step - revealed fragments of the slide
+     */
+    post(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+        }
+    }
+
+    /**
+     * Follow a message from another window
+     * @param {Object} message - Received message
+     */
+    handleMessage(message) {
+        if (!message) return;
+
+        // A newly opened window asks where the deck is
+        if (message.type === 'hello') {
+            this.slideChanged(currentSlide);
+            return;
+        }
+
+        if (message.type === 'slide') {
+            this.receiving = true;
+            try {
+                if (message.index !== currentSlide) {
+                    showSlide(message.index);
+                }
+                if (message.step !== undefined) {
+                    setFragmentStep(slides[message.index], message.step);
+                }
+            } finally {
+                this.receiving = false;
+            }
+        }
+    }
+
+    /**
+     * Post a local slide change or fragment step
+     * @param {number} index - The slide index
+     */
+    slideChanged(index) {
+        if (!this.receiving) {
+            this.post({ type: 'slide', index: index, step: getFragmentStep(slides[index]) });
+        }
+    }
+}
+
+/**
+ * Constructor for PresenterView
+ * Builds the presenter panel next to the current slide: timer, next slide
+ * preview, the slide's speaker notes (`aside.speaker-notes` inside each slide)
+ * and the answer key of the review questions
+ * @param {HTMLElement} panel - Element to render into
+ */
+class PresenterView {
+    constructor(panel) {
+        this.panel = panel;
+        this.duration = parseInt(localStorage.getItem('presenterDuration')) || PRESENTER_DEFAULT_DURATION;
+
+        // Timer state - elapsed milliseconds before the current run, and when it started
+        this.elapsedBefore = 0;
+        this.startedAt = Date.now();
+        this.timerId = null;
+
+        this.init();
+    }
+
+    /**
+     * Build the panel and start the timer
+     */
+    init() {
+        this.panel.innerHTML = `
+            <div class="presenter-timer">
+                <div class="presenter-time">
+                    <span class="presenter-time-label">${t('presenter.elapsed')}</span>
+                    <strong class="presenter-elapsed">0:00</strong>
+                </div>
+                <div class="presenter-time">
+                    <span class="presenter-time-label">${t('presenter.remaining')}</span>
+                    <strong class="presenter-remaining"></strong>
+                </div>
+                <div class="presenter-timer-controls">
+                    <button class="nav-btn presenter-pause-btn" aria-label="${t('presenter.pause')}">⏸</button>
+                    <button class="nav-btn presenter-reset-btn" aria-label="${t('presenter.reset')}">↺</button>
+                    <label>
+                        ${t('presenter.duration')}
+                        <input type="number" class="presenter-duration" min="1" max="240" value="${this.duration}">
+                    </label>
+                </div>
+            </div>
+            <section class="presenter-section">
+                <h3 class="presenter-section-title">${t('presenter.next')}</h3>
+                <div class="presenter-next"></div>
+            </section>
+            <section class="presenter-section">
+                <h3 class="presenter-section-title">${t('presenter.notes')}</h3>
+                <div class="presenter-notes"></div>
+            </section>
+            <section class="presenter-section">
+                <h3 class="presenter-section-title presenter-answers-title">${t('presenter.answers')}</h3>
+                <ol class="presenter-answers"></ol>
+            </section>`;
+
+        this.panel.querySelector('.presenter-pause-btn').addEventListener('click', () => this.togglePause());
+        this.panel.querySelector('.presenter-reset-btn').addEventListener('click', () => this.resetTimer());
+        this.panel.querySelector('.presenter-duration').addEventListener('change', (e) => {
+            const minutes = parseInt(e.target.value);
+            if (minutes > 0) {
+                this.duration = minutes;
+                localStorage.setItem('presenterDuration', minutes);
+                this.updateTimer();
+            }
+        });
+
+        this.timerId = setInterval(() => this.updateTimer(), 1000);
+        this.updateTimer();
+        this.update(currentSlide);
+    }
+
+    /**
+     * Get the time since the timer was started, excluding pauses
+     * @returns {number} Elapsed milliseconds
+     */
+    getElapsed() {
+        return this.elapsedBefore + (this.startedAt ? Date.now() - this.startedAt : 0);
+    }
+
+    /**
+     * Pause or resume the timer
+     */
+    togglePause() {
+        const button = this.panel.querySelector('.presenter-pause-btn');
+
+        if (this.startedAt) {
+            this.elapsedBefore = this.getElapsed();
+            this.startedAt = null;
+            button.textContent = '▶';
+            button.setAttribute('aria-label', t('presenter.resume'));
+        } else {
+            this.startedAt = Date.now();
+            button.textContent = '⏸';
+            button.setAttribute('aria-label', t('presenter.pause'));
+        }
+        this.updateTimer();
+    }
+
+    /**
+     * Restart the timer from zero
+     */
+    resetTimer() {
+        this.elapsedBefore = 0;
+        if (this.startedAt) {
+            this.startedAt = Date.now();
+        }
+        this.updateTimer();
+    }
+
+    /**
+     * Show elapsed and remaining time; remaining turns negative once over time
+     */
+    updateTimer() {
+        const elapsed = Math.floor(this.getElapsed() / 1000);
+        const remaining = this.duration * 60 - elapsed;
+
+        this.panel.querySelector('.presenter-elapsed').textContent = formatPresenterTime(elapsed);
+
+        const remainingElement = this.panel.querySelector('.presenter-remaining');
+        remainingElement.textContent = (remaining < 0 ? '-' : '') + formatPresenterTime(Math.abs(remaining));
+        remainingElement.classList.toggle('overtime', remaining < 0);
+
+        this.panel.classList.toggle('paused', !this.startedAt);
+    }
+
+    /**
+     * Show the preview, notes and answer key for a slide
+     * @param {number} index - Current slide index
+     */
+    update(index) {
+        this.renderNextSlide(index + 1);
+        this.renderNotes(slides[index]);
+        this.renderAnswers(index);
+    }
+
+    /**
+     * Render a scaled, non-interactive copy of the next slide
+     * @param {number} index - Index of the next slide
+     */
+    renderNextSlide(index) {
+        const container = this.panel.querySelector('.presenter-next');
+        container.innerHTML = '';
+
+        if (index >= totalSlides) {
+            container.innerHTML = `<p class="presenter-empty">${t('presenter.end')}</p>`;
+            return;
+        }
+
+        const preview = cloneSlidePreview(slides[index]);
+        preview.classList.add('presenter-preview-slide');
+
+        const frame = document.createElement('div');
+        frame.className = 'presenter-preview';
+        frame.appendChild(preview);
+        container.appendChild(frame);
+    }
+
+    /**
+     * Show the speaker notes authored in a slide
+     * @param {HTMLElement} slide - The current slide
+     */
+    renderNotes(slide) {
+        const container = this.panel.querySelector('.presenter-notes');
+        const notes = slide.querySelector('.speaker-notes');
+        container.innerHTML = notes ? notes.innerHTML : `<p class="presenter-empty">${t('presenter.noNotes')}</p>`;
+    }
+
+    /**
+     * List the correct answers - of the questions on the slide, or of the review
+     * questions whose source is this slide
+     * @param {number} index - Current slide index
+     */
+    renderAnswers(index) {
+        const list = this.panel.querySelector('.presenter-answers');
+        const title = this.panel.querySelector('.presenter-answers-title');
+        list.innerHTML = '';
+        if (!quizSession) return;
+
+        let questions = quizSession.questions.filter(q => slides[index].contains(q.element));
+        title.textContent = t('presenter.answers');
+        if (questions.length === 0) {
+            questions = quizSession.questions.filter(q => q.sourceSlide === index + 1);
+            title.textContent = t('presenter.slideQuestions');
+        }
+
+        if (questions.length === 0) {
+            list.innerHTML = `<li class="presenter-empty">${t('presenter.noQuestions')}</li>`;
+            return;
+        }
+
+        questions.forEach(question => {
+            const correctOption = Array.from(question.element.querySelectorAll('.option'))
+                .find(option => option.querySelector('.option-letter')?.textContent.trim() === question.correct);
+            const answerText = correctOption ? correctOption.querySelector('span:not(.option-letter)').textContent.trim() : '';
+
+            const item = document.createElement('li');
+            item.value = question.number;
+            item.innerHTML = `<strong class="presenter-answer-letter">${question.correct}</strong> <span></span>`;
+            item.querySelector('span').textContent = answerText;
+            item.title = question.text;
+            list.appendChild(item);
+        });
+    }
+}
+
+/**
+ * Format seconds as m:ss (or h:mm:ss)
+ * @param {number} seconds - Non-negative number of seconds
+ * @returns {string} Formatted time
+ */
+function formatPresenterTime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor(seconds / 60) % 60;
+    const secs = String(seconds % 60).padStart(2, '0');
+    return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+let presenterSync = null;
+let presenterView = null;
+
+/**
+ * Open the presenter window on the current slide
+ */
+function openPresenterView() {
+    const hash = slideRouter ? slideRouter.buildHash(currentSlide) : '';
+    const presenterWindow = window.open(location.pathname + '?presenter' + hash, PRESENTER_CHANNEL);
+    if (presenterWindow) {
+        presenterWindow.focus();
+    }
+}
+
+/**
+ * Start slide syncing between windows, and build the presenter panel in the presenter window
+ */
+function initializePresenter() {
+    presenterSync = new PresenterSync();
+
+    document.addEventListener('slide-change', function (e) {
+        presenterSync.slideChanged(e.detail.index);
+        if (presenterView) {
+            presenterView.update(e.detail.index);
+        }
+    });
+
+    document.addEventListener('fragment-change', function (e) {
+        presenterSync.slideChanged(e.detail.index);
+    });
+
+    if (!isPresenterWindow()) return;
+
+    document.documentElement.classList.add('presenter-mode');
+    document.title = '🎤 ' + document.title;
+
+    const panel = document.createElement('aside');
+    panel.className = 'presenter-panel';
+    panel.setAttribute('aria-label', t('presenter.label'));
+    document.body.appendChild(panel);
+
+    // Clicks in the panel shouldn't turn the slide
+    panel.addEventListener('click', e => e.stopPropagation());
+    panel.addEventListener('keydown', function (e) {
+        if (e.target.closest('input')) {
+            e.stopPropagation();
+        }
+    });
+
+    presenterView = new PresenterView(panel);
+
+    presenterSync.post({ type: 'hello' });
+}
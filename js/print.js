@@ -0,0 +1,304 @@
+'use strict';
+
+// ===== Printing =====
+
+// Slides per page offered for handouts, and the layout (columns x rows) of each
+const PRINT_LAYOUTS = {
+    1: { columns: 1, rows: 1 },
+    2: { columns: 1, rows: 2 },
+    4: { columns: 2, rows: 2 },
+    6: { columns: 2, rows: 3 }
+};
+
+// Printable area of an A4 page with the margins of print.css, in millimeters
+const PRINT_PAGE_WIDTH = 190;
+const PRINT_PAGE_HEIGHT = 270;
+const PRINT_CELL_GAP = 6;
+
+// Width the slides are laid out at before scaling - the width of the slideshow on screen
+const PRINT_SLIDE_WIDTH = 1000;
+
+// A slide that would have to shrink below this to fit its cell is printed at full width on its own pages
+const PRINT_MIN_SCALE = 0.3;
+
+const MM_TO_PX = 96 / 25.4;
+
+// Interactive UI that has no place on paper
+const PRINT_EXCLUDED = '.speaker-notes, .quiz-progress, .quiz-finish-btn, .quiz-results, .practice-setup, ' +
+    '.practice-quiz, .review-queue-panel, .question-link, .show-answer-btn, .poll-btn, .poll-panel, ' +
+    '.source-filter-notice, .wizard-controls, .plate-simulator, .question-bank-panel';
+
+/**
+ * Copy an element for printing: without ids, interactive UI or answer state, with
+ * every fragment revealed and flowchart connections copied as vector graphics
+ * @param {HTMLElement} element - Element to copy
+ * @returns {HTMLElement} The copy
+ */
+function clonePrintable(element) {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('[id]').forEach(child => child.removeAttribute('id'));
+
+    // Copied after the ids are removed - SVG flowcharts refer to their arrow heads by id
+    const originalSurfaces = element.querySelectorAll('canvas, svg.connection-svg');
+    clone.querySelectorAll('canvas, svg.connection-svg').forEach((surface, i) => {
+        const connector = flowchartSurfaces.get(originalSurfaces[i]);
+        if (connector) {
+            surface.replaceWith(connector.toSvgElement());
+        }
+    });
+
+    clone.querySelectorAll(PRINT_EXCLUDED).forEach(child => child.remove());
+    clone.querySelectorAll('.answer-box').forEach(box => box.classList.remove('show'));
+    clone.querySelectorAll('.option').forEach(option => option.classList.remove('correct', 'incorrect', 'poll-choice'));
+    clone.querySelectorAll('.fragment').forEach(fragment => fragment.classList.add('visible'));
+    clone.removeAttribute('id');
+    return clone;
+}
+
+/**
+ * Constructor for PrintLayout
+ * Builds the print-only copy of the deck: a handout of all slides, N to a page,
+ * or a worksheet of the review questions followed by an answer key page
+ * @param {string} mode - 'handout' or 'worksheet'
+ * @param {Object} options - Layout options
+ * @param {number} options.perPage - Slides per page (handout), one of PRINT_LAYOUTS
+ */
+class PrintLayout {
+    constructor(mode, options = {}) {
+        this.mode = mode;
+        this.perPage = PRINT_LAYOUTS[options.perPage] ? options.perPage : 2;
+
+        this.element = document.createElement('div');
+        this.element.className = `print-area print-${mode}`;
+        this.element.id = 'print-area';
+    }
+
+    /**
+     * Build the layout and add it to the page
+     * @returns {HTMLElement} The print area
+     */
+    render() {
+        document.getElementById('print-area')?.remove();
+        document.body.appendChild(this.element);
+
+        if (this.mode === 'worksheet') {
+            this.renderWorksheet();
+        } else {
+            this.renderHandout();
+        }
+        return this.element;
+    }
+
+    /**
+     * Lay out all slides in a grid of cells, scaling each to fit its cell
+     */
+    renderHandout() {
+        const layout = PRINT_LAYOUTS[this.perPage];
+        const cellWidth = (PRINT_PAGE_WIDTH - PRINT_CELL_GAP * (layout.columns - 1)) / layout.columns * MM_TO_PX;
+        const cellHeight = (PRINT_PAGE_HEIGHT - PRINT_CELL_GAP * (layout.rows - 1)) / layout.rows * MM_TO_PX;
+
+        let page = null;
+        let cellsOnPage = 0;
+
+        Array.from(slides).forEach((slide, index) => {
+            const copy = clonePrintable(slide);
+            copy.classList.add('active', 'print-slide');
+            copy.style.width = PRINT_SLIDE_WIDTH + 'px';
+
+            const cell = document.createElement('div');
+            cell.className = 'print-cell';
+            cell.appendChild(copy);
+
+            const number = document.createElement('div');
+            number.className = 'print-slide-number';
+            number.textContent = `${index + 1} / ${totalSlides}`;
+            cell.appendChild(number);
+
+            // Measure at full size, then shrink to the cell
+            this.element.appendChild(cell);
+            const widthScale = cellWidth / PRINT_SLIDE_WIDTH;
+            const heightScale = (cellHeight - number.offsetHeight) / Math.max(copy.offsetHeight, 1);
+            const scale = Math.min(widthScale, heightScale);
+
+            if (scale < PRINT_MIN_SCALE) {
+                // Too long for a cell (e.g. the review questions) - flow it over full pages
+                copy.style.zoom = PRINT_PAGE_WIDTH * MM_TO_PX / PRINT_SLIDE_WIDTH;
+                cell.className = 'print-cell print-cell-flow';
+                page = null;
+                return;
+            }
+
+            copy.style.zoom = scale;
+            cell.style.width = cellWidth + 'px';
+            cell.style.height = cellHeight + 'px';
+
+            if (!page || cellsOnPage === this.perPage) {
+                page = document.createElement('div');
+                page.className = 'print-page';
+                page.style.gridTemplateColumns = `repeat(${layout.columns}, 1fr)`;
+                page.style.gridTemplateRows = `repeat(${layout.rows}, ${cellHeight}px)`;
+                cellsOnPage = 0;
+            }
+            this.element.insertBefore(page, cell);
+            page.appendChild(cell);
+            cellsOnPage++;
+        });
+    }
+
+    /**
+     * List the review questions without answers, then a compact answer key
+     */
+    renderWorksheet() {
+        const header = document.createElement('div');
+        header.className = 'print-worksheet-header';
+        header.innerHTML = `
+            <h1>${t('print.worksheetTitle')}</h1>
+            <div class="print-worksheet-fields">
+                <span>${t('print.name')} ____________________</span>
+                <span>${t('print.class')} __________</span>
+                <span>${t('print.date')} __________</span>
+            </div>`;
+        this.element.appendChild(header);
+
+        if (!quizSession) return;
+
+        let section = null;
+        quizSession.questions.forEach(question => {
+            if (question.section !== section) {
+                section = question.section;
+                const title = document.createElement('div');
+                title.className = 'section-title';
+                title.textContent = section;
+                this.element.appendChild(title);
+            }
+
+            const copy = clonePrintable(question.element);
+            copy.querySelectorAll('.answer-box').forEach(box => box.remove());
+            copy.classList.add('print-question');
+            this.element.appendChild(copy);
+        });
+
+        this.element.appendChild(this.buildAnswerKey());
+    }
+
+    /**
+     * Build the answer key page from each question's data-correct
+     * @returns {HTMLElement} The answer key
+     */
+    buildAnswerKey() {
+        const key = document.createElement('div');
+        key.className = 'print-answer-key';
+        key.innerHTML = `<h2>${t('print.answerKey')}</h2><ol class="print-answer-list"></ol>`;
+
+        const list = key.querySelector('ol');
+        quizSession.questions.forEach(question => {
+            const item = document.createElement('li');
+            item.value = question.number;
+            item.innerHTML = `<strong>${question.correct}</strong>` +
+                (question.sourceSlide ? ` <span class="print-answer-source">${t('common.slideRef', { n: question.sourceSlide })}</span>` : '');
+            list.appendChild(item);
+        });
+        return key;
+    }
+}
+
+let printLayout = null;
+
+/**
+ * Print the deck as a handout or the review questions as a worksheet
+ * @param {string} mode - 'handout' or 'worksheet'
+ * @param {Object} options - { perPage } for handouts
+ */
+function printDeck(mode, options = {}) {
+    printLayout = new PrintLayout(mode, options);
+    printLayout.render();
+    document.documentElement.setAttribute('data-print', mode);
+    window.print();
+}
+
+/**
+ * Remove the print-only copy once printing is done
+ */
+function clearPrintLayout() {
+    document.getElementById('print-area')?.remove();
+    document.documentElement.removeAttribute('data-print');
+    printLayout = null;
+}
+
+/**
+ * Open the print dialog
+ */
+function openPrintDialog() {
+    if (document.querySelector('.print-dialog')) return;
+
+    const dialog = document.createElement('div');
+    dialog.className = 'export-dialog print-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-label', t('print.dialogLabel'));
+    dialog.innerHTML = `
+        <div class="export-dialog-box">
+            <h3>${t('print.title')}</h3>
+            <label>
+                ${t('print.what')}
+                <select class="print-mode">
+                    <option value="handout">${t('print.handout')}</option>
+                    <option value="worksheet">${t('print.worksheet')}</option>
+                </select>
+            </label>
+            <label class="print-per-page-label">
+                ${t('print.perPage')}
+                <select class="print-per-page">
+                    ${Object.keys(PRINT_LAYOUTS).map(n => `<option value="${n}"${n === '2' ? ' selected' : ''}>${n}</option>`).join('')}
+                </select>
+            </label>
+            <div class="export-dialog-actions">
+                <button class="nav-btn print-go-btn">${t('print.print')}</button>
+                <button class="nav-btn export-close-btn">${t('common.close')}</button>
+            </div>
+        </div>`;
+
+    const modeSelect = dialog.querySelector('.print-mode');
+    const perPageLabel = dialog.querySelector('.print-per-page-label');
+    modeSelect.addEventListener('change', () => {
+        perPageLabel.hidden = modeSelect.value !== 'handout';
+    });
+
+    const close = () => dialog.remove();
+
+    dialog.addEventListener('click', function (e) {
+        e.stopPropagation();
+        if (e.target === dialog || e.target.closest('.export-close-btn')) {
+            close();
+        } else if (e.target.closest('.print-go-btn')) {
+            const perPage = parseInt(dialog.querySelector('.print-per-page').value);
+            close();
+            printDeck(modeSelect.value, { perPage: perPage });
+        }
+    });
+
+    dialog.addEventListener('keydown', function (e) {
+        e.stopPropagation();
+        if (e.key === 'Escape') {
+            close();
+        }
+    });
+
+    document.body.appendChild(dialog);
+    modeSelect.focus();
+}
+
+/**
+ * Make the browser's own print command print a handout instead of the active slide
+ */
+function initializePrint() {
+    window.addEventListener('beforeprint', function () {
+        if (!printLayout) {
+            printLayout = new PrintLayout('handout', { perPage: 2 });
+            printLayout.render();
+            document.documentElement.setAttribute('data-print', 'handout');
+        }
+    });
+
+    window.addEventListener('afterprint', clearPrintLayout);
+}
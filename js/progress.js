@@ -0,0 +1,274 @@
+'use strict';
+
+// ===== Learner Progress Store =====
+
+const PROGRESS_STORAGE_KEY = 'progress';
+const PROGRESS_SCHEMA_VERSION = 2;
+const MAX_STORED_ATTEMPTS = 500;
+
+/**
+ * Constructor for ProgressStore
+ * Persists the last visited slide, the chosen answer per question and a
+ * timestamped attempt history in localStorage.
+ * The slide is kept by its slug, so it is found again after slides are added or reordered.
+ * Answers are keyed by each question's key (see QuizSession and js/deck-data.js),
+ * so reordering questions keeps them and a question whose key is dropped after
+ * an edit loses only its own entries.
+ */
+class ProgressStore {
+    constructor() {
+        this.data = this.load();
+    }
+
+    /**
+     * Create an empty progress record
+     * @returns {Object} Fresh progress data
+     */
+    createEmpty() {
+        return {
+            version: PROGRESS_SCHEMA_VERSION,
+            lastSlug: null,
+            answers: {},
+            attempts: [],
+            updatedAt: null
+        };
+    }
+
+    /**
+     * Read progress from localStorage, discarding unreadable or outdated data
+     * @returns {Object} Progress data
+     */
+    load() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY));
+        } catch (e) {
+            // Unreadable progress is discarded below
+        }
+
+        if (stored && stored.version === 1) {
+            stored = this.migrateFromIndex(stored);
+        }
+        if (!stored || stored.version !== PROGRESS_SCHEMA_VERSION) {
+            return this.createEmpty();
+        }
+
+        return Object.assign(this.createEmpty(), stored);
+    }
+
+    /**
+     * Upgrade version 1 progress, which stored the last slide as an index. An index
+     * past the end of the deck is dropped.
+     * @param {Object} stored - Version 1 progress data
+     * @returns {Object} Version 2 progress data
+     */
+    migrateFromIndex(stored) {
+        const { lastSlide, ...rest } = stored;
+        const slide = Number.isInteger(lastSlide) ? slides[lastSlide] : undefined;
+        return Object.assign(rest, {
+            version: 2,
+            lastSlug: slide ? slide.dataset.slug || null : null
+        });
+    }
+
+    /**
+     * Write progress to localStorage
+     */
+    save() {
+        this.data.updatedAt = Date.now();
+        try {
+            localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(this.data));
+        } catch (e) {
+            // Storage is full or unavailable - progress lasts for this session only
+        }
+    }
+
+    /**
+     * Drop stored answers whose question no longer exists in the deck
+     * @param {Array<Object>} questions - Current question descriptors
+     */
+    prune(questions) {
+        const validKeys = new Set(questions.map(q => q.key));
+        const staleKeys = Object.keys(this.data.answers).filter(key => !validKeys.has(key));
+        staleKeys.forEach(key => delete this.data.answers[key]);
+
+        if (staleKeys.length) {
+            this.save();
+        }
+    }
+
+    /**
+     * Check whether there is anything worth resuming
+     * @returns {boolean} True if a slide was visited or a question answered
+     */
+    hasProgress() {
+        return this.getLastSlide() > 0 || Object.keys(this.data.answers).length > 0;
+    }
+
+    /**
+     * Get the last visited slide
+     * @returns {number} Slide index (0-indexed); the first slide if it is no longer in the deck
+     */
+    getLastSlide() {
+        const index = Array.from(slides).findIndex(slide => slide.dataset.slug === this.data.lastSlug);
+        return Math.max(index, 0);
+    }
+
+    /**
+     * Remember the current slide
+     * @param {number} index - Slide index (0-indexed)
+     */
+    setLastSlide(index) {
+        this.data.lastSlug = slides[index].dataset.slug || null;
+        this.save();
+    }
+
+    /**
+     * Store an answer and append it to the attempt history
+     * @param {Object} question - Question descriptor
+     * @param {string} status - 'correct', 'incorrect' or 'skipped'
+     * @param {string|null} choice - Chosen option letter
+     */
+    recordAnswer(question, status, choice) {
+        const timestamp = Date.now();
+        this.data.answers[question.key] = { status: status, choice: choice, answeredAt: timestamp };
+        this.data.attempts.push({
+            key: question.key,
+            number: question.number,
+            status: status,
+            choice: choice,
+            timestamp: timestamp
+        });
+
+        if (this.data.attempts.length > MAX_STORED_ATTEMPTS) {
+            this.data.attempts.splice(0, this.data.attempts.length - MAX_STORED_ATTEMPTS);
+        }
+
+        this.save();
+    }
+
+    /**
+     * Forget the current answer of one question (history is kept)
+     * @param {Object} question - Question descriptor
+     */
+    clearAnswer(question) {
+        delete this.data.answers[question.key];
+        this.save();
+    }
+
+    /**
+     * Forget all current answers (history is kept)
+     */
+    clearAnswers() {
+        this.data.answers = {};
+        this.save();
+    }
+
+    /**
+     * Get the attempt history of a question
+     * @param {Object} question - Question descriptor
+     * @returns {Array<Object>} Attempts, oldest first
+     */
+    getAttempts(question) {
+        return this.data.attempts.filter(attempt => attempt.key === question.key);
+    }
+
+    /**
+     * Erase all stored progress
+     */
+    reset() {
+        this.data = this.createEmpty();
+        localStorage.removeItem(PROGRESS_STORAGE_KEY);
+    }
+}
+
+let progressStore = null;
+
+/**
+ * Restore stored answers into the quiz and jump to the last visited slide
+ */
+function resumeProgress() {
+    if (quizSession) {
+        quizSession.questions.forEach(question => {
+            const answer = progressStore.data.answers[question.key];
+            if (answer) {
+                quizSession.restore(question, answer.status, answer.choice);
+            }
+        });
+    }
+
+    showSlide(progressStore.getLastSlide());
+}
+
+/**
+ * Offer to resume or reset when there is stored progress
+ */
+function showResumePrompt() {
+    const answeredCount = Object.keys(progressStore.data.answers).length;
+
+    const prompt = document.createElement('div');
+    prompt.className = 'resume-prompt';
+    prompt.setAttribute('role', 'dialog');
+    prompt.setAttribute('aria-label', t('progress.resume'));
+    prompt.innerHTML = `
+        <div class="resume-prompt-box">
+            <h3>${t('progress.welcome')}</h3>
+            <p>${t('progress.summary', { slide: progressStore.getLastSlide() + 1, answered: answeredCount })}</p>
+            <div class="resume-prompt-actions">
+                <button class="nav-btn" data-action="resume">${t('progress.resume')}</button>
+                <button class="nav-btn resume-reset-btn" data-action="reset">${t('progress.reset')}</button>
+            </div>
+        </div>`;
+
+    prompt.addEventListener('click', function (e) {
+        e.stopPropagation();
+        const action = e.target.closest('button')?.getAttribute('data-action');
+        if (!action) return;
+
+        if (action === 'resume') {
+            resumeProgress();
+        } else {
+            progressStore.reset();
+        }
+        prompt.remove();
+    });
+
+    document.body.appendChild(prompt);
+    prompt.querySelector('button').focus();
+}
+
+/**
+ * Create the progress store and start tracking navigation and answers
+ */
+function initializeProgress() {
+    progressStore = new ProgressStore();
+
+    if (quizSession) {
+        progressStore.prune(quizSession.questions);
+    }
+
+    if (progressStore.hasProgress()) {
+        showResumePrompt();
+    }
+
+    document.addEventListener('slide-change', function (e) {
+        // Don't overwrite the stored position while the resume prompt is still open
+        if (document.querySelector('.resume-prompt')) return;
+        progressStore.setLastSlide(e.detail.index);
+    });
+
+    // Practice quizzes relabel options, so only the review slide itself is stored
+    document.addEventListener('quiz-answer', function (e) {
+        if (e.detail.session !== quizSession) return;
+        progressStore.recordAnswer(e.detail.question, e.detail.status, e.detail.choice);
+    });
+
+    document.addEventListener('quiz-reset', function (e) {
+        if (e.detail.session !== quizSession) return;
+        if (e.detail.question) {
+            progressStore.clearAnswer(e.detail.question);
+        } else {
+            progressStore.clearAnswers();
+        }
+    });
+}
@@ -0,0 +1,107 @@
+'use strict';
+
+// ===== Offline Support =====
+
+/**
+ * Show a banner at the top of the page
+ * @param {string} message - Banner text
+ * @param {Object} action - Optional button: { label, onClick }
+ * @returns {HTMLElement} The banner
+ */
+function showAppBanner(message, action) {
+    document.querySelector('.app-banner')?.remove();
+
+    const banner = document.createElement('div');
+    banner.className = 'app-banner';
+    banner.setAttribute('role', 'status');
+    banner.innerHTML = `<span class="app-banner-text"></span>`;
+    banner.querySelector('.app-banner-text').textContent = message;
+
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'nav-btn app-banner-action';
+        button.textContent = action.label;
+        button.addEventListener('click', action.onClick);
+        banner.appendChild(button);
+    }
+
+    const close = document.createElement('button');
+    close.className = 'toc-drawer-close app-banner-close';
+    close.setAttribute('aria-label', t('common.close'));
+    close.textContent = '✕';
+    close.addEventListener('click', () => banner.remove());
+    banner.appendChild(close);
+
+    banner.addEventListener('click', e => e.stopPropagation());
+    document.body.appendChild(banner);
+    return banner;
+}
+
+/**
+ * Offer to switch to a newly installed version of the deck
+ * @param {ServiceWorker} worker - The waiting service worker
+ */
+function showUpdateBanner(worker) {
+    showAppBanner(t('pwa.update'), {
+        label: t('pwa.updateAction'),
+        onClick: () => worker.postMessage({ type: 'skip-waiting' })
+    });
+}
+
+/**
+ * Watch a registration for a new version finishing its install
+ * @param {ServiceWorkerRegistration} registration - The registration
+ */
+function watchServiceWorker(registration) {
+    // A version that finished installing while the page was closed
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdateBanner(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', function () {
+        const worker = registration.installing;
+        if (!worker) return;
+
+        worker.addEventListener('statechange', function () {
+            if (worker.state !== 'installed') return;
+
+            if (navigator.serviceWorker.controller) {
+                showUpdateBanner(worker);
+            } else {
+                // First install - everything is cached now
+                const banner = showAppBanner(t('pwa.offlineReady'));
+                setTimeout(() => banner.remove(), 5000);
+            }
+        });
+    });
+}
+
+/**
+ * Register the service worker that makes the deck available offline
+ */
+function initializePwa() {
+    if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+
+    // The new version took over (after "Update") - reload once to use it.
+    // On the very first visit the worker takes control without a reload.
+    const hadController = Boolean(navigator.serviceWorker.controller);
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', function () {
+        if (reloading || !hadController) return;
+        reloading = true;
+        location.reload();
+    });
+
+    navigator.serviceWorker.register('sw.js').then(function (registration) {
+        watchServiceWorker(registration);
+
+        // Check for new content whenever the learner comes back to the deck
+        document.addEventListener('visibilitychange', function () {
+            if (document.visibilityState === 'visible') {
+                registration.update().catch(() => {});
+            }
+        });
+    }).catch(function (error) {
+        console.warn('Service worker registration failed:', error);
+    });
+}
@@ -0,0 +1,708 @@
+'use strict';
+
+// ===== Question Bank Import/Export =====
+
+// Tags kept in imported texts - other elements are reduced to their content
+const QUESTION_BANK_ALLOWED_TAGS = new Set(['STRONG', 'B', 'EM', 'I', 'U', 'BR', 'SUB', 'SUP']);
+
+// Elements dropped from imported texts together with their content
+const QUESTION_BANK_DROPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME', 'OBJECT']);
+
+// Elements that start a new line - kept apart with <br> when unwrapped
+const QUESTION_BANK_BLOCK_TAGS = new Set(['P', 'DIV', 'LI']);
+
+/**
+ * Collect the review questions from the deck content, in slide order
+ * @param {string} language - Language code
+ * @returns {Array<Object>} Questions: { key, section, text, options, correct (option index), explanation, sourceSlide, language }
+ */
+function getQuestionBank(language = currentLanguage) {
+    const questions = [];
+
+    DECK_CONTENT.slides.forEach(slide => {
+        // Like renderSlide, a slide without the language is taken in Hebrew
+        const contentLanguage = slide[language] ? language : I18N_DEFAULT_LANGUAGE;
+        let section = '';
+
+        const visit = blocks => (blocks || []).forEach(block => {
+            if (block.type === 'section-title') {
+                section = block.text;
+            } else if (block.type === 'question') {
+                questions.push({
+                    key: block.key || '',
+                    section: section,
+                    text: block.text,
+                    options: block.options,
+                    correct: getOptionLetters(contentLanguage).indexOf(block.correct),
+                    explanation: block.explanation || '',
+                    sourceSlide: block.sourceSlide || null,
+                    language: contentLanguage
+                });
+            } else {
+                visit(block.body);
+                visit(block.columns);
+            }
+        });
+        visit(slide[contentLanguage].blocks);
+    });
+
+    return questions;
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeQuestionBankPattern(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Turn plain text into HTML
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text, line breaks as <br>
+ */
+function plainTextToHtml(text) {
+    const element = document.createElement('div');
+    element.textContent = text;
+    return element.innerHTML.replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Clean HTML from an imported file: only simple inline formatting is kept, without attributes
+ * @param {string} html - HTML from the file
+ * @returns {string} Safe HTML
+ */
+function sanitizeImportedHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    const clean = parent => {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+            if (node.nodeType !== Node.ELEMENT_NODE || QUESTION_BANK_DROPPED_TAGS.has(node.tagName)) {
+                node.remove();
+                return;
+            }
+
+            clean(node);
+            if (QUESTION_BANK_ALLOWED_TAGS.has(node.tagName)) {
+                Array.from(node.attributes).forEach(attribute => node.removeAttribute(attribute.name));
+                return;
+            }
+            if (QUESTION_BANK_BLOCK_TAGS.has(node.tagName) && node.previousSibling) {
+                node.before(document.createElement('br'));
+            }
+            node.replaceWith(...node.childNodes);
+        });
+    };
+    clean(template.content);
+
+    return template.innerHTML.replace(/^(\s|<br>)+|(\s|<br>)+$/g, '');
+}
+
+/**
+ * Find the option an answer letter or number refers to, in any of the deck's languages
+ * @param {string} value - "ג", "C" or "3"
+ * @returns {number} Option index, or -1
+ */
+function findOptionIndex(value) {
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) return parseInt(text) - 1;
+
+    for (const language of Object.keys(I18N_LANGUAGES)) {
+        const index = getOptionLetters(language).indexOf(text);
+        if (index !== -1) return index;
+    }
+    return -1;
+}
+
+/**
+ * Remove the letter an exported option starts with ("ג. ...")
+ * @param {string} text - Option text
+ * @param {number} index - Option index
+ * @returns {string} The text without the letter
+ */
+function stripOptionLetter(text, index) {
+    const letters = Object.keys(I18N_LANGUAGES).map(language => escapeQuestionBankPattern(getOptionLetters(language)[index]));
+    return text.replace(new RegExp(`^\\s*(${letters.join('|')})[.)]\\s+`), '');
+}
+
+/**
+ * Build the "מקור: שקף N" reference of a question
+ * @param {Object} question - Question from getQuestionBank
+ * @returns {string} The reference, or an empty string
+ */
+function formatSourceReference(question) {
+    return question.sourceSlide ? t('quiz.sourceSlide', { n: question.sourceSlide }, question.language) : '';
+}
+
+/**
+ * Take the "מקור: שקף N" reference (in any of the deck's languages) off the end of a text
+ * @param {string} html - Explanation, possibly ending with the reference
+ * @returns {Object} { text: the rest, sourceSlide: number or null }
+ */
+function extractSourceReference(html) {
+    for (const language of Object.keys(I18N_LANGUAGES)) {
+        const template = escapeQuestionBankPattern(t('quiz.sourceSlide', {}, language)).replace('\\{n\\}', '(\\d+)');
+        const match = new RegExp(`(?:\\s|<br>)*${template}\\s*$`).exec(html);
+        if (match) {
+            return { text: html.slice(0, match.index), sourceSlide: parseInt(match[1]) };
+        }
+    }
+    return { text: html, sourceSlide: null };
+}
+
+// ----- CSV -----
+
+/**
+ * Quote a CSV field when needed
+ * @param {string|number} value - Field value
+ * @returns {string} The field
+ */
+function toCsvField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may hold commas, quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows, without empty ones
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * Write questions as CSV: one row per question, an "option X" column per option letter
+ * @param {Array<Object>} questions - Questions from getQuestionBank
+ * @returns {string} CSV text
+ */
+function writeQuestionsCsv(questions) {
+    const letters = getOptionLetters();
+    const optionCount = Math.max(...questions.map(question => question.options.length));
+    const header = ['key', 'section', 'question']
+        .concat(letters.slice(0, optionCount).map(letter => `option ${letter}`))
+        .concat(['correct', 'explanation', 'source']);
+
+    const rows = questions.map(question => [question.key, question.section, question.text]
+        .concat(Array.from({ length: optionCount }, (_, index) => question.options[index] || ''))
+        .concat([getOptionLetters(question.language)[question.correct], question.explanation, formatSourceReference(question)]));
+
+    // The byte order mark makes spreadsheets read the Hebrew as UTF-8
+    return '\ufeff' + [header].concat(rows).map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Read questions from CSV written by writeQuestionsCsv (or any CSV with its column names)
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Imported questions (see createImportedQuestion)
+ */
+function readQuestionsCsv(text) {
+    const [header, ...rows] = parseCsvRows(text.replace(/^\ufeff/, ''));
+    const columns = (header || []).map(name => name.trim().toLowerCase());
+    const column = name => columns.indexOf(name);
+    const optionColumns = columns.map((name, index) => /^option\b/.test(name) ? index : -1).filter(index => index !== -1);
+
+    if (column('question') === -1 || column('correct') === -1 || !optionColumns.length) {
+        throw new Error(t('questionBank.csvColumns'));
+    }
+
+    return rows.map(row => {
+        const field = name => column(name) === -1 ? '' : (row[column(name)] || '').trim();
+        const correct = findOptionIndex(field('correct'));
+        const source = field('source');
+
+        // "correct" names an option column, so only empty columns at the end may be dropped
+        const options = optionColumns.map(index => (row[index] || '').trim());
+        while (options.length && !options[options.length - 1]) {
+            options.pop();
+        }
+
+        return {
+            key: field('key'),
+            section: field('section'),
+            text: field('question'),
+            options: options,
+            correct: correct === -1 ? [] : [correct],
+            explanation: field('explanation'),
+            sourceSlide: /^\d+$/.test(source) ? parseInt(source) : extractSourceReference(source).sourceSlide,
+            html: true,
+            error: options.includes('') ? t('questionBank.error.emptyOption') : undefined
+        };
+    });
+}
+
+// ----- GIFT -----
+
+/**
+ * Escape the characters GIFT gives a meaning to
+ * @param {string} text - Text
+ * @returns {string} GIFT text
+ */
+function escapeGift(text) {
+    return text.replace(/[~=#{}:\\]/g, '\\$&').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Undo escapeGift
+ * @param {string} text - GIFT text
+ * @returns {string} Text
+ */
+function unescapeGift(text) {
+    return text.replace(/\\(.)/g, (match, char) => char === 'n' ? '\n' : char).trim();
+}
+
+/**
+ * Split GIFT text at the characters that are not escaped
+ * @param {string} text - GIFT text
+ * @param {string} separators - Characters to split at
+ * @returns {Array<Object>} Parts: { separator (the character before the part, '' for the first), text }
+ */
+function splitGift(text, separators) {
+    const parts = [{ separator: '', text: '' }];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\') {
+            parts[parts.length - 1].text += text.slice(i, i + 2);
+            i++;
+        } else if (separators.includes(text[i])) {
+            parts.push({ separator: text[i], text: '' });
+        } else {
+            parts[parts.length - 1].text += text[i];
+        }
+    }
+    return parts;
+}
+
+/**
+ * Split GIFT text at the first place a token appears unescaped
+ * @param {string} text - GIFT text
+ * @param {string} token - Token to split at
+ * @returns {Array<string>} [before, after] - after is null when the token is not there
+ */
+function splitGiftAt(text, token) {
+    const match = new RegExp(`^((?:\\\\[\\s\\S]|[^\\\\])*?)${escapeQuestionBankPattern(token)}([\\s\\S]*)$`).exec(text);
+    return match ? [match[1], match[2]] : [text, null];
+}
+
+/**
+ * Get the name of the innermost category of a Moodle category path ("$course$/top/A/B" - B)
+ * @param {string} path - Category path, "//" standing for a slash in a name
+ * @returns {string} Category name
+ */
+function getCategoryName(path) {
+    return path.trim().replace(/\/\//g, '\u0000').split('/').pop().replace(/\u0000/g, '/');
+}
+
+/**
+ * Write questions as Moodle GIFT. Sections become categories, the explanation and the source
+ * reference the general feedback; options keep their letters, as GIFT has no Hebrew numbering.
+ * @param {Array<Object>} questions - Questions from getQuestionBank
+ * @returns {string} GIFT text
+ */
+function writeQuestionsGift(questions) {
+    let section = null;
+    const chunks = [`// ${t('app.title')} - ${t('questionBank.fileTitle', { count: questions.length })}`];
+
+    questions.forEach((question, index) => {
+        if (question.section !== section) {
+            section = question.section;
+            chunks.push(`$CATEGORY: $course$/top/${section.replace(/\//g, '//')}`);
+        }
+
+        const letters = getOptionLetters(question.language);
+        const feedback = [question.explanation, formatSourceReference(question)].filter(Boolean).join('<br>');
+        chunks.push([
+            question.key ? `// key: ${question.key}` : '',
+            `::${escapeGift(t('common.question', { n: index + 1 }, question.language))}::[html]${escapeGift(question.text)} {`,
+            ...question.options.map((option, optionIndex) =>
+                `\t${optionIndex === question.correct ? '=' : '~'}${escapeGift(`${letters[optionIndex]}. ${option}`)}`),
+            feedback ? `\t####${escapeGift(feedback)}` : '',
+            '}'
+        ].filter(Boolean).join('\n'));
+    });
+
+    return chunks.join('\n\n') + '\n';
+}
+
+/**
+ * Read multiple-choice questions from Moodle GIFT
+ * @param {string} text - GIFT text
+ * @returns {Array<Object>} Imported questions (see createImportedQuestion)
+ */
+function readQuestionsGift(text) {
+    const questions = [];
+    let section = '';
+    let key = '';
+
+    text.replace(/^\ufeff/, '').replace(/\r\n?/g, '\n').split(/\n\s*\n/).forEach(chunk => {
+        const lines = [];
+        chunk.split('\n').forEach(line => {
+            const metadata = /^\s*\/\/\s*key:\s*(\S+)/.exec(line);
+            const category = /^\s*\$CATEGORY:\s*(.*)$/.exec(line);
+            if (metadata) {
+                key = metadata[1];
+            } else if (category) {
+                // The last level of the path, with "//" standing for a slash in a name
+                section = getCategoryName(category[1]);
+            } else if (!/^\s*\/\//.test(line)) {
+                lines.push(line);
+            }
+        });
+        if (!lines.join('').trim()) return;
+
+        const [before, answers = null, after = ''] = splitGift(lines.join('\n'), '{}').map(part => part.text);
+        const question = { key: key, section: section, options: [], correct: [], explanation: '', sourceSlide: null, html: false };
+        key = '';
+
+        // ::name::[format]text - the name is not shown in the deck
+        const head = /^\s*(?:::(?:\\.|[^:])*::)?\s*(?:\[(\w+)\])?([\s\S]*)$/.exec(before);
+        question.html = head[1] === 'html';
+        question.text = unescapeGift(head[2] + (after.trim() ? ' _____ ' + after : ''));
+
+        const [choices, feedback] = splitGiftAt(answers || '', '####');
+        const parts = splitGift(choices, '=~').slice(1);
+        if (answers === null || !parts.length || parts.some(part => splitGiftAt(part.text, '->')[1] !== null)) {
+            question.error = t('questionBank.error.type');
+        }
+
+        parts.forEach(part => {
+            // "~%50%answer#feedback" - a weighted answer counts as correct only at 100%
+            const weight = /^%(-?[\d.]+)%/.exec(part.text);
+            const answer = splitGift(part.text.replace(/^%-?[\d.]+%/, ''), '#')[0].text;
+            if (part.separator === '=' || (weight && parseFloat(weight[1]) >= 100)) {
+                question.correct.push(question.options.length);
+            }
+            question.options.push(unescapeGift(answer));
+        });
+        question.explanation = unescapeGift(feedback || '');
+
+        questions.push(question);
+    });
+
+    return questions;
+}
+
+// ----- Moodle XML -----
+
+/**
+ * Escape text for XML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+/**
+ * Write questions as Moodle XML multiple-choice questions. Sections become categories, the
+ * question key the ID number; the options keep their letters with Moodle's own numbering turned off.
+ * @param {Array<Object>} questions - Questions from getQuestionBank
+ * @returns {string} XML text
+ */
+function writeQuestionsXml(questions) {
+    let section = null;
+    const text = (tag, value, attributes = '') => `<${tag}${attributes}><text>${escapeXml(value)}</text></${tag}>`;
+    const items = [];
+
+    questions.forEach((question, index) => {
+        if (question.section !== section) {
+            section = question.section;
+            items.push(`
+  <question type="category">
+    ${text('category', `$course$/top/${section.replace(/\//g, '//')}`)}
+  </question>`);
+        }
+
+        const letters = getOptionLetters(question.language);
+        const feedback = [question.explanation, formatSourceReference(question)].filter(Boolean).join('<br>');
+        items.push(`
+  <question type="multichoice">
+    ${text('name', t('common.question', { n: index + 1 }, question.language))}
+    ${text('questiontext', question.text, ' format="html"')}
+    ${text('generalfeedback', feedback, ' format="html"')}
+    <defaultgrade>1</defaultgrade>
+    <penalty>0</penalty>
+    <hidden>0</hidden>
+    <idnumber>${escapeXml(question.key)}</idnumber>
+    <single>true</single>
+    <shuffleanswers>0</shuffleanswers>
+    <answernumbering>none</answernumbering>${question.options.map((option, optionIndex) => `
+    <answer fraction="${optionIndex === question.correct ? 100 : 0}" format="html">
+      <text>${escapeXml(`${letters[optionIndex]}. ${option}`)}</text>
+    </answer>`).join('')}
+  </question>`);
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<quiz>${items.join('')}\n</quiz>\n`;
+}
+
+/**
+ * Read multiple-choice questions from Moodle XML
+ * @param {string} text - XML text
+ * @returns {Array<Object>} Imported questions (see createImportedQuestion)
+ */
+function readQuestionsXml(text) {
+    const xml = new DOMParser().parseFromString(text.replace(/^\ufeff/, ''), 'application/xml');
+    if (xml.getElementsByTagName('parsererror').length || xml.documentElement.tagName !== 'quiz') {
+        throw new Error(t('questionBank.invalidXml'));
+    }
+
+    const child = (element, tag) => Array.from(element.children).find(node => node.tagName === tag);
+    const textOf = (element, tag) => {
+        const node = element && (tag ? child(element, tag) : element);
+        const value = node && child(node, 'text');
+        return value ? value.textContent.trim() : '';
+    };
+    // Texts in the plain text formats are escaped, so all texts are read as HTML
+    const htmlOf = (element, tag) => {
+        const node = element && (tag ? child(element, tag) : element);
+        const format = node ? node.getAttribute('format') || 'html' : 'html';
+        return format === 'html' ? textOf(node) : plainTextToHtml(textOf(node));
+    };
+
+    const questions = [];
+    let section = '';
+
+    Array.from(xml.documentElement.children).filter(node => node.tagName === 'question').forEach(element => {
+        const type = element.getAttribute('type');
+        if (type === 'category') {
+            section = getCategoryName(textOf(element, 'category'));
+            return;
+        }
+
+        const answers = Array.from(element.children).filter(node => node.tagName === 'answer');
+        const idNumber = child(element, 'idnumber');
+
+        questions.push({
+            key: idNumber ? idNumber.textContent.trim() : '',
+            section: section,
+            text: htmlOf(element, 'questiontext'),
+            html: true,
+            options: answers.map(answer => htmlOf(answer)),
+            correct: answers.map((answer, index) => parseFloat(answer.getAttribute('fraction')) >= 100 ? index : -1).filter(index => index !== -1),
+            explanation: htmlOf(element, 'generalfeedback'),
+            sourceSlide: null,
+            error: type === 'multichoice' ? null : t('questionBank.error.type')
+        });
+    });
+
+    return questions;
+}
+
+// File formats: name shown in the panel, file extension and type, writer and reader
+const QUESTION_BANK_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', type: 'text/csv', write: writeQuestionsCsv, read: readQuestionsCsv },
+    gift: { label: 'Moodle GIFT', extension: 'gift.txt', type: 'text/plain', write: writeQuestionsGift, read: readQuestionsGift },
+    xml: { label: 'Moodle XML', extension: 'xml', type: 'application/xml', write: writeQuestionsXml, read: readQuestionsXml }
+};
+
+/**
+ * Pick the format of an imported file by its name, or by its content
+ * @param {string} filename - File name
+ * @param {string} text - File content
+ * @returns {string} Format ID
+ */
+function detectQuestionBankFormat(filename, text) {
+    const name = filename.toLowerCase();
+    if (name.endsWith('.xml') || /^\ufeff?\s*</.test(text)) return 'xml';
+    if (name.endsWith('.csv')) return 'csv';
+    return 'gift';
+}
+
+/**
+ * Check an imported question and turn it into a question block in the current language
+ * @param {Object} question - { key, section, text, options, correct (indices), explanation, sourceSlide, html, error }
+ * @returns {Object} { block } or { error }
+ */
+function createImportedQuestion(question) {
+    const letters = getOptionLetters();
+    const toHtml = text => question.html ? sanitizeImportedHtml(text) : plainTextToHtml(text);
+
+    if (question.error) return { error: question.error };
+    if (!question.text.trim()) return { error: t('questionBank.error.text') };
+    if (question.options.length < 2 || question.options.length > letters.length) {
+        return { error: t('questionBank.error.options', { max: letters.length }) };
+    }
+    if (question.correct.length !== 1 || !question.options[question.correct[0]]) {
+        return { error: t('questionBank.error.correct') };
+    }
+
+    const explanation = extractSourceReference(toHtml(question.explanation));
+    return {
+        block: {
+            type: 'question',
+            key: /^[\w-]+$/.test(question.key) ? question.key : '',
+            section: question.section,
+            text: toHtml(question.text),
+            options: question.options.map((option, index) => toHtml(stripOptionLetter(option, index))),
+            correct: letters[question.correct[0]],
+            explanation: explanation.text,
+            sourceSlide: question.sourceSlide || explanation.sourceSlide
+        }
+    };
+}
+
+/**
+ * Read a question bank file
+ * @param {string} filename - File name
+ * @param {string} text - File content
+ * @returns {Object} { blocks: question blocks, skipped: [{ number, error }] }
+ */
+function importQuestionBank(filename, text) {
+    const format = QUESTION_BANK_FORMATS[detectQuestionBankFormat(filename, text)];
+    const blocks = [];
+    const skipped = [];
+
+    format.read(text).forEach((question, index) => {
+        const result = createImportedQuestion(question);
+        if (result.block) {
+            blocks.push(result.block);
+        } else {
+            skipped.push({ number: index + 1, error: result.error });
+        }
+    });
+
+    return { blocks: blocks, skipped: skipped };
+}
+
+/**
+ * Show imported questions on the review slide, rendered and graded like the deck's own
+ * @param {Array<Object>} blocks - Question blocks from importQuestionBank
+ * @param {string} title - Deck title shown in its header
+ * @returns {QuizSession|null} The deck's session
+ */
+function openImportedQuestions(blocks, title) {
+    const content = [];
+    let section = '';
+    blocks.forEach(block => {
+        if (block.section && block.section !== section) {
+            section = block.section;
+            content.push({ type: 'section-title', text: plainTextToHtml(section) });
+        }
+        content.push(block);
+    });
+
+    const holder = document.createElement('div');
+    holder.innerHTML = renderBlocks(content, { language: currentLanguage, questionNumber: 0 });
+    return openQuizDeck(Array.from(holder.children), title, 'imported');
+}
+
+/**
+ * Save the deck's questions to a file
+ * @param {string} formatId - Key of QUESTION_BANK_FORMATS
+ */
+function downloadQuestionBank(formatId) {
+    const format = QUESTION_BANK_FORMATS[formatId];
+    const blob = new Blob([format.write(getQuestionBank())], { type: `${format.type};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = `${t('questionBank.filename')}.${format.extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Add the question bank panel (export and import) to the review slide
+ */
+function initializeQuestionBank() {
+    if (!quizSession) return;
+
+    const panel = document.createElement('div');
+    panel.className = 'question-bank-panel definition-box';
+    panel.innerHTML = `
+        <h3 style="border: none; margin-top: 0;">${t('questionBank.title')}</h3>
+        <p>${t('questionBank.intro')}</p>
+        <div class="practice-controls">
+            <label>${t('questionBank.format')}
+                <select class="theme-select question-bank-format">
+                    ${Object.entries(QUESTION_BANK_FORMATS).map(([id, format]) => `<option value="${id}">${format.label}</option>`).join('')}
+                </select>
+            </label>
+            <button class="show-answer-btn" data-action="export">${t('questionBank.export')}</button>
+            <button class="show-answer-btn" data-action="import">${t('questionBank.import')}</button>
+            <input type="file" class="question-bank-file" accept=".csv,.txt,.gift,.xml" hidden>
+        </div>
+        <p class="export-status" aria-live="polite"></p>`;
+
+    const status = panel.querySelector('.export-status');
+    const fileInput = panel.querySelector('.question-bank-file');
+
+    panel.addEventListener('click', function (e) {
+        e.stopPropagation();
+        const action = e.target.closest('button')?.getAttribute('data-action');
+
+        if (action === 'export') {
+            downloadQuestionBank(panel.querySelector('.question-bank-format').value);
+            status.textContent = t('questionBank.exported');
+        } else if (action === 'import') {
+            fileInput.click();
+        }
+    });
+
+    fileInput.addEventListener('change', function () {
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        file.text().then(text => {
+            const { blocks, skipped } = importQuestionBank(file.name, text);
+            const skippedText = skipped.length
+                ? ' ' + t('questionBank.skipped', { count: skipped.length, number: skipped[0].number, reason: skipped[0].error })
+                : '';
+            if (!blocks.length) {
+                status.textContent = t('questionBank.noQuestions') + skippedText;
+                return;
+            }
+
+            openImportedQuestions(blocks, t('questionBank.deckTitle', { count: blocks.length, name: file.name }));
+            status.textContent = t('questionBank.imported', { count: blocks.length }) + skippedText;
+        }).catch(error => {
+            console.error(error);
+            status.textContent = t('questionBank.failed', { message: error.message });
+        });
+        fileInput.value = '';
+    });
+
+    quizSession.container.insertBefore(panel, quizSession.progressElement);
+}
@@ -0,0 +1,493 @@
+'use strict';
+
+// ===== Quiz Session =====
+
+// All active sessions - the review slide and any practice quiz built from it
+const quizSessions = [];
+
+/**
+ * Constructor for QuizSession
+ * Tracks the learner's answers on the review slide, keeps a live progress bar
+ * and builds the end-of-review results summary
+ * @param {HTMLElement} container - Element holding the review questions
+ * @param {Object} options - Session options
+ * @param {string} options.deck - Name of a generated deck ('practice', 'mistakes', 'imported'); omitted for the review slide
+ */
+class QuizSession {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.deck = options.deck || null;
+        this.questions = this.collectQuestions();
+
+        // question id -> { status: 'correct' | 'incorrect' | 'skipped', choice: string|null }
+        this.results = new Map();
+
+        this.progressElement = null;
+        this.resultsElement = null;
+
+        this.init();
+        quizSessions.push(this);
+    }
+
+    /**
+     * Stop tracking this session
+     */
+    destroy() {
+        const index = quizSessions.indexOf(this);
+        if (index !== -1) {
+            quizSessions.splice(index, 1);
+        }
+    }
+
+    /**
+     * Read question data from the rendered questions (see renderQuestionBlock)
+     * @returns {Array<Object>} Question descriptors in document order
+     */
+    collectQuestions() {
+        let section = '';
+        const questions = [];
+
+        this.container.querySelectorAll('.section-title, .question').forEach(element => {
+            if (element.classList.contains('section-title')) {
+                section = element.textContent.trim();
+                return;
+            }
+
+            const questionText = element.querySelector('.question-text');
+
+            const text = questionText ? questionText.textContent.trim() : '';
+            const optionTexts = Array.from(element.querySelectorAll('.option')).map(o => o.textContent.trim());
+
+            questions.push({
+                id: 'q' + (questions.length + 1),
+                // The key from the deck content, or a content fingerprint for a question without one -
+                // stable when questions are reordered. Practice copies carry the key of their question.
+                key: element.dataset.questionKey || hashString([text.replace(/^\d+\.\s*/, ''), element.dataset.correct].concat(optionTexts).join('|')),
+                number: questions.length + 1,
+                element: element,
+                text: text,
+                correct: element.dataset.correct,
+                section: element.dataset.section || section,
+                sourceSlide: element.dataset.sourceSlide ? parseInt(element.dataset.sourceSlide) : null
+            });
+        });
+
+        return questions;
+    }
+
+    /**
+     * Find the descriptor for a question element
+     * @param {HTMLElement} element - A `.question` element (or any element inside one)
+     * @returns {Object|undefined} Question descriptor
+     */
+    getQuestion(element) {
+        const questionElement = element.closest('.question');
+        return this.questions.find(q => q.element === questionElement);
+    }
+
+    /**
+     * Build the progress bar and results panel and wire up the options
+     */
+    init() {
+        this.progressElement = document.createElement('div');
+        this.progressElement.className = 'quiz-progress';
+        this.progressElement.innerHTML = `
+            <div class="quiz-progress-text"></div>
+            <div class="quiz-progress-track">
+                <div class="quiz-progress-correct"></div>
+                <div class="quiz-progress-incorrect"></div>
+                <div class="quiz-progress-skipped"></div>
+            </div>`;
+
+        const firstSection = this.container.querySelector('.section-title, .question');
+        this.container.insertBefore(this.progressElement, firstSection);
+
+        const finishButton = document.createElement('button');
+        finishButton.className = 'quiz-finish-btn';
+        finishButton.textContent = t('quiz.finish');
+        finishButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showResults();
+        });
+        this.container.appendChild(finishButton);
+
+        this.resultsElement = document.createElement('div');
+        this.resultsElement.className = 'quiz-results';
+        this.container.appendChild(this.resultsElement);
+
+        this.questions.forEach(question => this.setupOptions(question));
+
+        this.updateProgress();
+    }
+
+    /**
+     * Expose a question's options as a radio group.
+     * Arrow keys move between the options; Enter, Space or a hotkey (the option's
+     * letter or number) answers. Moving alone does not answer - a choice is graded
+     * the moment it is made.
+     * @param {Object} question - Question descriptor
+     */
+    setupOptions(question) {
+        const group = question.element.querySelector('.options');
+        if (group) {
+            group.setAttribute('role', 'radiogroup');
+            group.setAttribute('aria-label', question.text);
+        }
+
+        question.element.querySelectorAll('.option').forEach(option => {
+            option.setAttribute('role', 'radio');
+            option.addEventListener('click', (e) => {
+                e.stopPropagation(); // Prevent navigation in slide
+                this.handleOptionClick(question, option);
+            });
+        });
+        this.markChoice(question, null);
+
+        question.element.addEventListener('keydown', (e) => this.handleOptionKey(question, e));
+    }
+
+    /**
+     * Keyboard selection inside a question
+     * @param {Object} question - Question descriptor
+     * @param {KeyboardEvent} e - The key event
+     */
+    handleOptionKey(question, e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        const options = Array.from(question.element.querySelectorAll('.option'));
+        const current = e.target.closest('.option');
+        const step = { ArrowDown: 1, ArrowUp: -1, ArrowLeft: isRTL ? 1 : -1, ArrowRight: isRTL ? -1 : 1 }[e.key];
+        let target = null;
+        let answer = false;
+
+        if (current && step) {
+            target = options[(options.indexOf(current) + step + options.length) % options.length];
+        } else if (current && (e.key === 'Home' || e.key === 'End')) {
+            target = e.key === 'Home' ? options[0] : options[options.length - 1];
+        } else if (current && (e.key === 'Enter' || e.key === ' ')) {
+            target = current;
+            answer = true;
+        } else {
+            const index = /^[1-9]$/.test(e.key) ? parseInt(e.key) - 1 : getOptionLetters().indexOf(e.key.toUpperCase());
+            target = options[index] || null;
+            answer = true;
+        }
+
+        if (!target) return;
+        e.preventDefault();
+        e.stopPropagation(); // Keep the keys from changing slides
+
+        options.forEach(option => { option.tabIndex = option === target ? 0 : -1; });
+        target.focus();
+        if (answer) {
+            // A click, so a running classroom poll can capture the choice
+            target.click();
+        }
+    }
+
+    /**
+     * Mark the chosen option as checked and make it the group's tab stop
+     * @param {Object} question - Question descriptor
+     * @param {HTMLElement|null} chosen - The chosen option, or null to clear the choice
+     */
+    markChoice(question, chosen) {
+        const options = Array.from(question.element.querySelectorAll('.option'));
+        options.forEach(option => {
+            option.setAttribute('aria-checked', String(option === chosen));
+            option.tabIndex = option === (chosen || options[0]) ? 0 : -1;
+        });
+    }
+
+    /**
+     * Grade a clicked option against the question's data-correct letter
+     * @param {Object} question - Question descriptor
+     * @param {HTMLElement} option - The clicked `.option` element
+     */
+    handleOptionClick(question, option) {
+        // If answer already selected, do nothing
+        if (option.classList.contains('correct') || option.classList.contains('incorrect')) {
+            return;
+        }
+
+        const letter = option.querySelector('.option-letter').textContent.trim();
+        const isCorrect = letter === question.correct;
+        this.markChoice(question, option);
+
+        if (isCorrect) {
+            // Correct answer - color green
+            option.classList.add('correct');
+        } else {
+            // Wrong answer - color red, open the answer box and mark the correct option
+            option.classList.add('incorrect');
+            this.revealAnswer(question);
+        }
+
+        // Only the first choice counts towards the score
+        if (!this.results.has(question.id)) {
+            this.record(question, isCorrect ? 'correct' : 'incorrect', letter);
+        }
+    }
+
+    /**
+     * Open the answer box of a question and mark its correct option
+     * @param {Object} question - Question descriptor
+     */
+    revealAnswer(question) {
+        const answerBox = question.element.querySelector('.answer-box');
+        const showAnswerBtn = question.element.querySelector('.show-answer-btn');
+
+        if (answerBox) {
+            answerBox.classList.add('show');
+            if (showAnswerBtn) {
+                showAnswerBtn.textContent = t('quiz.hideAnswer');
+            }
+        }
+
+        question.element.querySelectorAll('.option').forEach(opt => {
+            const letter = opt.querySelector('.option-letter').textContent.trim();
+            if (letter === question.correct) {
+                opt.classList.add('correct');
+            }
+        });
+    }
+
+    /**
+     * Store the outcome of a question and notify listeners
+     * @param {Object} question - Question descriptor
+     * @param {string} status - 'correct', 'incorrect' or 'skipped'
+     * @param {string|null} choice - Chosen option letter
+     */
+    record(question, status, choice) {
+        this.results.set(question.id, { status: status, choice: choice });
+        this.updateProgress();
+
+        question.element.dispatchEvent(new CustomEvent('quiz-answer', {
+            bubbles: true,
+            detail: { session: this, question: question, status: status, choice: choice }
+        }));
+
+        if (this.results.size === this.questions.length) {
+            this.showResults();
+        }
+    }
+
+    /**
+     * Mark a question as skipped when its answer is revealed before answering
+     * @param {HTMLElement} element - The question element
+     */
+    markRevealed(element) {
+        const question = this.getQuestion(element);
+        if (question && !this.results.has(question.id)) {
+            this.record(question, 'skipped', null);
+        }
+    }
+
+    /**
+     * Forget the outcome of a question so it can be answered again
+     * @param {HTMLElement} element - The question element
+     */
+    resetQuestion(element) {
+        const question = this.getQuestion(element);
+        if (question) {
+            this.markChoice(question, null);
+        }
+        if (question && this.results.delete(question.id)) {
+            this.updateProgress();
+            question.element.dispatchEvent(new CustomEvent('quiz-reset', {
+                bubbles: true,
+                detail: { session: this, question: question }
+            }));
+        }
+    }
+
+    /**
+     * Re-apply a previously stored outcome without notifying listeners
+     * @param {Object} question - Question descriptor
+     * @param {string} status - 'correct', 'incorrect' or 'skipped'
+     * @param {string|null} choice - Chosen option letter
+     */
+    restore(question, status, choice) {
+        choice = localizeOptionLetter(choice);
+        this.results.set(question.id, { status: status, choice: choice });
+
+        question.element.querySelectorAll('.option').forEach(option => {
+            const letter = option.querySelector('.option-letter').textContent.trim();
+            if (letter === choice) {
+                option.classList.add(status === 'correct' ? 'correct' : 'incorrect');
+                this.markChoice(question, option);
+            }
+        });
+
+        if (status !== 'correct') {
+            this.revealAnswer(question);
+        }
+
+        this.updateProgress();
+    }
+
+    /**
+     * Clear every answer and hide the results panel
+     */
+    reset() {
+        this.results.clear();
+
+        this.questions.forEach(question => {
+            question.element.querySelectorAll('.option').forEach(option => {
+                option.classList.remove('correct', 'incorrect');
+            });
+            this.markChoice(question, null);
+            question.element.querySelector('.answer-box')?.classList.remove('show');
+            const showAnswerBtn = question.element.querySelector('.show-answer-btn');
+            if (showAnswerBtn) {
+                showAnswerBtn.textContent = t('quiz.showAnswer');
+            }
+        });
+
+        this.resultsElement.classList.remove('show');
+        this.resultsElement.innerHTML = '';
+        this.updateProgress();
+
+        this.container.dispatchEvent(new CustomEvent('quiz-reset', {
+            bubbles: true,
+            detail: { session: this, question: null }
+        }));
+    }
+
+    /**
+     * Count results overall and per section
+     * Questions without a recorded result are counted as skipped
+     * @returns {Object} Totals and a list of per-section totals
+     */
+    getSummary() {
+        const emptyTotals = () => ({ total: 0, correct: 0, incorrect: 0, skipped: 0 });
+        const summary = emptyTotals();
+        summary.sections = [];
+        summary.missed = [];
+
+        this.questions.forEach(question => {
+            let section = summary.sections.find(s => s.title === question.section);
+            if (!section) {
+                section = Object.assign({ title: question.section }, emptyTotals());
+                summary.sections.push(section);
+            }
+
+            const status = this.results.get(question.id)?.status || 'skipped';
+            summary.total++;
+            summary[status]++;
+            section.total++;
+            section[status]++;
+
+            if (status !== 'correct') {
+                summary.missed.push({ question: question, status: status });
+            }
+        });
+
+        return summary;
+    }
+
+    /**
+     * Refresh the progress bar text and segments
+     */
+    updateProgress() {
+        const total = this.questions.length;
+        const counts = { correct: 0, incorrect: 0, skipped: 0 };
+        this.results.forEach(result => counts[result.status]++);
+
+        const answered = counts.correct + counts.incorrect + counts.skipped;
+        this.progressElement.querySelector('.quiz-progress-text').textContent =
+            t('quiz.progress', { answered: answered, total: total, ...counts });
+
+        Object.keys(counts).forEach(status => {
+            const segment = this.progressElement.querySelector('.quiz-progress-' + status);
+            segment.style.width = (total ? counts[status] / total * 100 : 0) + '%';
+        });
+    }
+
+    /**
+     * Render the results summary at the end of the review slide
+     */
+    showResults() {
+        const summary = this.getSummary();
+        const percent = summary.total ? Math.round(summary.correct / summary.total * 100) : 0;
+        const statusLabels = { incorrect: t('quiz.statusIncorrect'), skipped: t('quiz.statusSkipped') };
+
+        const sectionRows = summary.sections.map(section => `
+            <tr>
+                <td>${section.title}</td>
+                <td>${section.correct}/${section.total}</td>
+                <td>${section.incorrect}</td>
+                <td>${section.skipped}</td>
+            </tr>`).join('');
+
+        const missedItems = summary.missed.map(item => `
+            <li class="quiz-missed-item quiz-missed-${item.status}">
+                <span>${item.question.text}</span>
+                <em>(${statusLabels[item.status]})</em>
+                ${item.question.sourceSlide ? `<span class="slide-link-span" data-slide="${item.question.sourceSlide}">${t('common.slideRef', { n: item.question.sourceSlide })}</span>` : ''}
+            </li>`).join('');
+
+        this.resultsElement.innerHTML = `
+            <h3>${t('quiz.resultsTitle')}</h3>
+            <div class="quiz-score">${t('quiz.score', { correct: summary.correct, total: summary.total, percent: percent })}</div>
+            <table class="quiz-results-table">
+                <thead>
+                    <tr><th>${t('quiz.columnSection')}</th><th>${t('quiz.columnCorrect')}</th><th>${t('quiz.columnIncorrect')}</th><th>${t('quiz.columnSkipped')}</th></tr>
+                </thead>
+                <tbody>${sectionRows}</tbody>
+            </table>
+            ${summary.missed.length ? `
+                <h3>${t('quiz.missedTitle')}</h3>
+                <ul class="quiz-missed-list">${missedItems}</ul>` : `
+                <div class="positive-box">${t('quiz.allCorrect')}</div>`}
+            <button class="show-answer-btn quiz-restart-btn">${t('quiz.restart')}</button>`;
+
+        this.resultsElement.querySelectorAll('.slide-link-span').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.stopPropagation();
+                goToSlide(parseInt(link.getAttribute('data-slide')));
+            });
+        });
+
+        this.resultsElement.querySelector('.quiz-restart-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.reset();
+            this.progressElement.scrollIntoView({ behavior: 'smooth' });
+        });
+
+        this.resultsElement.classList.add('show');
+    }
+}
+
+/**
+ * Compute a short, stable fingerprint of a string (djb2)
+ * @param {string} text - Text to hash
+ * @returns {string} Hex hash
+ */
+function hashString(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(16);
+}
+
+let quizSession = null;
+
+/**
+ * Create the quiz session for the review slide
+ */
+function initializeQuiz() {
+    const firstQuestion = document.querySelector('.question');
+    if (!firstQuestion) return;
+
+    quizSession = new QuizSession(firstQuestion.closest('.container') || firstQuestion.parentElement);
+}
+
+/**
+ * Find the session that owns a question
+ * @param {HTMLElement} element - A `.question` element (or any element inside one)
+ * @returns {QuizSession|undefined} The owning session
+ */
+function findQuizSession(element) {
+    return quizSessions.find(session => session.getQuestion(element));
+}
@@ -0,0 +1,325 @@
+'use strict';
+
+// ===== Mistake Review Queue (Leitner boxes) =====
+
+const REVIEW_QUEUE_STORAGE_KEY = 'reviewQueue';
+const REVIEW_QUEUE_SCHEMA_VERSION = 1;
+
+// Default waiting time before each box comes up again, in hours
+const DEFAULT_REVIEW_INTERVALS = [0.25, 24, 72, 168];
+const DEFAULT_GRADUATE_AFTER = 3;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Constructor for ReviewQueue
+ * Keeps wrongly answered questions in Leitner boxes. A mistake puts a question
+ * in the first box; each correct answer in the mistakes deck moves it up a box
+ * (longer interval), and after enough consecutive correct answers it graduates
+ * and leaves the queue.
+ */
+class ReviewQueue {
+    constructor() {
+        this.data = this.load();
+    }
+
+    /**
+     * Create an empty queue
+     * @returns {Object} Fresh queue data
+     */
+    createEmpty() {
+        return {
+            version: REVIEW_QUEUE_SCHEMA_VERSION,
+            settings: {
+                intervals: DEFAULT_REVIEW_INTERVALS.slice(),
+                graduateAfter: DEFAULT_GRADUATE_AFTER
+            },
+            items: {},
+            graduated: 0
+        };
+    }
+
+    /**
+     * Read the queue from localStorage, discarding unreadable or outdated data
+     * @returns {Object} Queue data
+     */
+    load() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(REVIEW_QUEUE_STORAGE_KEY));
+        } catch (e) {
+            // An unreadable queue is discarded below
+        }
+
+        if (!stored || stored.version !== REVIEW_QUEUE_SCHEMA_VERSION) {
+            return this.createEmpty();
+        }
+
+        return Object.assign(this.createEmpty(), stored);
+    }
+
+    /**
+     * Write the queue to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(REVIEW_QUEUE_STORAGE_KEY, JSON.stringify(this.data));
+        } catch (e) {
+            // Storage is full or unavailable - the queue lasts for this session only
+        }
+    }
+
+    /**
+     * Drop queued questions that no longer exist in the deck
+     * @param {Array<Object>} questions - Current question descriptors
+     */
+    prune(questions) {
+        const validKeys = new Set(questions.map(q => q.key));
+        const staleKeys = Object.keys(this.data.items).filter(key => !validKeys.has(key));
+        staleKeys.forEach(key => delete this.data.items[key]);
+
+        if (staleKeys.length) {
+            this.save();
+        }
+    }
+
+    /**
+     * Get the waiting time of a box
+     * @param {number} box - Box index
+     * @returns {number} Interval in milliseconds
+     */
+    getInterval(box) {
+        const intervals = this.data.settings.intervals;
+        return intervals[Math.min(box, intervals.length - 1)] * HOUR_MS;
+    }
+
+    /**
+     * Put a question (back) into the first box
+     * @param {string} key - Question fingerprint
+     */
+    addMistake(key) {
+        const now = Date.now();
+        const existing = this.data.items[key];
+
+        this.data.items[key] = {
+            box: 0,
+            streak: 0,
+            addedAt: existing ? existing.addedAt : now,
+            dueAt: now + this.getInterval(0)
+        };
+        this.save();
+    }
+
+    /**
+     * Record an answer given in the mistakes deck
+     * @param {string} key - Question fingerprint
+     * @param {boolean} isCorrect - Whether the answer was correct
+     * @returns {string|null} 'graduated', 'promoted', 'reset' or null if the question is not queued
+     */
+    review(key, isCorrect) {
+        const item = this.data.items[key];
+        if (!item) return null;
+
+        if (!isCorrect) {
+            this.addMistake(key);
+            return 'reset';
+        }
+
+        item.streak++;
+        if (item.streak >= this.data.settings.graduateAfter) {
+            delete this.data.items[key];
+            this.data.graduated++;
+            this.save();
+            return 'graduated';
+        }
+
+        item.box = Math.min(item.box + 1, this.data.settings.intervals.length - 1);
+        item.dueAt = Date.now() + this.getInterval(item.box);
+        this.save();
+        return 'promoted';
+    }
+
+    /**
+     * Get the fingerprints of questions that are due now
+     * @returns {Array<string>} Due question keys, most overdue first
+     */
+    getDueKeys() {
+        const now = Date.now();
+        return Object.keys(this.data.items)
+            .filter(key => this.data.items[key].dueAt <= now)
+            .sort((a, b) => this.data.items[a].dueAt - this.data.items[b].dueAt);
+    }
+
+    /**
+     * Get the time the next queued question becomes due
+     * @returns {number|null} Timestamp, or null if the queue is empty
+     */
+    getNextDueTime() {
+        const times = Object.values(this.data.items).map(item => item.dueAt);
+        return times.length ? Math.min(...times) : null;
+    }
+
+    /**
+     * Count queued questions
+     * @returns {number} Number of questions in the queue
+     */
+    size() {
+        return Object.keys(this.data.items).length;
+    }
+
+    /**
+     * Update the queue settings
+     * @param {Array<number>} intervals - Waiting time per box, in hours
+     * @param {number} graduateAfter - Consecutive correct answers needed to leave the queue
+     */
+    updateSettings(intervals, graduateAfter) {
+        this.data.settings.intervals = intervals;
+        this.data.settings.graduateAfter = graduateAfter;
+        this.save();
+    }
+}
+
+let reviewQueue = null;
+let reviewQueuePanel = null;
+
+/**
+ * Describe how long until a timestamp
+ * @param {number} timestamp - Future time
+ * @returns {string} Description such as "in 3 hours"
+ */
+function formatTimeUntil(timestamp) {
+    const minutes = Math.max(1, Math.round((timestamp - Date.now()) / 60000));
+    if (minutes < 60) return t('review.inMinutes', { n: minutes });
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return t('review.inHours', { n: hours });
+    return t('review.inDays', { n: Math.round(hours / 24) });
+}
+
+/**
+ * Open the mistakes deck with every question that is due
+ */
+function openMistakesDeck() {
+    if (!quizSession || !reviewQueue) return;
+
+    const reviewSlideIndex = Array.from(slides).indexOf(quizSession.container.closest('.slide'));
+    if (reviewSlideIndex !== -1 && reviewSlideIndex !== currentSlide) {
+        showSlide(reviewSlideIndex);
+    }
+
+    const dueKeys = reviewQueue.getDueKeys();
+    const dueQuestions = dueKeys
+        .map(key => quizSession.questions.find(q => q.key === key))
+        .filter(Boolean);
+
+    if (!dueQuestions.length) {
+        reviewQueuePanel.scrollIntoView({ behavior: 'smooth' });
+        return;
+    }
+
+    openQuizDeck(dueQuestions, t('review.deckTitle', { count: dueQuestions.length }), 'mistakes');
+}
+
+/**
+ * Refresh the due counts in the review slide panel and the navigation badge
+ */
+function updateReviewQueueDisplay() {
+    const dueCount = reviewQueue.getDueKeys().length;
+    const queued = reviewQueue.size();
+    const nextDue = reviewQueue.getNextDueTime();
+
+    const badge = document.getElementById('mistakes-due');
+    if (badge) {
+        badge.textContent = dueCount;
+        badge.hidden = dueCount === 0;
+    }
+
+    let status;
+    if (!queued) {
+        status = t('review.empty');
+    } else if (dueCount) {
+        status = t('review.due', { due: dueCount, queued: queued });
+    } else {
+        status = t('review.queued', { queued: queued, next: formatTimeUntil(nextDue) });
+    }
+    if (reviewQueue.data.graduated) {
+        status += t('review.graduated', { n: reviewQueue.data.graduated });
+    }
+
+    reviewQueuePanel.querySelector('.review-queue-status').innerHTML = status;
+    reviewQueuePanel.querySelector('.review-queue-start-btn').disabled = dueCount === 0;
+}
+
+/**
+ * Build the mistakes panel with its settings form on the review slide
+ */
+function createReviewQueuePanel() {
+    const settings = reviewQueue.data.settings;
+
+    reviewQueuePanel = document.createElement('div');
+    reviewQueuePanel.className = 'review-queue-panel definition-box';
+    reviewQueuePanel.innerHTML = `
+        <h3 style="border: none; margin-top: 0;">${t('review.title')}</h3>
+        <p class="review-queue-status"></p>
+        <button class="show-answer-btn review-queue-start-btn">${t('review.start')}</button>
+        <details class="review-queue-settings">
+            <summary>${t('review.settings')}</summary>
+            <div class="practice-controls">
+                ${settings.intervals.map((hours, box) => `
+                    <label>${t('review.box', { n: box + 1 })}
+                        <input type="number" class="practice-count review-interval" min="0" step="0.25" value="${hours}">
+                    </label>`).join('')}
+                <label>${t('review.graduateAfter')}
+                    <input type="number" class="practice-count review-graduate" min="1" value="${settings.graduateAfter}">
+                </label>
+                <button class="show-answer-btn review-settings-save-btn">${t('review.save')}</button>
+            </div>
+        </details>`;
+
+    reviewQueuePanel.querySelector('.review-queue-start-btn').addEventListener('click', function (e) {
+        e.stopPropagation();
+        openMistakesDeck();
+    });
+
+    reviewQueuePanel.querySelector('.review-settings-save-btn').addEventListener('click', function (e) {
+        e.stopPropagation();
+        const intervals = Array.from(reviewQueuePanel.querySelectorAll('.review-interval'))
+            .map(input => Math.max(0, parseFloat(input.value) || 0));
+        const graduateAfter = Math.max(1, parseInt(reviewQueuePanel.querySelector('.review-graduate').value) || 1);
+        reviewQueue.updateSettings(intervals, graduateAfter);
+        updateReviewQueueDisplay();
+    });
+
+    quizSession.container.insertBefore(reviewQueuePanel, quizSession.progressElement);
+}
+
+/**
+ * Create the review queue and feed it from every quiz answer
+ */
+function initializeReviewQueue() {
+    if (!quizSession) return;
+
+    reviewQueue = new ReviewQueue();
+    reviewQueue.prune(quizSession.questions);
+
+    createReviewQueuePanel();
+    updateReviewQueueDisplay();
+
+    document.addEventListener('quiz-answer', function (e) {
+        // Imported questions may have no question in the deck to review later
+        if (e.detail.session.deck === 'imported') return;
+
+        const key = e.detail.question.key;
+
+        if (e.detail.session.deck === 'mistakes') {
+            // Revealing the answer without choosing counts as not knowing it
+            reviewQueue.review(key, e.detail.status === 'correct');
+        } else if (e.detail.status === 'incorrect') {
+            reviewQueue.addMistake(key);
+        }
+
+        updateReviewQueueDisplay();
+    });
+
+    // Questions become due while the deck is open
+    setInterval(updateReviewQueueDisplay, 60 * 1000);
+}
@@ -0,0 +1,178 @@
+'use strict';
+
+// ===== URL Routing =====
+
+/**
+ * Constructor for SlideRouter
+ * Keeps the URL hash in sync with the current slide and adds a history entry per
+ * navigation, so refresh, back/forward and shared links all work.
+ *
+ * Supported hashes:
+ * - #tnai-shlishi        - slide by its data-slug
+ * - #8                   - slide by number (1-indexed, as shown in the counter)
+ * - #shealot-chazara/q12 - a review question by its number (also #12/q12)
+ *
+ * @param {NodeList|Array<HTMLElement>} slideElements - The slides, in order
+ */
+class SlideRouter {
+    constructor(slideElements) {
+        this.slugs = Array.from(slideElements).map((slide, i) => slide.dataset.slug || String(i + 1));
+
+        // Set while applying a URL, so the resulting slide-change doesn't push it again
+        this.applying = false;
+    }
+
+    /**
+     * Parse a location hash
+     * @param {string} hash - Hash including the leading '#'
+     * @returns {Object|null} { index, question } (question is a number or null), or null if unknown
+     */
+    parse(hash) {
+        const [slidePart, questionPart] = decodeURIComponent(hash.replace(/^#/, '')).split('/');
+        if (!slidePart) return null;
+
+        let index = this.slugs.indexOf(slidePart);
+        if (index === -1 && /^\d+$/.test(slidePart)) {
+            index = parseInt(slidePart) - 1;
+        }
+        if (index < 0 || index >= this.slugs.length) return null;
+
+        const questionMatch = questionPart && questionPart.match(/^q?(\d+)$/);
+        return { index: index, question: questionMatch ? parseInt(questionMatch[1]) : null };
+    }
+
+    /**
+     * Build the hash for a slide (and optionally a review question)
+     * @param {number} index - Slide index
+     * @param {number|null} question - Question number
+     * @returns {string} Hash including the leading '#'
+     */
+    buildHash(index, question = null) {
+        return '#' + this.slugs[index] + (question ? '/q' + question : '');
+    }
+
+    /**
+     * Get the link to a review question
+     * @param {Object} question - Question descriptor from the quiz session
+     * @returns {string} Hash including the leading '#'
+     */
+    getQuestionHash(question) {
+        const slide = question.element.closest('.slide');
+        return this.buildHash(Array.from(slides).indexOf(slide), question.number);
+    }
+
+    /**
+     * Go to a slide (and optionally a review question), adding a history entry
+     * @param {number} index - Slide index
+     * @param {number|null} question - Question number
+     */
+    navigate(index, question = null) {
+        const hash = this.buildHash(index, question);
+        if (location.hash !== hash) {
+            history.pushState({ index: index, question: question }, '', hash);
+        }
+        this.apply();
+    }
+
+    /**
+     * Show whatever the current URL points to
+     * @returns {boolean} True if the URL named a slide
+     */
+    apply() {
+        const route = this.parse(location.hash);
+        if (!route) return false;
+
+        // Show numbered links (#8) by their slug
+        const hash = this.buildHash(route.index, route.question);
+        if (location.hash !== hash) {
+            history.replaceState({ index: route.index, question: route.question }, '', hash);
+        }
+
+        this.applying = true;
+        try {
+            if (route.index !== currentSlide) {
+                showSlide(route.index);
+            }
+        } finally {
+            this.applying = false;
+        }
+
+        if (route.question) {
+            this.focusQuestion(route.question);
+        }
+        return true;
+    }
+
+    /**
+     * Record a slide change made by other means (buttons, keys, swipes) in the history
+     * @param {number} index - The new slide index
+     */
+    record(index) {
+        if (this.applying) return;
+
+        const route = this.parse(location.hash);
+        if (route && route.index === index) return;
+
+        history.pushState({ index: index, question: null }, '', this.buildHash(index));
+    }
+
+    /**
+     * Scroll to a review question and highlight it briefly
+     * @param {number} number - Question number
+     */
+    focusQuestion(number) {
+        if (!quizSession) return;
+
+        const question = quizSession.questions.find(q => q.number === number);
+        if (!question) return;
+
+        // The original questions are hidden while a practice quiz is open
+        if (practiceSession) {
+            stopPractice();
+        }
+
+        question.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        question.element.classList.add('route-target');
+        setTimeout(() => question.element.classList.remove('route-target'), 2000);
+    }
+
+    /**
+     * Add a permanent link button to every review question
+     */
+    addQuestionLinks() {
+        if (!quizSession) return;
+
+        quizSession.questions.forEach(question => {
+            const link = document.createElement('a');
+            link.className = 'question-link';
+            link.href = this.getQuestionHash(question);
+            link.textContent = '🔗';
+            link.title = t('router.questionLink');
+            link.setAttribute('aria-label', t('router.questionLinkLabel', { n: question.number }));
+            question.element.prepend(link);
+        });
+    }
+}
+
+let slideRouter = null;
+
+/**
+ * Start routing: show the slide from the URL and follow navigation from then on
+ */
+function initializeRouter() {
+    slideRouter = new SlideRouter(slides);
+    slideRouter.addQuestionLinks();
+
+    // Deep link on load - otherwise name the first slide without adding a history entry
+    if (!slideRouter.apply()) {
+        history.replaceState({ index: currentSlide, question: null }, '', slideRouter.buildHash(currentSlide));
+    }
+
+    document.addEventListener('slide-change', function (e) {
+        slideRouter.record(e.detail.index);
+    });
+
+    // Back/forward, links to #slug and hashes typed into the address bar
+    window.addEventListener('popstate', () => slideRouter.apply());
+    window.addEventListener('hashchange', () => slideRouter.apply());
+}
@@ -0,0 +1,437 @@
+'use strict';
+
+// ===== Search =====
+
+// Common abbreviations in the sources, searched as their full form (written with quotes as usual)
+const SEARCH_ABBREVIATIONS = {
+    'פנה"ל': 'פניני הלכה',
+    'פנ"ה': 'פניני הלכה',
+    'שו"ע': 'שולחן ערוך',
+    'ילקו"י': 'ילקוט יוסף',
+    'ילק"י': 'ילקוט יוסף',
+    'יל"י': 'ילקוט יוסף',
+    'שש"כ': 'שמירת שבת כהלכתה',
+    'מ"ב': 'משנה ברורה',
+    'משנ"ב': 'משנה ברורה',
+    'רמ"א': 'רבי משה איסרליש',
+    'סי\'': 'סימן',
+    'סע\'': 'סעיף',
+    'הל\'': 'הלכות'
+};
+
+// Hebrew prefixes (and, the, in, to, from, that, as) that may be attached to a word
+const HEBREW_PREFIX_LETTERS = 'והבלמשכ';
+
+// Generated UI that should not show up in the results
+const SEARCH_EXCLUDED = 'script, .toc-list, .quiz-progress, .quiz-finish-btn, .quiz-results, .practice-setup, ' +
+    '.practice-quiz, .review-queue-panel, .borer-wizard, .plate-simulator, .question-link, .show-answer-btn, .speaker-notes, ' +
+    '.poll-btn, .poll-panel, .question-bank-panel';
+
+// Closest enclosing block of a piece of text - one search result per block
+const SEARCH_BLOCKS = 'h1, h2, h3, h4, p, li, td, th, .option, .question-text, .source-ref-box, .source, ' +
+    '.branch-label, .step, div';
+
+// Result weight by where the text was found
+const SEARCH_KIND_WEIGHTS = {
+    heading: 3,
+    question: 1.5,
+    source: 1.2,
+    text: 1
+};
+
+// UI string key of each kind's label
+const SEARCH_KIND_LABELS = {
+    heading: 'search.kind.heading',
+    question: 'search.kind.question',
+    source: 'search.kind.source',
+    text: 'search.kind.text'
+};
+
+const SEARCH_MAX_RESULTS = 30;
+
+/**
+ * Normalize Hebrew text for searching: drop niqqud and cantillation, geresh/gershayim
+ * and other quotes, unify final letters and split on punctuation
+ * @param {string} text - Text to normalize
+ * @returns {string} Space-separated normalized words
+ */
+function normalizeHebrew(text) {
+    return text
+        .replace(/[\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7]/g, '')
+        .replace(/['"`׳״‘’“”]/g, '')
+        .replace(/[ךםןףץ]/g, letter => ({ 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' })[letter])
+        .toLowerCase()
+        .replace(/[^א-תa-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Normalized abbreviation -> normalized full form
+const NORMALIZED_ABBREVIATIONS = Object.fromEntries(Object.entries(SEARCH_ABBREVIATIONS)
+    .map(([abbreviation, full]) => [normalizeHebrew(abbreviation), normalizeHebrew(full)]));
+
+/**
+ * Split text into normalized search words, expanding abbreviations
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words
+ */
+function tokenizeHebrew(text) {
+    const normalized = normalizeHebrew(text);
+    if (!normalized) return [];
+
+    return normalized.split(' ')
+        .map(word => NORMALIZED_ABBREVIATIONS[word] || word)
+        .join(' ')
+        .split(' ');
+}
+
+/**
+ * Score how well a query word matches a text word
+ * @param {string} token - Normalized query word
+ * @param {string} word - Normalized text word
+ * @returns {number} 0 (no match) to 1 (exact)
+ */
+function matchHebrewWord(token, word) {
+    if (word === token) return 1;
+    if (token.length < 2) return 0;
+    if (word.startsWith(token)) return 0.7;
+
+    // Attached prefixes: "בכלי" and "והכלי" match "כלי"
+    for (let i = 0; i < 2 && HEBREW_PREFIX_LETTERS.includes(word[i]); i++) {
+        const rest = word.slice(i + 1);
+        if (rest === token) return 0.9;
+        if (rest.startsWith(token)) return 0.6;
+    }
+
+    // ...and the other way round: searching "בכלי" finds "כלי"
+    for (let i = 0; i < 2 && token.length - i > 2 && HEBREW_PREFIX_LETTERS.includes(token[i]); i++) {
+        if (word === token.slice(i + 1)) return 0.8;
+    }
+    return 0;
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeSearchHtml(text) {
+    return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Constructor for SlideSearch
+ * Indexes the text of every slide - content, .source-ref-box citations and review
+ * questions - as one entry per text block, and ranks blocks against a query.
+ * @param {NodeList|Array<HTMLElement>} slideElements - The slides, in order
+ */
+class SlideSearch {
+    constructor(slideElements) {
+        this.entries = [];
+        Array.from(slideElements).forEach((slide, index) => this.indexSlide(slide, index));
+    }
+
+    /**
+     * Add the text blocks of one slide to the index
+     * @param {HTMLElement} slide - Slide element
+     * @param {number} slideIndex - Slide index
+     */
+    indexSlide(slide, slideIndex) {
+        const blocks = new Map();
+        const walker = document.createTreeWalker(slide, NodeFilter.SHOW_TEXT);
+
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            const parent = node.parentElement;
+            if (!node.textContent.trim() || parent.closest(SEARCH_EXCLUDED)) continue;
+
+            const block = parent.closest(SEARCH_BLOCKS);
+            blocks.set(block, (blocks.get(block) || '') + ' ' + node.textContent);
+        }
+
+        blocks.forEach((text, element) => {
+            const clean = text.replace(/\s+/g, ' ').trim();
+            this.entries.push({
+                element: element,
+                slideIndex: slideIndex,
+                kind: this.getKind(element),
+                text: clean,
+                words: tokenizeHebrew(clean)
+            });
+        });
+    }
+
+    /**
+     * Classify a text block
+     * @param {HTMLElement} element - Block element
+     * @returns {string} 'heading', 'question', 'source' or 'text'
+     */
+    getKind(element) {
+        if (element.matches('h1, h2, h3, h4')) return 'heading';
+        if (element.closest('.source-ref-box, .source, .source-box')) return 'source';
+        if (element.closest('.question')) return 'question';
+        return 'text';
+    }
+
+    /**
+     * Find the blocks containing every word of the query, best first
+     * @param {string} query - Search text
+     * @returns {Array<Object>} Results: { entry, score, tokens }
+     */
+    search(query) {
+        const tokens = tokenizeHebrew(query);
+        if (!tokens.length) return [];
+
+        const phrase = tokens.join(' ');
+        const results = [];
+
+        this.entries.forEach(entry => {
+            let score = 0;
+
+            for (const token of tokens) {
+                const best = Math.max(0, ...entry.words.map(word => matchHebrewWord(token, word)));
+                if (!best) return;
+                score += best;
+            }
+
+            if (tokens.length > 1 && entry.words.join(' ').includes(phrase)) {
+                score += tokens.length;
+            }
+
+            // Short blocks that match are more to the point than long ones
+            score *= SEARCH_KIND_WEIGHTS[entry.kind] / Math.log2(entry.words.length + 4);
+            results.push({ entry: entry, score: score, tokens: tokens });
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score || a.entry.slideIndex - b.entry.slideIndex)
+            .slice(0, SEARCH_MAX_RESULTS);
+    }
+
+    /**
+     * Build an HTML snippet around the first hit, with matching words marked
+     * @param {Object} result - Search result
+     * @param {number} radius - Words to keep on each side of the first hit
+     * @returns {string} Snippet HTML
+     */
+    getSnippet(result, radius = 8) {
+        const words = result.entry.text.split(' ');
+        const isHit = word => tokenizeHebrew(word).some(part => result.tokens.some(token => matchHebrewWord(token, part)));
+        const first = Math.max(0, words.findIndex(isHit));
+        const start = Math.max(0, first - radius);
+        const end = Math.min(words.length, first + radius + 1);
+
+        const html = words.slice(start, end)
+            .map(word => isHit(word) ? `<mark>${escapeSearchHtml(word)}</mark>` : escapeSearchHtml(word))
+            .join(' ');
+
+        return (start > 0 ? '… ' : '') + html + (end < words.length ? ' …' : '');
+    }
+}
+
+let slideSearch = null;
+
+/**
+ * Remove highlights left by a previous search
+ */
+function clearSearchHighlights() {
+    document.querySelectorAll('mark.search-hit').forEach(mark => {
+        const parent = mark.parentNode;
+        mark.replaceWith(document.createTextNode(mark.textContent));
+        parent.normalize();
+    });
+    document.querySelectorAll('.search-target').forEach(element => element.classList.remove('search-target'));
+}
+
+/**
+ * Mark the words matching the query inside an element
+ * @param {HTMLElement} element - Element to mark
+ * @param {Array<string>} tokens - Normalized query words
+ */
+function highlightSearchTerms(element, tokens) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (!node.parentElement.closest(SEARCH_EXCLUDED)) {
+            textNodes.push(node);
+        }
+    }
+
+    textNodes.forEach(node => {
+        const parts = node.textContent.split(/(\s+)/);
+        if (!parts.some(part => tokenizeHebrew(part).some(word => tokens.some(token => matchHebrewWord(token, word))))) return;
+
+        const fragment = document.createDocumentFragment();
+        parts.forEach(part => {
+            const isHit = tokenizeHebrew(part).some(word => tokens.some(token => matchHebrewWord(token, word)));
+            if (isHit) {
+                const mark = document.createElement('mark');
+                mark.className = 'search-hit';
+                mark.textContent = part;
+                fragment.appendChild(mark);
+            } else {
+                fragment.appendChild(document.createTextNode(part));
+            }
+        });
+        node.replaceWith(fragment);
+    });
+}
+
+/**
+ * Go to a search result and highlight it
+ * @param {Object} result - Search result
+ */
+function openSearchResult(result) {
+    closeSearch();
+    clearSearchHighlights();
+
+    // The original questions are hidden while a practice quiz is open
+    if (practiceSession && result.entry.element.closest('.question')) {
+        stopPractice();
+    }
+
+    if (result.entry.slideIndex !== currentSlide) {
+        showSlide(result.entry.slideIndex);
+    }
+
+    // Hits inside a fragment that isn't revealed yet reveal the slide up to it
+    const fragment = result.entry.element.closest('.fragment:not(.visible)');
+    if (fragment) {
+        const slide = slides[result.entry.slideIndex];
+        setFragmentStep(slide, getFragments(slide).indexOf(fragment) + 1);
+    }
+
+    // Hits inside a hidden answer are shown on their question
+    let target = result.entry.element;
+    const hiddenAnswer = target.closest('.answer-box:not(.show)');
+    if (hiddenAnswer) {
+        target = hiddenAnswer.closest('.question') || target;
+    } else {
+        highlightSearchTerms(target, result.tokens);
+    }
+
+    target.classList.add('search-target');
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Close the search overlay
+ */
+function closeSearch() {
+    const overlay = document.getElementById('search-overlay');
+    if (overlay) {
+        overlay.hidden = true;
+    }
+}
+
+/**
+ * Open the search overlay (indexing the slides on first use)
+ */
+function openSearch() {
+    if (!slideSearch) {
+        slideSearch = new SlideSearch(slides);
+    }
+
+    let overlay = document.getElementById('search-overlay');
+    if (!overlay) {
+        overlay = createSearchOverlay();
+        document.body.appendChild(overlay);
+    }
+
+    overlay.hidden = false;
+    const input = overlay.querySelector('.search-input');
+    input.focus();
+    input.select();
+}
+
+/**
+ * Build the search overlay
+ * @returns {HTMLElement} The overlay
+ */
+function createSearchOverlay() {
+    const overlay = document.createElement('div');
+    overlay.className = 'search-overlay';
+    overlay.id = 'search-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-label', t('search.title'));
+    overlay.innerHTML = `
+        <div class="search-box">
+            <input type="search" class="search-input" placeholder="${t('search.placeholder')}"
+                aria-label="${t('search.inputLabel')}" aria-controls="search-results" autocomplete="off">
+            <div class="search-status" aria-live="polite"></div>
+            <ul class="search-results" id="search-results" role="listbox"></ul>
+        </div>`;
+
+    const input = overlay.querySelector('.search-input');
+    const list = overlay.querySelector('.search-results');
+    const status = overlay.querySelector('.search-status');
+    let results = [];
+    let selected = 0;
+
+    const select = (index) => {
+        selected = index;
+        list.querySelectorAll('.search-result').forEach((item, i) => {
+            item.setAttribute('aria-selected', String(i === index));
+            if (i === index) item.scrollIntoView({ block: 'nearest' });
+        });
+    };
+
+    input.addEventListener('input', () => {
+        results = slideSearch.search(input.value);
+        status.textContent = input.value.trim()
+            ? (results.length ? t('search.count', { n: results.length }) : t('search.none'))
+            : '';
+
+        list.innerHTML = results.map((result, i) => `
+            <li class="search-result" role="option" data-index="${i}" aria-selected="false">
+                <div class="search-result-meta">${t('common.slide', { n: result.entry.slideIndex + 1 })} · ${t(SEARCH_KIND_LABELS[result.entry.kind])}</div>
+                <div class="search-result-snippet">${slideSearch.getSnippet(result)}</div>
+            </li>`).join('');
+        select(0);
+    });
+
+    overlay.addEventListener('keydown', (e) => {
+        // Keep keys for typing instead of changing slides
+        e.stopPropagation();
+
+        if (e.key === 'Escape') {
+            closeSearch();
+        } else if (e.key === 'ArrowDown' && results.length) {
+            e.preventDefault();
+            select((selected + 1) % results.length);
+        } else if (e.key === 'ArrowUp' && results.length) {
+            e.preventDefault();
+            select((selected - 1 + results.length) % results.length);
+        } else if (e.key === 'Enter' && results[selected]) {
+            e.preventDefault();
+            openSearchResult(results[selected]);
+        }
+    });
+
+    overlay.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const item = e.target.closest('.search-result');
+        if (item) {
+            openSearchResult(results[parseInt(item.getAttribute('data-index'))]);
+        } else if (e.target === overlay) {
+            closeSearch();
+        }
+    });
+
+    return overlay;
+}
+
+/**
+ * Set up the search shortcut (/ or Ctrl+K) and clear highlights when leaving a slide
+ */
+function initializeSearch() {
+    document.addEventListener('keydown', function (e) {
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+
+        if (e.key === '/' || ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k')) {
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            openSearch();
+        }
+    }, true);
+
+    document.addEventListener('slide-change', clearSearchHighlights);
+}
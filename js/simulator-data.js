@@ -0,0 +1,165 @@
+'use strict';
+
+// ===== "What may I take off the plate?" Scenarios =====
+//
+// The plate simulator (js/simulator.js) shows a scenario's items on a plate; the learner
+// moves some of them out, picks a tool and when they will be eaten, and the rules engine
+// checks the three conditions. To add a case, add a scenario here - the simulator and the
+// rules engine do not need to change. Texts are given per language ({ he, en }).
+//
+// Scenario: { id, icon, title, description, items, mixed, source }
+//   items  - [{ id, icon, label, wanted }]; wanted - the item is what is needed now
+//            (the "food"), the rest is "waste"
+//   mixed  - false when the items lie side by side and are not a mixture (any way is permitted)
+//   source - citation for the case itself
+// Tool: { id, icon, label, sorting, source }
+//   sorting - a utensil made for separating (a strainer, a sorter); selecting with it is forbidden
+// Time: { id, label, immediate, source }
+//   immediate - for eating right away or close to the meal (le'altar)
+
+const PLATE_TOOLS = [
+    {
+        id: 'hand',
+        icon: '✋',
+        label: { he: 'ביד', en: 'By hand' },
+        sorting: false,
+        source: 'פניני הלכה יא, ז'
+    },
+    {
+        id: 'spoon',
+        icon: '🥄',
+        label: { he: 'בכף', en: 'With a spoon' },
+        sorting: false,
+        source: 'פניני הלכה יא, ז'
+    },
+    {
+        id: 'fork',
+        icon: '🍴',
+        label: { he: 'במזלג', en: 'With a fork' },
+        sorting: false,
+        source: 'פניני הלכה יא, ז'
+    },
+    {
+        id: 'strainer',
+        icon: '🫗',
+        label: { he: 'במסננת', en: 'With a strainer' },
+        sorting: true,
+        source: 'פניני הלכה יא, ז | שו"ע שיט, י'
+    },
+    {
+        id: 'sorter',
+        icon: '🧺',
+        label: { he: 'בכלי ברירה מיוחד', en: 'With a special sorting utensil' },
+        sorting: true,
+        source: 'פניני הלכה יא, ז | שו"ע שיט, א-ד'
+    }
+];
+
+const PLATE_TIMES = [
+    {
+        id: 'now',
+        label: { he: 'עכשיו - לאכילה מיד', en: 'Now - to eat right away' },
+        immediate: true,
+        source: 'פניני הלכה יא, ו'
+    },
+    {
+        id: 'meal',
+        label: { he: 'לסעודה שמתחילה בקרוב', en: 'For the meal that is about to start' },
+        immediate: true,
+        source: 'פניני הלכה יא, ו'
+    },
+    {
+        id: 'later',
+        label: { he: 'לסעודה מאוחרת יותר או למחר', en: 'For a later meal or tomorrow' },
+        immediate: false,
+        source: 'פניני הלכה יא, ו'
+    }
+];
+
+const PLATE_SCENARIOS = [
+    {
+        id: 'fish',
+        icon: '🐟',
+        title: { he: 'דג עם עצמות', en: 'Fish with bones' },
+        description: {
+            he: 'על הצלחת נתח דג ובו עצמות קטנות.',
+            en: 'A piece of fish with small bones in it is on the plate.'
+        },
+        items: [
+            { id: 'fish', icon: '🐟', label: { he: 'בשר הדג', en: 'the fish' }, wanted: true },
+            { id: 'bones', icon: '🦴', label: { he: 'העצמות', en: 'the bones' }, wanted: false }
+        ],
+        source: 'פניני הלכה שבת יא, ה'
+    },
+    {
+        id: 'salad',
+        icon: '🥗',
+        title: { he: 'סלט עם בצל', en: 'Salad with onion' },
+        description: {
+            he: 'בקערה סלט ירקות, ובתוכו חתיכות בצל שאינכם אוהבים.',
+            en: 'A bowl of vegetable salad with pieces of onion you don\'t like.'
+        },
+        items: [
+            { id: 'vegetables', icon: '🥒', label: { he: 'ירקות הסלט', en: 'the salad vegetables' }, wanted: true },
+            { id: 'onion', icon: '🧅', label: { he: 'חתיכות הבצל', en: 'the onion pieces' }, wanted: false }
+        ],
+        source: 'פניני הלכה שבת יא, ה'
+    },
+    {
+        id: 'nuts',
+        icon: '🥜',
+        title: { he: 'אגוזים וקליפות', en: 'Nuts and shells' },
+        description: {
+            he: 'בקערה אגוזים קלופים מעורבים בקליפות.',
+            en: 'Shelled nuts mixed with their shells in a bowl.'
+        },
+        items: [
+            { id: 'nuts', icon: '🥜', label: { he: 'האגוזים', en: 'the nuts' }, wanted: true },
+            { id: 'shells', icon: '🐚', label: { he: 'הקליפות', en: 'the shells' }, wanted: false }
+        ],
+        source: 'פניני הלכה שבת יא, ה | ילקו"י שבת ג\' סי\' שיט'
+    },
+    {
+        id: 'soup',
+        icon: '🍲',
+        title: { he: 'מרק עם ירקות', en: 'Soup with vegetables' },
+        description: {
+            he: 'בסיר מרק ובו ירקות מבושלים, ואתם רוצים רק את הירקות.',
+            en: 'A pot of soup with cooked vegetables, and you only want the vegetables.'
+        },
+        items: [
+            { id: 'vegetables', icon: '🥕', label: { he: 'הירקות', en: 'the vegetables' }, wanted: true },
+            { id: 'broth', icon: '🍵', label: { he: 'המרק', en: 'the broth' }, wanted: false }
+        ],
+        source: 'פניני הלכה שבת יא, יב-יג | שו"ע שיט, י'
+    },
+    {
+        id: 'cutlery',
+        icon: '🍽️',
+        title: { he: 'מגירת סכו"ם מעורבבת', en: 'A mixed-up cutlery drawer' },
+        description: {
+            he: 'במגירה מזלגות וסכינים מעורבבים, ואתם צריכים מזלגות לשולחן.',
+            en: 'Forks and knives are mixed up in a drawer, and you need forks for the table.'
+        },
+        items: [
+            { id: 'forks', icon: '🍴', label: { he: 'המזלגות', en: 'the forks' }, wanted: true },
+            { id: 'knives', icon: '🔪', label: { he: 'הסכינים', en: 'the knives' }, wanted: false }
+        ],
+        source: 'פניני הלכה שבת יא, טז | מ"ב שיט, טו'
+    },
+    {
+        id: 'meat',
+        icon: '🍖',
+        title: { he: 'חתיכות בשר גדולות במרק', en: 'Large pieces of meat in soup' },
+        description: {
+            he: 'בסיר כמה חתיכות בשר גדולות, כל אחת ניכרת לעצמה.',
+            en: 'A few large pieces of meat in a pot, each one clearly visible.'
+        },
+        items: [
+            { id: 'meat', icon: '🍖', label: { he: 'חתיכות הבשר', en: 'the pieces of meat' }, wanted: true },
+            { id: 'broth', icon: '🍵', label: { he: 'המרק', en: 'the broth' }, wanted: false }
+        ],
+        mixed: false,
+        source: 'פניני הלכה שבת יא, ד'
+    }
+];
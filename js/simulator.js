@@ -0,0 +1,321 @@
+'use strict';
+
+// ===== Plate Simulator =====
+
+// Step classes of the verdict, matching the flowchart styles
+const SIMULATOR_VERDICT_CLASSES = {
+    permitted: 'success-step',
+    forbidden: 'error-step'
+};
+
+// Source of the "food out of waste" condition, as on the three conditions slide
+// (the other two conditions take theirs from the chosen tool and time)
+const BORER_FOOD_SOURCE = 'פניני הלכה יא, ה';
+
+/**
+ * Get a scenario text in the current language
+ * @param {Object|string} text - { he, en } or a plain string
+ * @returns {string} The text
+ */
+function localizeScenarioText(text) {
+    if (typeof text === 'string') return text;
+    return text[currentLanguage] || text[I18N_DEFAULT_LANGUAGE];
+}
+
+/**
+ * Join item labels into one phrase
+ * @param {Array<Object>} items - Scenario items
+ * @returns {string} "A, B"
+ */
+function formatItemLabels(items) {
+    return items.map(item => localizeScenarioText(item.label)).join(', ');
+}
+
+/**
+ * Evaluate taking items out of a scenario against the three conditions for
+ * permission: food out of waste, by hand, right away
+ * @param {Object} scenario - Scenario (see simulator-data.js)
+ * @param {Object} action - { taken: [item IDs], tool, time } - tool and time as in PLATE_TOOLS / PLATE_TIMES
+ * @returns {Object} { verdict: 'permitted' | 'forbidden', summary, checks: [{ condition, passed, text, source }], source }
+ */
+function evaluateBorerAction(scenario, action) {
+    const taken = scenario.items.filter(item => action.taken.includes(item.id));
+    const result = { verdict: 'permitted', checks: [], source: scenario.source };
+
+    // Borer applies only to a mixture, and only when something is left behind
+    if (scenario.mixed === false) {
+        result.summary = t('simulator.notMixed');
+        return result;
+    }
+    if (taken.length === scenario.items.length) {
+        result.summary = t('simulator.takeAll');
+        return result;
+    }
+
+    const waste = taken.filter(item => !item.wanted);
+    const wanted = scenario.items.filter(item => item.wanted);
+    const tool = localizeScenarioText(action.tool.label);
+    const time = localizeScenarioText(action.time.label);
+
+    result.checks = [
+        {
+            condition: 'food',
+            passed: !waste.length,
+            text: waste.length
+                ? t('simulator.food.fail', { items: formatItemLabels(waste), wanted: formatItemLabels(wanted) })
+                : t('simulator.food.pass', { items: formatItemLabels(taken) }),
+            source: BORER_FOOD_SOURCE
+        },
+        {
+            condition: 'hand',
+            passed: !action.tool.sorting,
+            text: t(action.tool.sorting ? 'simulator.hand.fail' : 'simulator.hand.pass', { tool: tool }),
+            source: action.tool.source
+        },
+        {
+            condition: 'now',
+            passed: action.time.immediate,
+            text: t(action.time.immediate ? 'simulator.now.pass' : 'simulator.now.fail', { time: time }),
+            source: action.time.source
+        }
+    ];
+
+    const missing = result.checks.filter(check => !check.passed).length;
+    result.verdict = missing ? 'forbidden' : 'permitted';
+    result.summary = missing ? t('simulator.missing') : t('simulator.allMet');
+    return result;
+}
+
+/**
+ * Constructor for PlateSimulator
+ * Shows a scenario's items on a plate. The learner drags the items to take out
+ * into the hand (or clicks them), picks a tool and when they will be eaten, and
+ * the action is checked with evaluateBorerAction.
+ * @param {HTMLElement} container - Element to render the simulator into
+ * @param {Array<Object>} scenarios - Scenarios (see simulator-data.js)
+ * @param {Array<Object>} tools - Tools to choose from
+ * @param {Array<Object>} times - Eating times to choose from
+ */
+class PlateSimulator {
+    constructor(container, scenarios, tools, times) {
+        this.container = container;
+        this.scenarios = scenarios;
+        this.tools = tools;
+        this.times = times;
+
+        this.scenario = null;
+        this.taken = new Set();
+
+        this.init();
+    }
+
+    /**
+     * Build the simulator and show the first scenario
+     */
+    init() {
+        const choices = (list, placeholder) => `
+            <option value="">${placeholder}</option>
+            ${list.map(entry => `<option value="${entry.id}">${entry.icon ? entry.icon + ' ' : ''}${localizeScenarioText(entry.label)}</option>`).join('')}`;
+
+        this.container.innerHTML = `
+            <div class="simulator-controls">
+                <label>${t('simulator.scenario')}
+                    <select class="theme-select" data-field="scenario">
+                        ${this.scenarios.map(scenario => `
+                            <option value="${scenario.id}">${scenario.icon} ${localizeScenarioText(scenario.title)}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+            <p class="simulator-description"></p>
+            <div class="simulator-zones">
+                <div class="simulator-zone" data-zone="plate">
+                    <div class="simulator-zone-title">🍽️ ${t('simulator.plate')}</div>
+                    <div class="simulator-items"></div>
+                </div>
+                <div class="simulator-zone simulator-hand" data-zone="taken">
+                    <div class="simulator-zone-title">✋ ${t('simulator.taken')}</div>
+                    <div class="simulator-items"></div>
+                    <div class="simulator-hint">${t('simulator.dropHint')}</div>
+                </div>
+            </div>
+            <div class="simulator-controls">
+                <label>${t('simulator.tool')}
+                    <select class="theme-select" data-field="tool">${choices(this.tools, t('simulator.choose'))}</select>
+                </label>
+                <label>${t('simulator.time')}
+                    <select class="theme-select" data-field="time">${choices(this.times, t('simulator.choose'))}</select>
+                </label>
+            </div>
+            <div class="wizard-controls">
+                <button class="show-answer-btn" data-action="check">${t('simulator.check')}</button>
+                <button class="show-answer-btn" data-action="reset">${t('simulator.reset')}</button>
+            </div>
+            <div class="simulator-result"></div>`;
+
+        this.resultElement = this.container.querySelector('.simulator-result');
+
+        // Clicks on the labels and zones must not change slides either
+        this.container.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const button = e.target.closest('button');
+            if (!button || !this.container.contains(button)) return;
+
+            const action = button.getAttribute('data-action');
+            if (action === 'move') {
+                this.moveItem(button.getAttribute('data-item'));
+            } else if (action === 'check') {
+                this.check();
+            } else if (action === 'reset') {
+                this.showScenario(this.scenario.id);
+            }
+        });
+
+        this.container.addEventListener('change', (e) => {
+            const field = e.target.getAttribute('data-field');
+            if (field === 'scenario') {
+                this.showScenario(e.target.value);
+            } else if (field) {
+                this.clearResult();
+            }
+        });
+
+        this.container.addEventListener('dragstart', (e) => {
+            const item = e.target.closest && e.target.closest('.simulator-item');
+            if (!item) return;
+            e.dataTransfer.setData('text/plain', item.getAttribute('data-item'));
+            e.dataTransfer.effectAllowed = 'move';
+        });
+
+        this.container.querySelectorAll('.simulator-zone').forEach(zone => {
+            zone.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                zone.classList.add('drag-over');
+            });
+            zone.addEventListener('dragleave', () => zone.classList.remove('drag-over'));
+            zone.addEventListener('drop', (e) => {
+                e.preventDefault();
+                zone.classList.remove('drag-over');
+                this.moveItem(e.dataTransfer.getData('text/plain'), zone.getAttribute('data-zone') === 'taken');
+            });
+        });
+
+        this.showScenario(this.scenarios[0].id);
+    }
+
+    /**
+     * Put a scenario's items back on the plate
+     * @param {string} scenarioId - Scenario ID
+     */
+    showScenario(scenarioId) {
+        this.scenario = this.scenarios.find(scenario => scenario.id === scenarioId);
+        if (!this.scenario) {
+            throw new Error(`Plate simulator has no scenario "${scenarioId}"`);
+        }
+
+        this.taken.clear();
+        this.container.querySelector('[data-field="scenario"]').value = scenarioId;
+        this.container.querySelector('.simulator-description').textContent = localizeScenarioText(this.scenario.description);
+        this.container.querySelectorAll('[data-field="tool"], [data-field="time"]').forEach(select => {
+            select.value = '';
+        });
+        this.render();
+    }
+
+    /**
+     * Move an item between the plate and the hand
+     * @param {string} itemId - Item ID
+     * @param {boolean} toHand - Where to move it; toggles when omitted
+     */
+    moveItem(itemId, toHand = !this.taken.has(itemId)) {
+        if (!this.scenario.items.some(item => item.id === itemId)) return;
+
+        if (toHand) {
+            this.taken.add(itemId);
+        } else {
+            this.taken.delete(itemId);
+        }
+        this.render();
+
+        // Keep keyboard focus on the moved item in its new place
+        const moved = this.container.querySelector(`.simulator-item[data-item="${itemId}"]`);
+        if (moved && this.container.contains(document.activeElement)) {
+            moved.focus();
+        }
+    }
+
+    /**
+     * Render the items in their zones
+     */
+    render() {
+        const [plate, hand] = this.container.querySelectorAll('.simulator-items');
+        plate.innerHTML = '';
+        hand.innerHTML = '';
+
+        this.scenario.items.forEach(item => {
+            const inHand = this.taken.has(item.id);
+            const label = localizeScenarioText(item.label);
+            const button = document.createElement('button');
+            button.className = 'simulator-item';
+            button.draggable = true;
+            button.setAttribute('data-action', 'move');
+            button.setAttribute('data-item', item.id);
+            button.setAttribute('aria-label', t(inHand ? 'simulator.putBack' : 'simulator.takeOut', { item: label }));
+            button.textContent = `${item.icon} ${label}`;
+            (inHand ? hand : plate).appendChild(button);
+        });
+
+        this.container.querySelector('.simulator-hint').hidden = this.taken.size > 0;
+        this.clearResult();
+    }
+
+    /**
+     * Remove the verdict of the previous check
+     */
+    clearResult() {
+        this.resultElement.innerHTML = '';
+    }
+
+    /**
+     * Evaluate the chosen action and show the verdict with the reason for each condition
+     */
+    check() {
+        const tool = this.tools.find(entry => entry.id === this.container.querySelector('[data-field="tool"]').value);
+        const time = this.times.find(entry => entry.id === this.container.querySelector('[data-field="time"]').value);
+
+        const missing = !this.taken.size ? 'simulator.chooseItems' : !tool ? 'simulator.chooseTool' : !time ? 'simulator.chooseTime' : null;
+        if (missing) {
+            this.resultElement.innerHTML = `<p class="simulator-missing">${t(missing)}</p>`;
+            announce(t(missing));
+            return;
+        }
+
+        const result = evaluateBorerAction(this.scenario, { taken: Array.from(this.taken), tool: tool, time: time });
+        const sources = source => renderSources(source.split(' | '), currentLanguage);
+        const checks = result.checks.map(check => `
+            <li class="${check.passed ? 'simulator-check-passed' : 'simulator-check-failed'}">
+                ${check.passed ? '✅' : '❌'} ${check.text}
+                ${sources(check.source)}
+            </li>`).join('');
+
+        this.resultElement.innerHTML = `
+            <div class="step wizard-verdict ${SIMULATOR_VERDICT_CLASSES[result.verdict]}">
+                <div class="wizard-verdict-title">${t('wizard.' + result.verdict)}</div>
+                <div>${result.summary}</div>
+                ${checks ? `<ol class="simulator-checks">${checks}</ol>` : ''}
+                ${sources(result.source)}
+            </div>`;
+        announce(`${t('wizard.' + result.verdict)}. ${result.summary}`);
+    }
+}
+
+let plateSimulator = null;
+
+/**
+ * Mount the plate simulator if its container is in the page
+ */
+function initializeSimulator() {
+    const container = document.getElementById('plate-simulator');
+    if (!container) return;
+
+    plateSimulator = new PlateSimulator(container, PLATE_SCENARIOS, PLATE_TOOLS, PLATE_TIMES);
+}
@@ -0,0 +1,481 @@
+'use strict';
+
+// ===== Theme Builder =====
+
+// Contrast every generated palette must keep, in both modes.
+// 4.5:1 is the WCAG AA minimum for text, 3:1 for lines and other UI parts.
+const THEME_CONTRAST_CHECKS = [
+    { label: 'themeEditor.check.text', text: '--mode-text-primary', background: '--mode-bg-white', min: 4.5 },
+    { label: 'themeEditor.check.muted', text: '--mode-text-muted', background: '--mode-bg-white', min: 4.5 },
+    { label: 'themeEditor.check.button', text: '--mode-text-white', background: '--theme-primary', min: 4.5 },
+    { label: 'themeEditor.check.accent', text: '--theme-primary', background: '--mode-bg-white', min: 3 },
+    { label: 'themeEditor.check.info', text: '--mode-box-info-text', background: '--mode-box-info-bg', min: 4.5 }
+];
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// ----- Color math -----
+
+/**
+ * Parse a CSS color in #rgb, #rrggbb or rgb() form
+ * @param {string} value - The color
+ * @returns {Object|null} { r, g, b } in 0-255, or null if not understood
+ */
+function parseColor(value) {
+    const color = (value || '').trim();
+
+    let match = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (match) {
+        const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+        return { r: parseInt(hex.slice(0, 2), 16), g: parseInt(hex.slice(2, 4), 16), b: parseInt(hex.slice(4, 6), 16) };
+    }
+
+    match = color.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/i);
+    if (match) {
+        return { r: parseInt(match[1]), g: parseInt(match[2]), b: parseInt(match[3]) };
+    }
+    return null;
+}
+
+/**
+ * Format a color as #rrggbb
+ * @param {Object} rgb - { r, g, b } in 0-255
+ * @returns {string} Hex color
+ */
+function toHexColor(rgb) {
+    return '#' + [rgb.r, rgb.g, rgb.b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Convert a color to hue, saturation and lightness
+ * @param {Object} rgb - { r, g, b } in 0-255
+ * @returns {Object} { h: 0-360, s: 0-100, l: 0-100 }
+ */
+function rgbToHsl(rgb) {
+    const r = rgb.r / 255, g = rgb.g / 255, b = rgb.b / 255;
+    const max = Math.max(r, g, b), min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    const d = max - min;
+    if (!d) return { h: 0, s: 0, l: l * 100 };
+
+    const s = d / (1 - Math.abs(2 * l - 1));
+    let h;
+    if (max === r) {
+        h = ((g - b) / d) % 6;
+    } else if (max === g) {
+        h = (b - r) / d + 2;
+    } else {
+        h = (r - g) / d + 4;
+    }
+    return { h: (h * 60 + 360) % 360, s: s * 100, l: l * 100 };
+}
+
+/**
+ * Build a hex color from hue, saturation and lightness
+ * @param {number} h - Hue, 0-360
+ * @param {number} s - Saturation, 0-100
+ * @param {number} l - Lightness, 0-100
+ * @returns {string} Hex color
+ */
+function hslColor(h, s, l) {
+    s = Math.max(0, Math.min(100, s)) / 100;
+    l = Math.max(0, Math.min(100, l)) / 100;
+    const c = (1 - Math.abs(2 * l - 1)) * s;
+    const x = c * (1 - Math.abs((h / 60) % 2 - 1));
+    const m = l - c / 2;
+    const [r, g, b] = h < 60 ? [c, x, 0] : h < 120 ? [x, c, 0] : h < 180 ? [0, c, x] :
+        h < 240 ? [0, x, c] : h < 300 ? [x, 0, c] : [c, 0, x];
+    return toHexColor({ r: (r + m) * 255, g: (g + m) * 255, b: (b + m) * 255 });
+}
+
+/**
+ * WCAG relative luminance of a color
+ * @param {Object} rgb - { r, g, b } in 0-255
+ * @returns {number} Luminance, 0-1
+ */
+function relativeLuminance(rgb) {
+    const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(v => {
+        v /= 255;
+        return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio between two colors
+ * @param {string} first - CSS color
+ * @param {string} second - CSS color
+ * @returns {number} Ratio from 1 to 21
+ */
+function contrastRatio(first, second) {
+    const a = relativeLuminance(parseColor(first));
+    const b = relativeLuminance(parseColor(second));
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+// ----- Palette -----
+
+/**
+ * Generate the theme- and mode-dependent variables of theme.css from two colors.
+ * Neutrals are tinted with the primary hue; the status colors (correct, wrong,
+ * warnings) keep the values of theme.css.
+ * @param {string} primary - Primary color (#rrggbb)
+ * @param {string} accent - Accent color (#rrggbb)
+ * @returns {Object} { theme, light, dark } - variable name -> value
+ */
+function generateThemePalette(primary, accent) {
+    const p = rgbToHsl(parseColor(primary));
+    const a = rgbToHsl(parseColor(accent));
+    const rgb = parseColor(primary);
+    const rgbList = `${rgb.r}, ${rgb.g}, ${rgb.b}`;
+
+    return {
+        theme: {
+            '--theme-primary': primary,
+            '--theme-primary-dark': hslColor(p.h, p.s, p.l - 8),
+            '--theme-secondary': accent,
+            '--nav-overlay': `rgba(${rgbList}, 0.1)`,
+            '--arrow-color': `rgba(${rgbList}, var(--mode-arrow-opacity))`,
+            '--shadow-primary': `0 2px 10px rgba(${rgbList}, 0.3)`,
+            '--shadow-primary-hover': `0 4px 15px rgba(${rgbList}, 0.2)`
+        },
+        light: {
+            '--mode-bg-gradient-start': primary,
+            '--mode-bg-gradient-end': accent,
+            '--mode-bg-white': '#ffffff',
+            '--mode-bg-light': hslColor(p.h, 30, 98),
+            '--mode-bg-lighter': hslColor(p.h, 20, 97),
+            '--mode-bg-lightest': hslColor(p.h, 30, 94),
+            '--mode-text-primary': hslColor(p.h, 25, 12),
+            '--mode-text-secondary': hslColor(p.h, 20, 20),
+            '--mode-text-tertiary': hslColor(p.h, 15, 30),
+            '--mode-text-muted': hslColor(p.h, 12, 42),
+            '--mode-text-white': '#ffffff',
+            '--mode-border-light': hslColor(p.h, 25, 90),
+            '--mode-border-medium': hslColor(p.h, 20, 82),
+            '--mode-box-info-bg': hslColor(a.h, 60, 96),
+            '--mode-box-info-border': accent,
+            '--mode-box-info-text': hslColor(a.h, 60, 20),
+            '--mode-source-border': primary
+        },
+        dark: {
+            '--mode-bg-gradient-start': hslColor(p.h, 25, 12),
+            '--mode-bg-gradient-end': hslColor(p.h, 20, 20),
+            '--mode-bg-white': hslColor(p.h, 20, 20),
+            '--mode-bg-light': hslColor(p.h, 15, 30),
+            '--mode-bg-lighter': hslColor(p.h, 20, 20),
+            '--mode-bg-lightest': hslColor(p.h, 25, 12),
+            '--mode-text-primary': hslColor(p.h, 30, 97),
+            '--mode-text-secondary': hslColor(p.h, 25, 90),
+            '--mode-text-tertiary': hslColor(p.h, 20, 82),
+            '--mode-text-muted': hslColor(p.h, 15, 68),
+            '--mode-text-white': '#ffffff',
+            '--mode-border-light': hslColor(p.h, 15, 30),
+            '--mode-border-medium': hslColor(p.h, 12, 45),
+            '--mode-box-info-bg': hslColor(a.h, 35, 16),
+            '--mode-box-info-border': hslColor(a.h, 50, 40),
+            '--mode-box-info-text': hslColor(a.h, 60, 78),
+            '--mode-source-border': hslColor(p.h, 70, 68)
+        }
+    };
+}
+
+/**
+ * Check the contrast of a palette's text and background pairs
+ * @param {Object} palette - Palette from generateThemePalette()
+ * @returns {Array<Object>} { label, mode, ratio, min, passes } per check and mode
+ */
+function checkThemeContrast(palette) {
+    const results = [];
+    ['light', 'dark'].forEach(mode => {
+        const variables = Object.assign({}, palette.theme, palette[mode]);
+        THEME_CONTRAST_CHECKS.forEach(check => {
+            const ratio = contrastRatio(variables[check.text], variables[check.background]);
+            results.push({ label: check.label, mode: mode, ratio: ratio, min: check.min, passes: ratio >= check.min });
+        });
+    });
+    return results;
+}
+
+/**
+ * Write a palette as CSS rules for data-theme="custom".
+ * Screen only - printing keeps the low-ink palette of theme.css.
+ * @param {Object} palette - Palette from generateThemePalette()
+ * @returns {string} CSS text
+ */
+function buildThemeCss(palette) {
+    const block = (selector, variables) => `    ${selector} {\n` +
+        Object.keys(variables).map(name => `        ${name}: ${variables[name]};`).join('\n') + '\n    }';
+
+    return '@media screen {\n' + [
+        block('html[data-theme="custom"]', palette.theme),
+        block('html[data-theme="custom"][data-mode="light"]', palette.light),
+        block('html[data-theme="custom"][data-mode="dark"]', palette.dark)
+    ].join('\n') + '\n}\n';
+}
+
+// ----- Custom theme -----
+
+/**
+ * Check and normalize a custom theme (from storage or an imported file)
+ * @param {Object} data - { name, primary, accent }
+ * @returns {Object} The theme
+ * @throws {Error} If a color is missing or not #rrggbb
+ */
+function validateCustomTheme(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('not an object');
+    }
+    ['primary', 'accent'].forEach(key => {
+        if (!HEX_COLOR_PATTERN.test(data[key])) {
+            throw new Error(`"${key}" must be a #rrggbb color`);
+        }
+    });
+
+    return {
+        name: String(data.name || t('themeEditor.defaultName')).slice(0, 40),
+        primary: data.primary.toLowerCase(),
+        accent: data.accent.toLowerCase()
+    };
+}
+
+/**
+ * Read the saved custom theme
+ * @returns {Object|null} { name, primary, accent }, or null if there is none
+ */
+function loadCustomTheme() {
+    try {
+        const saved = localStorage.getItem('customTheme');
+        return saved ? validateCustomTheme(JSON.parse(saved)) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Put a custom theme's generated palette into the page (shown while data-theme="custom")
+ * @param {Object} theme - { name, primary, accent }
+ */
+function applyCustomTheme(theme) {
+    let style = document.getElementById('custom-theme-style');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'custom-theme-style';
+        document.head.appendChild(style);
+    }
+    style.textContent = buildThemeCss(generateThemePalette(theme.primary, theme.accent));
+
+    // The theme selector lists the custom theme under its own name
+    const select = document.getElementById('theme-select');
+    let option = select?.querySelector('option[value="custom"]');
+    if (select && !option) {
+        option = document.createElement('option');
+        option.value = 'custom';
+        select.appendChild(option);
+    }
+    if (option) {
+        option.textContent = theme.name;
+    }
+
+    if (document.documentElement.getAttribute('data-theme') === 'custom') {
+        notifyThemeChange();
+    }
+}
+
+/**
+ * Save a theme as JSON to a file
+ * @param {Object} theme - { name, primary, accent }
+ */
+function downloadCustomTheme(theme) {
+    const blob = new Blob([JSON.stringify(Object.assign({ version: 1 }, theme), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = `${theme.name.replace(/[\\/:*?"<>|]+/g, '').trim() || 'theme'}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Get a color variable of the current theme as #rrggbb
+ * @param {string} name - Variable name
+ * @param {string} fallback - Color to use if it cannot be read
+ * @returns {string} Hex color
+ */
+function getCurrentThemeColor(name, fallback) {
+    const rgb = parseColor(resolveThemeColor(`var(${name})`));
+    return rgb ? toHexColor(rgb) : fallback;
+}
+
+/**
+ * Open the theme editor: pick two colors, preview the generated palette live,
+ * check its contrast, save it as the custom theme or move it in and out as JSON
+ */
+function openThemeEditor() {
+    if (document.querySelector('.export-dialog')) return;
+
+    const previousTheme = document.documentElement.getAttribute('data-theme');
+    const savedTheme = loadCustomTheme();
+    let theme = savedTheme || {
+        name: t('themeEditor.defaultName'),
+        primary: getCurrentThemeColor('--theme-primary', '#667eea'),
+        accent: getCurrentThemeColor('--theme-secondary', '#764ba2')
+    };
+    let saved = false;
+
+    const dialog = document.createElement('div');
+    dialog.className = 'export-dialog theme-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-label', t('themeEditor.dialogLabel'));
+    dialog.innerHTML = `
+        <form class="export-dialog-box theme-editor-box">
+            <h3>${t('themeEditor.title')}</h3>
+            <label>${t('themeEditor.name')}
+                <input type="text" name="name" maxlength="40">
+            </label>
+            <label>${t('themeEditor.primary')}
+                <input type="color" name="primary">
+            </label>
+            <label>${t('themeEditor.accent')}
+                <input type="color" name="accent">
+            </label>
+            <div class="theme-swatches" aria-hidden="true"></div>
+            <h4>${t('themeEditor.contrast')}</h4>
+            <ul class="theme-contrast-list"></ul>
+            <p class="export-status" aria-live="polite"></p>
+            <input type="file" name="file" accept=".json,application/json" hidden>
+            <div class="export-dialog-actions">
+                <button type="submit" class="nav-btn">${t('themeEditor.save')}</button>
+                <button type="button" class="nav-btn" data-action="export">${t('themeEditor.export')}</button>
+                <button type="button" class="nav-btn" data-action="import">${t('themeEditor.import')}</button>
+                <button type="button" class="nav-btn export-close-btn" data-action="close">${t('common.close')}</button>
+            </div>
+        </form>`;
+
+    const form = dialog.querySelector('form');
+    const status = dialog.querySelector('.export-status');
+
+    const fillForm = () => {
+        form.elements.name.value = theme.name;
+        form.elements.primary.value = theme.primary;
+        form.elements.accent.value = theme.accent;
+    };
+
+    // Show the theme on the page and in the contrast report
+    const preview = () => {
+        const palette = generateThemePalette(theme.primary, theme.accent);
+        applyCustomTheme(theme);
+        if (document.documentElement.getAttribute('data-theme') !== 'custom') {
+            document.documentElement.setAttribute('data-theme', 'custom');
+            notifyThemeChange();
+        }
+
+        const mode = document.documentElement.getAttribute('data-mode') === 'dark' ? 'dark' : 'light';
+        dialog.querySelector('.theme-swatches').innerHTML = Object.values(Object.assign({}, palette.theme, palette[mode]))
+            .filter(value => HEX_COLOR_PATTERN.test(value))
+            .map(value => `<span class="theme-swatch" style="background: ${value}" title="${value}"></span>`).join('');
+
+        dialog.querySelector('.theme-contrast-list').innerHTML = checkThemeContrast(palette).map(result => `
+            <li class="${result.passes ? 'theme-contrast-pass' : 'theme-contrast-fail'}">
+                ${t(result.passes ? 'themeEditor.checkPass' : 'themeEditor.checkFail', {
+                    label: t(result.label),
+                    mode: t('mode.' + result.mode),
+                    ratio: result.ratio.toFixed(1),
+                    min: result.min
+                })}
+            </li>`).join('');
+    };
+
+    const close = () => {
+        dialog.remove();
+        if (saved) return;
+
+        // Leaving without saving puts back the theme that was shown before
+        if (savedTheme) {
+            applyCustomTheme(savedTheme);
+        } else {
+            document.querySelector('#theme-select option[value="custom"]')?.remove();
+        }
+        document.documentElement.setAttribute('data-theme', previousTheme);
+        document.getElementById('theme-select').value = previousTheme;
+        notifyThemeChange();
+    };
+
+    form.addEventListener('input', (e) => {
+        if (e.target.name === 'file') return;
+        theme = {
+            name: form.elements.name.value.trim() || t('themeEditor.defaultName'),
+            primary: form.elements.primary.value,
+            accent: form.elements.accent.value
+        };
+        status.textContent = '';
+        preview();
+    });
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        localStorage.setItem('customTheme', JSON.stringify(theme));
+        saved = true;
+        changeTheme('custom');
+        document.getElementById('theme-select').value = 'custom';
+        close();
+    });
+
+    form.elements.file.addEventListener('change', () => {
+        const file = form.elements.file.files[0];
+        if (!file) return;
+
+        file.text().then(text => {
+            theme = validateCustomTheme(JSON.parse(text));
+            fillForm();
+            preview();
+            status.textContent = t('themeEditor.imported', { name: theme.name });
+        }).catch(error => {
+            status.textContent = t('themeEditor.invalid', { message: error.message });
+        });
+        form.elements.file.value = '';
+    });
+
+    dialog.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const action = e.target.closest('button')?.getAttribute('data-action');
+
+        if (e.target === dialog || action === 'close') {
+            close();
+        } else if (action === 'export') {
+            downloadCustomTheme(theme);
+        } else if (action === 'import') {
+            form.elements.file.click();
+        }
+    });
+
+    // Keep arrow keys for the form controls instead of changing slides
+    dialog.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') close();
+    });
+
+    document.body.appendChild(dialog);
+    fillForm();
+    preview();
+    form.elements.primary.focus();
+}
+
+/**
+ * Load the saved custom theme, if any
+ */
+function initializeThemeBuilder() {
+    const theme = loadCustomTheme();
+    if (theme) {
+        applyCustomTheme(theme);
+        document.getElementById('theme-select').value = document.documentElement.getAttribute('data-theme');
+    } else if (document.documentElement.getAttribute('data-theme') === 'custom') {
+        changeTheme('blue');
+        document.getElementById('theme-select').value = 'blue';
+    }
+}
@@ -0,0 +1,166 @@
+'use strict';
+
+// ===== Table of Contents =====
+
+/**
+ * Constructor for TableOfContents
+ * Builds the table of contents from the slides themselves, so adding, removing or
+ * reordering a slide needs no changes here. Per-slide attributes, set by renderSlide
+ * from the slide's tocTitle, tocGroup and tocHidden in js/deck-data.js (already in
+ * the current language):
+ * - data-toc-title  - Title to show instead of the slide's h2/h1
+ * - data-toc-group  - Starts a new group (e.g. "חלק א'") with this slide
+ * - data-toc-hidden - Leave the slide out (title page, the TOC itself)
+ *
+ * @param {NodeList|Array<HTMLElement>} slideElements - The slides, in order
+ */
+class TableOfContents {
+    constructor(slideElements) {
+        this.entries = this.readEntries(Array.from(slideElements));
+        this.lists = [];
+    }
+
+    /**
+     * Read title and group of every listed slide
+     * @param {Array<HTMLElement>} slideElements - The slides
+     * @returns {Array<Object>} Entries: { index, number, title, group }
+     */
+    readEntries(slideElements) {
+        let group = null;
+
+        return slideElements.map((slide, index) => {
+            if (slide.dataset.tocGroup) {
+                group = slide.dataset.tocGroup;
+            }
+            if (slide.hasAttribute('data-toc-hidden')) return null;
+
+            const heading = slide.querySelector('h2, h1');
+            const title = slide.dataset.tocTitle ||
+                (heading ? heading.textContent.replace(/🕯️/g, '').replace(/\s+/g, ' ').trim() : t('common.slide', { n: index + 1 }));
+
+            return { index: index, number: index + 1, title: title, group: group };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Render the entries, grouped, into a container
+     * @param {HTMLElement} container - Element to render into
+     */
+    render(container) {
+        let currentGroup = null;
+        let html = '';
+
+        this.entries.forEach(entry => {
+            if (entry.group && entry.group !== currentGroup) {
+                currentGroup = entry.group;
+                html += `<div class="example-box toc-group"><strong>${entry.group}</strong></div>`;
+            }
+
+            const hash = slideRouter ? slideRouter.buildHash(entry.index) : `#${entry.number}`;
+            html += `
+                <div class="list-item toc-item">
+                    <a class="slide-link-span toc-link" href="${hash}" data-index="${entry.index}">
+                        <strong>${entry.number}.</strong> ${entry.title}
+                    </a>
+                </div>`;
+        });
+
+        container.innerHTML = html;
+        this.lists.push(container);
+        this.setCurrent(currentSlide);
+    }
+
+    /**
+     * Highlight the entry of the current slide in every rendered list
+     * @param {number} index - Current slide index
+     */
+    setCurrent(index) {
+        this.lists.forEach(list => {
+            list.querySelectorAll('.toc-link').forEach(link => {
+                const isCurrent = parseInt(link.getAttribute('data-index')) === index;
+                link.classList.toggle('current', isCurrent);
+                if (isCurrent) {
+                    link.setAttribute('aria-current', 'page');
+                } else {
+                    link.removeAttribute('aria-current');
+                }
+            });
+        });
+    }
+}
+
+let tableOfContents = null;
+
+/**
+ * Open or close the table of contents drawer
+ * @param {boolean} [open] - Force open (true) or closed (false)
+ */
+function toggleTocDrawer(open) {
+    const drawer = document.getElementById('toc-drawer');
+    const button = document.getElementById('toc-btn');
+    if (!drawer) return;
+
+    const shouldOpen = open === undefined ? drawer.hidden : open;
+    drawer.hidden = !shouldOpen;
+    if (button) {
+        button.setAttribute('aria-expanded', String(shouldOpen));
+    }
+
+    if (shouldOpen) {
+        (drawer.querySelector('.toc-link.current') || drawer.querySelector('.toc-link'))?.focus();
+    } else if (button && drawer.contains(document.activeElement)) {
+        button.focus();
+    }
+}
+
+/**
+ * Build the table of contents slide and the navigation drawer
+ */
+function initializeToc() {
+    tableOfContents = new TableOfContents(slides);
+
+    const list = document.getElementById('toc-list');
+    if (list) {
+        tableOfContents.render(list);
+    }
+
+    const drawer = document.createElement('aside');
+    drawer.className = 'toc-drawer';
+    drawer.id = 'toc-drawer';
+    drawer.hidden = true;
+    drawer.setAttribute('aria-label', t('toc.title'));
+    drawer.innerHTML = `
+        <div class="toc-drawer-header">
+            <strong>${t('toc.heading')}</strong>
+            <button class="toc-drawer-close" aria-label="${t('toc.close')}">✕</button>
+        </div>
+        <nav class="toc-list"></nav>`;
+    tableOfContents.render(drawer.querySelector('.toc-list'));
+    document.body.appendChild(drawer);
+
+    drawer.addEventListener('click', function (e) {
+        e.stopPropagation();
+        if (e.target.closest('.toc-link, .toc-drawer-close')) {
+            toggleTocDrawer(false);
+        }
+    });
+
+    // Keep arrow keys for scrolling the drawer; Escape closes it
+    drawer.addEventListener('keydown', function (e) {
+        e.stopPropagation();
+        if (e.key === 'Escape') {
+            toggleTocDrawer(false);
+        }
+    });
+
+    // Clicking anywhere else closes the drawer
+    document.addEventListener('click', function (e) {
+        if (!drawer.hidden && !e.target.closest('#toc-btn')) {
+            toggleTocDrawer(false);
+        }
+    });
+
+    document.addEventListener('slide-change', function (e) {
+        tableOfContents.setCurrent(e.detail.index);
+    });
+}
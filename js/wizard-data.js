@@ -0,0 +1,209 @@
+'use strict';
+
+// ===== "Is this borer?" Decision Graph =====
+//
+// Each node is either a question (with answers leading to other nodes) or a verdict.
+// To add a case, add nodes here and link them from an existing answer - the wizard
+// itself does not need to change.
+//
+// Question node: { type: 'question', text, source, answers: [{ label, kind, next }] }
+//   kind - 'yes', 'no' or 'maybe'; controls the color of the answer and its arrow
+// Verdict node:  { type: 'verdict', verdict, text, source }
+//   verdict - 'permitted', 'forbidden' or 'rabbi'
+
+const BORER_WIZARD_GRAPH = {
+    start: 'mixed',
+    nodes: {
+        // ----- Is there a mixture at all? -----
+        mixed: {
+            type: 'question',
+            text: 'האם המינים באמת מעורבים זה בזה?',
+            source: 'פניני הלכה שבת יא, ד | שו"ע שיט, ג',
+            answers: [
+                { label: 'כן', kind: 'yes', next: 'specialCase' },
+                { label: 'לא - מונחים זה לצד זה', kind: 'no', next: 'notMixed' },
+                { label: 'לא בטוח', kind: 'maybe', next: 'fewAndLarge' }
+            ]
+        },
+        fewAndLarge: {
+            type: 'question',
+            text: 'האם מדובר בחפצים מעטים וגדולים (כמו חתיכות בשר גדולות במרק או בקבוקים מעטים בארגז)?',
+            source: 'פניני הלכה שבת יא, ד',
+            answers: [
+                { label: 'כן', kind: 'yes', next: 'notMixed' },
+                { label: 'לא - רבים וקטנים', kind: 'no', next: 'specialCase' }
+            ]
+        },
+        notMixed: {
+            type: 'verdict',
+            verdict: 'permitted',
+            text: 'אין כאן תערובת - ואיסור בורר חל רק על דברים מעורבים.',
+            source: 'פניני הלכה שבת יא, ד'
+        },
+
+        // ----- Special cases (slide "דינים מיוחדים") -----
+        specialCase: {
+            type: 'question',
+            text: 'האם מדובר באחד מהמקרים המיוחדים הבאים?',
+            source: 'פניני הלכה שבת יא, יג-טז',
+            answers: [
+                { label: 'חרק או זבוב במשקה', kind: 'maybe', next: 'insect' },
+                { label: 'שקית תה בכוס', kind: 'maybe', next: 'teaBag' },
+                { label: 'עלי תה פזורים', kind: 'maybe', next: 'looseTea' },
+                { label: 'שפיכת נוזל מקופסת שימורים', kind: 'maybe', next: 'cannedSize' },
+                { label: 'טונה בשמן', kind: 'maybe', next: 'tuna' },
+                { label: 'כלים, סכו"ם או ספרים מעורבים', kind: 'maybe', next: 'singleItem' },
+                { label: 'שני מיני מאכלים טובים', kind: 'maybe', next: 'twoFoods' },
+                { label: 'אף אחד מאלה', kind: 'no', next: 'goodPart' }
+            ]
+        },
+        insect: {
+            type: 'verdict',
+            verdict: 'permitted',
+            text: 'מותר להוציא את החרק יחד עם מעט מן המשקה. מעיקר הדין מותר גם לבדו, אבל נכון להחמיר.',
+            source: 'פניני הלכה שבת יא, טו | ילקו"י שבת ג\' סי\' שיט'
+        },
+        teaBag: {
+            type: 'verdict',
+            verdict: 'permitted',
+            text: 'מותר להוציא שקית תה מכוס מים חמים (כלי שלישי) - אין כאן תערובת.',
+            source: 'פניני הלכה שבת יא, יד'
+        },
+        looseTea: {
+            type: 'verdict',
+            verdict: 'rabbi',
+            text: 'יש מחלוקת: יש מקילים כיוון שהעלים אינם מפריעים כל כך, ויש מחמירים שהרי זו תערובת פסולת ואוכל. כדאי לשאול רב.',
+            source: 'פניני הלכה שבת יא, יד'
+        },
+        cannedSize: {
+            type: 'question',
+            text: 'האם החתיכות בקופסה גדולות ואינן מעורבות (כמו מלפפונים חמוצים)?',
+            source: 'פניני הלכה שבת יא, יג',
+            answers: [
+                { label: 'כן', kind: 'yes', next: 'cannedLarge' },
+                { label: 'לא - קטנות (אפונה, תירס, זיתים)', kind: 'no', next: 'cannedSmall' }
+            ]
+        },
+        cannedLarge: {
+            type: 'verdict',
+            verdict: 'permitted',
+            text: 'מותר לשפוך את המים - החתיכות גדולות ואינן נחשבות מעורבות.',
+            source: 'פניני הלכה שבת יא, יג'
+        },
+        cannedSmall: {
+            type: 'verdict',
+            verdict: 'forbidden',
+            text: 'אסור לשפוך את המים - זו הוצאת פסולת מתוך אוכל כשהחלקים קטנים ומעורבים.',
+            source: 'פניני הלכה שבת יא, יג'
+        },
+        tuna: {
+            type: 'question',
+            text: 'האם מוציאים את הטונה (יחד עם מעט שמן)?',
+            source: 'פניני הלכה שבת יא, יג',
+            answers: [
+                { label: 'כן', kind: 'yes', next: 'immediate' },
+                { label: 'לא - שופכים את השמן לבדו', kind: 'no', next: 'wasteFromFood' }
+            ]
+        },
+        singleItem: {
+            type: 'question',
+            text: 'האם לוקחים פריט אחד כדי להשתמש בו עכשיו?',
+            source: 'פניני הלכה שבת יא, טז | שש"כ ג, עז',
+            answers: [
+                { label: 'כן', kind: 'yes', next: 'singleItemOk' },
+                { label: 'לא - ממיינים ומסדרים', kind: 'no', next: 'sorting' }
+            ]
+        },
+        singleItemOk: {
+            type: 'verdict',
+            verdict: 'permitted',
+            text: 'מותר ליטול פריט אחד לשימוש מיידי - זו דרך שימוש רגילה ולא מיון.',
+            source: 'פניני הלכה שבת יא, טז'
+        },
+        sorting: {
+            type: 'verdict',
+            verdict: 'forbidden',
+            text: 'מיון וסידור לקבוצות הוא מלאכת בורר - אסור.',
+            source: 'שש"כ ג, עז-עח | פניני הלכה שבת יא, טז'
+        },
+        twoFoods: {
+            type: 'question',
+            text: 'כל מין נחשב פסולת לגבי השני. האם לוקחים רק את המין שרוצים לאכול עכשיו?',
+            source: 'פניני הלכה שבת יא, ג',
+            answers: [
+                { label: 'כן', kind: 'yes', next: 'utensil' },
+                { label: 'לא - מפרידים בין המינים', kind: 'no', next: 'sorting' }
+            ]
+        },
+
+        // ----- The three conditions: food from waste, by hand, immediately -----
+        goodPart: {
+            type: 'question',
+            text: 'האם אני מוציא את החלק הטוב - מה שאני רוצה עכשיו?',
+            source: 'פניני הלכה שבת יא, ה | שו"ע שיט, ד',
+            answers: [
+                { label: 'כן', kind: 'yes', next: 'utensil' },
+                { label: 'לא - אני מוציא את הפסולת', kind: 'no', next: 'wasteFromFood' }
+            ]
+        },
+        wasteFromFood: {
+            type: 'verdict',
+            verdict: 'forbidden',
+            text: 'הוצאת פסולת מתוך אוכל אסורה - חסר התנאי הראשון (אוכל מתוך פסולת).',
+            source: 'פניני הלכה שבת יא, ה | שו"ע שיט, ד'
+        },
+        utensil: {
+            type: 'question',
+            text: 'במה אני בורר?',
+            source: 'פניני הלכה שבת יא, ז | שו"ע שיט, א',
+            answers: [
+                { label: 'ביד, בכף או במזלג', kind: 'yes', next: 'immediate' },
+                { label: 'בכף מחוררת', kind: 'maybe', next: 'slottedSpoon' },
+                { label: 'במסננת, נפה או כלי המיועד לברירה', kind: 'no', next: 'sortingTool' }
+            ]
+        },
+        slottedSpoon: {
+            type: 'question',
+            text: 'האם החתיכות גדולות ואינן נחשבות מעורבות במרק?',
+            source: 'פניני הלכה שבת יא, יג',
+            answers: [
+                { label: 'כן', kind: 'yes', next: 'immediate' },
+                { label: 'לא - חתיכות קטנות', kind: 'no', next: 'sortingTool' }
+            ]
+        },
+        sortingTool: {
+            type: 'verdict',
+            verdict: 'forbidden',
+            text: 'ברירה בכלי המיועד לברירה אסורה - חסר התנאי השני (ביד).',
+            source: 'פניני הלכה שבת יא, ז-ח | שו"ע שיט, א'
+        },
+        immediate: {
+            type: 'question',
+            text: 'האם אני מתכוון לאכול מיד או סמוך לסעודה?',
+            source: 'פניני הלכה שבת יא, ו | רמ"א שיט, א',
+            answers: [
+                { label: 'כן', kind: 'yes', next: 'permitted' },
+                { label: 'לא - לאחר זמן', kind: 'no', next: 'later' },
+                { label: 'לא בטוח מתי הסעודה', kind: 'maybe', next: 'mealTiming' }
+            ]
+        },
+        mealTiming: {
+            type: 'verdict',
+            verdict: 'rabbi',
+            text: 'מותר להקדים מעט כשאין יודעים מתי בדיוק יחזרו מבית הכנסת, אבל בספק איסור תורה יש להחמיר - ובמקרה של ספק כדאי לשאול רב.',
+            source: 'ילקוט יוסף שבת ג\' סי\' שיט | פניני הלכה שבת יא, ו'
+        },
+        later: {
+            type: 'verdict',
+            verdict: 'forbidden',
+            text: 'ברירה לצורך זמן מאוחר אסורה - חסר התנאי השלישי (מיד).',
+            source: 'פניני הלכה שבת יא, ו'
+        },
+        permitted: {
+            type: 'verdict',
+            verdict: 'permitted',
+            text: 'כל שלושת התנאים מתקיימים - אוכל, ביד ומיד. מותר!',
+            source: 'פניני הלכה שבת יא, ב | ילקו"י שבת ג\' סי\' שיט סעיף ד'
+        }
+    }
+};
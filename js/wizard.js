@@ -0,0 +1,231 @@
+'use strict';
+
+// ===== Decision Wizard =====
+
+// Step classes and arrow colors, matching the flowchart styles
+const WIZARD_VERDICT_CLASSES = {
+    permitted: 'success-step',
+    forbidden: 'error-step',
+    rabbi: 'step-retrospect'
+};
+
+// UI string key of each verdict's title
+const WIZARD_VERDICT_TITLES = {
+    permitted: 'wizard.permitted',
+    forbidden: 'wizard.forbidden',
+    rabbi: 'wizard.rabbi'
+};
+
+const WIZARD_ANSWER_COLORS = {
+    yes: 'var(--category-gradient-start)',
+    no: 'var(--category-error-start)',
+    maybe: 'var(--link-color)'
+};
+
+/**
+ * Constructor for DecisionWizard
+ * Walks the learner through a decision graph one question at a time and draws
+ * the traversed path with FlowchartConnector
+ * @param {HTMLElement} container - Element to render the wizard into
+ * @param {Object} graph - Decision graph ({ start, nodes }, see wizard-data.js)
+ */
+class DecisionWizard {
+    constructor(container, graph) {
+        this.container = container;
+        this.graph = graph;
+        this.idPrefix = container.id || 'wizard';
+
+        // Visited nodes in order: { nodeId, answer } - answer is null for the current node
+        this.path = [];
+
+        this.init();
+    }
+
+    /**
+     * Build the wizard skeleton and start at the first question
+     */
+    init() {
+        this.container.innerHTML = `
+            <div class="flowchart wizard-path" id="${this.idPrefix}-path">
+                <canvas class="connection-canvas" id="${this.idPrefix}-canvas"></canvas>
+            </div>
+            <div class="wizard-controls">
+                <button class="show-answer-btn" data-action="back">${t('wizard.back')}</button>
+                <button class="show-answer-btn" data-action="restart">${t('wizard.restart')}</button>
+            </div>
+            <div class="wizard-sources"></div>`;
+
+        this.pathElement = this.container.querySelector('.wizard-path');
+        this.sourcesElement = this.container.querySelector('.wizard-sources');
+        this.connector = new FlowchartConnector(this.idPrefix + '-canvas', this.idPrefix + '-path');
+        flowchartConnectors.push(this.connector); // Redrawn with the other charts when its slide is shown
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button || !this.container.contains(button)) return;
+            e.stopPropagation();
+
+            const action = button.getAttribute('data-action');
+            if (action === 'answer') {
+                this.answer(parseInt(button.getAttribute('data-index')));
+            } else if (action === 'back') {
+                this.back();
+            } else if (action === 'restart') {
+                this.restart();
+            }
+        });
+
+        this.restart();
+    }
+
+    /**
+     * Look up a node, reporting broken links in the graph data
+     * @param {string} nodeId - Node ID
+     * @returns {Object} The node
+     */
+    getNode(nodeId) {
+        const node = this.graph.nodes[nodeId];
+        if (!node) {
+            throw new Error(`Decision graph has no node "${nodeId}"`);
+        }
+        return node;
+    }
+
+    /**
+     * Go back to the first question
+     */
+    restart() {
+        this.path = [{ nodeId: this.graph.start, answer: null }];
+        this.render();
+    }
+
+    /**
+     * Choose an answer for the current question
+     * @param {number} index - Index of the answer in the current node
+     */
+    answer(index) {
+        const current = this.path[this.path.length - 1];
+        const node = this.getNode(current.nodeId);
+        const answer = node.answers && node.answers[index];
+        if (!answer) return;
+
+        current.answer = index;
+        this.path.push({ nodeId: answer.next, answer: null });
+        this.render();
+    }
+
+    /**
+     * Undo the last answer
+     */
+    back() {
+        if (this.path.length < 2) return;
+        this.path.pop();
+        this.path[this.path.length - 1].answer = null;
+        this.render();
+    }
+
+    /**
+     * Render the traversed path, the current question and the sources list
+     */
+    render() {
+        this.pathElement.querySelectorAll('.step, .branch-label').forEach(element => element.remove());
+        const connections = [];
+
+        this.path.forEach((entry, i) => {
+            const node = this.getNode(entry.nodeId);
+            const isCurrent = i === this.path.length - 1;
+
+            const step = document.createElement('div');
+            step.id = `${this.idPrefix}-step-${i}`;
+
+            if (node.type === 'verdict') {
+                step.className = 'step wizard-verdict ' + WIZARD_VERDICT_CLASSES[node.verdict];
+                step.innerHTML = `
+                    <div class="wizard-verdict-title">${t(WIZARD_VERDICT_TITLES[node.verdict])}</div>
+                    <div>${node.text}</div>
+                    <div class="source-ref-box"><strong>${t('common.source')}</strong> ${node.source}</div>`;
+            } else {
+                step.className = 'step question-step' + (isCurrent ? ' wizard-current' : '');
+                step.innerHTML = `<div>${node.text}</div>`;
+
+                if (isCurrent) {
+                    step.innerHTML += `
+                        <div class="source-ref-box"><strong>${t('common.source')}</strong> ${node.source}</div>
+                        <div class="wizard-answers">
+                            ${node.answers.map((answer, index) => `
+                                <button class="wizard-answer-btn wizard-answer-${answer.kind}" data-action="answer" data-index="${index}">${answer.label}</button>`).join('')}
+                        </div>`;
+                }
+            }
+
+            this.pathElement.appendChild(step);
+
+            if (entry.answer !== null) {
+                const answer = node.answers[entry.answer];
+                const label = document.createElement('div');
+                label.id = `${this.idPrefix}-label-${i}`;
+                label.className = 'branch-label' + (answer.kind === 'yes' ? ' yes-label' : answer.kind === 'no' ? ' no-label' : '');
+                label.textContent = answer.label;
+                this.pathElement.appendChild(label);
+
+                const color = WIZARD_ANSWER_COLORS[answer.kind];
+                connections.push({ from: step.id, to: label.id, color: color });
+                connections.push({ from: label.id, to: `${this.idPrefix}-step-${i + 1}`, color: color });
+            }
+        });
+
+        this.container.querySelector('[data-action="back"]').disabled = this.path.length < 2;
+        this.renderSources();
+        this.connector.setConnections(connections);
+    }
+
+    /**
+     * List the source of every step once a verdict is reached
+     */
+    renderSources() {
+        const last = this.getNode(this.path[this.path.length - 1].nodeId);
+        if (last.type !== 'verdict') {
+            this.sourcesElement.innerHTML = '';
+            return;
+        }
+
+        const items = this.path.map(entry => {
+            const node = this.getNode(entry.nodeId);
+            const answer = entry.answer !== null ? ` ← <strong>${node.answers[entry.answer].label}</strong>` : '';
+            return `<li>${node.text}${answer}<div class="source-ref-box"><strong>${t('common.source')}</strong> ${node.source}</div></li>`;
+        }).join('');
+
+        this.sourcesElement.innerHTML = `
+            <div class="source-box">
+                <strong>${t('wizard.sources')}</strong>
+                <ol>${items}</ol>
+            </div>`;
+    }
+
+    /**
+     * Redraw the path arrows (e.g. when the wizard's slide becomes visible)
+     */
+    redraw() {
+        this.connector.resizeCanvas();
+        this.connector.drawConnections();
+    }
+}
+
+let borerWizard = null;
+
+/**
+ * Mount the "is this borer?" wizard if its container is in the page
+ */
+function initializeWizard() {
+    const container = document.getElementById('borer-wizard');
+    if (!container) return;
+
+    borerWizard = new DecisionWizard(container, BORER_WIZARD_GRAPH);
+
+    // Element positions are only known while the slide is displayed
+    document.addEventListener('slide-change', function () {
+        if (container.closest('.slide.active')) {
+            borerWizard.redraw();
+        }
+    });
+}
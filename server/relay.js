@@ -0,0 +1,497 @@
+'use strict';
+
+// ===== Classroom Relay Server =====
+// Serves the deck and relays live classroom sessions on a local network - no
+// internet and no dependencies needed.
+//
+// Usage: node server/relay.js [port]
+// Then open http://<this computer's address>:<port>/ on the teacher's and the students' devices.
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT) || 8080;
+
+// Directory of the deck - only the files it needs are served from it (see SERVED_FILES)
+const ROOT = path.resolve(__dirname, '..');
+
+// Path of the WebSocket endpoint
+const SESSION_PATH = '/session';
+
+// Fixed GUID of the WebSocket handshake (RFC 6455)
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Messages are small JSON objects - anything larger is a misbehaving client
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
+};
+
+/**
+ * Constructor for WebSocketConnection
+ * A minimal RFC 6455 server-side connection: text frames, fragmentation,
+ * ping/pong and the closing handshake. Binary messages are refused.
+ * @param {net.Socket} socket - Socket after a completed upgrade handshake
+ */
+class WebSocketConnection {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+
+        this.onmessage = null;
+        this.onclose = null;
+
+        socket.on('data', (data) => this.receive(data));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => socket.destroy());
+    }
+
+    /**
+     * Append received bytes and handle every complete frame
+     * @param {Buffer} data - Bytes from the socket
+     */
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        let frame;
+        while ((frame = this.readFrame()) !== null) {
+            this.handleFrame(frame);
+            if (this.closed) return;
+        }
+    }
+
+    /**
+     * Take one frame off the front of the buffer
+     * @returns {Object|null} { fin, opcode, payload }, or null until a whole frame has arrived
+     */
+    readFrame() {
+        if (this.buffer.length < 2) return null;
+
+        const fin = (this.buffer[0] & 0x80) !== 0;
+        const opcode = this.buffer[0] & 0x0f;
+        const masked = (this.buffer[1] & 0x80) !== 0;
+        let length = this.buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (this.buffer.length < 4) return null;
+            length = this.buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (this.buffer.length < 10) return null;
+            length = Number(this.buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        // Clients must mask their frames
+        if (!masked || length > MAX_MESSAGE_SIZE) {
+            this.close(!masked ? 1002 : 1009);
+            return null;
+        }
+
+        if (this.buffer.length < offset + 4 + length) return null;
+
+        const mask = this.buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+
+        this.buffer = this.buffer.subarray(offset + 4 + length);
+        return { fin: fin, opcode: opcode, payload: payload };
+    }
+
+    /**
+     * Handle a single frame
+     * @param {Object} frame - { fin, opcode, payload }
+     */
+    handleFrame(frame) {
+        switch (frame.opcode) {
+            case 0x0: // Continuation
+            case 0x1: // Text
+                if (frame.opcode === 0x1) {
+                    this.fragments = [];
+                }
+                this.fragments.push(frame.payload);
+                if (this.fragments.reduce((size, part) => size + part.length, 0) > MAX_MESSAGE_SIZE) {
+                    this.close(1009);
+                    return;
+                }
+                if (frame.fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    if (this.onmessage) {
+                        this.onmessage(text);
+                    }
+                }
+                break;
+            case 0x2: // Binary - not part of the protocol
+                this.close(1003);
+                break;
+            case 0x8: // Close
+                this.close(frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1000);
+                break;
+            case 0x9: // Ping
+                this.writeFrame(0xA, frame.payload);
+                break;
+            default: // Pong and reserved opcodes
+                break;
+        }
+    }
+
+    /**
+     * Write a frame (server frames are never masked)
+     * @param {number} opcode - Frame opcode
+     * @param {Buffer} payload - Frame payload
+     */
+    writeFrame(opcode, payload) {
+        if (this.socket.destroyed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * Send a text message
+     * @param {string} text - Message text
+     */
+    send(text) {
+        if (!this.closed) {
+            this.writeFrame(0x1, Buffer.from(text, 'utf8'));
+        }
+    }
+
+    /**
+     * Close the connection with a status code
+     * @param {number} code - WebSocket close code
+     */
+    close(code = 1000) {
+        if (this.closed) return;
+
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.writeFrame(0x8, payload);
+        this.socket.end();
+        this.handleClose();
+    }
+
+    /**
+     * Notify the owner once, however the connection ended
+     */
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        if (this.onclose) {
+            this.onclose();
+        }
+    }
+}
+
+/**
+ * Constructor for ClassroomRelay
+ * Groups connections into rooms by session code and relays between them:
+ * - teacher -> students: { type: 'slide', index, step }, { type: 'poll-open', question },
+ *   { type: 'poll-close', question }
+ * - student -> teachers: { type: 'answer', question, choice } (choice is the option's position;
+ *   sent on with `from`)
+ * - relay -> teachers:   { type: 'presence', students }
+ * - relay -> a teacher:  { type: 'rejected' } when its token doesn't match the room's
+ * Joining as a teacher takes a token ({ type: 'join', room, role, token }). The first
+ * teacher of a room sets it; other teachers are only let in with the same token.
+ * Students who join late get the current slide (with its fragment step) and any open poll.
+ */
+class ClassroomRelay {
+    constructor() {
+        // session code -> { teachers: Set, students: Set, slide: Object|null, poll: Object|null, teacherToken: string|null }
+        this.rooms = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Start handling a new connection
+     * @param {WebSocketConnection} connection - The connection
+     */
+    add(connection) {
+        connection.id = this.nextId++;
+        connection.room = null;
+        connection.role = null;
+
+        connection.onmessage = (text) => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (error) {
+                return;
+            }
+            if (message && typeof message === 'object') {
+                this.handleMessage(connection, message);
+            }
+        };
+        connection.onclose = () => this.leave(connection);
+    }
+
+    /**
+     * Handle a message from a connection
+     * @param {WebSocketConnection} connection - Sender
+     * @param {Object} message - Parsed message
+     */
+    handleMessage(connection, message) {
+        if (message.type === 'join') {
+            this.join(connection, String(message.room || ''), message.role === 'teacher' ? 'teacher' : 'student', String(message.token || ''));
+            return;
+        }
+
+        const room = this.rooms.get(connection.room);
+        if (!room) return;
+
+        if (connection.role === 'teacher') {
+            if (message.type === 'slide') {
+                room.slide = message;
+            } else if (message.type === 'poll-open') {
+                room.poll = message;
+            } else if (message.type === 'poll-close') {
+                room.poll = null;
+            } else {
+                return;
+            }
+            this.broadcast(room.students, message);
+        } else if (message.type === 'answer') {
+            this.broadcast(room.teachers, {
+                type: 'answer',
+                from: connection.id,
+                question: message.question,
+                choice: message.choice
+            });
+        }
+    }
+
+    /**
+     * Add a connection to a room
+     * @param {WebSocketConnection} connection - The connection
+     * @param {string} code - Session code
+     * @param {string} role - 'teacher' or 'student'
+     * @param {string} token - Teacher token; the first teacher of a room sets it, later teachers must match it
+     */
+    join(connection, code, role, token) {
+        if (!code) {
+            connection.close(1008);
+            return;
+        }
+
+        const existing = this.rooms.get(code);
+        if (role === 'teacher' && (!token || (existing && existing.teacherToken && existing.teacherToken !== token))) {
+            connection.send(JSON.stringify({ type: 'rejected' }));
+            connection.close(1008);
+            log(`teacher #${connection.id} rejected from session ${code} - wrong teacher token`);
+            return;
+        }
+        this.leave(connection);
+
+        if (!this.rooms.has(code)) {
+            this.rooms.set(code, { teachers: new Set(), students: new Set(), slide: null, poll: null, teacherToken: null });
+        }
+        const room = this.rooms.get(code);
+        if (role === 'teacher' && !room.teacherToken) {
+            room.teacherToken = token;
+        }
+
+        connection.room = code;
+        connection.role = role;
+        (role === 'teacher' ? room.teachers : room.students).add(connection);
+
+        if (role === 'student') {
+            if (room.slide) connection.send(JSON.stringify(room.slide));
+            if (room.poll) connection.send(JSON.stringify(room.poll));
+        }
+        this.updatePresence(room);
+        log(`${role} #${connection.id} joined session ${code}`);
+    }
+
+    /**
+     * Remove a connection from its room, dropping the room once empty
+     * @param {WebSocketConnection} connection - The connection
+     */
+    leave(connection) {
+        const room = this.rooms.get(connection.room);
+        if (!room) return;
+
+        room.teachers.delete(connection);
+        room.students.delete(connection);
+        if (room.teachers.size === 0 && room.students.size === 0) {
+            this.rooms.delete(connection.room);
+        } else {
+            this.updatePresence(room);
+        }
+        connection.room = null;
+    }
+
+    /**
+     * Tell the teachers how many students are connected
+     * @param {Object} room - The room
+     */
+    updatePresence(room) {
+        this.broadcast(room.teachers, { type: 'presence', students: room.students.size });
+    }
+
+    /**
+     * Send a message to a group of connections
+     * @param {Set<WebSocketConnection>} connections - Recipients
+     * @param {Object} message - Message to send
+     */
+    broadcast(connections, message) {
+        const text = JSON.stringify(message);
+        connections.forEach(connection => connection.send(text));
+    }
+}
+
+/**
+ * Print a timestamped line to the console
+ * @param {string} text - Line to print
+ */
+function log(text) {
+    console.log(`[${new Date().toLocaleTimeString()}] ${text}`);
+}
+
+/**
+ * List the files served over HTTP: what the service worker precaches (PRECACHE_URLS
+ * in sw.js) and sw.js itself. The rest of the repository - .git, tools, this
+ * server - is never served.
+ * @returns {Set<string>} Paths relative to ROOT
+ */
+function loadServedFiles() {
+    const context = vm.createContext({ self: { addEventListener() {} } });
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8'), context, { filename: 'sw.js' });
+    const urls = vm.runInContext('PRECACHE_URLS', context);
+    return new Set(['sw.js'].concat(urls.filter(url => url !== './')));
+}
+
+const SERVED_FILES = loadServedFiles();
+
+/**
+ * Serve a file of the deck
+ * @param {http.IncomingMessage} request - The request
+ * @param {http.ServerResponse} response - The response
+ */
+function serveFile(request, response) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        response.writeHead(400);
+        response.end();
+        return;
+    }
+    if (pathname.endsWith('/')) {
+        pathname += 'index.html';
+    }
+
+    // Never serve hidden files, and nothing the deck doesn't need
+    const relativePath = pathname.replace(/^\/+/, '');
+    if (relativePath.split('/').some(segment => segment.startsWith('.'))) {
+        response.writeHead(403);
+        response.end();
+        return;
+    }
+
+    const filePath = path.join(ROOT, relativePath);
+    if (!SERVED_FILES.has(relativePath)) {
+        response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('Not found');
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        response.end(data);
+    });
+}
+
+/**
+ * Complete the WebSocket handshake for an upgrade request
+ * @param {http.IncomingMessage} request - The upgrade request
+ * @param {net.Socket} socket - The request's socket
+ * @returns {boolean} True if the connection was accepted
+ */
+function acceptUpgrade(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    const isWebSocket = (request.headers.upgrade || '').toLowerCase() === 'websocket';
+
+    if (!isWebSocket || !key || new URL(request.url, 'http://localhost').pathname !== SESSION_PATH) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return false;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    return true;
+}
+
+/**
+ * List the addresses students can use to reach this computer
+ * @returns {Array<string>} IPv4 addresses on the local network
+ */
+function getLanAddresses() {
+    return Object.values(os.networkInterfaces())
+        .flat()
+        .filter(address => address && address.family === 'IPv4' && !address.internal)
+        .map(address => address.address);
+}
+
+const relay = new ClassroomRelay();
+const server = http.createServer(serveFile);
+
+server.on('upgrade', (request, socket) => {
+    if (acceptUpgrade(request, socket)) {
+        relay.add(new WebSocketConnection(socket));
+    }
+});
+
+server.listen(PORT, () => {
+    log(`Classroom relay listening on port ${PORT}`);
+    ['localhost'].concat(getLanAddresses()).forEach(address => {
+        console.log(`    http://${address}:${PORT}/`);
+    });
+});
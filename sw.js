@@ -0,0 +1,119 @@
+'use strict';
+
+// ===== Service Worker =====
+// Precaches the whole deck so it works offline after the first visit.
+// Bump CACHE_VERSION whenever any file changes - that is what lets open
+// copies know new content is available (see js/pwa.js).
+
+const CACHE_VERSION = 'borer-v22';
+const PRECACHE = `${CACHE_VERSION}-precache`;
+const RUNTIME = `${CACHE_VERSION}-runtime`;
+
+// Everything the deck needs - keep in sync with the <link> and <script> tags of index.html
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/theme.css',
+    'css/layout.css',
+    'css/navigation.css',
+    'css/quiz.css',
+    'css/print.css',
+    'js/i18n.js',
+    'js/deck-data.js',
+    'js/main.js',
+    'js/router.js',
+    'js/toc.js',
+    'js/search.js',
+    'js/citations.js',
+    'js/quiz.js',
+    'js/progress.js',
+    'js/practice.js',
+    'js/question-bank.js',
+    'js/review-queue.js',
+    'js/flowchart.js',
+    'js/flowchart-svg.js',
+    'js/wizard-data.js',
+    'js/wizard.js',
+    'js/simulator-data.js',
+    'js/simulator.js',
+    'js/export.js',
+    'js/presenter.js',
+    'js/classroom.js',
+    'js/print.js',
+    'js/theme-builder.js',
+    'js/overview.js',
+    'js/pwa.js',
+    'js/accessibility.js',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+self.addEventListener('install', (event) => {
+    // Don't take over from an older version by itself - the page asks the learner first
+    event.waitUntil(
+        caches.open(PRECACHE).then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => !key.startsWith(CACHE_VERSION + '-'))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Every page URL (?presenter, ?session=..., #slug) is the same deck
+    if (request.mode === 'navigate' && url.origin === location.origin) {
+        event.respondWith(
+            caches.match('index.html', { cacheName: PRECACHE }).then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    // Fonts never change under the same URL - cache them the first time they're used
+    if (request.destination === 'font') {
+        event.respondWith(cacheFirst(request));
+        return;
+    }
+
+    if (url.origin === location.origin) {
+        event.respondWith(
+            caches.match(request, { ignoreSearch: true }).then(cached => cached || cacheFirst(request))
+        );
+    }
+});
+
+/**
+ * Answer from the runtime cache, or fetch and remember the response
+ * @param {Request} request - The request
+ * @returns {Promise<Response>} The response
+ */
+function cacheFirst(request) {
+    return caches.open(RUNTIME).then(cache => cache.match(request).then(cached => {
+        if (cached) return cached;
+
+        return fetch(request).then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        });
+    }));
+}
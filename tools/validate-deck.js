@@ -0,0 +1,667 @@
+'use strict';
+
+// ===== Deck Content Validator =====
+// Finds mistakes in the deck that stay invisible until a student hits them - an
+// answer that disagrees with data-correct, a "מקור: שקף 14" past the last slide,
+// links and flowchart edges to nothing, duplicate IDs, citations in an unknown format.
+// No browser and no dependencies: the slides are rendered by the deck's own scripts
+// (js/main.js, js/deck-data.js) in a sandbox and the markup is parsed here.
+//
+// Usage: node tools/validate-deck.js
+// Exits with code 1 when there are errors; warnings alone don't fail.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The deck itself
+const ROOT = path.resolve(__dirname, '..');
+
+// Browser scripts the checks use - strings, content and renderer, citation parser, flowcharts,
+// wizard graph, plate simulator scenarios
+const DECK_SCRIPTS = ['js/i18n.js', 'js/deck-data.js', 'js/main.js', 'js/citations.js', 'js/flowchart.js', 'js/wizard-data.js',
+    'js/simulator-data.js'];
+
+// Elements without a closing tag, and elements whose content is not markup
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+/**
+ * Load the deck's scripts into a sandbox. Their top-level code only declares data and
+ * functions and registers listeners, so a stand-in document is enough - nothing runs
+ * until DOMContentLoaded, which never fires here.
+ * @returns {Object} The sandbox's global object
+ */
+function loadDeckScripts() {
+    const context = vm.createContext({
+        console: console,
+        window: {},
+        document: { readyState: 'loading', addEventListener() {} }
+    });
+
+    DECK_SCRIPTS.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+/**
+ * Replace character references with their characters
+ * @param {string} text - Text from the markup
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, name) => {
+        if (name[0] === '#') {
+            return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1)));
+        }
+        return HTML_ENTITIES[name] ?? match;
+    });
+}
+
+/**
+ * Parse markup into a light tree of { tag, attrs, children, line } elements and { text } nodes.
+ * Written for the deck's own, well-formed markup; tags that are not closed in order are
+ * reported through onError instead of being repaired the way a browser would.
+ * @param {string} html - Markup
+ * @param {Function} onError - Called with (message, line) for each markup problem
+ * @returns {Object} Root element (tag '#root')
+ */
+function parseHtml(html, onError) {
+    const root = { tag: '#root', attrs: {}, children: [], line: 1 };
+    const stack = [root];
+    const tokens = /<!--[\s\S]*?-->|<!doctype[^>]*>|<\/([a-z][\w-]*)\s*>|<([a-z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>|[^<]+|</gi;
+    let line = 1;
+    let match;
+
+    while ((match = tokens.exec(html))) {
+        const [token, closingTag, openingTag, attributes] = match;
+        const parent = stack[stack.length - 1];
+
+        if (openingTag) {
+            const element = { tag: openingTag.toLowerCase(), attrs: {}, children: [], parent: parent, line: line };
+            (attributes || '').replace(/([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g, (all, name, double, single, bare) => {
+                element.attrs[name.toLowerCase()] = decodeEntities(double ?? single ?? bare ?? '');
+            });
+            parent.children.push(element);
+
+            if (RAW_TEXT_ELEMENTS.has(element.tag)) {
+                const end = html.toLowerCase().indexOf(`</${element.tag}`, tokens.lastIndex);
+                const content = html.slice(tokens.lastIndex, end === -1 ? html.length : end);
+                element.children.push({ text: content });
+                line += (token + content).split('\n').length - 1;
+                tokens.lastIndex = end === -1 ? html.length : html.indexOf('>', end) + 1;
+                continue;
+            }
+            if (!VOID_ELEMENTS.has(element.tag)) {
+                stack.push(element);
+            }
+        } else if (closingTag) {
+            const tag = closingTag.toLowerCase();
+            const open = stack.map(element => element.tag).lastIndexOf(tag);
+            if (open < 1) {
+                onError(`</${tag}> without an opening tag`, line);
+            } else {
+                stack.splice(open).slice(1).forEach(unclosed => onError(`<${unclosed.tag}> is not closed before </${tag}>`, unclosed.line));
+            }
+        } else if (!token.startsWith('<!')) {
+            parent.children.push({ text: decodeEntities(token) });
+        }
+
+        line += token.split('\n').length - 1;
+    }
+
+    stack.slice(1).forEach(unclosed => onError(`<${unclosed.tag}> is never closed`, unclosed.line));
+    return root;
+}
+
+/**
+ * Find the elements under a node that match a test, in document order
+ * @param {Object} node - Element to search in
+ * @param {Function} test - Called with each element
+ * @returns {Array<Object>} Matching elements
+ */
+function findElements(node, test) {
+    const found = [];
+    (node.children || []).forEach(child => {
+        if (!child.tag) return;
+        if (test(child)) found.push(child);
+        found.push(...findElements(child, test));
+    });
+    return found;
+}
+
+/**
+ * Check whether an element has a class
+ * @param {Object} element - Element
+ * @param {string} className - Class name
+ * @returns {boolean} True if the class is present
+ */
+function hasClass(element, className) {
+    return (element.attrs.class || '').split(/\s+/).includes(className);
+}
+
+/**
+ * Get the text of a node, whitespace collapsed
+ * @param {Object} node - Element or text node
+ * @returns {string} Text
+ */
+function getText(node) {
+    const collect = item => item.text !== undefined ? item.text : (item.children || []).map(collect).join('');
+    return node ? collect(node).replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Constructor for DeckValidator
+ * Renders the slides in every language and runs the checks on the result and
+ * on index.html, collecting errors and warnings with where they were found.
+ * @param {Object} deck - Sandbox with the deck's scripts loaded (see loadDeckScripts)
+ * @param {string} indexHtml - Contents of index.html
+ */
+class DeckValidator {
+    constructor(deck, indexHtml) {
+        this.deck = deck;
+        this.indexHtml = indexHtml;
+        this.content = vm.runInContext('DECK_CONTENT', deck);
+        this.languages = Object.keys(vm.runInContext('I18N_LANGUAGES', deck));
+        this.defaultLanguage = vm.runInContext('I18N_DEFAULT_LANGUAGE', deck);
+        this.strings = vm.runInContext('I18N_STRINGS', deck);
+        this.totalSlides = this.content.slides.length;
+
+        // { level: 'error' | 'warning', where, message }
+        this.problems = [];
+        this.questionCount = 0;
+    }
+
+    /**
+     * Record a problem
+     * @param {string} level - 'error' or 'warning'
+     * @param {string} where - Where it was found
+     * @param {string} message - What is wrong
+     */
+    report(level, where, message) {
+        // index.html is checked with the slides of each language - report its problems once
+        if (this.problems.some(problem => problem.where === where && problem.message === message)) return;
+        this.problems.push({ level: level, where: where, message: message });
+    }
+
+    /**
+     * Build a pattern matching a UI string in any language, with its placeholder captured
+     * ('quiz.correctAnswer' -> /^(?:תשובה נכונה: (.+)|Correct answer: (.+))$/)
+     * @param {string} key - String key
+     * @param {string} capture - Pattern for the placeholder
+     * @returns {RegExp} Pattern
+     */
+    stringPattern(key, capture) {
+        const variants = this.languages
+            .filter(language => this.strings[language][key])
+            .map(language => escapeRegExp(this.strings[language][key]).replace(/\\\{\w+\\\}/g, `(${capture})`));
+        return new RegExp(`^(?:${variants.join('|')})$`, 'i');
+    }
+
+    /**
+     * Get the first captured group of a match against a stringPattern
+     * @param {Array|null} match - Result of RegExp.exec
+     * @returns {string|null} Captured value
+     */
+    captured(match) {
+        return match ? match.slice(1).find(value => value !== undefined) : null;
+    }
+
+    /**
+     * Render every slide in a language and parse the result
+     * @param {string} language - Language code
+     * @returns {Array<Object>} { where, slug, tree } per slide
+     */
+    renderSlides(language) {
+        return this.content.slides.map((slide, index) => {
+            const slideLanguage = slide[language] ? language : this.defaultLanguage;
+            const where = `slide ${index + 1} "${slide.slug}" (${language})`;
+            let html = '';
+
+            try {
+                html = this.deck.renderBlocks(slide[slideLanguage].blocks, { language: slideLanguage, questionNumber: 0 });
+            } catch (error) {
+                this.report('error', where, error.message);
+            }
+
+            const tree = parseHtml(html, (message) => this.report('error', where, `markup: ${message}`));
+            return { where: where, slug: slide.slug, tree: tree };
+        });
+    }
+
+    /**
+     * Run all checks
+     * @returns {DeckValidator} This validator
+     */
+    run() {
+        const page = parseHtml(this.indexHtml, (message, line) => this.report('error', `index.html:${line}`, message));
+        const staticPart = { where: 'index.html', slug: null, tree: page };
+
+        this.checkSlugs();
+        this.checkQuestionKeys();
+
+        const rendered = {};
+        this.languages.forEach(language => {
+            const slides = this.renderSlides(language);
+            const parts = [staticPart].concat(slides);
+            rendered[language] = slides;
+
+            slides.forEach(part => this.checkQuestions(part));
+            if (language === this.defaultLanguage) {
+                this.questionCount = slides.reduce((count, part) => count + findElements(part.tree, el => hasClass(el, 'question')).length, 0);
+            }
+            parts.forEach(part => this.checkSlideLinks(part));
+            parts.forEach(part => this.checkCitations(part));
+            this.checkDuplicateIds(parts);
+            this.checkFlowcharts(parts);
+        });
+
+        this.checkFragments(rendered);
+        this.checkWizardGraph();
+        this.checkSimulatorScenarios();
+        return this;
+    }
+
+    /**
+     * Every slide needs a slug of its own - it is the slide's address (#slug)
+     */
+    checkSlugs() {
+        const seen = new Set();
+        this.content.slides.forEach((slide, index) => {
+            const where = `slide ${index + 1}`;
+            if (!slide.slug) {
+                this.report('error', where, 'has no slug');
+            } else if (seen.has(slide.slug)) {
+                this.report('error', where, `slug "${slide.slug}" is used by an earlier slide`);
+            }
+            seen.add(slide.slug);
+
+            if (!slide[this.defaultLanguage]) {
+                this.report('error', where, `has no ${this.defaultLanguage} content`);
+            }
+        });
+    }
+
+    /**
+     * Question keys carry saved answers: unique within a language, and the same
+     * questions in the same order in every language
+     */
+    checkQuestionKeys() {
+        const questionsOf = content => (content?.blocks || []).filter(block => block.type === 'question');
+
+        this.languages.forEach(language => {
+            const keys = new Map();
+            this.content.slides.forEach((slide, index) => {
+                questionsOf(slide[language]).forEach((question, number) => {
+                    const where = `slide ${index + 1} "${slide.slug}" (${language}), question ${number + 1}`;
+                    if (question.key && keys.has(question.key)) {
+                        this.report('error', where, `key "${question.key}" is also used by ${keys.get(question.key)} - their saved answers would mix`);
+                    }
+                    if (question.key) keys.set(question.key, where);
+                });
+            });
+        });
+
+        this.content.slides.forEach((slide, index) => {
+            const original = questionsOf(slide[this.defaultLanguage]);
+            this.languages.filter(language => language !== this.defaultLanguage && slide[language]).forEach(language => {
+                const where = `slide ${index + 1} "${slide.slug}" (${language})`;
+                const translated = questionsOf(slide[language]);
+                if (translated.length !== original.length) {
+                    this.report('error', where, `has ${translated.length} questions, the ${this.defaultLanguage} slide has ${original.length}`);
+                    return;
+                }
+                translated.forEach((question, number) => {
+                    const source = original[number];
+                    if (question.key !== source.key) {
+                        this.report('warning', `${where}, question ${number + 1}`,
+                            `key "${question.key}" differs from the ${this.defaultLanguage} question's "${source.key}" - answers won't carry over between languages`);
+                    }
+                    if (question.sourceSlide !== source.sourceSlide) {
+                        this.report('error', `${where}, question ${number + 1}`,
+                            `source slide ${question.sourceSlide} differs from the ${this.defaultLanguage} question's ${source.sourceSlide}`);
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Check each question: exactly one option with the correct letter, an answer box
+     * that names the same letter, and a source slide that exists
+     * @param {Object} part - Rendered slide
+     */
+    checkQuestions(part) {
+        const answerPattern = this.stringPattern('quiz.correctAnswer', '\\S+');
+        const sourcePattern = this.stringPattern('quiz.sourceSlide', '\\d+');
+
+        findElements(part.tree, el => hasClass(el, 'question')).forEach((question, index) => {
+            const where = `${part.where}, question ${index + 1}`;
+            const correct = question.attrs['data-correct'];
+            const letters = findElements(question, el => hasClass(el, 'option-letter')).map(getText);
+
+            if (!correct) {
+                this.report('error', where, 'has no data-correct');
+            } else {
+                const matching = letters.filter(letter => letter === correct).length;
+                if (matching !== 1) {
+                    this.report('error', where, `${matching} options have the correct letter "${correct}" (options: ${letters.join(' ')}) - expected exactly one`);
+                }
+            }
+            if (new Set(letters).size !== letters.length) {
+                this.report('error', where, `option letters repeat: ${letters.join(' ')}`);
+            }
+            if (letters.length < 2) {
+                this.report('error', where, `has ${letters.length} options`);
+            }
+
+            const answerBox = findElements(question, el => hasClass(el, 'answer-box'))[0];
+            const answerTitle = answerBox && findElements(answerBox, el => el.tag === 'strong')[0];
+            const answer = this.captured(answerPattern.exec(getText(answerTitle)));
+            if (!answer) {
+                this.report('error', where, `answer box does not start with the correct answer ("${getText(answerTitle)}")`);
+            } else if (correct && answer !== correct) {
+                this.report('error', where, `answer box says "${answer}" but data-correct is "${correct}"`);
+            }
+
+            const sourceLine = answerBox && findElements(answerBox, el => hasClass(el, 'source'))[0];
+            const sourceSlide = this.captured(sourcePattern.exec(getText(sourceLine)));
+            if (!sourceSlide) {
+                this.report('error', where, `source line is not "${this.strings[this.defaultLanguage]['quiz.sourceSlide']}" ("${getText(sourceLine)}")`);
+            } else if (sourceSlide < 1 || sourceSlide > this.totalSlides) {
+                this.report('error', where, `source slide ${sourceSlide} is past the last slide (${this.totalSlides})`);
+            } else if (question.attrs['data-source-slide'] && question.attrs['data-source-slide'] !== sourceSlide) {
+                this.report('error', where, `data-source-slide ${question.attrs['data-source-slide']} disagrees with the source line (slide ${sourceSlide})`);
+            }
+        });
+    }
+
+    /**
+     * Check links to slides: showSlide(n) (0-based) and goToSlide(n) (1-based) handlers,
+     * data-slide="n" and href="#n" / href="#slug"
+     * @param {Object} part - index.html or a rendered slide
+     */
+    checkSlideLinks(part) {
+        const slugs = new Set(this.content.slides.map(slide => slide.slug));
+        const check = (element, number, description) => {
+            if (number < 1 || number > this.totalSlides) {
+                this.report('error', this.locate(part, element), `${description} points to slide ${number}, but the deck has ${this.totalSlides} slides`);
+            }
+        };
+
+        findElements(part.tree, () => true).forEach(element => {
+            Object.keys(element.attrs).filter(name => name.startsWith('on')).forEach(name => {
+                const calls = /\b(showSlide|goToSlide)\(\s*(\d+)\s*\)/g;
+                let call;
+                while ((call = calls.exec(element.attrs[name]))) {
+                    check(element, parseInt(call[2]) + (call[1] === 'showSlide' ? 1 : 0), `${call[0]}`);
+                }
+            });
+
+            if (element.attrs['data-slide'] !== undefined) {
+                check(element, parseInt(element.attrs['data-slide']), `data-slide="${element.attrs['data-slide']}"`);
+            }
+
+            const target = (element.attrs.href || '').match(/^#(.+)$/);
+            if (target && /^\d+$/.test(target[1])) {
+                check(element, parseInt(target[1]), `href="#${target[1]}"`);
+            } else if (target && part.slug !== null && !slugs.has(decodeURIComponent(target[1]))) {
+                this.report('error', this.locate(part, element), `href="#${target[1]}" matches no slide`);
+            }
+        });
+    }
+
+    /**
+     * Check that every citation box parses: "מקור: A | B", each part in a known work
+     * @param {Object} part - index.html or a rendered slide
+     */
+    checkCitations(part) {
+        const labels = this.languages.map(language => this.strings[language]['common.source']);
+
+        findElements(part.tree, el => hasClass(el, 'source-ref-box')).forEach(box => {
+            const text = getText(box);
+            const label = getText(findElements(box, el => el.tag === 'strong')[0]);
+            if (!labels.includes(label) || !text.startsWith(label)) {
+                this.report('error', this.locate(part, box), `source box does not start with "${this.strings[this.defaultLanguage]['common.source']}" ("${text}")`);
+                return;
+            }
+            this.checkCitationList(this.locate(part, box), text.slice(label.length));
+        });
+    }
+
+    /**
+     * Parse "A | B | C" with the deck's citation parser and report parts it doesn't recognize
+     * @param {string} where - Where the citations are
+     * @param {string} text - Citations separated by |
+     */
+    checkCitationList(where, text) {
+        let previous = null;
+        text.split('|').map(part => part.trim()).forEach(part => {
+            if (!part) {
+                this.report('error', where, `empty citation in "${text.trim()}"`);
+                return;
+            }
+            const citation = this.deck.parseCitation(part, previous);
+            if (!citation) {
+                this.report('error', where, `unrecognized citation "${part}" - not one of the works in CITATION_WORKS (js/citations.js)`);
+                return;
+            }
+            if (!citation.chapter && !citation.section && !citation.subsection && !citation.note) {
+                this.report('warning', where, `citation "${part}" has no chapter or section`);
+            }
+            previous = citation;
+        });
+    }
+
+    /**
+     * IDs must be unique on the page - index.html together with the slides of a language
+     * @param {Array<Object>} parts - index.html and the rendered slides
+     */
+    checkDuplicateIds(parts) {
+        const seen = new Map();
+        parts.forEach(part => {
+            findElements(part.tree, el => el.attrs.id !== undefined).forEach(element => {
+                const where = this.locate(part, element);
+                if (seen.has(element.attrs.id)) {
+                    this.report('error', where, `duplicate id "${element.attrs.id}", first used at ${seen.get(element.attrs.id)}`);
+                } else {
+                    seen.set(element.attrs.id, where);
+                }
+            });
+        });
+    }
+
+    /**
+     * Fragments are revealed one step each, and the presenter and classroom windows
+     * follow the step number - so no fragment inside another, and the same number of
+     * fragments on a slide in every language
+     * @param {Object} rendered - Rendered slides per language
+     */
+    checkFragments(rendered) {
+        const isFragment = el => hasClass(el, 'fragment');
+        const counts = {};
+
+        this.languages.forEach(language => {
+            counts[language] = rendered[language].map(part => {
+                const fragments = findElements(part.tree, isFragment);
+                if (fragments.some(fragment => findElements(fragment, isFragment).length)) {
+                    this.report('error', part.where, 'has a fragment inside another fragment');
+                }
+                return fragments.length;
+            });
+        });
+
+        this.content.slides.forEach((slide, index) => {
+            const original = counts[this.defaultLanguage][index];
+            this.languages.filter(language => language !== this.defaultLanguage && slide[language]).forEach(language => {
+                if (counts[language][index] !== original) {
+                    this.report('error', rendered[language][index].where,
+                        `has ${counts[language][index]} fragments, the ${this.defaultLanguage} slide has ${original}`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Check that each flowchart ([data-flowchart]) declares edges and that they connect
+     * existing nodes, as FlowchartConnector reads them: a JSON definition or data-from attributes
+     * @param {Array<Object>} parts - index.html and the rendered slides
+     */
+    checkFlowcharts(parts) {
+        const ids = new Set();
+        parts.forEach(part => findElements(part.tree, el => el.attrs.id !== undefined).forEach(el => ids.add(el.attrs.id)));
+
+        parts.forEach(part => {
+            findElements(part.tree, el => el.attrs['data-flowchart'] !== undefined).forEach(chart => {
+                const where = this.locate(part, chart);
+                const edges = [];
+
+                findElements(chart, el => el.tag === 'script' && hasClass(el, 'flowchart-definition')).forEach(block => {
+                    try {
+                        edges.push(...(JSON.parse(getText(block)).edges || []));
+                    } catch (error) {
+                        this.report('error', where, `flowchart definition is not valid JSON: ${error.message}`);
+                    }
+                });
+                findElements(chart, el => el.attrs['data-from'] !== undefined).forEach(node => {
+                    node.attrs['data-from'].split(/\s+/).filter(Boolean).forEach(from => {
+                        edges.push({ from: from, to: node.attrs['data-node'] || node.attrs.id });
+                    });
+                });
+                if (!edges.length) {
+                    this.report('error', where, 'flowchart declares no edges');
+                }
+
+                const nodes = new Set(findElements(chart, el => el.attrs['data-node'] !== undefined).map(el => el.attrs['data-node']));
+                edges.forEach(edge => {
+                    const missing = [edge.from, edge.to].filter(id => !nodes.has(id) && !ids.has(id));
+                    if (missing.length) {
+                        this.report('error', where, `flowchart edge "${edge.from}" → "${edge.to}" refers to missing node(s): ${missing.join(', ')}`);
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Check the "Is this borer?" decision graph: answers lead to existing nodes,
+     * every node can be reached and its citation parses
+     */
+    checkWizardGraph() {
+        const graph = vm.runInContext('BORER_WIZARD_GRAPH', this.deck);
+        const where = id => `js/wizard-data.js node "${id}"`;
+
+        if (!graph.nodes[graph.start]) {
+            this.report('error', 'js/wizard-data.js', `start node "${graph.start}" does not exist`);
+            return;
+        }
+
+        const reached = new Set();
+        const visit = id => {
+            if (reached.has(id) || !graph.nodes[id]) return;
+            reached.add(id);
+            (graph.nodes[id].answers || []).forEach(answer => visit(answer.next));
+        };
+        visit(graph.start);
+
+        Object.entries(graph.nodes).forEach(([id, node]) => {
+            (node.answers || []).forEach(answer => {
+                if (!graph.nodes[answer.next]) {
+                    this.report('error', where(id), `answer "${answer.label}" leads to missing node "${answer.next}"`);
+                }
+            });
+            if (!reached.has(id)) {
+                this.report('warning', where(id), 'cannot be reached from the start node');
+            }
+            if (node.source) {
+                this.checkCitationList(where(id), node.source);
+            }
+        });
+    }
+
+    /**
+     * Check the plate simulator data: unique IDs, texts in every language, citations that
+     * parse, and mixtures that have both food and waste to choose between
+     */
+    checkSimulatorScenarios() {
+        const file = 'js/simulator-data.js';
+        const checkTexts = (where, entry, fields) => fields.forEach(field => {
+            const text = entry[field];
+            const missing = typeof text === 'string' ? [] : this.languages.filter(language => !text || !text[language]);
+            if (missing.length) {
+                this.report('error', where, `${field} has no text in ${missing.join(', ')}`);
+            }
+        });
+        const checkList = (name, list, check, sourced = true) => {
+            const seen = new Set();
+            list.forEach(entry => {
+                const where = `${file} ${name} "${entry.id}"`;
+                if (seen.has(entry.id)) {
+                    this.report('error', where, 'duplicate ID');
+                }
+                seen.add(entry.id);
+                if (entry.source) {
+                    this.checkCitationList(where, entry.source);
+                } else if (sourced) {
+                    this.report('error', where, 'has no source');
+                }
+                check(where, entry);
+            });
+        };
+
+        checkList('tool', vm.runInContext('PLATE_TOOLS', this.deck), (where, tool) => checkTexts(where, tool, ['label']));
+        checkList('time', vm.runInContext('PLATE_TIMES', this.deck), (where, time) => checkTexts(where, time, ['label']));
+        checkList('scenario', vm.runInContext('PLATE_SCENARIOS', this.deck), (where, scenario) => {
+            checkTexts(where, scenario, ['title', 'description']);
+            checkList(`scenario "${scenario.id}" item`, scenario.items, (itemWhere, item) => checkTexts(itemWhere, item, ['label']), false);
+            if (scenario.mixed !== false && !(scenario.items.some(item => item.wanted) && scenario.items.some(item => !item.wanted))) {
+                this.report('error', where, 'a mixture needs both wanted items (food) and unwanted ones (waste)');
+            }
+        });
+    }
+
+    /**
+     * Describe where an element is
+     * @param {Object} part - index.html or a rendered slide
+     * @param {Object} element - Element in it
+     * @returns {string} "index.html:120" or the slide's description
+     */
+    locate(part, element) {
+        return part.slug === null ? `${part.where}:${element.line}` : part.where;
+    }
+}
+
+/**
+ * Validate the deck, print the problems and set the exit code
+ */
+function main() {
+    const validator = new DeckValidator(loadDeckScripts(), fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')).run();
+    const errors = validator.problems.filter(problem => problem.level === 'error');
+    const warnings = validator.problems.filter(problem => problem.level === 'warning');
+
+    console.log(`Checked ${validator.totalSlides} slides and ${validator.questionCount} questions in ${validator.languages.join(', ')}`);
+    validator.problems.forEach(problem => {
+        console.log(`  ${problem.level === 'error' ? '✖' : '⚠'} ${problem.where}: ${problem.message}`);
+    });
+
+    if (!validator.problems.length) {
+        console.log('No problems found');
+    } else {
+        console.log(`${errors.length} error(s), ${warnings.length} warning(s)`);
+    }
+    process.exitCode = errors.length ? 1 : 0;
+}
+
+main();